@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const GoogleAuthClient = require('./googleAuth');
+const { DriveClient } = require('./driveClient');
+const { DEFAULT_ACCOUNT_ID } = require('../persistence');
+
+// how long a login has to come back through the callback
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+
+// owns one auth client and one drive client per connected google account
+class AccountManager {
+  constructor(tokenRepository, accountRepository) {
+    this.tokenRepo = tokenRepository;
+    this.accountRepo = accountRepository;
+    this.clients = new Map();
+    // oauth state -> { accountId, expiresAt } of logins started here
+    this.pendingLogins = new Map();
+  }
+
+  _getClients(accountId) {
+    let clients = this.clients.get(accountId);
+    if (!clients) {
+      const authClient = new GoogleAuthClient(this.tokenRepo, accountId);
+      const driveClient = new DriveClient(authClient);
+      clients = { authClient, driveClient };
+      this.clients.set(accountId, clients);
+    }
+    return clients;
+  }
+
+  getAuthClient(accountId = DEFAULT_ACCOUNT_ID) {
+    return this._getClients(accountId).authClient;
+  }
+
+  getDriveClient(accountId = DEFAULT_ACCOUNT_ID) {
+    return this._getClients(accountId).driveClient;
+  }
+
+  // lets handlers and the sync engine take either a DriveClient or this manager.
+  // the tokens are read again each time: logins, re-authorizations and logouts
+  // may have gone through another process, such as the api when jobs run in workers
+  forAccount(accountId = DEFAULT_ACCOUNT_ID) {
+    const { authClient, driveClient } = this._getClients(accountId);
+    authClient.syncCredentials();
+    return driveClient;
+  }
+
+  async loadAll() {
+    const accountIds = new Set([DEFAULT_ACCOUNT_ID, ...this.accountRepo.findAll().map(a => a.id)]);
+    let loaded = 0;
+
+    for (const accountId of accountIds) {
+      if (await this.getAuthClient(accountId).loadCredentials()) {
+        loaded++;
+      }
+    }
+
+    logger.info('Account credentials loaded', { accounts: accountIds.size, authenticated: loaded });
+    return loaded;
+  }
+
+  // the oauth state is a random one-time value standing for the account, so a
+  // callback only completes a login this process started
+  getAuthUrl(accountId = DEFAULT_ACCOUNT_ID) {
+    const now = Date.now();
+    for (const [state, login] of this.pendingLogins) {
+      if (login.expiresAt <= now) this.pendingLogins.delete(state);
+    }
+    const state = crypto.randomBytes(16).toString('hex');
+    this.pendingLogins.set(state, { accountId, expiresAt: now + LOGIN_STATE_TTL_MS });
+    return this.getAuthClient(accountId).getAuthUrl(state);
+  }
+
+  // the account a login was started for, once; null for an unknown or expired state
+  consumeLoginState(state) {
+    const login = state && this.pendingLogins.get(state);
+    if (!login) return null;
+    this.pendingLogins.delete(state);
+    return login.expiresAt > Date.now() ? login.accountId : null;
+  }
+
+  async handleCallback(code, accountId = DEFAULT_ACCOUNT_ID) {
+    const tokens = await this.getAuthClient(accountId).handleCallback(code);
+
+    let details = {};
+    try {
+      const user = await this.getDriveClient(accountId).getAbout();
+      details = { email: user.emailAddress, displayName: user.displayName };
+    } catch (err) {
+      logger.warn('Could not fetch account details', { accountId, error: err.message });
+    }
+
+    this.accountRepo.register(accountId, details);
+    return tokens;
+  }
+
+  isAuthenticated(accountId = DEFAULT_ACCOUNT_ID) {
+    const clients = this.clients.get(accountId);
+    return !!clients && clients.authClient.isAuthenticated();
+  }
+
+  isAnyAuthenticated() {
+    for (const { authClient } of this.clients.values()) {
+      if (authClient.isAuthenticated()) return true;
+    }
+    return false;
+  }
+
+  listAccounts() {
+    return this.accountRepo.findAll().map(account => ({
+      ...account,
+      authenticated: this.isAuthenticated(account.id)
+    }));
+  }
+
+  async removeAccount(accountId) {
+    if (this.isAuthenticated(accountId)) {
+      await this.getAuthClient(accountId).revokeAccess();
+    } else {
+      this.tokenRepo.delete(accountId);
+    }
+    this.clients.delete(accountId);
+    return this.accountRepo.delete(accountId);
+  }
+}
+
+module.exports = AccountManager;
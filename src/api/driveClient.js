@@ -1,6 +1,13 @@
 const { google } = require('googleapis');
 const logger = require('../utils/logger');
 const config = require('../config');
+const { isSharedDrive } = require('../persistence');
+const { metrics } = require('../metrics');
+
+const FILE_FIELDS = [
+  'id, name, mimeType, size, parents, modifiedTime, createdTime, md5Checksum, trashed, driveId',
+  'description, originalFilename, fullFileExtension, properties, owners(displayName, emailAddress)'
+].join(', ');
 
 class RateLimitError extends Error {
   constructor(retryAfter) {
@@ -10,41 +17,82 @@ class RateLimitError extends Error {
   }
 }
 
+// the http status of a failed call, or network_error when there was no response
+function statusLabel(err) {
+  const status = err.response?.status ?? Number(err.code);
+  return Number.isInteger(status) && status > 0 ? status : 'network_error';
+}
+
+// googleapis request options; options.signal aborts the http request itself.
+// calls without one get no second argument
+function signalOptions(signal) {
+  return signal ? [{ signal }] : [];
+}
+
 class DriveClient {
-  constructor(authClient) {
+  constructor(authClient, options = {}) {
     this.auth = authClient;
-    this.drive = google.drive({ version: 'v3', auth: authClient.getClient() });
+    // set when running against the local drive emulator
+    const rootUrl = options.rootUrl || config.google.emulatorUrl;
+    this.drive = google.drive({
+      version: 'v3',
+      auth: authClient.getClient(),
+      ...(rootUrl && { rootUrl: `${rootUrl}/` })
+    });
     this.requestCount = 0;
     this.lastRequestTime = 0;
   }
 
+  // without a shared drive id the query stays on the user's own drive
+  _corpusParams(driveId) {
+    if (!isSharedDrive(driveId)) {
+      return { supportsAllDrives: true, corpora: 'user' };
+    }
+    return {
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true,
+      corpora: 'drive',
+      driveId
+    };
+  }
+
   async listFiles(options = {}) {
     const params = {
       pageSize: options.pageSize || config.sync.pageSize,
-      fields: 'nextPageToken, files(id, name, mimeType, size, parents, modifiedTime, createdTime, md5Checksum, trashed)',
-      orderBy: 'modifiedTime desc',
-      q: options.query || "trashed = false"
+      fields: `nextPageToken, files(${FILE_FIELDS})`,
+      // edits, renames and moves can't change a file's createdTime, so a file
+      // changed mid-listing doesn't jump to a page already read (and get
+      // tombstoned by reconciliation for not being seen)
+      orderBy: 'createdTime',
+      q: options.query || "trashed = false",
+      ...this._corpusParams(options.driveId)
     };
 
     if (options.pageToken) {
       params.pageToken = options.pageToken;
     }
 
-    return this._executeWithRetry(() => this.drive.files.list(params));
+    return this._executeWithRetry(
+      'files.list',
+      () => this.drive.files.list(params, ...signalOptions(options.signal)),
+      options.signal
+    );
   }
 
   async getFile(fileId, fields = 'id, name, mimeType, size, parents, modifiedTime') {
-    return this._executeWithRetry(() =>
-      this.drive.files.get({ fileId, fields })
+    return this._executeWithRetry('files.get', () =>
+      this.drive.files.get({ fileId, fields, supportsAllDrives: true })
     );
   }
 
-  async downloadFile(fileId) {
-    return this._executeWithRetry(() =>
-      this.drive.files.get(
-        { fileId, alt: 'media' },
-        { responseType: 'stream' }
-      )
+  async downloadFile(fileId, options = {}) {
+    return this._executeWithRetry(
+      'files.download',
+      () => this.drive.files.get(
+        { fileId, alt: 'media', supportsAllDrives: true },
+        { responseType: 'stream', ...(options.signal && { signal: options.signal }) }
+      ),
+      options.signal
     );
   }
 
@@ -52,30 +100,85 @@ class DriveClient {
     const params = {
       pageToken,
       pageSize: options.pageSize || config.sync.pageSize,
-      fields: 'nextPageToken, newStartPageToken, changes(fileId, removed, file(id, name, mimeType, size, parents, modifiedTime, trashed))'
+      fields: `nextPageToken, newStartPageToken, changes(fileId, removed, file(${FILE_FIELDS}))`,
+      supportsAllDrives: true
     };
+    if (isSharedDrive(options.driveId)) {
+      params.includeItemsFromAllDrives = true;
+      params.driveId = options.driveId;
+    }
 
-    return this._executeWithRetry(() => this.drive.changes.list(params));
+    return this._executeWithRetry(
+      'changes.list',
+      () => this.drive.changes.list(params, ...signalOptions(options.signal)),
+      options.signal
+    );
   }
 
-  async getStartPageToken() {
-    const res = await this._executeWithRetry(() =>
-      this.drive.changes.getStartPageToken({})
+  async getAbout() {
+    const res = await this._executeWithRetry('about.get', () =>
+      this.drive.about.get({ fields: 'user(emailAddress, displayName)' })
+    );
+    return res.data.user || {};
+  }
+
+  async getStartPageToken(driveId = null) {
+    const params = { supportsAllDrives: true };
+    if (isSharedDrive(driveId)) {
+      params.driveId = driveId;
+    }
+    const res = await this._executeWithRetry('changes.getStartPageToken', () =>
+      this.drive.changes.getStartPageToken(params)
     );
     return res.data.startPageToken;
   }
 
-  async _executeWithRetry(fn, maxRetries = config.sync.maxRetries) {
+  async listDrives(pageToken = null) {
+    const params = {
+      pageSize: 100,
+      fields: 'nextPageToken, drives(id, name, createdTime, hidden)'
+    };
+    if (pageToken) {
+      params.pageToken = pageToken;
+    }
+    return this._executeWithRetry('drives.list', () => this.drive.drives.list(params));
+  }
+
+  // every shared drive the account is a member of
+  async listAllDrives() {
+    const drives = [];
+    let pageToken = null;
+    do {
+      const res = await this.listDrives(pageToken);
+      drives.push(...(res.data.drives || []));
+      pageToken = res.data.nextPageToken;
+    } while (pageToken);
+    return drives;
+  }
+
+  // method names the call in metrics, e.g. files.list. an aborted signal ends
+  // the call, backoffs included, with the signal's reason
+  async _executeWithRetry(method, fn, signal = null, maxRetries = config.sync.maxRetries) {
     let lastError;
 
     for (let attempt = 0; attempt < maxRetries; attempt++) {
+      signal?.throwIfAborted();
+      await this._throttle();
+      const endTimer = metrics.driveRequestDuration.startTimer({ method });
       try {
-        await this._throttle();
         const result = await fn();
+        endTimer();
+        metrics.driveRequests.inc({ method, status: result?.status || 200 });
         return result;
       } catch (err) {
+        endTimer();
+        metrics.driveRequests.inc({ method, status: statusLabel(err) });
         lastError = err;
 
+        if (signal?.aborted) {
+          throw signal.reason;
+        }
+
         if (err.code === 429 || err.code === 403) {
           const retryAfter = this._parseRetryAfter(err);
           logger.warn('Rate limited, backing off', {
@@ -84,7 +187,10 @@ class DriveClient {
           });
 
           if (attempt < maxRetries - 1) {
-            await this._sleep(retryAfter);
+            metrics.driveRateLimitBackoffs.inc({ method });
+            metrics.driveRetries.inc({ method, reason: 'rate_limit' });
+            metrics.driveBackoffSeconds.inc({ reason: 'rate_limit' }, retryAfter / 1000);
+            await this._sleep(retryAfter, signal);
             continue;
           }
           throw new RateLimitError(retryAfter);
@@ -93,7 +199,9 @@ class DriveClient {
         if (err.code >= 500 && attempt < maxRetries - 1) {
           const delay = this._calculateBackoff(attempt);
           logger.warn('Server error, retrying', { attempt: attempt + 1, delay });
-          await this._sleep(delay);
+          metrics.driveRetries.inc({ method, reason: 'server_error' });
+          metrics.driveBackoffSeconds.inc({ reason: 'server_error' }, delay / 1000);
+          await this._sleep(delay, signal);
           continue;
         }
 
@@ -138,8 +246,18 @@ class DriveClient {
     this.requestCount++;
   }
 
-  _sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  _sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   getRequestCount() {
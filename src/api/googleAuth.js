@@ -2,18 +2,29 @@ const { google } = require('googleapis');
 const config = require('../config');
 const logger = require('../utils/logger');
 
+// the drive emulator answers the consent, token and revoke calls as well
+function emulatorEndpoints(baseUrl) {
+  return {
+    oauth2AuthBaseUrl: `${baseUrl}/o/oauth2/v2/auth`,
+    oauth2TokenUrl: `${baseUrl}/token`,
+    oauth2RevokeUrl: `${baseUrl}/revoke`
+  };
+}
+
 class GoogleAuthClient {
-  constructor(tokenRepository) {
+  constructor(tokenRepository, accountId = 'default') {
     this.tokenRepo = tokenRepository;
-    this.oauth2Client = new google.auth.OAuth2(
-      config.google.clientId,
-      config.google.clientSecret,
-      config.google.redirectUri
-    );
+    this.accountId = accountId;
+    this.oauth2Client = new google.auth.OAuth2({
+      clientId: config.google.clientId,
+      clientSecret: config.google.clientSecret,
+      redirectUri: config.google.redirectUri,
+      ...(config.google.emulatorUrl && { endpoints: emulatorEndpoints(config.google.emulatorUrl) })
+    });
 
     this.oauth2Client.on('tokens', (tokens) => {
       if (tokens.refresh_token) {
-        logger.debug('New refresh token received');
+        logger.debug('New refresh token received', { accountId: this.accountId });
       }
     });
   }
@@ -30,7 +41,7 @@ class GoogleAuthClient {
     return this.oauth2Client.generateAuthUrl(params);
   }
 
-  async handleCallback(code, userId = 'default') {
+  async handleCallback(code, userId = this.accountId) {
     const { tokens } = await this.oauth2Client.getToken(code);
     this.oauth2Client.setCredentials(tokens);
     this.tokenRepo.save(userId, tokens);
@@ -38,7 +49,7 @@ class GoogleAuthClient {
     return tokens;
   }
 
-  async loadCredentials(userId = 'default') {
+  async loadCredentials(userId = this.accountId) {
     const tokens = this.tokenRepo.findByUserId(userId);
     if (!tokens) {
       return false;
@@ -61,6 +72,26 @@ class GoogleAuthClient {
     return true;
   }
 
+  // takes up tokens another process saved or removed since these were loaded:
+  // a login, re-authorization or logout through the api while this process
+  // runs jobs. tokens this client refreshed itself keep their refresh token
+  syncCredentials(userId = this.accountId) {
+    const tokens = this.tokenRepo.findByUserId(userId);
+    const current = this.oauth2Client.credentials || {};
+    if (!tokens) {
+      if (current.access_token || current.refresh_token) {
+        this.oauth2Client.setCredentials({});
+        logger.info('Credentials removed elsewhere, dropped', { userId });
+      }
+      return false;
+    }
+    if (tokens.refresh_token !== current.refresh_token || !current.access_token) {
+      this.oauth2Client.setCredentials(tokens);
+      logger.debug('Credentials reloaded', { userId });
+    }
+    return true;
+  }
+
   _isTokenExpired(tokens) {
     if (!tokens.expiry_date) return false;
     // refresh 5 min before expiry
@@ -75,7 +106,7 @@ class GoogleAuthClient {
     return !!this.oauth2Client.credentials?.access_token;
   }
 
-  async revokeAccess(userId = 'default') {
+  async revokeAccess(userId = this.accountId) {
     try {
       await this.oauth2Client.revokeCredentials();
       this.tokenRepo.delete(userId);
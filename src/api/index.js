@@ -1,8 +1,10 @@
 const GoogleAuthClient = require('./googleAuth');
 const { DriveClient, RateLimitError } = require('./driveClient');
+const AccountManager = require('./accountManager');
 
 module.exports = {
   GoogleAuthClient,
   DriveClient,
-  RateLimitError
+  RateLimitError,
+  AccountManager
 };
@@ -3,48 +3,173 @@ const config = require('./config');
 const logger = require('./utils/logger');
 
 const { getDatabase } = require('./persistence');
-const { FileRepository, JobRepository, CheckpointRepository, TokenRepository } = require('./persistence');
-const { GoogleAuthClient, DriveClient } = require('./api');
-const { JobRunner, JOB_TYPES, createFullSyncHandler, createIncrementalSyncHandler } = require('./jobs');
+const {
+  FileRepository,
+  JobRepository,
+  CheckpointRepository,
+  TokenRepository,
+  SyncStateRepository,
+  ScheduleRepository,
+  AccountRepository,
+  DriveRepository,
+  EventRepository,
+  WebhookRepository,
+  FileChangeRepository,
+  SnapshotRepository,
+  ExportRepository,
+  WorkerRepository,
+  DOWNLOAD_STATUS,
+  DEFAULT_ACCOUNT_ID
+} = require('./persistence');
+const { AccountManager } = require('./api');
+const {
+  JobRunner,
+  JOB_TYPES,
+  SYNC_JOB_TYPES,
+  completesSync,
+  createSyncPageHandler,
+  createIncrementalSyncHandler,
+  createDownloadFileHandler
+} = require('./jobs');
 const { SyncEngine } = require('./sync');
-const { createAuthRouter, createSyncRouter, createJobsRouter, createFilesRouter } = require('./routes');
+const { Scheduler } = require('./scheduler');
+const { EventStream } = require('./events');
+const { WebhookDispatcher, createWebhookDeliveryHandler } = require('./webhooks');
+const { registry: metricsRegistry, MetricsCollector } = require('./metrics');
+const { SnapshotManager } = require('./snapshots');
+const { ExportManager, createExportFilesHandler } = require('./export');
+const { CatalogImporter } = require('./import');
+const {
+  createAuthRouter,
+  createSyncRouter,
+  createJobsRouter,
+  createFilesRouter,
+  createSchedulesRouter,
+  createAccountsRouter,
+  createDrivesRouter,
+  createEventsRouter,
+  createWebhooksRouter,
+  createMetricsRouter,
+  createSnapshotsRouter,
+  createExportsRouter,
+  createImportsRouter,
+  createWorkersRouter
+} = require('./routes');
+
+// what this process runs: the api with the job runner, or one of the two
+const ROLES = {
+  ALL: 'all',
+  API: 'api',
+  WORKER: 'worker'
+};
 
 class App {
-  constructor() {
+  constructor(options = {}) {
+    this.role = options.role || config.server.role;
+    if (!Object.values(ROLES).includes(this.role)) {
+      throw new Error(`Unknown role: ${this.role}. Expected one of: ${Object.values(ROLES).join(', ')}`);
+    }
     this.express = express();
     this.dbManager = null;
     this.jobRunner = null;
+    this.scheduler = null;
+    this.eventStream = null;
+    this.webhookDispatcher = null;
+    this.metricsCollector = null;
+    this.snapshotManager = null;
   }
 
   async initialize() {
-    // init database (async for sql.js)
-    this.dbManager = await getDatabase(config.db.path);
+    // init database (async: the sql.js driver loads its wasm)
+    this.dbManager = await getDatabase(config.db.path, {
+      driver: config.db.driver,
+      saveDelayMs: config.db.saveDelayMs,
+      maxSaveDelayMs: config.db.maxSaveDelayMs,
+      autoMigrate: config.db.autoMigrate,
+      backupBeforeMigrate: config.db.backupBeforeMigrate
+    });
+
+    // with auto-migration off the schema has to be brought up to date by hand
+    const pending = this.dbManager.pendingMigrations();
+    if (pending.length > 0) {
+      throw new Error(`Database schema is ${pending.length} migration(s) behind; run "npm run migrate"`);
+    }
+    // sql.js holds the database in this process's memory, other processes never see its writes
+    if (this.role !== ROLES.ALL && this.dbManager.driver === 'sql.js') {
+      throw new Error(`The ${this.role} role shares the database with other processes and needs the better-sqlite3 driver`);
+    }
 
     // init repositories
     this.fileRepo = new FileRepository(this.dbManager);
     this.jobRepo = new JobRepository(this.dbManager);
     this.checkpointRepo = new CheckpointRepository(this.dbManager);
     this.tokenRepo = new TokenRepository(this.dbManager);
+    this.syncStateRepo = new SyncStateRepository(this.dbManager);
+    this.scheduleRepo = new ScheduleRepository(this.dbManager);
+    this.accountRepo = new AccountRepository(this.dbManager);
+    this.driveRepo = new DriveRepository(this.dbManager);
+    this.eventRepo = new EventRepository(this.dbManager);
+    this.webhookRepo = new WebhookRepository(this.dbManager);
+    this.fileChangeRepo = new FileChangeRepository(this.dbManager);
+    this.snapshotRepo = new SnapshotRepository(this.dbManager);
+    this.exportRepo = new ExportRepository(this.dbManager);
+    this.workerRepo = new WorkerRepository(this.dbManager);
 
-    // init auth client
-    this.authClient = new GoogleAuthClient(this.tokenRepo);
-    await this.authClient.loadCredentials();
+    // init auth + drive clients for every connected account
+    this.accountManager = new AccountManager(this.tokenRepo, this.accountRepo);
+    await this.accountManager.loadAll();
 
-    // init drive client
-    this.driveClient = new DriveClient(this.authClient);
+    // handlers and the sync engine resolve the drive client per account
+    this.driveClient = this.accountManager;
 
-    // init job runner
-    this.jobRunner = new JobRunner(this.jobRepo);
+    // init job runner. an api-only process never starts it, but cancels and
+    // reports on jobs through it
+    this.jobRunner = new JobRunner(this.jobRepo, {}, { workerRepository: this.workerRepo });
 
-    // register job handlers
-    this.jobRunner.registerHandler(
-      JOB_TYPES.FULL_SYNC,
-      createFullSyncHandler(this.driveClient, this.fileRepo, this.checkpointRepo, this.jobRepo)
+    // register job handlers. full_sync jobs still queued from before full
+    // syncs ran page by page are run as the page their checkpoint is at
+    const syncPageHandler = createSyncPageHandler(
+      this.driveClient,
+      this.fileRepo,
+      this.checkpointRepo,
+      this.jobRepo,
+      this.syncStateRepo
     );
+    this.jobRunner.registerHandler(JOB_TYPES.SYNC_PAGE, syncPageHandler);
+    this.jobRunner.registerHandler(JOB_TYPES.FULL_SYNC, syncPageHandler);
 
     this.jobRunner.registerHandler(
       JOB_TYPES.INCREMENTAL_SYNC,
-      createIncrementalSyncHandler(this.driveClient, this.fileRepo, this.checkpointRepo)
+      createIncrementalSyncHandler(
+        this.driveClient,
+        this.fileRepo,
+        this.checkpointRepo,
+        this.syncStateRepo,
+        {
+          deleteMode: config.sync.deleteMode,
+          tombstoneRetentionDays: config.sync.tombstoneRetentionDays,
+          changeRetentionDays: config.sync.changeRetentionDays,
+          jobRepository: this.jobRepo
+        }
+      )
+    );
+
+    this.jobRunner.registerHandler(
+      JOB_TYPES.DOWNLOAD_FILE,
+      createDownloadFileHandler(this.driveClient, this.fileRepo, {
+        mirrorDir: config.download.mirrorDir,
+        driveRepository: this.driveRepo
+      })
+    );
+
+    this.jobRunner.registerHandler(
+      JOB_TYPES.WEBHOOK_DELIVERY,
+      createWebhookDeliveryHandler(this.webhookRepo, { timeoutMs: config.webhooks.timeoutMs })
+    );
+
+    this.jobRunner.registerHandler(
+      JOB_TYPES.EXPORT_FILES,
+      createExportFilesHandler(this.exportRepo, this.fileRepo, { exportDir: config.export.dir })
     );
 
     // init sync engine
@@ -53,7 +178,99 @@ class App {
       fileRepository: this.fileRepo,
       checkpointRepository: this.checkpointRepo,
       jobRepository: this.jobRepo,
-      jobRunner: this.jobRunner
+      jobRunner: this.jobRunner,
+      syncStateRepository: this.syncStateRepo,
+      driveRepository: this.driveRepo,
+      fileChangeRepository: this.fileChangeRepo
+    });
+    for (const accountId of [DEFAULT_ACCOUNT_ID, ...this.accountRepo.findAll().map(a => a.id)]) {
+      this.syncEngine.loadState(accountId);
+    }
+
+    // log sync and job events for /events subscribers
+    this.eventStream = new EventStream(this.eventRepo, {
+      progressIntervalMs: config.events.progressIntervalMs,
+      maxEvents: config.events.maxStored
+    });
+    this.eventStream.attach({ syncEngine: this.syncEngine, jobRunner: this.jobRunner });
+
+    // queue webhook deliveries for the events they subscribe to
+    this.webhookDispatcher = new WebhookDispatcher({
+      webhookRepository: this.webhookRepo,
+      jobRepository: this.jobRepo,
+      eventStream: this.eventStream,
+      maxAttempts: config.webhooks.maxAttempts
+    });
+    this.webhookDispatcher.start();
+
+    // job, sync and queue metrics for /metrics; drive requests are counted by the client
+    this.metricsCollector = new MetricsCollector({
+      jobRepository: this.jobRepo,
+      checkpointRepository: this.checkpointRepo
+    });
+    this.metricsCollector.attach(this.jobRunner);
+
+    // catalog snapshots, optionally one after every full sync
+    this.snapshotManager = new SnapshotManager({
+      snapshotRepository: this.snapshotRepo,
+      onFullSync: config.snapshots.onFullSync,
+      keepAutomatic: config.snapshots.keepAutomatic
+    });
+    this.snapshotManager.attach(this.jobRunner);
+
+    // catalog exports written to disk by a job
+    this.exportManager = new ExportManager({
+      exportRepository: this.exportRepo,
+      jobRepository: this.jobRepo
+    });
+
+    // seeds or restores the catalog from an export or a backup
+    this.catalogImporter = new CatalogImporter({
+      fileRepository: this.fileRepo,
+      checkpointRepository: this.checkpointRepo,
+      syncStateRepository: this.syncStateRepo
+    });
+
+    // init scheduler
+    this.scheduler = new Scheduler({
+      scheduleRepository: this.scheduleRepo,
+      jobRepository: this.jobRepo,
+      syncEngine: this.syncEngine,
+      accountManager: this.accountManager
+    });
+    this.scheduler.ensureSchedule('incremental', 'incremental', config.scheduler.incremental);
+    this.scheduler.ensureSchedule('reconciliation', 'full', config.scheduler.full);
+
+    // mirror file contents once a sync has updated the metadata
+    if (config.download.enabled) {
+      this.jobRunner.on('job:completed', (job, result) => {
+        if (completesSync(job, result)) {
+          this.syncEngine.enqueueDownloads(config.download.batchSize, job.accountId);
+        }
+      });
+    }
+
+    // a sync job out of retries fails its sync; sync:failed is sent for the job itself
+    this.jobRunner.on('job:failed', (job, err) => {
+      if (SYNC_JOB_TYPES[job.type]) {
+        this.syncEngine.markFailed(job.payload?.syncId, err.message);
+      }
+    });
+
+    // a cancelled job leaves what it was working on as if it had never been queued:
+    // its sync is over, its file waits for the next download batch, its export
+    // and webhook delivery are closed
+    this.jobRunner.on('job:cancelled', (job) => {
+      const payload = job.payload || {};
+      if (SYNC_JOB_TYPES[job.type]) {
+        this.syncEngine.markCancelled(payload.syncId);
+      } else if (job.type === JOB_TYPES.DOWNLOAD_FILE) {
+        this.fileRepo.setDownloadStatus(payload.fileId, DOWNLOAD_STATUS.PENDING, null, payload.accountId || DEFAULT_ACCOUNT_ID);
+      } else if (job.type === JOB_TYPES.EXPORT_FILES) {
+        this.exportRepo.markFailed(payload.exportId, 'Cancelled');
+      } else if (job.type === JOB_TYPES.WEBHOOK_DELIVERY) {
+        this.webhookRepo.markDeliverySkipped(payload.deliveryId, 'Cancelled');
+      }
     });
 
     // setup express middleware
@@ -73,16 +290,27 @@ class App {
     });
 
     // routes
-    this.express.use('/auth', createAuthRouter(this.authClient));
-    this.express.use('/sync', createSyncRouter(this.syncEngine, this.authClient));
-    this.express.use('/jobs', createJobsRouter(this.jobRunner, this.jobRepo));
-    this.express.use('/files', createFilesRouter(this.fileRepo));
+    this.express.use('/auth', createAuthRouter(this.accountManager));
+    this.express.use('/accounts', createAccountsRouter(this.accountManager, this.syncEngine));
+    this.express.use('/drives', createDrivesRouter(this.syncEngine, this.accountManager));
+    this.express.use('/sync', createSyncRouter(this.syncEngine, this.accountManager));
+    this.express.use('/jobs', createJobsRouter(this.jobRunner, this.jobRepo, { runsJobs: this.role !== ROLES.API }));
+    this.express.use('/files', createFilesRouter(this.fileRepo, this.fileChangeRepo));
+    this.express.use('/schedules', createSchedulesRouter(this.scheduler, this.scheduleRepo));
+    this.express.use('/events', createEventsRouter(this.eventStream, { heartbeatMs: config.events.heartbeatMs }));
+    this.express.use('/webhooks', createWebhooksRouter(this.webhookDispatcher, this.webhookRepo));
+    this.express.use('/metrics', createMetricsRouter(metricsRegistry));
+    this.express.use('/snapshots', createSnapshotsRouter(this.snapshotManager, this.snapshotRepo));
+    this.express.use('/exports', createExportsRouter(this.exportManager, this.exportRepo));
+    this.express.use('/imports', createImportsRouter(this.catalogImporter));
+    this.express.use('/workers', createWorkersRouter(this.workerRepo, { staleAfterMs: config.jobs.leaseMs }));
 
     // health check
     this.express.get('/health', (req, res) => {
       res.json({
         status: 'ok',
-        authenticated: this.authClient.isAuthenticated(),
+        role: this.role,
+        authenticated: this.accountManager.isAnyAuthenticated(),
         jobRunner: this.jobRunner.getStats()
       });
     });
@@ -93,12 +321,27 @@ class App {
       res.status(500).json({ error: 'Internal server error' });
     });
 
-    logger.info('Application initialized');
+    logger.info('Application initialized', { role: this.role });
   }
 
+  // a worker runs jobs and nothing else; the api serves requests and runs the
+  // scheduler, whose jobs the workers pick up from the shared queue
   start() {
-    // start job runner
-    this.jobRunner.start();
+    if (this.role !== ROLES.API) {
+      this.jobRunner.start();
+    }
+    if (this.role === ROLES.WORKER) {
+      logger.info('Worker started', { workerId: this.jobRunner.workerId });
+      this._serveWorkerMetrics(config.server.workerMetricsPort);
+      return;
+    }
+
+    if (config.scheduler.enabled) {
+      this.scheduler.start();
+    }
+
+    // events of jobs run by workers in other processes reach /events through the log
+    this.eventStream.follow(config.events.followIntervalMs);
 
     // start http server
     this.server = this.express.listen(config.server.port, () => {
@@ -106,11 +349,47 @@ class App {
     });
   }
 
+  // the job and drive request counters of a worker exist in its process only,
+  // so it serves them itself; the queue gauges read the shared database
+  _serveWorkerMetrics(port) {
+    if (!port) return;
+    const metricsApp = express();
+    metricsApp.use('/metrics', createMetricsRouter(metricsRegistry));
+    this.server = metricsApp.listen(port, () => {
+      logger.info(`Worker metrics on port ${port}`);
+    });
+    // jobs keep running without it
+    this.server.on('error', (err) => {
+      logger.error('Worker metrics listener failed', { port, error: err.message });
+    });
+  }
+
   async stop() {
     logger.info('Shutting down...');
 
     this.jobRunner.stop();
 
+    if (this.scheduler) {
+      this.scheduler.stop();
+    }
+
+    if (this.webhookDispatcher) {
+      this.webhookDispatcher.stop();
+    }
+
+    if (this.metricsCollector) {
+      this.metricsCollector.detach();
+    }
+
+    if (this.snapshotManager) {
+      this.snapshotManager.detach();
+    }
+
+    // open event streams would keep server.close() waiting
+    if (this.eventStream) {
+      this.eventStream.close();
+    }
+
     if (this.server) {
       await new Promise((resolve) => {
         this.server.close(resolve);
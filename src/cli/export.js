@@ -0,0 +1,113 @@
+// the file catalog from the command line, streamed to a file or stdout
+//   node src/cli/export.js [--format csv|ndjson|json] [--columns id,path,raw.owners.0.emailAddress]
+//                          [--out <file>] [--account <id>] [--drive <id>] [--db <path>]
+//                          [--name <text>] [--mime-type <list>] [--type <list>] [--parent <id> [--recursive]]
+//                          [--modified-after <date>] [--min-size <bytes>] [--include-deleted] ...
+// filters are the ones GET /files takes, with dashes instead of camelCase
+
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const winston = require('winston');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { DatabaseManager } = require('../persistence/database');
+const FileRepository = require('../persistence/fileRepository');
+const { isValidAccountId, ALL_DRIVES } = require('../persistence');
+const { parseExportQuery, createExportStream } = require('../export');
+
+const USAGE = 'Usage: export [--format csv|ndjson|json] [--columns <list>] [--out <file>] [--account <id>] [--drive <id>] [--db <path>] [filters]';
+
+const FLAGS = [
+  'format', 'columns', 'name', 'glob', 'mimeType', 'type', 'checksum', 'parent', 'minSize', 'maxSize',
+  'modifiedAfter', 'modifiedBefore', 'createdAfter', 'createdBefore', 'sort', 'order'
+];
+const SWITCHES = ['recursive', 'includeDeleted'];
+
+function camelCase(flag) {
+  return flag.replace(/-([a-z])/g, (_, ch) => ch.toUpperCase());
+}
+
+function parseArgs(argv) {
+  const args = { query: {}, out: null, accountId: null, driveId: null, dbPath: config.db.path };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      throw new Error(`Unexpected argument: ${argv[i]}\n${USAGE}`);
+    }
+    const name = camelCase(argv[i].slice(2));
+    if (SWITCHES.includes(name)) {
+      args.query[name] = 'true';
+      continue;
+    }
+
+    const value = argv[++i];
+    if (value === undefined) {
+      throw new Error(`${argv[i - 1]} expects a value`);
+    }
+    if (name === 'out') args.out = value;
+    else if (name === 'account') args.accountId = value;
+    else if (name === 'drive') args.driveId = value;
+    else if (name === 'db') args.dbPath = value;
+    else if (FLAGS.includes(name)) args.query[name] = value;
+    else throw new Error(`Unknown option: ${argv[i - 1]}\n${USAGE}`);
+  }
+
+  if (args.accountId && !isValidAccountId(args.accountId)) {
+    throw new Error(`Invalid account id: ${args.accountId}`);
+  }
+  args.options = parseExportQuery(args.query);
+  return args;
+}
+
+async function run(argv, stdout = process.stdout) {
+  const args = parseArgs(argv);
+
+  // log lines would end up in the export
+  if (!args.out) {
+    for (const transport of logger.transports) {
+      if (transport instanceof winston.transports.Console) transport.silent = true;
+    }
+  }
+
+  // opening a path that isn't there would create an empty database
+  if (!fs.existsSync(args.dbPath)) {
+    throw new Error(`No database at ${args.dbPath}`);
+  }
+  const dbManager = new DatabaseManager(args.dbPath, { driver: config.db.driver, autoMigrate: false });
+  await dbManager.init();
+
+  try {
+    if (dbManager.pendingMigrations().length > 0) {
+      throw new Error('Database schema is behind; run "npm run migrate"');
+    }
+    const filters = {
+      ...args.options.filters,
+      accountId: args.accountId,
+      driveId: args.driveId !== ALL_DRIVES ? args.driveId : null
+    };
+    let rows = 0;
+    const stream = createExportStream(new FileRepository(dbManager), {
+      ...args.options,
+      filters,
+      onRows: (count) => { rows += count; }
+    });
+
+    if (args.out) {
+      await pipeline(stream, fs.createWriteStream(args.out));
+      console.error(`Exported ${rows} files to ${args.out}`);
+    } else {
+      await pipeline(stream, stdout, { end: false });
+    }
+    return rows;
+  } finally {
+    dbManager.close();
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { run, parseArgs };
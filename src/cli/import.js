@@ -0,0 +1,97 @@
+// seeds or restores the file catalog from an export or a database backup
+//   node src/cli/import.js <file> [--format ndjson|csv|sqlite] [--mode merge|replace]
+//                          [--account <id>] [--drive <id>] [--change-token <token>] [--db <path>]
+// the format defaults to the file's extension (.ndjson/.jsonl, .csv, .db/.sqlite/.bak)
+
+const fs = require('fs');
+const config = require('../config');
+const { DatabaseManager } = require('../persistence/database');
+const { FileRepository, CheckpointRepository, SyncStateRepository } = require('../persistence');
+const { CatalogImporter, detectFormat } = require('../import');
+
+const USAGE = 'Usage: import <file> [--format ndjson|csv|sqlite] [--mode merge|replace] [--account <id>] [--drive <id>] [--change-token <token>] [--db <path>]';
+
+const OPTIONS = {
+  '--format': 'format',
+  '--mode': 'mode',
+  '--account': 'accountId',
+  '--drive': 'driveId',
+  '--change-token': 'changeToken',
+  '--db': 'dbPath'
+};
+
+function parseArgs(argv) {
+  const args = { file: null, dbPath: config.db.path };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (!flag.startsWith('--')) {
+      if (args.file) throw new Error(USAGE);
+      args.file = flag;
+      continue;
+    }
+    if (!OPTIONS[flag]) {
+      throw new Error(`Unknown option: ${flag}\n${USAGE}`);
+    }
+    const value = argv[++i];
+    if (value === undefined) {
+      throw new Error(`${flag} expects a value`);
+    }
+    args[OPTIONS[flag]] = value;
+  }
+
+  if (!args.file) throw new Error(USAGE);
+  args.format = args.format || detectFormat(args.file);
+  if (!args.format) {
+    throw new Error(`Can't tell the format of ${args.file}; pass --format`);
+  }
+  return args;
+}
+
+function printSummary(summary) {
+  console.log(`Imported ${summary.imported} files into ${summary.accountId}/${summary.driveId} (${summary.importId})`);
+  if (summary.removed) console.log(`Removed ${summary.removed} files the import didn't have`);
+  if (summary.skipped) console.log(`Skipped ${summary.skipped} tombstones`);
+  if (summary.rejected) {
+    console.log(`Rejected ${summary.rejected} records:`);
+    for (const { line, id, error } of summary.errors) {
+      console.log(`  line ${line}${id ? ` (${id})` : ''}: ${error}`);
+    }
+  }
+  console.log(summary.changeToken
+    ? `Saved change token ${summary.changeToken}; the next incremental sync continues from it`
+    : 'No change token given: unless the drive already had one, run a full sync to catch up with Drive');
+}
+
+async function run(argv) {
+  const args = parseArgs(argv);
+  if (!fs.existsSync(args.file)) {
+    throw new Error(`No such file: ${args.file}`);
+  }
+  const dbManager = new DatabaseManager(args.dbPath, { driver: config.db.driver, autoMigrate: false });
+  await dbManager.init();
+
+  try {
+    if (dbManager.pendingMigrations().length > 0) {
+      throw new Error('Database schema is behind; run "npm run migrate"');
+    }
+    const importer = new CatalogImporter({
+      fileRepository: new FileRepository(dbManager),
+      checkpointRepository: new CheckpointRepository(dbManager),
+      syncStateRepository: new SyncStateRepository(dbManager)
+    });
+    const summary = await importer.import({ path: args.file }, args);
+    printSummary(summary);
+    return summary;
+  } finally {
+    dbManager.close();
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { run, parseArgs };
@@ -0,0 +1,90 @@
+// schema migrations from the command line
+//   node src/cli/migrate.js status
+//   node src/cli/migrate.js up [--to <version>]
+//   node src/cli/migrate.js down [--steps <n> | --to <version>]
+
+const config = require('../config');
+const { DatabaseManager } = require('../persistence/database');
+const { Migrator } = require('../persistence/migrator');
+
+const USAGE = 'Usage: migrate <status|up|down> [--to <version>] [--steps <n>] [--db <path>] [--no-backup]';
+
+function parseArgs(argv) {
+  const args = { command: argv[0] || 'status', backup: true, dbPath: config.db.path };
+  for (let i = 1; i < argv.length; i++) {
+    const flag = argv[i];
+    if (flag === '--no-backup') {
+      args.backup = false;
+      continue;
+    }
+
+    const value = argv[++i];
+    if (flag === '--db') {
+      args.dbPath = value;
+      continue;
+    }
+    if (flag !== '--to' && flag !== '--steps') {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+    const n = parseInt(value, 10);
+    if (!Number.isInteger(n) || n < 0) {
+      throw new Error(`${flag} expects a non-negative integer`);
+    }
+    args[flag.slice(2)] = n;
+  }
+  return args;
+}
+
+function printStatus(migrator) {
+  for (const m of migrator.status()) {
+    const state = m.appliedAt ? `applied ${m.appliedAt}` : 'pending';
+    console.log(`${String(m.version).padStart(3, '0')}  ${m.name.padEnd(30)}  ${state}`);
+  }
+  console.log(`\nCurrent version: ${migrator.currentVersion()} (latest ${migrator.latestVersion()})`);
+}
+
+async function run(argv) {
+  const args = parseArgs(argv);
+  const dbManager = new DatabaseManager(args.dbPath, {
+    driver: config.db.driver,
+    autoMigrate: false,
+    backupBeforeMigrate: args.backup
+  });
+  await dbManager.init();
+
+  try {
+    const migrator = new Migrator(dbManager);
+    switch (args.command) {
+      case 'status':
+        printStatus(migrator);
+        break;
+      case 'up': {
+        const applied = await dbManager.migrate({ to: args.to });
+        console.log(applied.length > 0
+          ? `Applied ${applied.map(m => `${m.version}_${m.name}`).join(', ')}`
+          : 'Already up to date');
+        break;
+      }
+      case 'down': {
+        const reverted = await dbManager.rollback({ steps: args.steps ?? 1, to: args.to });
+        console.log(reverted.length > 0
+          ? `Reverted ${reverted.map(m => `${m.version}_${m.name}`).join(', ')}`
+          : 'Nothing to roll back');
+        break;
+      }
+      default:
+        throw new Error(USAGE);
+    }
+  } finally {
+    dbManager.close();
+  }
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2)).catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { run, parseArgs };
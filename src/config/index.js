@@ -8,19 +8,95 @@ module.exports = {
     scopes: [
       'https://www.googleapis.com/auth/drive.metadata.readonly',
       'https://www.googleapis.com/auth/drive.readonly'
-    ]
+    ],
+    // base url of a drive emulator to talk to instead of google (npm run emulator)
+    emulatorUrl: (process.env.DRIVE_EMULATOR_URL || '').replace(/\/+$/, '')
+  },
+  emulator: {
+    port: parseInt(process.env.EMULATOR_PORT, 10) || 4040,
+    // json file or directory to seed the fake drive from, empty for the built-in sample
+    fixture: process.env.EMULATOR_FIXTURE || '',
+    latencyMs: parseInt(process.env.EMULATOR_LATENCY_MS, 10) || 0
   },
   server: {
     port: parseInt(process.env.PORT, 10) || 3000,
-    env: process.env.NODE_ENV || 'development'
+    env: process.env.NODE_ENV || 'development',
+    // all runs the api and the job runner in one process; api and worker run
+    // one side each against a shared database. --role on the command line wins
+    role: process.env.APP_ROLE || 'all',
+    // a worker serves /metrics alone on this port, 0 for none. workers
+    // sharing a host each need their own
+    workerMetricsPort: process.env.WORKER_METRICS_PORT !== undefined
+      ? parseInt(process.env.WORKER_METRICS_PORT, 10) || 0
+      : 9464
   },
   sync: {
     concurrency: parseInt(process.env.SYNC_CONCURRENCY, 10) || 3,
     pageSize: parseInt(process.env.SYNC_PAGE_SIZE, 10) || 100,
     maxRetries: parseInt(process.env.MAX_RETRIES, 10) || 5,
-    retryDelayMs: parseInt(process.env.RETRY_DELAY_MS, 10) || 1000
+    retryDelayMs: parseInt(process.env.RETRY_DELAY_MS, 10) || 1000,
+    // 'tombstone' keeps removed files with deleted_at set, 'hard' deletes the rows
+    deleteMode: process.env.DELETE_MODE || 'tombstone',
+    tombstoneRetentionDays: parseInt(process.env.TOMBSTONE_RETENTION_DAYS, 10) || 0,
+    // per-file change history older than this is purged; 0 keeps it forever
+    changeRetentionDays: parseInt(process.env.CHANGE_RETENTION_DAYS, 10) || 0
+  },
+  jobs: {
+    // a running job whose runner hasn't renewed its lease for this long is requeued
+    leaseMs: parseInt(process.env.JOB_LEASE_MS, 10) || 60000,
+    // how often expired leases are looked for
+    reapIntervalMs: parseInt(process.env.JOB_REAP_INTERVAL_MS, 10) || 30000,
+    // name this process claims jobs under, empty for <hostname>-<pid>-<random>
+    workerId: process.env.WORKER_ID || ''
+  },
+  download: {
+    enabled: process.env.DOWNLOAD_ENABLED === 'true',
+    mirrorDir: process.env.MIRROR_DIR || './data/mirror',
+    batchSize: parseInt(process.env.DOWNLOAD_BATCH_SIZE, 10) || 500
+  },
+  events: {
+    // comment lines sent on idle /events streams so proxies keep them open
+    heartbeatMs: parseInt(process.env.EVENTS_HEARTBEAT_MS, 10) || 15000,
+    // at most one sync:progress event per job in this window
+    progressIntervalMs: parseInt(process.env.EVENTS_PROGRESS_INTERVAL_MS, 10) || 1000,
+    // how many events the log keeps for Last-Event-ID replay
+    maxStored: parseInt(process.env.EVENTS_MAX_STORED, 10) || 10000,
+    // how often the api checks the log for events other processes (workers) recorded
+    followIntervalMs: parseInt(process.env.EVENTS_FOLLOW_INTERVAL_MS, 10) || 1000
+  },
+  webhooks: {
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    // failed deliveries are retried with the job runner's backoff until this many attempts
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5
+  },
+  export: {
+    // where export jobs write their files; they stay until the export is deleted
+    dir: process.env.EXPORT_DIR || './data/exports'
+  },
+  snapshots: {
+    // snapshot the catalog of a drive after each of its full syncs
+    onFullSync: process.env.SNAPSHOT_ON_FULL_SYNC === 'true',
+    // automatic snapshots kept per account and drive, 0 keeps them all; manual ones are never pruned
+    keepAutomatic: process.env.SNAPSHOT_KEEP_AUTOMATIC !== undefined
+      ? parseInt(process.env.SNAPSHOT_KEEP_AUTOMATIC, 10) || 0
+      : 10
+  },
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    tickMs: parseInt(process.env.SCHEDULER_TICK_MS, 10) || 30000,
+    // interval in ms or a 5-field cron expression, empty to disable
+    incremental: process.env.SCHEDULE_INCREMENTAL || '',
+    full: process.env.SCHEDULE_FULL || ''
   },
   db: {
-    path: process.env.DB_PATH || './data/sync.db'
+    path: process.env.DB_PATH || './data/sync.db',
+    // auto, better-sqlite3 or sql.js
+    driver: process.env.DB_DRIVER || 'auto',
+    // sql.js keeps the database in memory and saves it once writes settle
+    saveDelayMs: parseInt(process.env.DB_SAVE_DELAY_MS, 10) || 1000,
+    maxSaveDelayMs: parseInt(process.env.DB_MAX_SAVE_DELAY_MS, 10) || 10000,
+    // apply pending migrations at startup, copying the file aside first
+    autoMigrate: process.env.DB_AUTO_MIGRATE !== 'false',
+    backupBeforeMigrate: process.env.DB_BACKUP_BEFORE_MIGRATE !== 'false'
   }
 };
@@ -0,0 +1,279 @@
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('../utils/logger');
+const { DriveStore, DriveApiError } = require('./driveStore');
+const { FaultInjector } = require('./faultInjector');
+const { selectFields } = require('./fields');
+
+// what drive sends back when the request names no fields
+const DEFAULT_FIELDS = {
+  'about.get': 'kind, user',
+  'files.list': 'kind, nextPageToken, incompleteSearch, files(kind, id, name, mimeType)',
+  'files.get': 'kind, id, name, mimeType',
+  'changes.getStartPageToken': 'kind, startPageToken',
+  'changes.list': 'kind, nextPageToken, newStartPageToken, changes(kind, changeType, time, removed, fileId, file(kind, id, name, mimeType))',
+  'drives.list': 'kind, nextPageToken, drives(kind, id, name)'
+};
+
+const flag = (value) => value === true || value === 'true';
+
+function sendDriveError(res, err) {
+  const status = err.status || 500;
+  const reason = err.reason || 'backendError';
+  const message = err.message || 'Backend Error';
+  if (err.retryAfter !== undefined) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+  res.status(status).json({
+    error: {
+      code: status,
+      message,
+      errors: [{ domain: /RateLimitExceeded$/i.test(reason) ? 'usageLimits' : 'global', reason, message }]
+    }
+  });
+}
+
+// a stand-in for the parts of drive v3 (and google oauth) DriveClient uses,
+// served over http so the real googleapis client can be pointed at it
+class DriveEmulator {
+  constructor(options = {}) {
+    this.fixture = options.fixture || {};
+    this.store = new DriveStore(this.fixture);
+    this.faults = new FaultInjector(options.faults, { latencyMs: options.latencyMs });
+    this.requireAuth = options.requireAuth !== false;
+    this.requests = {};
+    this.server = null;
+    this.app = this._createApp();
+  }
+
+  get url() {
+    if (!this.server) return null;
+    const { address, port } = this.server.address();
+    const host = address.includes(':') ? `[${address}]` : address;
+    return `http://${host}:${port}`;
+  }
+
+  async start(port = 0, host = '127.0.0.1') {
+    await new Promise((resolve, reject) => {
+      this.server = this.app.listen(port, host, resolve);
+      this.server.once('error', reject);
+    });
+    return this.url;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    const closed = new Promise(resolve => this.server.close(resolve));
+    // googleapis keeps connections alive between requests
+    this.server.closeAllConnections();
+    await closed;
+    this.server = null;
+  }
+
+  // back to the seeded fixture, without faults or request counts
+  reset() {
+    this.store.reset(this.fixture);
+    this.faults.clear();
+    this.requests = {};
+  }
+
+  requestCount(route) {
+    return this.requests[route] || 0;
+  }
+
+  _mutate(mutation) {
+    if (typeof mutation === 'function') {
+      mutation(this.store);
+      return;
+    }
+    for (const op of [].concat(mutation)) {
+      this.store.apply(op);
+    }
+  }
+
+  // counts the call, applies whatever the fault rules decide, then answers
+  // with the body cut down to the requested fields
+  _handle(route, respond) {
+    return async (req, res) => {
+      this.requests[route] = (this.requests[route] || 0) + 1;
+      const action = this.faults.next(route);
+      if (action.delayMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, action.delayMs));
+      }
+
+      try {
+        if (this.requireAuth && !/^Bearer\s+\S+/i.test(req.get('authorization') || '')) {
+          throw new DriveApiError(401, 'authError', 'Request is missing required authentication credential.');
+        }
+        for (const mutation of action.mutations) {
+          this._mutate(mutation);
+        }
+        if (action.error) {
+          return sendDriveError(res, action.error);
+        }
+
+        const body = respond(req, res);
+        if (body === undefined) return;
+
+        let selected;
+        try {
+          selected = selectFields(body, req.query.fields || DEFAULT_FIELDS[route]);
+        } catch (err) {
+          throw new DriveApiError(400, 'invalidParameter', err.message);
+        }
+        res.json(selected);
+      } catch (err) {
+        if (!(err instanceof DriveApiError)) {
+          logger.error('Drive emulator error', { route, error: err.message });
+        }
+        sendDriveError(res, err);
+      }
+    };
+  }
+
+  _createApp() {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    // oauth: consent is granted straight away and any code buys a token
+    app.get('/o/oauth2/v2/auth', (req, res) => {
+      if (!req.query.redirect_uri) {
+        return res.status(400).json({ error: 'invalid_request' });
+      }
+      const target = new URL(req.query.redirect_uri);
+      target.searchParams.set('code', `emulator-code-${crypto.randomBytes(6).toString('hex')}`);
+      if (req.query.state) {
+        target.searchParams.set('state', req.query.state);
+      }
+      res.redirect(target.toString());
+    });
+
+    app.post('/token', (req, res) => {
+      const tokens = {
+        access_token: `emulator-access-${crypto.randomBytes(8).toString('hex')}`,
+        expires_in: 3600,
+        token_type: 'Bearer',
+        scope: 'https://www.googleapis.com/auth/drive.readonly'
+      };
+      if (req.body.grant_type === 'authorization_code') {
+        tokens.refresh_token = `emulator-refresh-${crypto.randomBytes(8).toString('hex')}`;
+      }
+      res.json(tokens);
+    });
+
+    app.post('/revoke', (req, res) => {
+      res.json({});
+    });
+
+    const drive = express.Router();
+
+    drive.get('/about', this._handle('about.get', () => ({
+      kind: 'drive#about',
+      user: { kind: 'drive#user', ...this.store.user }
+    })));
+
+    drive.get('/files', this._handle('files.list', (req) => ({
+      kind: 'drive#fileList',
+      incompleteSearch: false,
+      ...this.store.listFiles({
+        ...req.query,
+        includeItemsFromAllDrives: flag(req.query.includeItemsFromAllDrives)
+      })
+    })));
+
+    const getFile = this._handle('files.get', (req) => this.store.getFile(req.params.fileId));
+    const downloadFile = this._handle('files.download', (req, res) => {
+      const { file, stream } = this.store.openContent(req.params.fileId);
+      res.set('Content-Type', file.mimeType);
+      res.set('Content-Length', file.size);
+      stream.pipe(res);
+    });
+    drive.get('/files/:fileId', (req, res, next) => {
+      const handler = req.query.alt === 'media' ? downloadFile : getFile;
+      handler(req, res, next);
+    });
+
+    drive.get('/changes/startPageToken', this._handle('changes.getStartPageToken', (req) => ({
+      kind: 'drive#startPageToken',
+      startPageToken: this.store.getStartPageToken(req.query.driveId)
+    })));
+
+    drive.get('/changes', this._handle('changes.list', (req) => ({
+      kind: 'drive#changeList',
+      ...this.store.listChanges({
+        ...req.query,
+        includeItemsFromAllDrives: flag(req.query.includeItemsFromAllDrives)
+      })
+    })));
+
+    drive.get('/drives', this._handle('drives.list', (req) => ({
+      kind: 'drive#driveList',
+      ...this.store.listDrives(req.query)
+    })));
+
+    app.use('/drive/v3', drive);
+    app.use('/emulator', this._createControlRouter());
+
+    return app;
+  }
+
+  // lets a developer (or a test in another process) reshape the drive while it runs
+  _createControlRouter() {
+    const router = express.Router();
+
+    const control = (fn) => (req, res) => {
+      try {
+        fn(req, res);
+      } catch (err) {
+        res.status(err.status || 400).json({ error: err.message });
+      }
+    };
+
+    router.get('/state', (req, res) => {
+      res.json({ ...this.store.summary(), requests: this.requests, faults: this.faults.describe() });
+    });
+
+    router.post('/files', control((req, res) => {
+      const { parentId, ...file } = req.body;
+      res.status(201).json(this.store.addFile(file, parentId));
+    }));
+
+    router.patch('/files/:id', control((req, res) => {
+      res.json(this.store.updateFile(req.params.id, req.body));
+    }));
+
+    // trashes by default, ?permanent=true deletes
+    router.delete('/files/:id', control((req, res) => {
+      const affected = flag(req.query.permanent)
+        ? this.store.deleteFile(req.params.id)
+        : this.store.trashFile(req.params.id);
+      res.json({ affected });
+    }));
+
+    router.post('/drives', control((req, res) => {
+      res.status(201).json(this.store.addDrive(req.body));
+    }));
+
+    router.post('/faults', control((req, res) => {
+      for (const rule of [].concat(req.body)) {
+        this.faults.add(rule);
+      }
+      res.status(201).json(this.faults.describe());
+    }));
+
+    router.delete('/faults', (req, res) => {
+      this.faults.clear();
+      res.json(this.faults.describe());
+    });
+
+    router.post('/reset', (req, res) => {
+      this.reset();
+      res.json(this.store.summary());
+    });
+
+    return router;
+  }
+}
+
+module.exports = { DriveEmulator };
@@ -0,0 +1,522 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { FOLDER_MIME_TYPE, isDownloadable } = require('../utils/mimeTypes');
+
+// what drive accepts for parents when it means the top of my drive
+const ROOT_FOLDER_ID = 'root';
+
+const DEFAULT_USER = {
+  displayName: 'Emulator User',
+  emailAddress: 'user@emulator.local'
+};
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const MAX_DRIVES_PAGE_SIZE = 100;
+
+// for fixtures read from a directory
+const EXTENSION_TYPES = {
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4'
+};
+
+const ORDER_FIELDS = ['createdTime', 'modifiedTime', 'name', 'folder'];
+
+class DriveApiError extends Error {
+  constructor(status, reason, message) {
+    super(message);
+    this.name = 'DriveApiError';
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+const invalidValue = (message = 'Invalid Value') => new DriveApiError(400, 'invalid', message);
+
+// query terms are joined by "and"; quoted values may contain it
+function splitClauses(q) {
+  const clauses = [];
+  let current = '';
+  let quoted = false;
+  for (let i = 0; i < q.length; i++) {
+    const ch = q[i];
+    if (ch === '\\' && quoted) {
+      current += ch + (q[++i] || '');
+      continue;
+    }
+    if (ch === "'") quoted = !quoted;
+    const separator = !quoted && q.slice(i).match(/^\s+and\s+/i);
+    if (separator) {
+      clauses.push(current.trim());
+      current = '';
+      i += separator[0].length - 1;
+      continue;
+    }
+    current += ch;
+  }
+  clauses.push(current.trim());
+  return clauses;
+}
+
+const unquote = (value) => value.replace(/\\(.)/g, '$1');
+
+// the handful of search terms the sync service and manual testing use
+function parseClause(clause) {
+  let m = clause.match(/^trashed\s*(=|!=)\s*(true|false)$/i);
+  if (m) {
+    const wanted = (m[2].toLowerCase() === 'true') === (m[1] === '=');
+    return file => file.trashed === wanted;
+  }
+
+  m = clause.match(/^'((?:[^'\\]|\\.)*)'\s+in\s+parents$/i);
+  if (m) {
+    const parentId = unquote(m[1]);
+    return file => file.parents.includes(parentId);
+  }
+
+  m = clause.match(/^(name|mimeType)\s*(=|!=)\s*'((?:[^'\\]|\\.)*)'$/);
+  if (m) {
+    const [, field, op, value] = m;
+    return file => (file[field] === unquote(value)) === (op === '=');
+  }
+
+  m = clause.match(/^name\s+contains\s+'((?:[^'\\]|\\.)*)'$/);
+  if (m) {
+    const value = unquote(m[1]).toLowerCase();
+    return file => file.name.toLowerCase().includes(value);
+  }
+
+  throw invalidValue(`Invalid query: ${clause}`);
+}
+
+function parseQuery(q) {
+  if (!q || !q.trim()) return () => true;
+  const tests = splitClauses(q).map(parseClause);
+  return file => tests.every(test => test(file));
+}
+
+function compareBy(orderBy) {
+  const keys = String(orderBy || 'folder, name').split(',').map(part => {
+    const [field, direction] = part.trim().split(/\s+/);
+    if (!ORDER_FIELDS.includes(field) || (direction && direction !== 'desc')) {
+      throw invalidValue(`Invalid orderBy: ${orderBy}`);
+    }
+    return { field, sign: direction === 'desc' ? -1 : 1 };
+  });
+
+  const valueOf = (file, field) => field === 'folder'
+    ? (file.mimeType === FOLDER_MIME_TYPE ? 0 : 1)
+    : file[field];
+
+  return (a, b) => {
+    for (const { field, sign } of keys) {
+      const x = valueOf(a, field);
+      const y = valueOf(b, field);
+      if (x < y) return -sign;
+      if (x > y) return sign;
+    }
+    return a.id < b.id ? -1 : 1;
+  };
+}
+
+// offsets, like the real api the listing shifts when files change between pages
+function encodePageToken(offset) {
+  return Buffer.from(`offset:${offset}`).toString('base64url');
+}
+
+function decodePageToken(token) {
+  const m = Buffer.from(String(token), 'base64url').toString().match(/^offset:(\d+)$/);
+  if (!m) {
+    throw invalidValue('Invalid page token');
+  }
+  return parseInt(m[1], 10);
+}
+
+function pageSizeOf(pageSize, max) {
+  if (pageSize === undefined) return Math.min(DEFAULT_PAGE_SIZE, max);
+  const size = parseInt(pageSize, 10);
+  if (!Number.isInteger(size) || size < 1 || size > max) {
+    throw invalidValue(`Invalid pageSize: ${pageSize}`);
+  }
+  return size;
+}
+
+// one page of items, continued by nextPageToken
+function paginate(items, pageSize, pageToken, max = MAX_PAGE_SIZE) {
+  const size = pageSizeOf(pageSize, max);
+  const offset = pageToken ? decodePageToken(pageToken) : 0;
+  const page = { items: items.slice(offset, offset + size) };
+  if (offset + size < items.length) {
+    page.nextPageToken = encodePageToken(offset + size);
+  }
+  return page;
+}
+
+function mimeTypeFor(name) {
+  return EXTENSION_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream';
+}
+
+function readDirectory(root, dir) {
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.'))
+    .map(entry => {
+      const fullPath = path.join(dir, entry.name);
+      // derived from the path so a database synced earlier still lines up after a restart
+      const id = 'fs_' + crypto.createHash('sha1').update(path.relative(root, fullPath)).digest('hex').slice(0, 20);
+      if (entry.isDirectory()) {
+        return { id, name: entry.name, mimeType: FOLDER_MIME_TYPE, children: readDirectory(root, fullPath) };
+      }
+      const stat = fs.statSync(fullPath);
+      return {
+        id,
+        name: entry.name,
+        mimeType: mimeTypeFor(entry.name),
+        createdTime: stat.birthtime.toISOString(),
+        modifiedTime: stat.mtime.toISOString(),
+        contentPath: fullPath
+      };
+    });
+}
+
+// a json fixture, or a directory whose folders and files become the drive tree
+function loadFixture(source) {
+  if (fs.statSync(source).isDirectory()) {
+    return { files: readDirectory(source, source) };
+  }
+  return JSON.parse(fs.readFileSync(source, 'utf8'));
+}
+
+// the drive behind the emulator: files, shared drives, file contents and the change log
+class DriveStore {
+  constructor(fixture = {}) {
+    this.reset(fixture);
+  }
+
+  reset(fixture = {}) {
+    this.user = { ...DEFAULT_USER, ...fixture.user };
+    this.files = new Map();
+    this.contents = new Map();
+    this.drives = new Map();
+    this.changes = [];
+    this.nextChangeId = 1;
+    this.idCounter = 0;
+    this.lastTime = 0;
+
+    for (const drive of fixture.drives || []) {
+      this.addDrive(drive);
+    }
+    // the seeded tree is the starting point, not a change
+    for (const file of fixture.files || []) {
+      this._insert(file, ROOT_FOLDER_ID, false);
+    }
+  }
+
+  // strictly increasing, so modifiedTime orders edits the way they happened
+  _now() {
+    this.lastTime = Math.max(Date.now(), this.lastTime + 1);
+    return new Date(this.lastTime).toISOString();
+  }
+
+  _driveIdOf(parentId) {
+    if (this.drives.has(parentId)) return parentId;
+    return this.files.get(parentId)?.driveId;
+  }
+
+  _insert(input, parentId, logChange) {
+    const { children = [], content, contentPath, ...meta } = input;
+    const id = meta.id || `file_${++this.idCounter}`;
+    if (this.files.has(id)) {
+      throw new DriveApiError(409, 'duplicate', `A file already exists with the provided ID: ${id}`);
+    }
+
+    const parents = meta.parents || [meta.driveId || parentId];
+    const driveId = meta.driveId || this._driveIdOf(parents[0]);
+    const time = this._now();
+    const file = {
+      kind: 'drive#file',
+      name: 'Untitled',
+      mimeType: input.children ? FOLDER_MIME_TYPE : 'application/octet-stream',
+      createdTime: time,
+      modifiedTime: time,
+      trashed: false,
+      ...meta,
+      id,
+      parents
+    };
+
+    if (driveId) {
+      file.driveId = driveId;
+    } else if (!file.owners) {
+      file.owners = [{ ...this.user }];
+    }
+    if (isDownloadable(file.mimeType)) {
+      file.originalFilename = file.originalFilename || file.name;
+      const ext = path.extname(file.name);
+      if (ext && !file.fullFileExtension) {
+        file.fullFileExtension = ext.slice(1);
+      }
+    }
+
+    this.files.set(id, file);
+    this._setContent(file, content, contentPath);
+    if (logChange) this._logChange(file);
+
+    for (const child of children) {
+      this._insert(child, id, logChange);
+    }
+    return file;
+  }
+
+  _setContent(file, content, contentPath) {
+    if (!isDownloadable(file.mimeType)) {
+      delete file.size;
+      delete file.md5Checksum;
+      this.contents.delete(file.id);
+      return;
+    }
+    if (content === undefined && contentPath === undefined && this.contents.has(file.id)) {
+      return;
+    }
+
+    const data = contentPath !== undefined
+      ? fs.readFileSync(contentPath)
+      : Buffer.from(content === undefined ? '' : content);
+    file.size = String(data.length);
+    file.md5Checksum = crypto.createHash('md5').update(data).digest('hex');
+    // files from a fixture directory are streamed from disk when downloaded
+    this.contents.set(file.id, contentPath !== undefined ? { path: contentPath } : { data });
+  }
+
+  _logChange(file) {
+    this.changes.push({
+      id: this.nextChangeId++,
+      fileId: file.id,
+      driveId: file.driveId,
+      time: this._now()
+    });
+  }
+
+  _descendants(id) {
+    const found = [];
+    for (const file of this.files.values()) {
+      if (file.parents.includes(id)) {
+        found.push(file, ...this._descendants(file.id));
+      }
+    }
+    return found;
+  }
+
+  _find(id) {
+    const file = this.files.get(id);
+    if (!file) {
+      throw new DriveApiError(404, 'notFound', `File not found: ${id}.`);
+    }
+    return file;
+  }
+
+  addDrive(input) {
+    const drive = {
+      kind: 'drive#drive',
+      id: input.id || `drive_${++this.idCounter}`,
+      name: input.name || 'Shared drive',
+      createdTime: input.createdTime || this._now(),
+      hidden: !!input.hidden
+    };
+    this.drives.set(drive.id, drive);
+    return structuredClone(drive);
+  }
+
+  // children are added with the file, each as its own change
+  addFile(input, parentId = ROOT_FOLDER_ID) {
+    return structuredClone(this._insert(input, parentId, true));
+  }
+
+  updateFile(id, changes = {}) {
+    const file = this._find(id);
+    const { content, contentPath, ...meta } = changes;
+    delete meta.id;
+    delete meta.children;
+    Object.assign(file, meta);
+    if (!meta.modifiedTime) {
+      file.modifiedTime = this._now();
+    }
+    if (meta.parents) {
+      const driveId = this._driveIdOf(meta.parents[0]);
+      if (driveId) file.driveId = driveId;
+      else delete file.driveId;
+    }
+    this._setContent(file, content, contentPath);
+    this._logChange(file);
+    return structuredClone(file);
+  }
+
+  // like drive, everything inside a trashed folder goes to the trash with it
+  trashFile(id) {
+    const trashed = [this._find(id), ...this._descendants(id)];
+    for (const file of trashed) {
+      file.trashed = true;
+      file.modifiedTime = this._now();
+      this._logChange(file);
+    }
+    return trashed.length;
+  }
+
+  deleteFile(id) {
+    const removed = [this._find(id), ...this._descendants(id)];
+    for (const file of removed) {
+      this.files.delete(file.id);
+      this.contents.delete(file.id);
+      this._logChange(file);
+    }
+    return removed.length;
+  }
+
+  // declarative edits, as fixtures and the control api describe them
+  apply(mutation) {
+    switch (mutation.op) {
+      case 'add':
+        return this.addFile(mutation.file, mutation.parentId);
+      case 'update':
+        return this.updateFile(mutation.id, mutation.changes);
+      case 'trash':
+        return this.trashFile(mutation.id);
+      case 'delete':
+        return this.deleteFile(mutation.id);
+      default:
+        throw new Error(`Unknown mutation: ${mutation.op}`);
+    }
+  }
+
+  getFile(id) {
+    return structuredClone(this._find(id));
+  }
+
+  openContent(id) {
+    const file = this._find(id);
+    if (!isDownloadable(file.mimeType)) {
+      throw new DriveApiError(403, 'fileNotDownloadable',
+        'Only files with binary content can be downloaded. Use Export with Docs Editors files.');
+    }
+    const content = this.contents.get(id);
+    const stream = content.path ? fs.createReadStream(content.path) : Readable.from([content.data]);
+    return { file: structuredClone(file), stream };
+  }
+
+  _corpusFilter({ corpora = 'user', driveId, includeItemsFromAllDrives }) {
+    if (corpora === 'drive') {
+      if (!driveId) {
+        throw invalidValue('The driveId parameter must be specified if and only if corpora is set to drive.');
+      }
+      if (!includeItemsFromAllDrives) {
+        throw invalidValue('The includeItemsFromAllDrives parameter must be set to true when driveId is specified.');
+      }
+      if (!this.drives.has(driveId)) {
+        throw new DriveApiError(404, 'notFound', `Shared drive not found: ${driveId}`);
+      }
+      return file => file.driveId === driveId;
+    }
+    if (driveId) {
+      throw invalidValue('The driveId parameter must be specified if and only if corpora is set to drive.');
+    }
+    if (corpora === 'allDrives') {
+      return includeItemsFromAllDrives ? () => true : file => !file.driveId;
+    }
+    if (corpora === 'user') {
+      return file => !file.driveId;
+    }
+    throw invalidValue(`Invalid corpora: ${corpora}`);
+  }
+
+  listFiles(params = {}) {
+    const inCorpus = this._corpusFilter(params);
+    const matches = parseQuery(params.q);
+    const files = [...this.files.values()]
+      .filter(file => inCorpus(file) && matches(file))
+      .sort(compareBy(params.orderBy));
+
+    const page = paginate(files, params.pageSize, params.pageToken);
+    return { files: page.items.map(file => structuredClone(file)), nextPageToken: page.nextPageToken };
+  }
+
+  getStartPageToken(driveId = null) {
+    if (driveId && !this.drives.has(driveId)) {
+      throw new DriveApiError(404, 'notFound', `Shared drive not found: ${driveId}`);
+    }
+    return String(this.nextChangeId);
+  }
+
+  // each change carries the file as it is now; files deleted since show up as removed
+  listChanges({ pageToken, pageSize, driveId, includeItemsFromAllDrives } = {}) {
+    const start = /^\d+$/.test(String(pageToken)) ? parseInt(pageToken, 10) : NaN;
+    if (!(start >= 1 && start <= this.nextChangeId)) {
+      throw invalidValue('Invalid page token');
+    }
+    if (driveId && !this.drives.has(driveId)) {
+      throw new DriveApiError(404, 'notFound', `Shared drive not found: ${driveId}`);
+    }
+
+    let inCorpus = change => !change.driveId;
+    if (driveId) inCorpus = change => change.driveId === driveId;
+    else if (includeItemsFromAllDrives) inCorpus = () => true;
+
+    const size = pageSizeOf(pageSize, MAX_PAGE_SIZE);
+    const pending = this.changes.filter(change => change.id >= start && inCorpus(change));
+    const result = {
+      changes: pending.slice(0, size).map(change => {
+        const file = this.files.get(change.fileId);
+        return {
+          kind: 'drive#change',
+          changeType: 'file',
+          time: change.time,
+          fileId: change.fileId,
+          removed: !file,
+          ...(file && { file: structuredClone(file) })
+        };
+      })
+    };
+
+    if (pending.length > size) {
+      result.nextPageToken = String(pending[size].id);
+    } else {
+      result.newStartPageToken = String(this.nextChangeId);
+    }
+    return result;
+  }
+
+  listDrives({ pageSize, pageToken } = {}) {
+    const drives = [...this.drives.values()];
+    const page = paginate(drives, pageSize, pageToken, MAX_DRIVES_PAGE_SIZE);
+    return { drives: page.items.map(drive => structuredClone(drive)), nextPageToken: page.nextPageToken };
+  }
+
+  summary() {
+    const files = [...this.files.values()];
+    return {
+      user: { ...this.user },
+      drives: this.drives.size,
+      files: files.length,
+      trashed: files.filter(f => f.trashed).length,
+      startPageToken: String(this.nextChangeId)
+    };
+  }
+}
+
+module.exports = {
+  DriveStore,
+  DriveApiError,
+  ROOT_FOLDER_ID,
+  DEFAULT_USER,
+  loadFixture
+};
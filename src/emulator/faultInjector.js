@@ -0,0 +1,95 @@
+// the drive calls the emulator answers; fault rules name one of these or '*'
+const ROUTES = [
+  'about.get',
+  'files.list',
+  'files.get',
+  'files.download',
+  'changes.getStartPageToken',
+  'changes.list',
+  'drives.list'
+];
+
+const ERROR_REASONS = {
+  403: ['userRateLimitExceeded', 'User Rate Limit Exceeded'],
+  429: ['rateLimitExceeded', 'Rate Limit Exceeded'],
+  500: ['backendError', 'Backend Error'],
+  502: ['backendError', 'Bad Gateway'],
+  503: ['backendError', 'Service Unavailable']
+};
+
+// decides per request whether the emulator misbehaves. a rule matches a route
+// and, once `after` matching requests went through normally, fires `times` times
+// (with the given probability): it can fail the request with `status`, slow it
+// down by `delayMs` and run `mutate` against the store before it is answered
+class FaultInjector {
+  constructor(rules = [], options = {}) {
+    this.latencyMs = options.latencyMs || 0;
+    this.random = options.random || Math.random;
+    this.rules = [];
+    for (const rule of rules) {
+      this.add(rule);
+    }
+  }
+
+  add(rule) {
+    const route = rule.route || '*';
+    if (route !== '*' && !ROUTES.includes(route)) {
+      throw new Error(`Unknown route: ${route}`);
+    }
+
+    const entry = {
+      ...rule,
+      route,
+      after: rule.after || 0,
+      times: rule.times ?? Infinity,
+      probability: rule.probability ?? 1,
+      seen: 0,
+      fired: 0
+    };
+    this.rules.push(entry);
+    return entry;
+  }
+
+  clear() {
+    this.rules = [];
+  }
+
+  next(route) {
+    const action = { delayMs: this.latencyMs, mutations: [], error: null };
+
+    for (const rule of this.rules) {
+      if (rule.route !== '*' && rule.route !== route) continue;
+
+      rule.seen++;
+      if (rule.seen <= rule.after || rule.fired >= rule.times) continue;
+      if (rule.probability < 1 && this.random() >= rule.probability) continue;
+      rule.fired++;
+
+      action.delayMs += rule.delayMs || 0;
+      if (rule.mutate) {
+        action.mutations.push(rule.mutate);
+      }
+      if (rule.status && !action.error) {
+        const [reason, message] = ERROR_REASONS[rule.status] || ['unknownError', 'Injected failure'];
+        action.error = {
+          status: rule.status,
+          reason: rule.reason || reason,
+          message: rule.message || message,
+          retryAfter: rule.retryAfter
+        };
+      }
+    }
+
+    return action;
+  }
+
+  describe() {
+    return this.rules.map(({ mutate, ...rule }) => ({
+      ...rule,
+      times: Number.isFinite(rule.times) ? rule.times : null,
+      mutate: !!mutate
+    }));
+  }
+}
+
+module.exports = { FaultInjector, ROUTES };
@@ -0,0 +1,57 @@
+// partial responses: the `fields` parameter as drive understands it, e.g.
+// "nextPageToken, files(id, name, owners(displayName))"
+
+function parseFields(spec) {
+  const tokens = String(spec).match(/[^\s,()]+|[(),]/g) || [];
+  let pos = 0;
+
+  function parseList() {
+    const tree = {};
+    while (pos < tokens.length && tokens[pos] !== ')') {
+      const name = tokens[pos++];
+      if (name === ',') continue;
+      if (name === '(') {
+        throw new Error(`Invalid field selection: ${spec}`);
+      }
+      if (tokens[pos] === '(') {
+        pos++;
+        tree[name] = parseList();
+        if (tokens[pos++] !== ')') {
+          throw new Error(`Invalid field selection: ${spec}`);
+        }
+      } else {
+        tree[name] = true;
+      }
+    }
+    return tree;
+  }
+
+  const tree = parseList();
+  if (pos !== tokens.length) {
+    throw new Error(`Invalid field selection: ${spec}`);
+  }
+  return tree;
+}
+
+function pickFields(value, tree) {
+  if (tree === true || tree['*'] || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => pickFields(item, tree));
+  }
+
+  const picked = {};
+  for (const [name, subtree] of Object.entries(tree)) {
+    if (value[name] !== undefined) {
+      picked[name] = pickFields(value[name], subtree);
+    }
+  }
+  return picked;
+}
+
+function selectFields(value, spec) {
+  return pickFields(value, parseFields(spec));
+}
+
+module.exports = { parseFields, selectFields };
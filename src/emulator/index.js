@@ -0,0 +1,13 @@
+const { DriveEmulator } = require('./driveEmulator');
+const { DriveStore, DriveApiError, ROOT_FOLDER_ID, loadFixture } = require('./driveStore');
+const { FaultInjector, ROUTES } = require('./faultInjector');
+
+module.exports = {
+  DriveEmulator,
+  DriveStore,
+  DriveApiError,
+  ROOT_FOLDER_ID,
+  loadFixture,
+  FaultInjector,
+  ROUTES
+};
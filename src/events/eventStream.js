@@ -0,0 +1,253 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const { SYNC_JOB_TYPES, completesSync } = require('../jobs');
+
+// sync engine events passed through as they are
+const SYNC_EVENTS = [
+  'sync:started',
+  'sync:resumed',
+  'sync:paused',
+  'sync:cancelled',
+  'sync:deleted',
+  'drives:refreshed',
+  'downloads:enqueued',
+  'files:deleted',
+  'reset'
+];
+
+const PROGRESS_EVENT = 'sync:progress';
+
+// prune the log every this many events rather than on every append
+const PRUNE_EVERY = 500;
+
+function matchesType(type, patterns) {
+  return patterns.some(p => (p.endsWith('*') ? type.startsWith(p.slice(0, -1)) : type === p));
+}
+
+function matchesFilter(event, filter = {}) {
+  if (filter.syncId && event.syncId !== filter.syncId) return false;
+  if (filter.accountId && event.accountId !== filter.accountId) return false;
+  if (filter.types && filter.types.length > 0 && !matchesType(event.type, filter.types)) return false;
+  return true;
+}
+
+function describeJob(job, details = {}) {
+  return {
+    accountId: job.accountId,
+    syncId: job.payload?.syncId || null,
+    jobId: job.id,
+    data: { jobType: job.type, attempt: job.attempts + 1, ...details }
+  };
+}
+
+// records what the sync engine and job runner report into the event log and
+// hands each event to live subscribers, so clients outside the process can follow along
+class EventStream extends EventEmitter {
+  constructor(eventRepository, options = {}) {
+    super();
+    this.eventRepo = eventRepository;
+    this.progressIntervalMs = options.progressIntervalMs ?? 1000;
+    this.maxEvents = options.maxEvents || 10000;
+    this.lastProgressAt = new Map();
+    this.detachers = [];
+    this.closed = false;
+    // following the log for events other processes recorded
+    this.followTimer = null;
+    this.followedUpTo = 0;
+    this.ownIds = new Set();
+    // one listener per connected client
+    this.setMaxListeners(0);
+  }
+
+  attach({ syncEngine, jobRunner }) {
+    const listen = (source, type, listener) => {
+      source.on(type, listener);
+      this.detachers.push(() => source.off(type, listener));
+    };
+
+    if (syncEngine) {
+      for (const type of SYNC_EVENTS) {
+        listen(syncEngine, type, (payload = {}) => this.publish(type, {
+          accountId: payload.accountId,
+          syncId: payload.syncId,
+          data: payload
+        }));
+      }
+    }
+
+    if (jobRunner) {
+      listen(jobRunner, 'job:started', (job) => {
+        this.publish('job:started', describeJob(job));
+      });
+      listen(jobRunner, 'job:completed', (job, result) => {
+        this.lastProgressAt.delete(job.id);
+        this.publish('job:completed', describeJob(job, { result }));
+        // a full sync's page jobs complete on every page but the last without finishing it
+        if (completesSync(job, result)) {
+          this._syncOutcome(job, 'sync:completed', { result });
+        }
+      });
+      listen(jobRunner, 'job:retry', (job, err, delayMs) => {
+        this.lastProgressAt.delete(job.id);
+        this.publish('job:retry', describeJob(job, { error: err.message, retryInMs: delayMs }));
+      });
+      // stopped with its sync, which reports sync:paused itself
+      listen(jobRunner, 'job:paused', (job) => {
+        this.lastProgressAt.delete(job.id);
+        this.publish('job:paused', describeJob(job));
+      });
+      listen(jobRunner, 'job:cancelled', (job) => {
+        this.lastProgressAt.delete(job.id);
+        this.publish('job:cancelled', describeJob(job));
+      });
+      // taken back from a runner that stopped renewing its lease
+      listen(jobRunner, 'job:reaped', (job) => {
+        this.publish('job:reaped', describeJob(job, { status: job.status, error: job.lastError }));
+      });
+      // out of retries, the job is in the dead-letter queue by now
+      listen(jobRunner, 'job:failed', (job, err) => {
+        this.lastProgressAt.delete(job.id);
+        this.publish('job:failed', describeJob(job, { error: err.message }));
+        this._syncOutcome(job, 'sync:failed', { error: err.message });
+      });
+      listen(jobRunner, 'job:progress', (job, progress) => this._progress(job, progress));
+      // events handlers publish themselves, e.g. file:added
+      listen(jobRunner, 'job:event', (job, type, data = {}) => this.publish(type, {
+        accountId: job.accountId,
+        syncId: data.syncId || job.payload?.syncId || null,
+        jobId: job.id,
+        data
+      }));
+    }
+  }
+
+  detach() {
+    for (const detach of this.detachers) detach();
+    this.detachers = [];
+  }
+
+  _syncOutcome(job, type, details) {
+    const syncType = SYNC_JOB_TYPES[job.type];
+    if (!syncType || !job.payload?.syncId) return;
+
+    this.publish(type, {
+      accountId: job.accountId,
+      syncId: job.payload.syncId,
+      jobId: job.id,
+      data: { type: syncType, driveId: job.payload.driveId || null, ...details }
+    });
+  }
+
+  // handlers report every page; the log gets at most one update per interval and job
+  _progress(job, progress) {
+    const now = Date.now();
+    const last = this.lastProgressAt.get(job.id);
+    if (last !== undefined && now - last < this.progressIntervalMs) return;
+
+    this.lastProgressAt.set(job.id, now);
+    this.publish(PROGRESS_EVENT, {
+      accountId: job.accountId,
+      syncId: progress.syncId || job.payload?.syncId || null,
+      jobId: job.id,
+      data: progress
+    });
+  }
+
+  // never throws: emitters call this synchronously from inside sync and job code
+  publish(type, { accountId = null, syncId = null, jobId = null, data = null } = {}) {
+    if (this.closed) return null;
+
+    let event;
+    try {
+      event = this.eventRepo.append({ type, accountId, syncId, jobId, data });
+      if (event.id % PRUNE_EVERY === 0) {
+        this.eventRepo.prune(this.maxEvents);
+      }
+    } catch (err) {
+      logger.warn('Failed to record event', { type, error: err.message });
+      return null;
+    }
+
+    if (this.followTimer) this.ownIds.add(event.id);
+    this.emit('event', event, { local: true });
+    return event;
+  }
+
+  // with workers in other processes, their events reach this process only
+  // through the log: it is read every intervalMs and what they recorded is
+  // handed to subscribers like the events published here
+  follow(intervalMs) {
+    if (this.followTimer || this.closed) return;
+    this.followedUpTo = this.eventRepo.latestId();
+    const tick = () => {
+      try {
+        this._catchUp();
+      } catch (err) {
+        logger.warn('Failed to read events from the log', { error: err.message });
+      }
+      this.followTimer = setTimeout(tick, intervalMs);
+      this.followTimer.unref?.();
+    };
+    this.followTimer = setTimeout(tick, intervalMs);
+    this.followTimer.unref?.();
+  }
+
+  _catchUp() {
+    for (;;) {
+      const events = this.eventRepo.findAfter(this.followedUpTo);
+      for (const event of events) {
+        this.followedUpTo = event.id;
+        // published here, subscribers have it already
+        if (this.ownIds.delete(event.id)) continue;
+        this.emit('event', event, { local: false });
+      }
+      if (events.length === 0) return;
+    }
+  }
+
+  stopFollowing() {
+    if (this.followTimer) {
+      clearTimeout(this.followTimer);
+      this.followTimer = null;
+    }
+    this.ownIds.clear();
+  }
+
+  // logged events after lastEventId, in batches, oldest first
+  replay(lastEventId, filter, send) {
+    let afterId = lastEventId;
+    for (;;) {
+      const events = this.eventRepo.findAfter(afterId, filter);
+      for (const event of events) send(event);
+      if (events.length === 0) return afterId;
+      afterId = events[events.length - 1].id;
+    }
+  }
+
+  // true when events after lastEventId were pruned before they could be replayed
+  isTruncated(lastEventId) {
+    const oldest = this.eventRepo.oldestId();
+    return oldest !== null && oldest > lastEventId + 1;
+  }
+
+  // localOnly leaves out events followed from other processes, for
+  // subscribers that act on events rather than relay them
+  subscribe(filter, listener, { localOnly = false } = {}) {
+    const onEvent = (event, { local } = {}) => {
+      if (localOnly && !local) return;
+      if (matchesFilter(event, filter)) listener(event);
+    };
+    this.on('event', onEvent);
+    return () => this.off('event', onEvent);
+  }
+
+  // ends every open stream, e.g. on shutdown
+  close() {
+    this.closed = true;
+    this.stopFollowing();
+    this.detach();
+    this.emit('close');
+  }
+}
+
+module.exports = { EventStream, SYNC_EVENTS, PROGRESS_EVENT, matchesFilter };
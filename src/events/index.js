@@ -0,0 +1,3 @@
+const { EventStream, SYNC_EVENTS, PROGRESS_EVENT, matchesFilter } = require('./eventStream');
+
+module.exports = { EventStream, SYNC_EVENTS, PROGRESS_EVENT, matchesFilter };
@@ -0,0 +1,151 @@
+const { Readable } = require('stream');
+const { toCsvLine } = require('../utils/csv');
+const { parseFileQuery } = require('../utils/queryParams');
+const { SORT_FIELDS, buildFileFilter } = require('../persistence/fileQuery');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  json: { contentType: 'application/json', extension: 'json' }
+};
+
+// catalog fields by their API name, as FileRepository maps them
+const FILE_COLUMNS = [
+  'id', 'accountId', 'driveId', 'name', 'mimeType', 'size', 'path', 'parentId', 'modifiedTime', 'createdTime',
+  'md5Checksum', 'trashed', 'deletedAt', 'syncedAt', 'localPath', 'localSize', 'downloadStatus', 'downloadedAt',
+  'downloadError', 'rawMetadata'
+];
+
+const DEFAULT_COLUMNS = [
+  'id', 'accountId', 'driveId', 'name', 'mimeType', 'size', 'path', 'parentId', 'modifiedTime', 'createdTime',
+  'md5Checksum'
+];
+
+// raw.<field>[.<field>|.<index>...] reads from the metadata Drive returned, e.g. raw.owners.0.emailAddress
+const RAW_COLUMN_PATTERN = /^raw(\.[A-Za-z0-9_]+)+$/;
+
+const DEFAULT_BATCH_SIZE = 500;
+
+function parseColumns(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_COLUMNS;
+  const columns = (Array.isArray(value) ? value : String(value).split(','))
+    .map(column => String(column).trim())
+    .filter(Boolean);
+  if (columns.length === 0) return DEFAULT_COLUMNS;
+
+  const unknown = columns.filter(column => !FILE_COLUMNS.includes(column) && !RAW_COLUMN_PATTERN.test(column));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown columns: ${unknown.join(', ')}. Expected ${FILE_COLUMNS.join(', ')} or raw.<field>`);
+  }
+  return [...new Set(columns)];
+}
+
+function parseFormat(value) {
+  const format = value ? String(value).toLowerCase() : 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return format;
+}
+
+// the /files filters plus format, columns and sort; throws on bad input, which
+// has to happen here: once an export is streaming it can only be cut short
+function parseExportQuery(query) {
+  const { filters, page } = parseFileQuery(query);
+  buildFileFilter(filters);
+  const sort = page.sort || 'id';
+  if (!SORT_FIELDS[sort]) {
+    throw new Error(`Cannot sort by ${sort}. Expected one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+  return {
+    format: parseFormat(query.format),
+    columns: parseColumns(query.columns),
+    filters,
+    sort,
+    order: page.order || 'asc'
+  };
+}
+
+// own properties only, so a path can't wander into the prototype
+function readRaw(metadata, column) {
+  let value = metadata;
+  for (const key of column.split('.').slice(1)) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+      return null;
+    }
+    value = value[key];
+  }
+  return value === undefined ? null : value;
+}
+
+function pick(file, columns) {
+  const record = {};
+  for (const column of columns) {
+    record[column] = column.startsWith('raw.') ? readRaw(file.rawMetadata, column) : (file[column] ?? null);
+  }
+  return record;
+}
+
+// nested raw values don't fit in a cell, they go in as JSON
+function csvValue(value) {
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+// pages through the catalog with keyset cursors, so rows a running sync
+// writes can't shift the pages still to come. sorted by id by default:
+// it's the one key a sync never changes
+async function* fileBatches(fileRepository, filters = {}, options = {}) {
+  let cursor = null;
+  do {
+    const page = fileRepository.find(filters, {
+      sort: options.sort || 'id',
+      order: options.order || 'asc',
+      limit: options.batchSize || DEFAULT_BATCH_SIZE,
+      cursor
+    });
+    if (page.files.length > 0) {
+      yield page.files;
+    }
+    cursor = page.nextCursor;
+  } while (cursor);
+}
+
+async function* formatChunks(batches, format, columns, onRows) {
+  let first = true;
+  if (format === 'csv') yield toCsvLine(columns);
+  if (format === 'json') yield '[';
+
+  for await (const files of batches) {
+    const records = files.map(file => pick(file, columns));
+    if (format === 'csv') {
+      yield records.map(record => toCsvLine(columns.map(column => csvValue(record[column])))).join('');
+    } else if (format === 'ndjson') {
+      yield records.map(record => JSON.stringify(record) + '\n').join('');
+    } else {
+      yield (first ? '\n' : ',\n') + records.map(record => JSON.stringify(record)).join(',\n');
+    }
+    first = false;
+    if (onRows) onRows(records.length);
+  }
+
+  if (format === 'json') yield first ? ']\n' : '\n]\n';
+}
+
+// a readable of the formatted export, one chunk per page of files; only
+// a page is in memory at a time and reading waits for the consumer
+function createExportStream(fileRepository, options = {}) {
+  const format = options.format || 'csv';
+  const columns = options.columns || DEFAULT_COLUMNS;
+  const batches = fileBatches(fileRepository, options.filters || {}, options);
+  return Readable.from(formatChunks(batches, format, columns, options.onRows), { objectMode: false });
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  FILE_COLUMNS,
+  DEFAULT_COLUMNS,
+  parseColumns,
+  parseFormat,
+  parseExportQuery,
+  createExportStream
+};
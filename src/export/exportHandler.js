@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { EXPORT_STATUS } = require('../persistence');
+const { EXPORT_FORMATS, createExportStream } = require('./catalogExport');
+
+function exportFilePath(exportDir, exp) {
+  return path.join(exportDir, `${exp.id}.${EXPORT_FORMATS[exp.format].extension}`);
+}
+
+// writes to a .part file and renames it when done, so a download never sees half an export
+function createExportFilesHandler(exportRepository, fileRepository, options = {}) {
+  const exportDir = options.exportDir || config.export.dir;
+
+  return async (payload, job, context = {}) => {
+    const exp = exportRepository.findById(payload.exportId);
+    if (!exp) {
+      return { skipped: true, reason: 'not_found' };
+    }
+
+    const filePath = exportFilePath(exportDir, exp);
+    const partPath = `${filePath}.part`;
+    let rowCount = 0;
+    exportRepository.markRunning(exp.id);
+
+    try {
+      await fs.promises.mkdir(exportDir, { recursive: true });
+      await pipeline(
+        createExportStream(fileRepository, {
+          format: exp.format,
+          columns: exp.columns,
+          filters: exp.filters,
+          sort: exp.sort,
+          order: exp.order,
+          onRows: (count) => {
+            rowCount += count;
+            exportRepository.updateProgress(exp.id, rowCount);
+          }
+        }),
+        fs.createWriteStream(partPath),
+        { signal: context.signal }
+      );
+      await fs.promises.rename(partPath, filePath);
+    } catch (err) {
+      await fs.promises.rm(partPath, { force: true }).catch(() => {});
+      const status = job.attempts + 1 >= job.maxAttempts ? EXPORT_STATUS.FAILED : EXPORT_STATUS.PENDING;
+      exportRepository.markFailed(exp.id, err.message, status);
+      throw new Error(`Export ${exp.id} failed: ${err.message}`);
+    }
+
+    // deleted while it ran: nobody is going to download it
+    if (!exportRepository.findById(exp.id)) {
+      await fs.promises.rm(filePath, { force: true });
+      return { skipped: true, reason: 'deleted' };
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    exportRepository.markCompleted(exp.id, { filePath, rowCount, bytes: size });
+    logger.info('Export written', { id: exp.id, format: exp.format, rows: rowCount, bytes: size });
+
+    return { exportId: exp.id, rows: rowCount, bytes: size };
+  };
+}
+
+module.exports = { createExportFilesHandler, exportFilePath };
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { ALL_DRIVES, isValidAccountId } = require('../persistence');
+const { JOB_TYPES } = require('../jobs');
+const { parseExportQuery } = require('./catalogExport');
+
+// exports too large to stream in a request: a row to track them and a job to write them
+class ExportManager {
+  constructor(options) {
+    this.exportRepo = options.exportRepository;
+    this.jobRepo = options.jobRepository;
+    this.maxAttempts = options.maxAttempts || 3;
+  }
+
+  // query takes the same parameters as GET /files/export; a null account exports every account
+  createExport({ accountId = null, driveId = null, query = {} }) {
+    if (accountId && !isValidAccountId(accountId)) {
+      throw new Error(`Invalid account id: ${accountId}`);
+    }
+    const { format, columns, filters, sort, order } = parseExportQuery(query);
+    const scope = { accountId, driveId: driveId && driveId !== ALL_DRIVES ? driveId : null };
+
+    const id = this.jobRepo.dbManager.withTransaction(() => {
+      const exportId = this.exportRepo.create({
+        ...scope,
+        format,
+        columns,
+        filters: { ...filters, ...scope },
+        sort,
+        order
+      });
+      const jobId = this.jobRepo.create(JOB_TYPES.EXPORT_FILES, { exportId }, {
+        accountId: accountId || undefined,
+        maxAttempts: this.maxAttempts
+      });
+      this.exportRepo.setJob(exportId, jobId);
+      return exportId;
+    });
+
+    logger.info('Export queued', { id, accountId, format });
+    return this.exportRepo.findById(id);
+  }
+
+  // the written file goes with the row
+  deleteExport(id) {
+    const exp = this.exportRepo.findById(id);
+    if (!exp) return false;
+
+    if (exp.filePath) {
+      fs.rmSync(exp.filePath, { force: true });
+    }
+    this.exportRepo.delete(id);
+    logger.info('Export deleted', { id });
+    return true;
+  }
+}
+
+module.exports = { ExportManager };
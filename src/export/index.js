@@ -0,0 +1,24 @@
+const {
+  EXPORT_FORMATS,
+  FILE_COLUMNS,
+  DEFAULT_COLUMNS,
+  parseColumns,
+  parseFormat,
+  parseExportQuery,
+  createExportStream
+} = require('./catalogExport');
+const { ExportManager } = require('./exportManager');
+const { createExportFilesHandler, exportFilePath } = require('./exportHandler');
+
+module.exports = {
+  EXPORT_FORMATS,
+  FILE_COLUMNS,
+  DEFAULT_COLUMNS,
+  parseColumns,
+  parseFormat,
+  parseExportQuery,
+  createExportStream,
+  ExportManager,
+  createExportFilesHandler,
+  exportFilePath
+};
@@ -0,0 +1,256 @@
+const path = require('path');
+const readline = require('readline');
+const { readCsvRows } = require('../utils/csv');
+const { openStorage } = require('../persistence/storage');
+const { MY_DRIVE_ID } = require('../persistence');
+
+const IMPORT_FORMATS = ['ndjson', 'csv', 'sqlite'];
+
+const IMPORT_MODES = {
+  // upsert what the file has, leave everything else alone
+  MERGE: 'merge',
+  // afterwards, delete the rows of the account and drive the file didn't have
+  REPLACE: 'replace'
+};
+
+// same shape as Drive file ids, which is all the files table ever holds
+const FILE_ID_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+const BACKUP_BATCH_SIZE = 500;
+
+function parseFormat(value) {
+  if (!IMPORT_FORMATS.includes(value)) {
+    throw new Error(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+  return value;
+}
+
+// by extension; backups are the .bak files the database writes before migrating
+function detectFormat(fileName) {
+  const ext = path.extname(fileName || '').toLowerCase();
+  if (ext === '.ndjson' || ext === '.jsonl') return 'ndjson';
+  if (ext === '.csv') return 'csv';
+  if (['.db', '.sqlite', '.sqlite3', '.bak'].includes(ext)) return 'sqlite';
+  return null;
+}
+
+// { line, record } per non-blank line; lines that aren't a JSON object come as { line, error }
+async function* readNdjsonRecords(stream) {
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  let line = 0;
+  for await (const text of lines) {
+    line++;
+    if (!text.trim()) continue;
+    try {
+      const record = JSON.parse(text);
+      if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error('not an object');
+      }
+      yield { line, record };
+    } catch (err) {
+      yield { line, error: `Invalid JSON: ${err.message}` };
+    }
+  }
+}
+
+// the header row names the fields; empty cells are missing values
+async function* readCsvRecords(stream) {
+  let header = null;
+  let line = 0;
+  for await (const row of readCsvRows(stream)) {
+    line++;
+    if (!header) {
+      header = row.map(h => h.trim());
+      continue;
+    }
+    const record = {};
+    header.forEach((column, i) => {
+      if (row[i] !== undefined && row[i] !== '') record[column] = row[i];
+    });
+    yield { line, record };
+  }
+}
+
+function columnsOf(storage, table) {
+  return new Set(storage.query(`PRAGMA table_info(${table})`).map(column => column.name));
+}
+
+// where clause for the rows of one account and drive in a table of a backup.
+// backups from before accounts (or shared drives) lack the column: all their
+// rows are the one account's (or its own drive's)
+function backupScope(columns, { accountId, driveId }, accountColumn = 'account_id') {
+  const clauses = [];
+  const params = [];
+  if (columns.has(accountColumn)) {
+    clauses.push(`${accountColumn} = ?`);
+    params.push(accountId);
+  }
+  if (columns.has('drive_id')) {
+    clauses.push('drive_id = ?');
+    params.push(driveId);
+  } else if (driveId !== MY_DRIVE_ID) {
+    clauses.push('0');
+  }
+  return { sql: clauses.length > 0 ? clauses.join(' AND ') : '1', params };
+}
+
+// rows of one account and drive from another database file, read in id
+// order a batch at a time; the file is opened read-only and never written
+async function openBackup(filePath, { accountId, driveId, driver }) {
+  const storage = await openStorage(filePath, { driver, readonly: true });
+
+  let changeToken = null;
+  let scope;
+  try {
+    // backups from before change tokens were persisted have no sync_state, and
+    // its first version was keyed by the account id alone, as id
+    const stateColumns = columnsOf(storage, 'sync_state');
+    if (stateColumns.has('change_token')) {
+      const accountColumn = stateColumns.has('account_id') ? 'account_id' : 'id';
+      const state = backupScope(stateColumns, { accountId, driveId }, accountColumn);
+      const row = storage.query(`SELECT change_token FROM sync_state WHERE ${state.sql}`, state.params)[0];
+      changeToken = row?.change_token || null;
+    }
+    scope = backupScope(columnsOf(storage, 'files'), { accountId, driveId });
+  } catch (err) {
+    storage.close();
+    throw err;
+  }
+
+  async function* records() {
+    let lastId = '';
+    let line = 0;
+    try {
+      for (;;) {
+        const rows = storage.query(`
+          SELECT * FROM files WHERE ${scope.sql} AND id > ?
+          ORDER BY id LIMIT ?
+        `, [...scope.params, lastId, BACKUP_BATCH_SIZE]);
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+          line++;
+          let rawMetadata = null;
+          try {
+            rawMetadata = row.raw_metadata ? JSON.parse(row.raw_metadata) : null;
+          } catch (err) {
+            // fall back to the columns
+          }
+          yield {
+            line,
+            record: {
+              id: row.id,
+              accountId: row.account_id ?? accountId,
+              driveId: row.drive_id ?? driveId,
+              name: row.name,
+              mimeType: row.mime_type,
+              size: row.size,
+              parentId: row.parent_id,
+              modifiedTime: row.modified_time,
+              createdTime: row.created_time,
+              md5Checksum: row.md5_checksum,
+              trashed: !!row.trashed,
+              deletedAt: row.deleted_at,
+              rawMetadata
+            }
+          };
+        }
+        lastId = rows[rows.length - 1].id;
+      }
+    } finally {
+      storage.close();
+    }
+  }
+
+  return { changeToken, records: records(), close: () => storage.close() };
+}
+
+function parseBoolean(value) {
+  if (value === true || value === false) return value;
+  if (value === 1 || value === '1' || value === 'true') return true;
+  if (value === 0 || value === '0' || value === 'false') return false;
+  throw new Error(`trashed must be true or false, got ${value}`);
+}
+
+function parseTime(value, name) {
+  if (isNaN(Date.parse(value))) {
+    throw new Error(`${name} must be a date, got ${value}`);
+  }
+  return String(value);
+}
+
+function present(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+// an exported record (the /files field names, strings when it came from csv)
+// back into the Drive metadata the repository stores; throws when invalid
+function toDriveFile(record, { accountId, driveId }) {
+  if (typeof record.id !== 'string' || !FILE_ID_PATTERN.test(record.id)) {
+    throw new Error(`Invalid file id: ${record.id}`);
+  }
+  if (present(record.accountId) && record.accountId !== accountId) {
+    throw new Error(`Belongs to account ${record.accountId}`);
+  }
+  const recordDrive = present(record.driveId) ? record.driveId : driveId;
+  if (recordDrive !== driveId) {
+    throw new Error(`Belongs to drive ${recordDrive}`);
+  }
+
+  let raw = record.rawMetadata;
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch (err) {
+      throw new Error('rawMetadata is not valid JSON');
+    }
+  }
+  if (present(raw) && (typeof raw !== 'object' || Array.isArray(raw))) {
+    throw new Error('rawMetadata must be an object');
+  }
+
+  const file = { ...(raw || {}), id: record.id };
+  if (present(record.name)) file.name = String(record.name);
+  if (typeof file.name !== 'string' || !file.name) {
+    throw new Error('name is required');
+  }
+  if (present(record.mimeType)) file.mimeType = String(record.mimeType);
+  if (present(record.size)) {
+    const size = Number(record.size);
+    if (!Number.isInteger(size) || size < 0) {
+      throw new Error(`size must be a non-negative integer, got ${record.size}`);
+    }
+    // drive reports sizes as strings
+    file.size = String(size);
+  }
+  if (present(record.parentId)) file.parents = [String(record.parentId)];
+  if (present(record.modifiedTime)) file.modifiedTime = parseTime(record.modifiedTime, 'modifiedTime');
+  if (present(record.createdTime)) file.createdTime = parseTime(record.createdTime, 'createdTime');
+  if (present(record.md5Checksum)) file.md5Checksum = String(record.md5Checksum).toLowerCase();
+  if (present(record.trashed)) file.trashed = parseBoolean(record.trashed);
+
+  // only shared drive items carry a driveId
+  if (driveId !== MY_DRIVE_ID) {
+    file.driveId = driveId;
+  } else {
+    delete file.driveId;
+  }
+  return file;
+}
+
+// removed files were exported as tombstones; there is nothing to restore
+function isTombstone(record) {
+  return present(record.deletedAt) && !(present(record.trashed) && parseBoolean(record.trashed));
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_MODES,
+  parseFormat,
+  detectFormat,
+  readNdjsonRecords,
+  readCsvRecords,
+  openBackup,
+  toDriveFile,
+  isTombstone
+};
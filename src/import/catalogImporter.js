@@ -0,0 +1,183 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+const { DEFAULT_ACCOUNT_ID, MY_DRIVE_ID, ALL_DRIVES, isValidAccountId } = require('../persistence');
+const {
+  IMPORT_MODES,
+  parseFormat,
+  readNdjsonRecords,
+  readCsvRecords,
+  openBackup,
+  toDriveFile,
+  isTombstone
+} = require('./catalogImport');
+
+function generateImportId() {
+  return 'import_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+const DEFAULT_BATCH_SIZE = 500;
+
+// rejected records reported back; the count covers the rest
+const MAX_REPORTED_ERRORS = 100;
+
+// seeds or restores the catalog of one account and drive from an export or a
+// backup. the import is recorded like a sync: its id is a checkpoint's sync id,
+// file_changes has what it changed, and a change token saved with it lets the
+// next incremental sync pick up where the exported catalog left off
+class CatalogImporter {
+  constructor(options) {
+    this.fileRepo = options.fileRepository;
+    this.checkpointRepo = options.checkpointRepository;
+    this.syncStateRepo = options.syncStateRepository || null;
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    // account/drive pairs with an import running
+    this.running = new Set();
+  }
+
+  validate(options) {
+    const format = parseFormat(options.format);
+    const accountId = options.accountId || DEFAULT_ACCOUNT_ID;
+    if (!isValidAccountId(accountId)) {
+      throw new Error(`Invalid account id: ${accountId}`);
+    }
+    const driveId = options.driveId || MY_DRIVE_ID;
+    if (driveId === ALL_DRIVES) {
+      throw new Error('Imports are per drive; pass a drive id');
+    }
+    const mode = options.mode || IMPORT_MODES.MERGE;
+    if (!Object.values(IMPORT_MODES).includes(mode)) {
+      throw new Error(`mode must be one of: ${Object.values(IMPORT_MODES).join(', ')}`);
+    }
+    if (options.changeToken !== undefined && options.changeToken !== null && typeof options.changeToken !== 'string') {
+      throw new Error('changeToken must be a string');
+    }
+    // a sync writing the same rows would leave a mix of both
+    if (this.checkpointRepo.findLatestInProgress(accountId, driveId)) {
+      throw new Error(`A sync of ${accountId}/${driveId} is in progress`);
+    }
+    if (this.running.has(`${accountId}/${driveId}`)) {
+      throw new Error(`An import into ${accountId}/${driveId} is already running`);
+    }
+    return { accountId, driveId, mode, format, changeToken: options.changeToken || null };
+  }
+
+  // source is { stream } for ndjson and csv, { path } for all three
+  async import(source, options = {}) {
+    const scope = this.validate(options);
+    const { accountId, driveId, mode, format } = scope;
+    const key = `${accountId}/${driveId}`;
+    const importId = generateImportId();
+    this.running.add(key);
+
+    const summary = {
+      importId,
+      accountId,
+      driveId,
+      format,
+      mode,
+      imported: 0,
+      skipped: 0,
+      rejected: 0,
+      removed: 0,
+      changeToken: scope.changeToken,
+      errors: []
+    };
+    logger.info('Import started', { importId, accountId, driveId, format, mode });
+
+    // a merge writes a batch at a time. a replace holds its batches until the
+    // whole source has been read and then swaps them in with one transaction,
+    // so one that fails part way leaves the drive as it was
+    const replacing = mode === IMPORT_MODES.REPLACE;
+    const staged = [];
+    let batch = [];
+    const flush = () => {
+      if (batch.length === 0) return;
+      if (replacing) {
+        staged.push(batch);
+      } else {
+        this.fileRepo.upsertBatch(batch, accountId, { syncId: importId });
+        summary.imported += batch.length;
+      }
+      batch = [];
+    };
+
+    let backup = null;
+    try {
+      let records;
+      if (format === 'sqlite') {
+        if (!source.path) throw new Error('sqlite imports need a file path');
+        backup = await openBackup(source.path, {
+          accountId,
+          driveId,
+          driver: this.fileRepo.dbManager.getDb().driver
+        });
+        records = backup.records;
+        // a token passed in wins over the one the backup had
+        summary.changeToken = summary.changeToken || backup.changeToken;
+      } else {
+        const stream = source.stream || fs.createReadStream(source.path);
+        records = format === 'csv' ? readCsvRecords(stream) : readNdjsonRecords(stream);
+      }
+
+      for await (const { line, record, error } of records) {
+        let file;
+        try {
+          if (error) throw new Error(error);
+          if (isTombstone(record)) {
+            summary.skipped++;
+            continue;
+          }
+          file = toDriveFile(record, { accountId, driveId });
+        } catch (err) {
+          summary.rejected++;
+          if (summary.errors.length < MAX_REPORTED_ERRORS) {
+            summary.errors.push({ line, id: record?.id ?? null, error: err.message });
+          }
+          continue;
+        }
+
+        batch.push(file);
+        if (batch.length >= this.batchSize) flush();
+      }
+      flush();
+
+      if (replacing) {
+        summary.removed = this.fileRepo.dbManager.withTransaction(() => {
+          for (const files of staged) {
+            this.fileRepo.upsertBatch(files, accountId, { syncId: importId });
+          }
+          // every row the import wrote carries its id, the rest it didn't have
+          return this.fileRepo.deleteUnseen(importId, accountId, driveId);
+        });
+        summary.imported = staged.reduce((count, files) => count + files.length, 0);
+      }
+    } catch (err) {
+      const checkpointId = this.checkpointRepo.create(importId, accountId, driveId);
+      this.checkpointRepo.markFailed(checkpointId, err.message);
+      logger.error('Import failed', { importId, accountId, driveId, imported: summary.imported, error: err.message });
+      throw new Error(`Import failed after ${summary.imported} files: ${err.message}`);
+    } finally {
+      backup?.close();
+      this.running.delete(key);
+    }
+
+    // recorded once it's done: an in-progress checkpoint would be picked up as a sync to resume
+    const checkpointId = this.checkpointRepo.create(importId, accountId, driveId);
+    this.checkpointRepo.markCompleted(checkpointId, summary.imported);
+    if (summary.changeToken && this.syncStateRepo) {
+      this.syncStateRepo.saveChangeToken(summary.changeToken, importId, accountId, driveId);
+    }
+
+    logger.info('Import completed', {
+      importId,
+      accountId,
+      driveId,
+      imported: summary.imported,
+      rejected: summary.rejected,
+      removed: summary.removed
+    });
+    return summary;
+  }
+}
+
+module.exports = { CatalogImporter };
@@ -0,0 +1,23 @@
+const {
+  IMPORT_FORMATS,
+  IMPORT_MODES,
+  parseFormat,
+  detectFormat,
+  readNdjsonRecords,
+  readCsvRecords,
+  openBackup,
+  toDriveFile
+} = require('./catalogImport');
+const { CatalogImporter } = require('./catalogImporter');
+
+module.exports = {
+  IMPORT_FORMATS,
+  IMPORT_MODES,
+  parseFormat,
+  detectFormat,
+  readNdjsonRecords,
+  readCsvRecords,
+  openBackup,
+  toDriveFile,
+  CatalogImporter
+};
@@ -1,10 +1,18 @@
 const App = require('./app');
 const logger = require('./utils/logger');
 
-const app = new App();
+// --role all|api|worker (or --role=worker) overrides APP_ROLE
+function parseRole(argv) {
+  const i = argv.findIndex(arg => arg === '--role' || arg.startsWith('--role='));
+  if (i === -1) return undefined;
+  return argv[i].includes('=') ? argv[i].slice('--role='.length) : argv[i + 1];
+}
+
+let app = null;
 
 async function main() {
   try {
+    app = new App({ role: parseRole(process.argv.slice(2)) });
     await app.initialize();
     app.start();
   } catch (err) {
@@ -16,13 +24,13 @@ async function main() {
 // graceful shutdown handlers
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received');
-  await app.stop();
+  if (app) await app.stop();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   logger.info('SIGINT received');
-  await app.stop();
+  if (app) await app.stop();
   process.exit(0);
 });
 
@@ -0,0 +1,14 @@
+// a job stopping on request rather than failing: the runner aborts the job's
+// signal with one, or a handler throws one when it finds its sync paused.
+// status is the job status it ends in; null when the job was taken from this
+// runner (reaped after a missed lease, or cancelled by another process) and
+// its row is someone else's to update
+class JobStoppedError extends Error {
+  constructor(status) {
+    super(status ? `Job ${status}` : 'Job taken over');
+    this.name = 'JobStoppedError';
+    this.status = status;
+  }
+}
+
+module.exports = { JobStoppedError };
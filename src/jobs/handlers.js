@@ -1,158 +1,491 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const logger = require('../utils/logger');
+const { isDownloadable } = require('../utils/mimeTypes');
+const {
+  DOWNLOAD_STATUS,
+  CHECKPOINT_STATUS,
+  JOB_STATUS,
+  DEFAULT_ACCOUNT_ID,
+  MY_DRIVE_ID,
+  isSharedDrive
+} = require('../persistence');
+const { JobStoppedError } = require('./errors');
 
 const JOB_TYPES = {
   FULL_SYNC: 'full_sync',
   INCREMENTAL_SYNC: 'incremental_sync',
   SYNC_PAGE: 'sync_page',
-  DOWNLOAD_FILE: 'download_file'
+  DOWNLOAD_FILE: 'download_file',
+  WEBHOOK_DELIVERY: 'webhook_delivery',
+  EXPORT_FILES: 'export_files'
 };
 
-function createSyncPageHandler(driveClient, fileRepository, checkpointRepository) {
-  return async (payload, job) => {
-    const { syncId, pageToken, filesProcessed = 0 } = payload;
+// jobs that run a sync, and the sync type they run. a failure that uses up
+// their retries fails the sync
+const SYNC_JOB_TYPES = {
+  [JOB_TYPES.FULL_SYNC]: 'full',
+  [JOB_TYPES.SYNC_PAGE]: 'full',
+  [JOB_TYPES.INCREMENTAL_SYNC]: 'incremental'
+};
 
-    logger.debug('Processing sync page', { syncId, pageToken: pageToken?.substring(0, 20) });
+// true when a sync job completing with result completed its sync: an
+// incremental sync runs in one job, a full sync's job only on its last page
+function completesSync(job, result) {
+  const type = SYNC_JOB_TYPES[job.type];
+  if (!type) return false;
+  return type !== 'full' || result?.hasMore === false;
+}
 
-    const response = await driveClient.listFiles({
-      pageToken: pageToken || undefined
-    });
+// accepts a single DriveClient or anything with forAccount() (the AccountManager)
+function resolveDriveClient(driveClient, accountId = DEFAULT_ACCOUNT_ID) {
+  return typeof driveClient.forAccount === 'function'
+    ? driveClient.forAccount(accountId)
+    : driveClient;
+}
 
-    const files = response.data.files || [];
+// a page of files and the checkpoint that points past it are committed
+// together, so a crash can't skip a page or store one the checkpoint doesn't know about
+function commitPage(fileRepository, fn) {
+  return fileRepository.dbManager.withTransaction(fn);
+}
 
-    if (files.length > 0) {
-      fileRepository.upsertBatch(files);
-    }
+// the job status a sync's job stops with when its checkpoint was paused or cancelled
+function stoppedStatus(checkpoint) {
+  if (checkpoint?.status === CHECKPOINT_STATUS.PAUSED) return JOB_STATUS.PAUSED;
+  if (checkpoint?.status === CHECKPOINT_STATUS.CANCELLED) return JOB_STATUS.CANCELLED;
+  return null;
+}
 
-    const newTotal = filesProcessed + files.length;
-    const checkpoint = checkpointRepository.findBySyncId(syncId);
+// syncs stop at page boundaries, with the pages before committed and the
+// checkpoint pointing at the next one. the signal covers a pause or cancel
+// through this process's runner, the checkpoint one that only reached the database
+function throwIfStopped(context, checkpointRepository, syncId) {
+  context.signal?.throwIfAborted();
+  const status = stoppedStatus(checkpointRepository.findBySyncId(syncId));
+  if (status) {
+    throw new JobStoppedError(status);
+  }
+}
 
-    if (checkpoint) {
-      checkpointRepository.updateProgress(
-        checkpoint.id,
-        response.data.nextPageToken || null,
-        newTotal
-      );
-    }
+// called inside a commit: a job reaped or cancelled by another process since
+// it was claimed writes nothing more, its heartbeat would only notice later
+function throwIfTakenOver(jobRepository, job) {
+  if (jobRepository && job?.workerId && !jobRepository.isHeldBy(job.id, job.workerId)) {
+    throw new JobStoppedError(null);
+  }
+}
 
-    return {
-      filesProcessed: files.length,
-      totalProcessed: newTotal,
-      hasMore: !!response.data.nextPageToken,
-      nextPageToken: response.data.nextPageToken
-    };
+// reports per-page progress to the job runner; rate is files per second for this run
+function progressReporter(context, details) {
+  const startedAt = Date.now();
+  let pages = 0;
+  let processedThisRun = 0;
+
+  return (filesInPage, filesProcessed) => {
+    pages++;
+    processedThisRun += filesInPage;
+    if (!context.progress) return;
+
+    const elapsedSeconds = Math.max((Date.now() - startedAt) / 1000, 0.001);
+    context.progress({
+      ...details,
+      pages,
+      filesInPage,
+      filesProcessed,
+      rate: Math.round(processedThisRun / elapsedSeconds * 10) / 10
+    });
   };
 }
 
-function createFullSyncHandler(driveClient, fileRepository, checkpointRepository, jobRepository) {
-  return async (payload, job) => {
-    const { syncId } = payload;
-
-    logger.info('Starting full sync', { syncId });
-
-    let pageToken = null;
-    let totalFiles = 0;
-    let pageCount = 0;
+function describeFile(file, extra = {}) {
+  return {
+    fileId: file.id,
+    name: file.name ?? null,
+    mimeType: file.mimeType ?? null,
+    path: file.path ?? null,
+    driveId: file.driveId ?? null,
+    ...extra
+  };
+}
 
+// a full sync runs as a chain of sync_page jobs, one page each. a job lists
+// its page and commits the files, the checkpoint advance and the job for the
+// next page together, so retries, dead-lettering and progress are per page;
+// the last page finishes the sync instead. full_sync jobs, queued before
+// syncs ran page by page, run the page their checkpoint points at
+function createSyncPageHandler(driveClient, fileRepository, checkpointRepository, jobRepository, syncStateRepository) {
+  return async (payload, job, context = {}) => {
+    const { syncId, startPageToken, reconcile, page = 1, accountId = DEFAULT_ACCOUNT_ID, driveId = MY_DRIVE_ID } = payload;
+    const startedAt = Date.now();
+
+    throwIfStopped(context, checkpointRepository, syncId);
     const checkpoint = checkpointRepository.findBySyncId(syncId);
-    if (checkpoint && checkpoint.pageToken) {
-      pageToken = checkpoint.pageToken;
-      totalFiles = checkpoint.filesProcessed || 0;
-      logger.info('Resuming sync from checkpoint', {
-        syncId,
-        filesProcessed: totalFiles
-      });
+    const pageToken = payload.pageToken !== undefined ? payload.pageToken : checkpoint?.pageToken || null;
+
+    // rerun after its page was committed, e.g. reaped before it was marked
+    // completed: the checkpoint is past it and the next page is queued already
+    if (checkpoint && (checkpoint.status === CHECKPOINT_STATUS.COMPLETED || (checkpoint.pageToken || null) !== pageToken)) {
+      logger.info('Sync page already committed, skipping', { syncId, page });
+      return { page, skipped: true };
     }
 
-    do {
-      const response = await driveClient.listFiles({
-        pageToken: pageToken || undefined
-      });
+    logger.debug('Processing sync page', { syncId, page, pageToken: pageToken?.substring(0, 20) });
+
+    const response = await resolveDriveClient(driveClient, accountId).listFiles({
+      pageToken: pageToken || undefined,
+      driveId,
+      signal: context.signal
+    });
 
-      const files = response.data.files || [];
+    // stopped while the page was fetched: it is kept, and what comes after
+    // waits for a resume (paused) or is dropped (cancelled). a job taken from
+    // this runner is someone else's to finish
+    const stopped = context.signal?.aborted ? context.signal.reason : null;
+    if (stopped && !(stopped instanceof JobStoppedError && stopped.status)) {
+      throw stopped;
+    }
 
+    const files = response.data.files || [];
+    const nextPageToken = response.data.nextPageToken || null;
+    const totalFiles = (checkpoint?.filesProcessed || 0) + files.length;
+    let nextJobId = null;
+    let filesRemoved = 0;
+    let committed = true;
+    let halted = stopped?.status || null;
+
+    commitPage(fileRepository, () => {
+      throwIfTakenOver(jobRepository, job);
+      const current = checkpoint ? checkpointRepository.findBySyncId(syncId) : null;
+      // another job for the same page got there first
+      if (current && (current.pageToken || null) !== pageToken) {
+        committed = false;
+        return;
+      }
+      // paused or cancelled from another process while the page was fetched
+      halted = halted || stoppedStatus(current);
+      // the last page would complete the sync: a paused one fetches it again on resume
+      if (!nextPageToken && halted) {
+        throw new JobStoppedError(halted);
+      }
       if (files.length > 0) {
-        fileRepository.upsertBatch(files);
-        totalFiles += files.length;
+        fileRepository.upsertBatch(files, accountId, { syncId });
+      }
+      if (!checkpoint) return;
+      checkpointRepository.updateProgress(checkpoint.id, nextPageToken, totalFiles);
+
+      if (nextPageToken) {
+        // cancelled, or deleted once paused: nothing comes after this page
+        if (!current || halted === JOB_STATUS.CANCELLED) return;
+
+        nextJobId = jobRepository.create(JOB_TYPES.SYNC_PAGE, {
+          syncId,
+          accountId,
+          driveId,
+          startPageToken,
+          reconcile: !!reconcile,
+          pageToken: nextPageToken,
+          page: page + 1
+        }, {
+          priority: job?.priority,
+          maxAttempts: job?.maxAttempts
+        });
+        // resuming the sync puts it back in the queue
+        if (halted === JOB_STATUS.PAUSED) {
+          jobRepository.markStopped(nextJobId, JOB_STATUS.PAUSED);
+        }
+        return;
       }
 
-      pageCount++;
-      pageToken = response.data.nextPageToken;
-
-      if (checkpoint) {
-        checkpointRepository.updateProgress(checkpoint.id, pageToken, totalFiles);
+      if (reconcile) {
+        filesRemoved = fileRepository.markUnseenDeleted(checkpoint.startedAt, accountId, driveId, { syncId });
+        checkpointRepository.updateProgress(checkpoint.id, null, totalFiles, { filesRemoved });
+      }
+      // changes made while we were listing get picked up by the next incremental sync
+      if (syncStateRepository && startPageToken) {
+        syncStateRepository.saveChangeToken(startPageToken, syncId, accountId, driveId);
       }
+      checkpointRepository.markCompleted(checkpoint.id, totalFiles);
+    });
+
+    if (!committed) {
+      if (stopped) throw stopped;
+      logger.info('Sync page already committed, skipping', { syncId, page });
+      return { page, skipped: true };
+    }
 
-      logger.debug('Sync progress', {
+    if (context.progress) {
+      // files per second since the sync started, pauses and queueing included
+      const elapsedSeconds = Math.max((Date.now() - (checkpoint ? Date.parse(checkpoint.startedAt) : startedAt)) / 1000, 0.001);
+      context.progress({
         syncId,
-        page: pageCount,
+        accountId,
+        driveId,
+        type: 'full',
+        pages: page,
         filesInPage: files.length,
-        totalFiles
+        filesProcessed: totalFiles,
+        rate: Math.round(totalFiles / elapsedSeconds * 10) / 10
       });
+    }
 
-    } while (pageToken);
-
-    if (checkpoint) {
-      checkpointRepository.markCompleted(checkpoint.id, totalFiles);
+    if (halted === JOB_STATUS.CANCELLED) {
+      throw stopped || new JobStoppedError(halted);
     }
 
-    logger.info('Full sync completed', { syncId, totalFiles, pages: pageCount });
+    if (nextPageToken) {
+      logger.debug('Sync page committed', { syncId, page, filesInPage: files.length, totalFiles, nextJobId });
+      return { page, filesInPage: files.length, totalFiles, hasMore: true, nextJobId };
+    }
 
-    return { totalFiles, pages: pageCount };
+    logger.info('Full sync completed', { syncId, totalFiles, pages: page, filesRemoved });
+    return { totalFiles, pages: page, filesRemoved, hasMore: false };
   };
 }
 
-function createIncrementalSyncHandler(driveClient, fileRepository, checkpointRepository) {
-  return async (payload, job) => {
-    const { syncId, startPageToken } = payload;
+const DELETE_MODES = {
+  TOMBSTONE: 'tombstone',
+  HARD: 'hard'
+};
 
-    logger.info('Starting incremental sync', { syncId });
+function createIncrementalSyncHandler(driveClient, fileRepository, checkpointRepository, syncStateRepository, options = {}) {
+  const deleteMode = options.deleteMode || DELETE_MODES.TOMBSTONE;
+  const retentionDays = options.tombstoneRetentionDays || 0;
+  const changeRetentionDays = options.changeRetentionDays || 0;
+  const jobRepository = options.jobRepository || null;
+
+  return async (payload, job, context = {}) => {
+    const { syncId, startPageToken, accountId = DEFAULT_ACCOUNT_ID, driveId = MY_DRIVE_ID } = payload;
+    const drive = resolveDriveClient(driveClient, accountId);
+    const reportProgress = progressReporter(context, { syncId, accountId, driveId, type: 'incremental' });
+
+    logger.info('Starting incremental sync', { syncId, accountId, driveId });
 
     let pageToken = startPageToken;
     let totalChanges = 0;
+    let filesRemoved = 0;
+    let filesTrashed = 0;
     let newStartToken = null;
 
     const checkpoint = checkpointRepository.findBySyncId(syncId);
     if (checkpoint && checkpoint.pageToken) {
       pageToken = checkpoint.pageToken;
       totalChanges = checkpoint.filesProcessed || 0;
+      filesRemoved = checkpoint.filesRemoved || 0;
+      filesTrashed = checkpoint.filesTrashed || 0;
     }
 
     do {
-      const response = await driveClient.getChanges(pageToken);
+      throwIfStopped(context, checkpointRepository, syncId);
+      const response = await drive.getChanges(pageToken, { driveId, signal: context.signal });
       const changes = response.data.changes || [];
+      pageToken = response.data.nextPageToken;
+      newStartToken = response.data.newStartPageToken;
+
+      // file events are only worked out when someone listens, and sent once the page is committed
+      const fileEvents = context.publish ? [] : null;
+      const known = (fileId) => (fileEvents ? fileRepository.findById(fileId, accountId) : null);
+
+      commitPage(fileRepository, () => {
+        throwIfTakenOver(jobRepository, job);
+        for (const change of changes) {
+          if (change.removed) {
+            // file was deleted or we lost access to it
+            const before = known(change.fileId);
+            const affected = deleteMode === DELETE_MODES.HARD
+              ? fileRepository.deleteById(change.fileId, accountId, { syncId })
+              : fileRepository.markDeleted(change.fileId, accountId, { syncId });
+            filesRemoved += affected;
+            if (fileEvents && affected > 0) {
+              fileEvents.push(['file:removed', describeFile(before || { id: change.fileId }, { syncId, reason: 'removed' })]);
+            }
+            logger.debug('File removed', { fileId: change.fileId, deleteMode });
+          } else if (change.file && change.file.trashed) {
+            const before = known(change.file.id);
+            if (deleteMode === DELETE_MODES.HARD) {
+              fileRepository.deleteById(change.file.id, accountId, { syncId });
+            } else {
+              fileRepository.upsert(change.file, accountId, { syncId });
+            }
+            filesTrashed++;
+            if (fileEvents && before && !before.trashed && !before.deletedAt) {
+              fileEvents.push(['file:removed', describeFile(before, { syncId, reason: 'trashed' })]);
+            }
+          } else if (change.file) {
+            const before = known(change.file.id);
+            fileRepository.upsert(change.file, accountId, { syncId });
+            if (fileEvents) {
+              // a file back from the trash is new again to anyone who dropped it
+              const type = before && !before.trashed && !before.deletedAt ? 'file:changed' : 'file:added';
+              fileEvents.push([type, describeFile(known(change.file.id), { syncId })]);
+            }
+          }
+          totalChanges++;
+        }
 
-      for (const change of changes) {
-        if (change.removed) {
-          // file was deleted
-          logger.debug('File removed', { fileId: change.fileId });
-        } else if (change.file && !change.file.trashed) {
-          fileRepository.upsert(change.file);
+        if (checkpoint) {
+          checkpointRepository.updateProgress(checkpoint.id, pageToken || newStartToken, totalChanges, {
+            filesRemoved,
+            filesTrashed
+          });
         }
-        totalChanges++;
+      });
+      for (const [type, data] of fileEvents || []) {
+        context.publish(type, data);
       }
+      reportProgress(changes.length, totalChanges);
+    } while (pageToken);
 
-      pageToken = response.data.nextPageToken;
-      newStartToken = response.data.newStartPageToken;
+    let tombstonesPurged = 0;
+    if (deleteMode === DELETE_MODES.TOMBSTONE && retentionDays > 0) {
+      const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+      tombstonesPurged = fileRepository.purgeDeleted(cutoff, accountId);
+    }
+    if (changeRetentionDays > 0) {
+      const cutoff = new Date(Date.now() - changeRetentionDays * 24 * 60 * 60 * 1000).toISOString();
+      fileRepository.changeLog.purge(cutoff);
+    }
 
+    commitPage(fileRepository, () => {
+      throwIfTakenOver(jobRepository, job);
+      // paused or cancelled after the last page: a paused sync finishes on resume,
+      // a cancelled one never moves the change token
+      throwIfStopped(context, checkpointRepository, syncId);
+      if (syncStateRepository && newStartToken) {
+        syncStateRepository.saveChangeToken(newStartToken, syncId, accountId, driveId);
+      }
       if (checkpoint) {
-        checkpointRepository.updateProgress(checkpoint.id, pageToken || newStartToken, totalChanges);
+        checkpointRepository.markCompleted(checkpoint.id, totalChanges);
       }
+    });
 
-    } while (pageToken);
+    logger.info('Incremental sync completed', { syncId, totalChanges, filesRemoved, filesTrashed });
+
+    return {
+      totalChanges,
+      filesRemoved,
+      filesTrashed,
+      tombstonesPurged,
+      newStartPageToken: newStartToken
+    };
+  };
+}
+
+// drive names can contain anything, local filesystems can't
+function sanitizeSegment(name) {
+  const cleaned = String(name || '')
+    .replace(/[\/\\:*?"<>|\x00-\x1f]/g, '_')
+    .trim();
+  if (!cleaned || cleaned === '.' || cleaned === '..') {
+    return '_';
+  }
+  return cleaned;
+}
+
+// shared drive content sits next to the user's own tree, like drive for desktop does it
+const SHARED_DRIVES_DIR = 'Shared drives';
+
+function buildMirrorPath(fileRepository, file, driveRepository = null) {
+  const folders = fileRepository.findAncestors(file.id, file.accountId).map(f => sanitizeSegment(f.name));
 
-    if (checkpoint) {
-      checkpointRepository.markCompleted(checkpoint.id, totalChanges);
+  // drive allows duplicate names in one folder, disambiguate with the file id
+  let fileName = sanitizeSegment(file.name);
+  if (file.parentId) {
+    const siblings = fileRepository.findByParentId(file.parentId, file.accountId);
+    const duplicates = siblings.filter(s => s.id !== file.id && s.name === file.name);
+    if (duplicates.length > 0) {
+      const ext = path.extname(fileName);
+      fileName = `${path.basename(fileName, ext)} (${file.id})${ext}`;
     }
+  }
 
-    logger.info('Incremental sync completed', { syncId, totalChanges });
+  const root = [sanitizeSegment(file.accountId)];
+  if (isSharedDrive(file.driveId)) {
+    const drive = driveRepository?.findById(file.driveId, file.accountId);
+    root.push(SHARED_DRIVES_DIR, sanitizeSegment(drive?.name || file.driveId));
+  }
 
-    return { totalChanges, newStartPageToken: newStartToken };
+  // each account gets its own tree so shared files don't collide
+  return path.join(...root, ...folders, fileName);
+}
+
+function createDownloadFileHandler(driveClient, fileRepository, options = {}) {
+  const mirrorDir = options.mirrorDir;
+  const driveRepository = options.driveRepository || null;
+
+  return async (payload, job, context = {}) => {
+    const { fileId, accountId = DEFAULT_ACCOUNT_ID } = payload;
+
+    const file = fileRepository.findById(fileId, accountId);
+    if (!file) {
+      logger.warn('File to download no longer exists', { fileId });
+      return { skipped: true, reason: 'not_found' };
+    }
+
+    if (!isDownloadable(file.mimeType)) {
+      fileRepository.setDownloadStatus(fileId, DOWNLOAD_STATUS.SKIPPED, null, accountId);
+      return { skipped: true, reason: 'not_downloadable' };
+    }
+
+    const localPath = path.join(mirrorDir, buildMirrorPath(fileRepository, file, driveRepository));
+    const tempPath = `${localPath}.part`;
+
+    try {
+      await fs.promises.mkdir(path.dirname(localPath), { recursive: true });
+
+      const response = await resolveDriveClient(driveClient, accountId).downloadFile(fileId, { signal: context.signal });
+
+      const hash = crypto.createHash('md5');
+      let localSize = 0;
+      const hasher = new Transform({
+        transform(chunk, encoding, callback) {
+          hash.update(chunk);
+          localSize += chunk.length;
+          callback(null, chunk);
+        }
+      });
+
+      try {
+        await pipeline(response.data, hasher, fs.createWriteStream(tempPath), { signal: context.signal });
+      } catch (err) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw err;
+      }
+
+      const checksum = hash.digest('hex');
+      if (file.md5Checksum && checksum !== file.md5Checksum) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw new Error(`Checksum mismatch for ${fileId}: expected ${file.md5Checksum}, got ${checksum}`);
+      }
+
+      await fs.promises.rename(tempPath, localPath);
+
+      // file was renamed or moved since the last download
+      if (file.localPath && file.localPath !== localPath) {
+        await fs.promises.rm(file.localPath, { force: true });
+      }
+
+      fileRepository.markDownloaded(fileId, { localPath, localSize }, accountId);
+      logger.debug('File downloaded', { fileId, accountId, localPath, localSize });
+
+      return { localPath, localSize, checksum };
+    } catch (err) {
+      fileRepository.setDownloadStatus(fileId, DOWNLOAD_STATUS.FAILED, err.message, accountId);
+      throw err;
+    }
   };
 }
 
 module.exports = {
   JOB_TYPES,
+  SYNC_JOB_TYPES,
+  completesSync,
+  DELETE_MODES,
+  resolveDriveClient,
+  createDownloadFileHandler,
   createSyncPageHandler,
-  createFullSyncHandler,
   createIncrementalSyncHandler
 };
@@ -1,15 +1,25 @@
 const JobRunner = require('./jobRunner');
+const { JobStoppedError } = require('./errors');
 const {
   JOB_TYPES,
+  SYNC_JOB_TYPES,
+  completesSync,
+  DELETE_MODES,
+  resolveDriveClient,
   createSyncPageHandler,
-  createFullSyncHandler,
-  createIncrementalSyncHandler
+  createIncrementalSyncHandler,
+  createDownloadFileHandler
 } = require('./handlers');
 
 module.exports = {
   JobRunner,
+  JobStoppedError,
   JOB_TYPES,
+  SYNC_JOB_TYPES,
+  completesSync,
+  DELETE_MODES,
+  resolveDriveClient,
   createSyncPageHandler,
-  createFullSyncHandler,
-  createIncrementalSyncHandler
+  createIncrementalSyncHandler,
+  createDownloadFileHandler
 };
@@ -1,18 +1,36 @@
 const EventEmitter = require('events');
+const os = require('os');
 const logger = require('../utils/logger');
 const config = require('../config');
+const { JOB_STATUS, CANCELLABLE_STATUSES } = require('../persistence');
+const { JobStoppedError } = require('./errors');
+
+// unique per runner, also across restarts of the same process id
+function generateWorkerId() {
+  return `${os.hostname()}-${process.pid}-${Math.random().toString(36).substr(2, 5)}`;
+}
 
 class JobRunner extends EventEmitter {
-  constructor(jobRepository, handlers = {}) {
+  constructor(jobRepository, handlers = {}, options = {}) {
     super();
     this.jobRepo = jobRepository;
     this.handlers = handlers;
+    // jobs are claimed under this id, and the worker registry lists it with them
+    this.workerId = options.workerId || config.jobs.workerId || generateWorkerId();
+    this.workerRepo = options.workerRepository || null;
     this.running = false;
     this.activeJobs = new Map();
+    // abort controllers of the running jobs, by job id
+    this.controllers = new Map();
     this.concurrency = config.sync.concurrency;
     this.pollInterval = 1000;
     this.pollTimer = null;
     this.paused = false;
+    // running jobs hold a lease that a heartbeat renews a few times per lease
+    this.leaseMs = config.jobs.leaseMs;
+    this.heartbeatTimer = null;
+    this.reapInterval = config.jobs.reapIntervalMs;
+    this.reapTimer = null;
   }
 
   registerHandler(type, handler) {
@@ -28,17 +46,38 @@ class JobRunner extends EventEmitter {
 
     this.running = true;
     this.paused = false;
-    logger.info('Job runner started', { concurrency: this.concurrency });
+    if (this.workerRepo) {
+      this.workerRepo.prune();
+      this.workerRepo.register({
+        id: this.workerId,
+        hostname: os.hostname(),
+        pid: process.pid,
+        concurrency: this.concurrency
+      });
+    }
+    logger.info('Job runner started', { workerId: this.workerId, concurrency: this.concurrency });
+    // jobs a runner that died left running are picked up again before anything new
+    this._reapLoop();
+    this._heartbeatLoop();
     this._poll();
   }
 
+  // jobs still running keep going, but their leases lapse and the reaper
+  // requeues them, which is what happens to them in a shutdown anyway
   stop() {
+    const wasRunning = this.running;
     this.running = false;
-    if (this.pollTimer) {
-      clearTimeout(this.pollTimer);
-      this.pollTimer = null;
+    for (const timer of ['pollTimer', 'heartbeatTimer', 'reapTimer']) {
+      if (this[timer]) {
+        clearTimeout(this[timer]);
+        this[timer] = null;
+      }
     }
-    logger.info('Job runner stopped');
+    // a runner that never started (the api role's) never registered
+    if (this.workerRepo && wasRunning) {
+      this.workerRepo.markStopped(this.workerId);
+    }
+    logger.info('Job runner stopped', { workerId: this.workerId });
   }
 
   pause() {
@@ -53,59 +92,222 @@ class JobRunner extends EventEmitter {
 
   async _poll() {
     if (!this.running) return;
+    this._claim();
+    this.pollTimer = setTimeout(() => this._poll(), this.pollInterval);
+  }
 
+  _claim() {
     try {
       if (!this.paused && this.activeJobs.size < this.concurrency) {
         const availableSlots = this.concurrency - this.activeJobs.size;
-        const jobs = this.jobRepo.findPendingJobs(availableSlots);
+        // claimed jobs are ours to run: no other worker on the database got them
+        const jobs = this.jobRepo.claimPending(this.workerId, availableSlots, this.leaseMs);
 
         for (const job of jobs) {
-          if (this.activeJobs.size >= this.concurrency) break;
           this._processJob(job);
         }
       }
     } catch (err) {
       logger.error('Error polling for jobs', { error: err.message });
     }
+  }
 
-    this.pollTimer = setTimeout(() => this._poll(), this.pollInterval);
+  _heartbeatLoop() {
+    if (!this.running) return;
+    this.heartbeat();
+    this.heartbeatTimer = setTimeout(() => this._heartbeatLoop(), this.leaseMs / 3);
+  }
+
+  _reapLoop() {
+    if (!this.running) return;
+    try {
+      this.reap();
+    } catch (err) {
+      logger.error('Error reaping jobs', { error: err.message });
+    }
+    this.reapTimer = setTimeout(() => this._reapLoop(), this.reapInterval);
   }
 
+  // renews the leases of the jobs running here. a job whose row says it isn't
+  // running here anymore was cancelled or reaped elsewhere (and maybe claimed
+  // by another worker), and its handler is stopped; whoever did that has
+  // recorded and announced it already
+  heartbeat() {
+    if (this.workerRepo) {
+      try {
+        this.workerRepo.heartbeat(this.workerId, this.concurrency);
+      } catch (err) {
+        logger.error('Worker heartbeat failed', { workerId: this.workerId, error: err.message });
+      }
+    }
+
+    for (const [jobId, controller] of this.controllers) {
+      try {
+        if (this.jobRepo.heartbeat(jobId, this.leaseMs, { workerId: this.workerId }) > 0) continue;
+        const current = this.jobRepo.findById(jobId);
+        logger.warn('Job is no longer running here, stopping it', {
+          id: jobId,
+          status: current?.status,
+          workerId: current?.workerId
+        });
+        controller.abort(new JobStoppedError(null));
+      } catch (err) {
+        logger.error('Job heartbeat failed', { id: jobId, error: err.message });
+      }
+    }
+  }
+
+  // requeues running jobs whose lease expired, or dead-letters them when that
+  // was their last attempt; returns them
+  reap() {
+    // ours are alive, whatever the timers did
+    this.heartbeat();
+
+    const reaped = this.jobRepo.reapExpired();
+    for (const job of reaped) {
+      logger.warn('Reaped job with an expired lease', {
+        id: job.id,
+        type: job.type,
+        attempts: job.attempts,
+        status: job.status
+      });
+      this.emit('job:reaped', job);
+      if (job.status === JOB_STATUS.DEAD) {
+        this.emit('job:failed', job, new Error(job.lastError));
+      }
+    }
+    return reaped;
+  }
+
+  // job was claimed by this runner and is already marked running
   async _processJob(job) {
+    const fence = { workerId: this.workerId };
     const handler = this.handlers[job.type];
     if (!handler) {
       logger.error('No handler registered for job type', { type: job.type });
-      this.jobRepo.markFailed(job.id, `No handler for type: ${job.type}`);
+      this.jobRepo.markFailed(job.id, `No handler for type: ${job.type}`, fence);
       return;
     }
 
+    const controller = new AbortController();
     this.activeJobs.set(job.id, job);
-    this.jobRepo.markRunning(job.id);
+    this.controllers.set(job.id, controller);
     this.emit('job:started', job);
 
     logger.debug('Processing job', { id: job.id, type: job.type, attempt: job.attempts + 1 });
 
+    // handlers report progress and events through the context; the runner only relays them.
+    // signal is aborted when the job is to stop, handlers check it between units of work
+    const context = {
+      signal: controller.signal,
+      progress: (data) => this.emit('job:progress', job, data),
+      publish: (type, data) => this.emit('job:event', job, type, data)
+    };
+
     try {
-      const result = await handler(job.payload, job);
-      this.jobRepo.markCompleted(job.id);
+      const result = await handler(job.payload, job, context);
+      if (this.jobRepo.markCompleted(job.id, fence) === 0) {
+        this._takenOver(job);
+        return;
+      }
       this.emit('job:completed', job, result);
       logger.debug('Job completed', { id: job.id, type: job.type });
     } catch (err) {
+      // handlers may wrap the error an aborted request failed with
+      const stopped = err instanceof JobStoppedError ? err : controller.signal.aborted && controller.signal.reason;
+      if (stopped instanceof JobStoppedError && !stopped.status) {
+        logger.info('Job stopped, the queue has it again', { id: job.id, type: job.type });
+        return;
+      }
+      if (stopped instanceof JobStoppedError) {
+        if (this.jobRepo.markStopped(job.id, stopped.status, fence) === 0) {
+          this._takenOver(job);
+          return;
+        }
+        this.emit(`job:${stopped.status}`, job);
+        logger.info('Job stopped', { id: job.id, type: job.type, status: stopped.status });
+        return;
+      }
+
       logger.error('Job failed', { id: job.id, type: job.type, error: err.message });
 
       const updatedJob = this.jobRepo.findById(job.id);
       if (updatedJob && updatedJob.attempts < updatedJob.maxAttempts) {
         const delay = this._calculateRetryDelay(updatedJob.attempts);
-        this.jobRepo.markFailed(job.id, err.message);
-        this.jobRepo.reschedule(job.id, delay);
+        if (this.jobRepo.retryLater(job.id, err.message, delay, fence) === 0) {
+          this._takenOver(job);
+          return;
+        }
         this.emit('job:retry', job, err, delay);
       } else {
-        this.jobRepo.markFailed(job.id, err.message);
+        if (this.jobRepo.markFailed(job.id, err.message, fence) === 0) {
+          this._takenOver(job);
+          return;
+        }
         this.emit('job:failed', job, err);
       }
     } finally {
       this.activeJobs.delete(job.id);
+      this.controllers.delete(job.id);
+      this._pollSoon();
+    }
+  }
+
+  // a freed slot is filled straight away rather than at the next poll, so a
+  // chain of short jobs (a full sync's pages) doesn't wait a poll interval per link
+  _pollSoon() {
+    setImmediate(() => {
+      if (this.running) this._claim();
+    });
+  }
+
+  // the job was reaped or cancelled while it ran here: whoever has it now
+  // records how it ends, and what this run came to is dropped
+  _takenOver(job) {
+    logger.warn('Job is no longer held by this worker, dropping its outcome', {
+      id: job.id,
+      type: job.type,
+      workerId: this.workerId
+    });
+  }
+
+  // stops a job this runner is running, at the handler's next check; false
+  // when it isn't running here. status is the job status it ends in
+  abort(jobId, status) {
+    const controller = this.controllers.get(jobId);
+    if (!controller) return false;
+    controller.abort(new JobStoppedError(status));
+    return true;
+  }
+
+  // a job running here is aborted and ends cancelled once its handler stops
+  // ('cancelling'); any other job that isn't finished is cancelled right away
+  // ('cancelled'). null for a finished or unknown job
+  cancel(jobId) {
+    const job = this.jobRepo.findById(jobId);
+    if (!job || !CANCELLABLE_STATUSES.includes(job.status)) return null;
+
+    if (this.abort(jobId, JOB_STATUS.CANCELLED)) {
+      logger.info('Cancelling job', { id: jobId, type: job.type });
+      return 'cancelling';
+    }
+
+    this.jobRepo.markStopped(jobId, JOB_STATUS.CANCELLED);
+    this.emit('job:cancelled', job);
+    logger.info('Job cancelled', { id: jobId, type: job.type, was: job.status });
+    return JOB_STATUS.CANCELLED;
+  }
+
+  // filter is what JobRepository.findMatching takes, limited to jobs that can be cancelled
+  cancelMatching(filter = {}) {
+    const statuses = filter.statuses?.length ? filter.statuses : CANCELLABLE_STATUSES;
+    const result = { cancelled: [], cancelling: [] };
+    for (const job of this.jobRepo.findMatching({ ...filter, statuses })) {
+      const outcome = this.cancel(job.id);
+      if (outcome === JOB_STATUS.CANCELLED) result.cancelled.push(job.id);
+      if (outcome === 'cancelling') result.cancelling.push(job.id);
     }
+    return result;
   }
 
   _calculateRetryDelay(attempts) {
@@ -117,13 +319,20 @@ class JobRunner extends EventEmitter {
     return Array.from(this.activeJobs.values());
   }
 
-  getStats() {
+  // running and paused are the runner's own state; the jobs in those statuses
+  // are counted in byStatus with all the others
+  getStats(accountId = null) {
+    const { deadLetter, reaped, ...byStatus } = this.jobRepo.getStats(accountId);
     return {
+      ...byStatus,
+      workerId: this.workerId,
       running: this.running,
       paused: this.paused,
       activeJobs: this.activeJobs.size,
       concurrency: this.concurrency,
-      ...this.jobRepo.getStats()
+      byStatus,
+      deadLetter,
+      reaped
     };
   }
 
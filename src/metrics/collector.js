@@ -0,0 +1,100 @@
+const { JOB_STATUS } = require('../persistence');
+const { SYNC_JOB_TYPES, completesSync } = require('../jobs');
+const { registry: defaultRegistry, metrics: defaultMetrics } = require('./metrics');
+
+// job and sync metrics from job runner events, queue gauges read from the
+// database at scrape time
+class MetricsCollector {
+  constructor(options) {
+    this.jobRepo = options.jobRepository;
+    this.checkpointRepo = options.checkpointRepository || null;
+    this.registry = options.registry || defaultRegistry;
+    this.metrics = options.metrics || defaultMetrics;
+    this.jobStartedAt = new Map();
+    this.detachers = [];
+  }
+
+  attach(jobRunner) {
+    const listen = (type, listener) => {
+      jobRunner.on(type, listener);
+      this.detachers.push(() => jobRunner.off(type, listener));
+    };
+
+    listen('job:started', (job) => {
+      this.jobStartedAt.set(job.id, Date.now());
+    });
+    listen('job:completed', (job, result) => {
+      this._jobFinished(job, 'completed');
+      if (completesSync(job, result)) {
+        this._syncFinished(job, 'completed', result);
+      }
+    });
+    listen('job:retry', (job) => {
+      this._jobFinished(job, 'retry');
+      this.metrics.jobRetries.inc({ type: job.type });
+    });
+    listen('job:failed', (job) => {
+      this._jobFinished(job, 'failed');
+      this._syncFinished(job, 'failed');
+    });
+    // the sync's clock keeps running until it is resumed and finishes
+    listen('job:paused', (job) => {
+      this._jobFinished(job, 'paused');
+    });
+    listen('job:reaped', (job) => {
+      this.metrics.jobsReaped.inc({ type: job.type, outcome: job.status });
+    });
+    listen('job:cancelled', (job) => {
+      this._jobFinished(job, 'cancelled');
+      this._syncFinished(job, 'cancelled');
+    });
+
+    this.detachers.push(this.registry.addCollector(() => this.collectQueue()));
+  }
+
+  detach() {
+    for (const detach of this.detachers) detach();
+    this.detachers = [];
+  }
+
+  collectQueue() {
+    const stats = this.jobRepo.getStats();
+    for (const status of Object.values(JOB_STATUS)) {
+      this.metrics.jobs.set({ status }, stats[status] || 0);
+    }
+    this.metrics.deadLetterJobs.set({}, stats.deadLetter || 0);
+  }
+
+  _syncId(job) {
+    return SYNC_JOB_TYPES[job.type] ? job.payload?.syncId || null : null;
+  }
+
+  _jobFinished(job, outcome) {
+    const startedAt = this.jobStartedAt.get(job.id);
+    if (startedAt === undefined) return;
+    this.jobStartedAt.delete(job.id);
+    this.metrics.jobDuration.observe({ type: job.type, outcome }, (Date.now() - startedAt) / 1000);
+  }
+
+  _syncFinished(job, outcome, result = null) {
+    const syncId = this._syncId(job);
+    if (!syncId) return;
+
+    // timed from the sync's checkpoint, which every process shares: the pages,
+    // retries and resumes of one sync may each run on a different worker
+    const type = SYNC_JOB_TYPES[job.type];
+    const checkpoint = this.checkpointRepo?.findBySyncId(syncId);
+    if (checkpoint) {
+      const seconds = Math.max(Date.now() - Date.parse(checkpoint.startedAt), 0) / 1000;
+      this.metrics.syncDuration.observe({ type, outcome }, seconds);
+    }
+
+    if (result) {
+      const files = result.totalFiles ?? result.totalChanges ?? 0;
+      this.metrics.syncFiles.observe({ type }, files);
+      this.metrics.filesSynced.inc({ type }, files);
+    }
+  }
+}
+
+module.exports = MetricsCollector;
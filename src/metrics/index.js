@@ -0,0 +1,14 @@
+const { Registry, Counter, Gauge, Histogram, DEFAULT_BUCKETS } = require('./registry');
+const { registry, metrics } = require('./metrics');
+const MetricsCollector = require('./collector');
+
+module.exports = {
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
+  DEFAULT_BUCKETS,
+  registry,
+  metrics,
+  MetricsCollector
+};
@@ -0,0 +1,80 @@
+const { Registry } = require('./registry');
+
+// the process-wide registry behind GET /metrics
+const registry = new Registry();
+
+const PREFIX = 'gdrive_sync_';
+
+// from a quick page fetch to a multi-hour first sync of a large drive
+const JOB_BUCKETS = [0.05, 0.1, 0.5, 1, 5, 15, 30, 60, 300, 900, 1800, 3600];
+const SYNC_BUCKETS = [1, 5, 15, 30, 60, 300, 900, 1800, 3600, 10800, 21600];
+const FILE_COUNT_BUCKETS = [0, 10, 100, 1000, 10000, 100000, 1000000];
+
+const metrics = {
+  driveRequests: registry.counter(
+    `${PREFIX}drive_requests_total`,
+    'Drive API requests by method and HTTP status',
+    { labelNames: ['method', 'status'] }
+  ),
+  driveRequestDuration: registry.histogram(
+    `${PREFIX}drive_request_duration_seconds`,
+    'Drive API request latency by method',
+    { labelNames: ['method'] }
+  ),
+  driveRetries: registry.counter(
+    `${PREFIX}drive_retries_total`,
+    'Drive API requests retried by the client, by method and reason (rate_limit, server_error)',
+    { labelNames: ['method', 'reason'] }
+  ),
+  driveRateLimitBackoffs: registry.counter(
+    `${PREFIX}drive_rate_limit_backoffs_total`,
+    'Times the Drive client backed off after a 403/429 rate limit response',
+    { labelNames: ['method'] }
+  ),
+  driveBackoffSeconds: registry.counter(
+    `${PREFIX}drive_backoff_seconds_total`,
+    'Time spent waiting before Drive API retries, by reason',
+    { labelNames: ['reason'] }
+  ),
+  jobDuration: registry.histogram(
+    `${PREFIX}job_duration_seconds`,
+    'Job run time by type and outcome (completed, retry, failed, paused, cancelled)',
+    { labelNames: ['type', 'outcome'], buckets: JOB_BUCKETS }
+  ),
+  jobRetries: registry.counter(
+    `${PREFIX}job_retries_total`,
+    'Failed job attempts that were scheduled for another try',
+    { labelNames: ['type'] }
+  ),
+  jobsReaped: registry.counter(
+    `${PREFIX}jobs_reaped_total`,
+    'Running jobs whose lease expired, by type and what became of them (pending, dead)',
+    { labelNames: ['type', 'outcome'] }
+  ),
+  jobs: registry.gauge(
+    `${PREFIX}jobs`,
+    'Jobs in the queue by status',
+    { labelNames: ['status'] }
+  ),
+  deadLetterJobs: registry.gauge(
+    `${PREFIX}dead_letter_jobs`,
+    'Jobs in the dead-letter queue'
+  ),
+  syncDuration: registry.histogram(
+    `${PREFIX}sync_duration_seconds`,
+    'Time from the start of a sync to its completion, failure or cancellation, by sync type and outcome',
+    { labelNames: ['type', 'outcome'], buckets: SYNC_BUCKETS }
+  ),
+  syncFiles: registry.histogram(
+    `${PREFIX}sync_files`,
+    'Files listed by a full sync or changes applied by an incremental sync',
+    { labelNames: ['type'], buckets: FILE_COUNT_BUCKETS }
+  ),
+  filesSynced: registry.counter(
+    `${PREFIX}files_synced_total`,
+    'Files listed or changes applied by completed syncs',
+    { labelNames: ['type'] }
+  )
+};
+
+module.exports = { registry, metrics };
@@ -0,0 +1,215 @@
+const logger = require('../utils/logger');
+
+// counters, gauges and histograms rendered in the prometheus text format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/)
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(help) {
+  return help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  // label values in declaration order; a missing label is an empty string
+  _key(labels) {
+    for (const name of Object.keys(labels)) {
+      if (!this.labelNames.includes(name)) {
+        throw new Error(`Unknown label ${name} for metric ${this.name}`);
+      }
+    }
+    return JSON.stringify(this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+  }
+
+  _pairs(key) {
+    const values = JSON.parse(key);
+    return this.labelNames.map((name, i) => [name, values[i]]);
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, value] of this.values) {
+      lines.push(...this._sampleLines(key, value));
+    }
+    return lines.join('\n');
+  }
+
+  _sampleLines(key, value) {
+    return [`${this.name}${formatLabels(this._pairs(key))} ${formatValue(value)}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} can only go up`);
+    }
+    const key = this._key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  get(labels = {}) {
+    return this.values.get(this._key(labels)) || 0;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.values.set(this._key(labels), value);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = this._key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  get(labels = {}) {
+    return this.values.get(this._key(labels)) || 0;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    if (labelNames.includes('le')) {
+      throw new Error('le is reserved for histogram buckets');
+    }
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = this._key(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+    // buckets are cumulative, so a value counts towards every bucket it fits in
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  // call the returned function when the timed work is done; returns seconds
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  get(labels = {}) {
+    const entry = this.values.get(this._key(labels));
+    return entry ? { sum: entry.sum, count: entry.count } : { sum: 0, count: 0 };
+  }
+
+  _sampleLines(key, entry) {
+    const pairs = this._pairs(key);
+    const lines = this.buckets.map((bound, i) =>
+      `${this.name}_bucket${formatLabels([...pairs, ['le', formatValue(bound)]])} ${entry.counts[i]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels([...pairs, ['le', '+Inf']])} ${entry.count}`);
+    lines.push(`${this.name}_sum${formatLabels(pairs)} ${formatValue(entry.sum)}`);
+    lines.push(`${this.name}_count${formatLabels(pairs)} ${entry.count}`);
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+    // run before every render, for values that are read rather than counted
+    this.collectors = new Set();
+  }
+
+  _register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, options = {}) {
+    return this._register(new Counter(name, help, options.labelNames));
+  }
+
+  gauge(name, help, options = {}) {
+    return this._register(new Gauge(name, help, options.labelNames));
+  }
+
+  histogram(name, help, options = {}) {
+    return this._register(new Histogram(name, help, options.labelNames, options.buckets));
+  }
+
+  getMetric(name) {
+    return this.metrics.get(name) || null;
+  }
+
+  addCollector(fn) {
+    this.collectors.add(fn);
+    return () => this.collectors.delete(fn);
+  }
+
+  // a failing collector leaves its gauges at their last values rather than failing the scrape
+  render() {
+    for (const collect of this.collectors) {
+      try {
+        collect();
+      } catch (err) {
+        logger.warn('Metrics collector failed', { error: err.message });
+      }
+    }
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n') + '\n';
+  }
+
+  reset() {
+    for (const metric of this.metrics.values()) {
+      metric.reset();
+    }
+  }
+}
+
+module.exports = { Registry, Counter, Gauge, Histogram, DEFAULT_BUCKETS };
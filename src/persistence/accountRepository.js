@@ -0,0 +1,59 @@
+const logger = require('../utils/logger');
+
+// account used by single-account installs and by anything that doesn't say otherwise
+const DEFAULT_ACCOUNT_ID = 'default';
+
+const ACCOUNT_ID_PATTERN = /^[A-Za-z0-9_.@-]{1,64}$/;
+
+function isValidAccountId(accountId) {
+  return typeof accountId === 'string' && ACCOUNT_ID_PATTERN.test(accountId);
+}
+
+class AccountRepository {
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+  }
+
+  register(id, details = {}) {
+    const now = new Date().toISOString();
+    this.dbManager.run(`
+      INSERT INTO accounts (id, email, display_name, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        email = COALESCE(excluded.email, email),
+        display_name = COALESCE(excluded.display_name, display_name),
+        updated_at = excluded.updated_at
+    `, [id, details.email || null, details.displayName || null, now, now]);
+    logger.debug('Account registered', { id });
+  }
+
+  findById(id) {
+    const row = this.dbManager.queryOne('SELECT * FROM accounts WHERE id = ?', [id]);
+    return row ? this._mapRow(row) : null;
+  }
+
+  findAll() {
+    const rows = this.dbManager.query('SELECT * FROM accounts ORDER BY created_at ASC', []);
+    return rows.map(r => this._mapRow(r));
+  }
+
+  delete(id) {
+    const existing = this.findById(id);
+    if (!existing) return false;
+    this.dbManager.run('DELETE FROM accounts WHERE id = ?', [id]);
+    logger.debug('Account deleted', { id });
+    return true;
+  }
+
+  _mapRow(row) {
+    return {
+      id: row.id,
+      email: row.email,
+      displayName: row.display_name,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = { AccountRepository, DEFAULT_ACCOUNT_ID, isValidAccountId };
@@ -1,10 +1,14 @@
 const logger = require('../utils/logger');
+const { DEFAULT_ACCOUNT_ID } = require('./accountRepository');
+const { MY_DRIVE_ID } = require('./driveRepository');
 
 const CHECKPOINT_STATUS = {
   IN_PROGRESS: 'in_progress',
   COMPLETED: 'completed',
   FAILED: 'failed',
-  PAUSED: 'paused'
+  PAUSED: 'paused',
+  // its job was cancelled; the sync is over and won't be resumed
+  CANCELLED: 'cancelled'
 };
 
 class CheckpointRepository {
@@ -12,12 +16,12 @@ class CheckpointRepository {
     this.dbManager = dbManager;
   }
 
-  create(syncId) {
+  create(syncId, accountId = DEFAULT_ACCOUNT_ID, driveId = MY_DRIVE_ID) {
     const now = new Date().toISOString();
     this.dbManager.run(`
-      INSERT INTO sync_checkpoints (sync_id, status, started_at, updated_at)
-      VALUES (?, ?, ?, ?)
-    `, [syncId, CHECKPOINT_STATUS.IN_PROGRESS, now, now]);
+      INSERT INTO sync_checkpoints (sync_id, account_id, drive_id, status, started_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [syncId, accountId, driveId, CHECKPOINT_STATUS.IN_PROGRESS, now, now]);
 
     // get the last inserted id
     const result = this.dbManager.queryOne(
@@ -25,7 +29,7 @@ class CheckpointRepository {
       [syncId]
     );
 
-    logger.debug('Checkpoint created', { syncId, id: result?.id });
+    logger.debug('Checkpoint created', { syncId, accountId, driveId, id: result?.id });
     return result?.id;
   }
 
@@ -36,31 +40,52 @@ class CheckpointRepository {
     return row ? this._mapRow(row) : null;
   }
 
-  findLatestInProgress() {
+  findLatestInProgress(accountId = null, driveId = null) {
+    const params = [CHECKPOINT_STATUS.IN_PROGRESS];
+    let scope = '';
+    if (accountId) {
+      scope += ' AND account_id = ?';
+      params.push(accountId);
+    }
+    if (driveId) {
+      scope += ' AND drive_id = ?';
+      params.push(driveId);
+    }
     const row = this.dbManager.queryOne(`
-      SELECT * FROM sync_checkpoints WHERE status = ? ORDER BY id DESC LIMIT 1
-    `, [CHECKPOINT_STATUS.IN_PROGRESS]);
+      SELECT * FROM sync_checkpoints WHERE status = ?${scope} ORDER BY id DESC LIMIT 1
+    `, params);
     return row ? this._mapRow(row) : null;
   }
 
-  updateProgress(id, pageToken, filesProcessed) {
+  updateProgress(id, pageToken, filesProcessed, counts = {}) {
     const now = new Date().toISOString();
     this.dbManager.run(`
       UPDATE sync_checkpoints
-      SET page_token = ?, files_processed = ?, updated_at = ?
+      SET page_token = ?, files_processed = ?,
+        files_removed = COALESCE(?, files_removed),
+        files_trashed = COALESCE(?, files_trashed),
+        updated_at = ?
       WHERE id = ?
-    `, [pageToken, filesProcessed, now, id]);
+    `, [
+      pageToken,
+      filesProcessed,
+      counts.filesRemoved ?? null,
+      counts.filesTrashed ?? null,
+      now,
+      id
+    ]);
     return 1;
   }
 
+  // a paused or cancelled sync isn't completed by a job that finishes late
   markCompleted(id, filesProcessed) {
     const now = new Date().toISOString();
-    this.dbManager.run(`
+    const { changes } = this.dbManager.run(`
       UPDATE sync_checkpoints
       SET status = ?, files_processed = ?, completed_at = ?, updated_at = ?
-      WHERE id = ?
-    `, [CHECKPOINT_STATUS.COMPLETED, filesProcessed, now, now, id]);
-    return 1;
+      WHERE id = ? AND status NOT IN (?, ?)
+    `, [CHECKPOINT_STATUS.COMPLETED, filesProcessed, now, now, id, CHECKPOINT_STATUS.CANCELLED, CHECKPOINT_STATUS.PAUSED]);
+    return changes;
   }
 
   markFailed(id, errorMessage) {
@@ -81,6 +106,14 @@ class CheckpointRepository {
     return 1;
   }
 
+  cancel(id) {
+    const now = new Date().toISOString();
+    this.dbManager.run(`
+      UPDATE sync_checkpoints SET status = ?, updated_at = ? WHERE id = ?
+    `, [CHECKPOINT_STATUS.CANCELLED, now, id]);
+    return 1;
+  }
+
   resume(id) {
     const now = new Date().toISOString();
     this.dbManager.run(`
@@ -109,10 +142,22 @@ class CheckpointRepository {
     return count;
   }
 
-  getHistory(limit = 20) {
+  getHistory(limit = 20, accountId = null, driveId = null) {
+    const params = [];
+    const conditions = [];
+    if (accountId) {
+      conditions.push('account_id = ?');
+      params.push(accountId);
+    }
+    if (driveId) {
+      conditions.push('drive_id = ?');
+      params.push(driveId);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(limit);
     const rows = this.dbManager.query(`
-      SELECT * FROM sync_checkpoints ORDER BY id DESC LIMIT ?
-    `, [limit]);
+      SELECT * FROM sync_checkpoints ${where} ORDER BY id DESC LIMIT ?
+    `, params);
     return rows.map(r => this._mapRow(r));
   }
 
@@ -120,8 +165,12 @@ class CheckpointRepository {
     return {
       id: row.id,
       syncId: row.sync_id,
+      accountId: row.account_id,
+      driveId: row.drive_id,
       pageToken: row.page_token,
       filesProcessed: row.files_processed,
+      filesRemoved: row.files_removed,
+      filesTrashed: row.files_trashed,
       status: row.status,
       startedAt: row.started_at,
       updatedAt: row.updated_at,
@@ -1,13 +1,15 @@
-const initSqlJs = require('sql.js');
 const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
+const { registerSearchFunctions } = require('./fileSearch');
+const { openStorage } = require('./storage');
+const { Migrator } = require('./migrator');
 
 class DatabaseManager {
-  constructor(dbPath) {
+  constructor(dbPath, options = {}) {
     this.dbPath = dbPath;
+    this.options = options;
     this.db = null;
-    this.SQL = null;
   }
 
   async init() {
@@ -16,105 +18,60 @@ class DatabaseManager {
       fs.mkdirSync(dir, { recursive: true });
     }
 
-    this.SQL = await initSqlJs();
+    this.db = await openStorage(this.dbPath, this.options);
+    registerSearchFunctions(this.db);
 
-    // load existing database if it exists
-    if (fs.existsSync(this.dbPath)) {
-      const buffer = fs.readFileSync(this.dbPath);
-      this.db = new this.SQL.Database(buffer);
-    } else {
-      this.db = new this.SQL.Database();
+    if (this.options.autoMigrate !== false) {
+      await this.migrate();
     }
+    logger.info('Database initialized', { path: this.dbPath, driver: this.db.driver });
+  }
+
+  pendingMigrations() {
+    return new Migrator(this).pending();
+  }
+
+  // brings the schema up to date (or to version `to`), backing the file up
+  // first when there is anything in it to lose
+  async migrate({ to } = {}) {
+    const migrator = new Migrator(this);
+    const pending = migrator.pending().filter(m => to === undefined || m.version <= to);
+    if (pending.length === 0) return [];
+
+    if (this.options.backupBeforeMigrate !== false && (migrator.currentVersion() > 0 || migrator.hasUntrackedSchema())) {
+      await this.backup(`v${migrator.currentVersion()}`);
+    }
+    return migrator.migrate({ to });
+  }
+
+  async rollback(options = {}) {
+    const migrator = new Migrator(this);
+    if (this.options.backupBeforeMigrate !== false && migrator.currentVersion() > 0) {
+      await this.backup(`v${migrator.currentVersion()}`);
+    }
+    return migrator.rollback(options);
+  }
 
-    this._createTables();
-    logger.info('Database initialized', { path: this.dbPath });
-  }
-
-  _createTables() {
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS files (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        mime_type TEXT,
-        size INTEGER,
-        parent_id TEXT,
-        modified_time TEXT,
-        created_time TEXT,
-        md5_checksum TEXT,
-        synced_at TEXT,
-        raw_metadata TEXT
-      )
-    `);
-
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS sync_checkpoints (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        sync_id TEXT NOT NULL,
-        page_token TEXT,
-        files_processed INTEGER DEFAULT 0,
-        status TEXT DEFAULT 'in_progress',
-        started_at TEXT,
-        updated_at TEXT,
-        completed_at TEXT,
-        error_message TEXT
-      )
-    `);
-
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS jobs (
-        id TEXT PRIMARY KEY,
-        type TEXT NOT NULL,
-        payload TEXT,
-        status TEXT DEFAULT 'pending',
-        priority INTEGER DEFAULT 0,
-        attempts INTEGER DEFAULT 0,
-        max_attempts INTEGER DEFAULT 5,
-        last_error TEXT,
-        created_at TEXT,
-        updated_at TEXT,
-        scheduled_at TEXT,
-        started_at TEXT,
-        completed_at TEXT
-      )
-    `);
-
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS dead_letter_queue (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        job_id TEXT NOT NULL,
-        job_type TEXT,
-        payload TEXT,
-        error_message TEXT,
-        failed_at TEXT
-      )
-    `);
-
-    this.db.run(`
-      CREATE TABLE IF NOT EXISTS tokens (
-        user_id TEXT PRIMARY KEY,
-        access_token TEXT,
-        refresh_token TEXT,
-        expiry_date INTEGER,
-        updated_at TEXT
-      )
-    `);
-
-    this.db.run(`CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status)`);
-    this.db.run(`CREATE INDEX IF NOT EXISTS idx_jobs_scheduled ON jobs(scheduled_at)`);
-    this.db.run(`CREATE INDEX IF NOT EXISTS idx_files_parent ON files(parent_id)`);
-    this.db.run(`CREATE INDEX IF NOT EXISTS idx_sync_checkpoints_sync_id ON sync_checkpoints(sync_id)`);
+  // copies the database next to itself; returns the backup path
+  async backup(label = 'manual') {
+    if (this.dbPath === ':memory:') return null;
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = `${this.dbPath}.${label}-${stamp}.bak`;
+    await this.db.backup(backupPath);
+    logger.info('Database backed up', { path: backupPath });
+    return backupPath;
   }
 
+  // persist pending writes now; only the sql.js driver buffers them
   save() {
-    const data = this.db.export();
-    const buffer = Buffer.from(data);
-    fs.writeFileSync(this.dbPath, buffer);
+    this.db.flush();
   }
 
   close() {
     if (this.db) {
-      this.save();
       this.db.close();
+      this.db = null;
       logger.info('Database connection closed');
     }
   }
@@ -123,16 +80,13 @@ class DatabaseManager {
     return this.db;
   }
 
+  get driver() {
+    return this.db ? this.db.driver : null;
+  }
+
   // helper for running queries that return results
   query(sql, params = []) {
-    const stmt = this.db.prepare(sql);
-    stmt.bind(params);
-    const results = [];
-    while (stmt.step()) {
-      results.push(stmt.getAsObject());
-    }
-    stmt.free();
-    return results;
+    return this.db.query(sql, params);
   }
 
   // helper for running queries that return a single row
@@ -141,18 +95,23 @@ class DatabaseManager {
     return results.length > 0 ? results[0] : null;
   }
 
-  // run a statement
+  // run a statement; returns { changes }
   run(sql, params = []) {
-    this.db.run(sql, params);
-    this.save();
+    return this.db.run(sql, params);
+  }
+
+  // runs fn in a transaction and returns its result. fn must be synchronous;
+  // nested calls join the outer transaction as savepoints
+  withTransaction(fn) {
+    return this.db.transaction(fn);
   }
 }
 
 let instance = null;
 
-async function getDatabase(dbPath) {
+async function getDatabase(dbPath, options = {}) {
   if (!instance) {
-    instance = new DatabaseManager(dbPath);
+    instance = new DatabaseManager(dbPath, options);
     await instance.init();
   }
   return instance;
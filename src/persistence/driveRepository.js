@@ -0,0 +1,71 @@
+const logger = require('../utils/logger');
+const { DEFAULT_ACCOUNT_ID } = require('./accountRepository');
+
+// the user's own drive; shared drives use the id google gives them
+const MY_DRIVE_ID = 'my-drive';
+
+// asks for every drive the account can see, one sync per drive
+const ALL_DRIVES = 'all';
+
+function isSharedDrive(driveId) {
+  return !!driveId && driveId !== MY_DRIVE_ID && driveId !== ALL_DRIVES;
+}
+
+// cached list of the shared drives each account can see
+class DriveRepository {
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+  }
+
+  // replaces the cached list, dropping drives the account lost access to
+  replaceAll(drives, accountId = DEFAULT_ACCOUNT_ID) {
+    const now = new Date().toISOString();
+    this.dbManager.run('DELETE FROM drives WHERE account_id = ?', [accountId]);
+
+    for (const drive of drives) {
+      this.dbManager.run(`
+        INSERT INTO drives (id, account_id, name, hidden, created_time, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [drive.id, accountId, drive.name || null, drive.hidden ? 1 : 0, drive.createdTime || null, now]);
+    }
+
+    logger.debug('Shared drives cached', { accountId, count: drives.length });
+    return drives.length;
+  }
+
+  findById(id, accountId = DEFAULT_ACCOUNT_ID) {
+    const row = this.dbManager.queryOne(
+      'SELECT * FROM drives WHERE id = ? AND account_id = ?',
+      [id, accountId]
+    );
+    return row ? this._mapRow(row) : null;
+  }
+
+  findAll(accountId = null) {
+    const rows = accountId
+      ? this.dbManager.query('SELECT * FROM drives WHERE account_id = ? ORDER BY name ASC', [accountId])
+      : this.dbManager.query('SELECT * FROM drives ORDER BY account_id ASC, name ASC', []);
+    return rows.map(r => this._mapRow(r));
+  }
+
+  deleteAll(accountId = null) {
+    if (accountId) {
+      this.dbManager.run('DELETE FROM drives WHERE account_id = ?', [accountId]);
+    } else {
+      this.dbManager.run('DELETE FROM drives', []);
+    }
+  }
+
+  _mapRow(row) {
+    return {
+      id: row.id,
+      accountId: row.account_id,
+      name: row.name,
+      hidden: !!row.hidden,
+      createdTime: row.created_time,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = { DriveRepository, MY_DRIVE_ID, ALL_DRIVES, isSharedDrive };
@@ -0,0 +1,86 @@
+// the log behind /events. types may be given as prefixes ending in '*', e.g. 'job:*'
+class EventRepository {
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+  }
+
+  append({ type, accountId = null, syncId = null, jobId = null, data = null }) {
+    const createdAt = new Date().toISOString();
+    this.dbManager.run(`
+      INSERT INTO events (type, account_id, sync_id, job_id, data, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [type, accountId, syncId, jobId, data === null ? null : JSON.stringify(data), createdAt]);
+    const { id } = this.dbManager.queryOne('SELECT last_insert_rowid() AS id');
+    return { id, type, accountId, syncId, jobId, data, createdAt };
+  }
+
+  findAfter(afterId = 0, filter = {}, limit = 500) {
+    const conditions = ['id > ?'];
+    const params = [afterId];
+
+    if (filter.syncId) {
+      conditions.push('sync_id = ?');
+      params.push(filter.syncId);
+    }
+    if (filter.accountId) {
+      conditions.push('account_id = ?');
+      params.push(filter.accountId);
+    }
+    if (filter.types && filter.types.length > 0) {
+      const matches = filter.types.map(type => {
+        if (type.endsWith('*')) {
+          params.push(type.slice(0, -1).replace(/[\\%_]/g, '\\$&') + '%');
+          return "type LIKE ? ESCAPE '\\'";
+        }
+        params.push(type);
+        return 'type = ?';
+      });
+      conditions.push(`(${matches.join(' OR ')})`);
+    }
+
+    params.push(limit);
+    const rows = this.dbManager.query(
+      `SELECT * FROM events WHERE ${conditions.join(' AND ')} ORDER BY id ASC LIMIT ?`,
+      params
+    );
+    return rows.map(r => this._mapRow(r));
+  }
+
+  oldestId() {
+    const row = this.dbManager.queryOne('SELECT MIN(id) as id FROM events');
+    return row?.id ?? null;
+  }
+
+  latestId() {
+    const row = this.dbManager.queryOne('SELECT MAX(id) as id FROM events');
+    return row?.id ?? 0;
+  }
+
+  // keeps the newest `keep` events
+  prune(keep) {
+    const { changes } = this.dbManager.run(
+      'DELETE FROM events WHERE id <= (SELECT MAX(id) FROM events) - ?',
+      [keep]
+    );
+    return changes;
+  }
+
+  deleteAll() {
+    const { changes } = this.dbManager.run('DELETE FROM events', []);
+    return changes;
+  }
+
+  _mapRow(row) {
+    return {
+      id: row.id,
+      type: row.type,
+      accountId: row.account_id,
+      syncId: row.sync_id,
+      jobId: row.job_id,
+      data: row.data ? JSON.parse(row.data) : null,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = EventRepository;
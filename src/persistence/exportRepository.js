@@ -0,0 +1,137 @@
+const logger = require('../utils/logger');
+
+function generateId() {
+  return 'exp_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+const EXPORT_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+class ExportRepository {
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+  }
+
+  create({ accountId, driveId = null, format, columns, filters, sort = 'id', order = 'asc' }) {
+    const id = generateId();
+    const now = new Date().toISOString();
+
+    this.dbManager.run(`
+      INSERT INTO exports (
+        id, account_id, drive_id, format, columns, filters, sort, sort_order, status, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id,
+      accountId,
+      driveId,
+      format,
+      JSON.stringify(columns),
+      JSON.stringify(filters),
+      sort,
+      order,
+      EXPORT_STATUS.PENDING,
+      now,
+      now
+    ]);
+
+    logger.debug('Export created', { id, accountId, format });
+    return id;
+  }
+
+  findById(id) {
+    const row = this.dbManager.queryOne('SELECT * FROM exports WHERE id = ?', [id]);
+    return row ? this._mapRow(row) : null;
+  }
+
+  // newest first
+  findAll({ accountId = null, status = null, limit = 100 } = {}) {
+    const conditions = ['1 = 1'];
+    const params = [];
+    if (accountId) {
+      conditions.push('account_id = ?');
+      params.push(accountId);
+    }
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    params.push(limit);
+
+    const rows = this.dbManager.query(
+      `SELECT * FROM exports WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC, id DESC LIMIT ?`,
+      params
+    );
+    return rows.map(r => this._mapRow(r));
+  }
+
+  setJob(id, jobId) {
+    this.dbManager.run(
+      'UPDATE exports SET job_id = ?, updated_at = ? WHERE id = ?',
+      [jobId, new Date().toISOString(), id]
+    );
+  }
+
+  // a retried export starts over, so the counts are reset
+  markRunning(id) {
+    this.dbManager.run(`
+      UPDATE exports SET status = ?, row_count = 0, bytes = 0, error = NULL, updated_at = ? WHERE id = ?
+    `, [EXPORT_STATUS.RUNNING, new Date().toISOString(), id]);
+  }
+
+  updateProgress(id, rowCount) {
+    this.dbManager.run(
+      'UPDATE exports SET row_count = ?, updated_at = ? WHERE id = ?',
+      [rowCount, new Date().toISOString(), id]
+    );
+  }
+
+  markCompleted(id, { filePath, rowCount, bytes }) {
+    const now = new Date().toISOString();
+    this.dbManager.run(`
+      UPDATE exports SET status = ?, file_path = ?, row_count = ?, bytes = ?, error = NULL,
+        updated_at = ?, completed_at = ?
+      WHERE id = ?
+    `, [EXPORT_STATUS.COMPLETED, filePath, rowCount, bytes, now, now, id]);
+  }
+
+  // status is pending while the job runner still has attempts left
+  markFailed(id, error, status = EXPORT_STATUS.FAILED) {
+    this.dbManager.run(
+      'UPDATE exports SET status = ?, error = ?, updated_at = ? WHERE id = ?',
+      [status, error, new Date().toISOString(), id]
+    );
+  }
+
+  delete(id) {
+    const { changes } = this.dbManager.run('DELETE FROM exports WHERE id = ?', [id]);
+    return changes > 0;
+  }
+
+  _mapRow(row) {
+    return {
+      id: row.id,
+      accountId: row.account_id,
+      driveId: row.drive_id,
+      format: row.format,
+      columns: JSON.parse(row.columns),
+      filters: JSON.parse(row.filters),
+      sort: row.sort,
+      order: row.sort_order,
+      status: row.status,
+      jobId: row.job_id,
+      filePath: row.file_path,
+      rowCount: row.row_count,
+      bytes: row.bytes,
+      error: row.error,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      completedAt: row.completed_at
+    };
+  }
+}
+
+module.exports = { ExportRepository, EXPORT_STATUS };
@@ -0,0 +1,154 @@
+const CHANGE_TYPES = {
+  ADDED: 'added',
+  MODIFIED: 'modified',
+  RENAMED: 'renamed',
+  MOVED: 'moved',
+  DELETED: 'deleted'
+};
+
+// path follows from name and parent, so on its own (a parent listed after
+// its children, a renamed ancestor) it isn't a change
+const COMPARED_FIELDS = ['name', 'parentId', 'mimeType', 'size', 'md5Checksum', 'modifiedTime'];
+
+// the fields kept as before/after values, from a files row
+function snapshotRow(row) {
+  return {
+    name: row.name,
+    parentId: row.parent_id ?? null,
+    path: row.path ?? null,
+    mimeType: row.mime_type ?? null,
+    size: row.size === null || row.size === undefined ? null : Number(row.size),
+    md5Checksum: row.md5_checksum ?? null,
+    modifiedTime: row.modified_time ?? null,
+    trashed: !!row.trashed
+  };
+}
+
+// before and after are snapshots, null for a file we didn't have (or had
+// tombstoned) and for one that's gone. a rename and a move in one go is a
+// move; fields lists everything that differs
+function classifyChange(before, after) {
+  if (!before && !after) return null;
+  if (!before) {
+    return after.trashed ? null : { changeType: CHANGE_TYPES.ADDED, fields: [] };
+  }
+  if (!after || (after.trashed && !before.trashed)) {
+    return { changeType: CHANGE_TYPES.DELETED, fields: [] };
+  }
+  if (before.trashed && !after.trashed) {
+    return { changeType: CHANGE_TYPES.ADDED, fields: [] };
+  }
+
+  const fields = COMPARED_FIELDS.filter(field => before[field] !== after[field]);
+  if (fields.length === 0 || after.trashed) return null;
+  if (fields.includes('parentId')) return { changeType: CHANGE_TYPES.MOVED, fields };
+  if (fields.includes('name')) return { changeType: CHANGE_TYPES.RENAMED, fields };
+  return { changeType: CHANGE_TYPES.MODIFIED, fields };
+}
+
+class FileChangeRepository {
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+  }
+
+  // records the change between two snapshots, if there is one
+  record({ accountId, driveId = null, fileId, syncId = null, before = null, after = null }) {
+    const change = classifyChange(before, after);
+    if (!change) return null;
+
+    this.dbManager.run(`
+      INSERT INTO file_changes (
+        account_id, drive_id, file_id, sync_id, change_type, fields, before_values, after_values, created_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      accountId,
+      driveId,
+      fileId,
+      syncId,
+      change.changeType,
+      JSON.stringify(change.fields),
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+      new Date().toISOString()
+    ]);
+    return change;
+  }
+
+  // oldest first, paged with the id of the last change seen
+  findBySync(syncId, options = {}) {
+    const conditions = ['sync_id = ?', 'id > ?'];
+    const params = [syncId, options.after || 0];
+
+    if (options.types && options.types.length > 0) {
+      conditions.push(`change_type IN (${options.types.map(() => '?').join(', ')})`);
+      params.push(...options.types);
+    }
+    if (options.fileId) {
+      conditions.push('file_id = ?');
+      params.push(options.fileId);
+    }
+
+    params.push(options.limit || 100);
+    const rows = this.dbManager.query(
+      `SELECT * FROM file_changes WHERE ${conditions.join(' AND ')} ORDER BY id ASC LIMIT ?`,
+      params
+    );
+    return rows.map(r => this._mapRow(r));
+  }
+
+  // change counts by type, every type present
+  summarizeSync(syncId) {
+    const summary = Object.fromEntries(Object.values(CHANGE_TYPES).map(type => [type, 0]));
+    const rows = this.dbManager.query(
+      'SELECT change_type, COUNT(*) as count FROM file_changes WHERE sync_id = ? GROUP BY change_type',
+      [syncId]
+    );
+    for (const row of rows) {
+      summary[row.change_type] = row.count;
+    }
+    summary.total = rows.reduce((sum, row) => sum + row.count, 0);
+    return summary;
+  }
+
+  // newest first
+  findByFile(fileId, accountId, limit = 100) {
+    const rows = this.dbManager.query(
+      'SELECT * FROM file_changes WHERE account_id = ? AND file_id = ? ORDER BY id DESC LIMIT ?',
+      [accountId, fileId, limit]
+    );
+    return rows.map(r => this._mapRow(r));
+  }
+
+  deleteBySync(syncId) {
+    const { changes } = this.dbManager.run('DELETE FROM file_changes WHERE sync_id = ?', [syncId]);
+    return changes;
+  }
+
+  purge(olderThan) {
+    const { changes } = this.dbManager.run('DELETE FROM file_changes WHERE created_at < ?', [olderThan]);
+    return changes;
+  }
+
+  deleteAll() {
+    const { changes } = this.dbManager.run('DELETE FROM file_changes', []);
+    return changes;
+  }
+
+  _mapRow(row) {
+    return {
+      id: row.id,
+      syncId: row.sync_id,
+      accountId: row.account_id,
+      driveId: row.drive_id,
+      fileId: row.file_id,
+      changeType: row.change_type,
+      fields: row.fields ? JSON.parse(row.fields) : [],
+      before: row.before_values ? JSON.parse(row.before_values) : null,
+      after: row.after_values ? JSON.parse(row.after_values) : null,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = { FileChangeRepository, CHANGE_TYPES, snapshotRow, classifyChange };
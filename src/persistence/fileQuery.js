@@ -0,0 +1,145 @@
+const { MIME_GROUPS } = require('../utils/mimeTypes');
+
+// sortable fields and the expression used for them; nulls are folded to a
+// sentinel so keyset comparisons don't have to special-case them
+const SORT_FIELDS = {
+  name: 'LOWER(name)',
+  size: 'COALESCE(size, -1)',
+  modifiedTime: "COALESCE(modified_time, '')",
+  createdTime: "COALESCE(created_time, '')",
+  syncedAt: "COALESCE(synced_at, '')",
+  mimeType: "COALESCE(mime_type, '')",
+  path: "COALESCE(path, '')",
+  id: 'id'
+};
+
+const DEFAULT_SORT = 'modifiedTime';
+const DEFAULT_ORDER = 'desc';
+
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, ch => `\\${ch}`);
+}
+
+function mimeGroupClause(groupNames, params) {
+  const conditions = [];
+  for (const groupName of groupNames) {
+    const group = MIME_GROUPS[groupName];
+    if (!group) {
+      throw new Error(`Unknown type group: ${groupName}. Expected one of: ${Object.keys(MIME_GROUPS).join(', ')}`);
+    }
+    for (const type of group.types || []) {
+      conditions.push('mime_type = ?');
+      params.push(type);
+    }
+    for (const prefix of group.prefixes || []) {
+      conditions.push("mime_type LIKE ? ESCAPE '\\'");
+      params.push(`${escapeLike(prefix)}%`);
+    }
+  }
+  return `(${conditions.join(' OR ')})`;
+}
+
+// turns a filter object into a WHERE clause over the files table
+function buildFileFilter(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (!filters.includeDeleted) {
+    conditions.push('deleted_at IS NULL');
+  }
+  if (filters.accountId) {
+    conditions.push('account_id = ?');
+    params.push(filters.accountId);
+  }
+  if (filters.driveId) {
+    conditions.push('drive_id = ?');
+    params.push(filters.driveId);
+  }
+  if (filters.name) {
+    conditions.push("name LIKE ? ESCAPE '\\'");
+    params.push(`%${escapeLike(filters.name)}%`);
+  }
+  if (filters.glob) {
+    conditions.push('name GLOB ?');
+    params.push(filters.glob);
+  }
+  if (filters.mimeTypes?.length) {
+    conditions.push(`mime_type IN (${filters.mimeTypes.map(() => '?').join(', ')})`);
+    params.push(...filters.mimeTypes);
+  }
+  if (filters.types?.length) {
+    conditions.push(mimeGroupClause(filters.types, params));
+  }
+  if (filters.minSize !== undefined) {
+    conditions.push('size >= ?');
+    params.push(filters.minSize);
+  }
+  if (filters.maxSize !== undefined) {
+    conditions.push('size <= ?');
+    params.push(filters.maxSize);
+  }
+  for (const [key, column, op] of [
+    ['modifiedAfter', 'modified_time', '>='],
+    ['modifiedBefore', 'modified_time', '<'],
+    ['createdAfter', 'created_time', '>='],
+    ['createdBefore', 'created_time', '<']
+  ]) {
+    if (filters[key]) {
+      conditions.push(`${column} ${op} ?`);
+      params.push(filters[key]);
+    }
+  }
+  if (filters.checksum) {
+    conditions.push('md5_checksum = ?');
+    params.push(filters.checksum);
+  }
+  if (filters.parentId && filters.recursive) {
+    // UNION drops repeats, so parent cycles can't recurse forever
+    conditions.push(`(account_id, id) IN (
+      WITH RECURSIVE subtree(account_id, id) AS (
+        SELECT account_id, id FROM files WHERE parent_id = ?
+        UNION
+        SELECT f.account_id, f.id FROM files f
+        JOIN subtree ON f.parent_id = subtree.id AND f.account_id = subtree.account_id
+      )
+      SELECT account_id, id FROM subtree
+    )`);
+    params.push(filters.parentId);
+  } else if (filters.parentId) {
+    conditions.push('parent_id = ?');
+    params.push(filters.parentId);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+// cursors carry the sort they were made for, so they can't be replayed against another one
+function encodeCursor(sort, order, row) {
+  const payload = { s: sort, o: order, v: row.sort_value, a: row.account_id, i: row.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort, order) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new Error('Invalid cursor');
+  }
+  if (!payload || payload.s !== sort || payload.o !== order || payload.i === undefined) {
+    throw new Error('Cursor does not match the requested sort');
+  }
+  return { value: payload.v, accountId: payload.a, id: payload.i };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  DEFAULT_SORT,
+  DEFAULT_ORDER,
+  buildFileFilter,
+  encodeCursor,
+  decodeCursor
+};
@@ -1,110 +1,591 @@
 const logger = require('../utils/logger');
+const { isDownloadable, isFolder, FOLDER_MIME_TYPE } = require('../utils/mimeTypes');
+const { DEFAULT_ACCOUNT_ID } = require('./accountRepository');
+const { MY_DRIVE_ID } = require('./driveRepository');
+const {
+  SORT_FIELDS,
+  DEFAULT_SORT,
+  DEFAULT_ORDER,
+  buildFileFilter,
+  encodeCursor,
+  decodeCursor
+} = require('./fileQuery');
+const {
+  FTS_TABLE,
+  COLUMN_WEIGHTS,
+  detectFlavor,
+  extractSearchText,
+  buildMatchExpression
+} = require('./fileSearch');
+const { FileChangeRepository, snapshotRow } = require('./fileChangeRepository');
+
+const DOWNLOAD_STATUS = {
+  PENDING: 'pending',
+  QUEUED: 'queued',
+  DOWNLOADED: 'downloaded',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+// appends an account filter when one is given, reads span all accounts otherwise
+function accountClause(accountId, params) {
+  if (!accountId) return '';
+  params.push(accountId);
+  return ' AND account_id = ?';
+}
+
+// guards path rebuilds against parent cycles in bad metadata
+const MAX_PATH_DEPTH = 100;
+
+// a tombstoned row is as good as no row to the change log
+function liveSnapshot(row) {
+  return row && !row.deleted_at ? snapshotRow(row) : null;
+}
+
+function driveClause(driveId, params) {
+  if (!driveId) return '';
+  params.push(driveId);
+  return ' AND drive_id = ?';
+}
 
 class FileRepository {
   constructor(dbManager) {
     this.dbManager = dbManager;
+    this.searchFlavor = null;
+    this.changeLog = new FileChangeRepository(dbManager);
+  }
+
+  // with options.syncId set, what the write changed is recorded in file_changes
+  upsert(file, accountId = DEFAULT_ACCOUNT_ID, options = {}) {
+    this.dbManager.withTransaction(() => this._upsert(file, accountId, options));
   }
 
-  upsert(file) {
+  // the row, its search entry, any moved subtree and the change record are written together
+  _upsert(file, accountId, options = {}) {
     const now = new Date().toISOString();
+    const trashed = file.trashed ? 1 : 0;
+    // only shared drive items carry a driveId
+    const driveId = file.driveId || MY_DRIVE_ID;
+    const filePath = this._buildPath(file, accountId);
+
+    // folders need the old path, to tell whether their subtree moved, and
+    // the change log needs the whole previous row
+    const existing = isFolder(file.mimeType) || options.syncId
+      ? this._findRow(file.id, accountId)
+      : null;
+
+    // on conflict: a changed checksum or modified time means the mirror needs
+    // refreshing, and so does a rename or move, which mirrors it at a new path
+    // (the download drops the old copy). a file that was already trashed keeps
+    // its deletion time
+    this.dbManager.run(`
+      INSERT INTO files (
+        id, account_id, drive_id, name, mime_type, size, parent_id, path, modified_time, created_time,
+        md5_checksum, synced_at, raw_metadata, download_status, trashed, deleted_at, sync_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (account_id, id) DO UPDATE SET
+        drive_id = excluded.drive_id,
+        name = excluded.name,
+        mime_type = excluded.mime_type,
+        size = excluded.size,
+        parent_id = excluded.parent_id,
+        path = excluded.path,
+        modified_time = excluded.modified_time,
+        md5_checksum = excluded.md5_checksum,
+        synced_at = excluded.synced_at,
+        raw_metadata = excluded.raw_metadata,
+        download_status = CASE
+          WHEN excluded.download_status IS NULL THEN NULL
+          WHEN files.download_status IS NULL
+            OR excluded.md5_checksum IS NOT files.md5_checksum
+            OR excluded.modified_time IS NOT files.modified_time
+            OR excluded.path IS NOT files.path
+            OR excluded.drive_id IS NOT files.drive_id
+            THEN excluded.download_status
+          ELSE files.download_status
+        END,
+        trashed = excluded.trashed,
+        deleted_at = CASE WHEN excluded.trashed = 1 THEN COALESCE(files.deleted_at, excluded.deleted_at) END,
+        sync_id = excluded.sync_id
+    `, [
+      file.id,
+      accountId,
+      driveId,
+      file.name,
+      file.mimeType || null,
+      file.size || null,
+      file.parents?.[0] || null,
+      filePath,
+      file.modifiedTime || null,
+      file.createdTime || null,
+      file.md5Checksum || null,
+      now,
+      JSON.stringify(file),
+      isDownloadable(file.mimeType) ? DOWNLOAD_STATUS.PENDING : null,
+      trashed,
+      trashed ? now : null,
+      options.syncId || null
+    ]);
+
+    this._indexForSearch(file, accountId);
+
+    // a renamed or moved folder (or one whose children arrived first) drags its subtree along
+    if (isFolder(file.mimeType) && existing?.path !== filePath) {
+      this._updateDescendantPaths(file.id, filePath, accountId);
+    }
 
-    // check if exists
-    const existing = this.dbManager.queryOne('SELECT id FROM files WHERE id = ?', [file.id]);
-
-    if (existing) {
-      this.dbManager.run(`
-        UPDATE files SET
-          name = ?, mime_type = ?, size = ?, parent_id = ?,
-          modified_time = ?, md5_checksum = ?, synced_at = ?, raw_metadata = ?
-        WHERE id = ?
-      `, [
-        file.name,
-        file.mimeType || null,
-        file.size || null,
-        file.parents?.[0] || null,
-        file.modifiedTime || null,
-        file.md5Checksum || null,
-        now,
-        JSON.stringify(file),
-        file.id
-      ]);
-    } else {
-      this.dbManager.run(`
-        INSERT INTO files (id, name, mime_type, size, parent_id, modified_time, created_time, md5_checksum, synced_at, raw_metadata)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-      `, [
-        file.id,
-        file.name,
-        file.mimeType || null,
-        file.size || null,
-        file.parents?.[0] || null,
-        file.modifiedTime || null,
-        file.createdTime || null,
-        file.md5Checksum || null,
-        now,
-        JSON.stringify(file)
-      ]);
+    if (options.syncId) {
+      this.changeLog.record({
+        accountId,
+        driveId,
+        fileId: file.id,
+        syncId: options.syncId,
+        before: liveSnapshot(existing),
+        after: snapshotRow(this._findRow(file.id, accountId))
+      });
     }
   }
 
-  upsertBatch(files) {
-    for (const file of files) {
-      this.upsert(file);
+  _findRow(id, accountId) {
+    return this.dbManager.queryOne('SELECT * FROM files WHERE account_id = ? AND id = ?', [accountId, id]);
+  }
+
+  // removal of a file that was still live, for the change log
+  _recordRemoval(row, syncId) {
+    this.changeLog.record({
+      accountId: row.account_id,
+      driveId: row.drive_id,
+      fileId: row.id,
+      syncId,
+      before: liveSnapshot(row),
+      after: null
+    });
+  }
+
+  // search rows share the files rowid so they can be replaced without a table scan
+  _indexForSearch(file, accountId) {
+    const row = this.dbManager.queryOne('SELECT rowid FROM files WHERE account_id = ? AND id = ?', [accountId, file.id]);
+    if (!row) return;
+
+    const text = extractSearchText(file);
+    this.dbManager.run(`DELETE FROM ${FTS_TABLE} WHERE rowid = ?`, [row.rowid]);
+    this.dbManager.run(`
+      INSERT INTO ${FTS_TABLE} (rowid, account_id, file_id, name, description, content)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [row.rowid, accountId, file.id, text.name, text.description, text.content]);
+  }
+
+  // removes matching rows from files and from the search index
+  // returns how many files were deleted
+  _deleteWhere(where, params) {
+    this.dbManager.run(`DELETE FROM ${FTS_TABLE} WHERE rowid IN (SELECT rowid FROM files WHERE ${where})`, params);
+    const { changes } = this.dbManager.run(`DELETE FROM files WHERE ${where}`, params);
+    return changes;
+  }
+
+  // ranked full-text search; q supports "exact phrases" and prefix*
+  search(q, options = {}) {
+    const match = buildMatchExpression(q);
+    if (!match) {
+      return { files: [], total: 0 };
+    }
+
+    if (!this.searchFlavor) {
+      this.searchFlavor = detectFlavor(this.dbManager);
+    }
+
+    const conditions = [`${FTS_TABLE} MATCH ?`];
+    const params = [match];
+    if (!options.includeDeleted) {
+      conditions.push('f.deleted_at IS NULL');
     }
-    logger.debug(`Upserted ${files.length} files`);
+    if (options.accountId) {
+      conditions.push('f.account_id = ?');
+      params.push(options.accountId);
+    }
+    if (options.driveId) {
+      conditions.push('f.drive_id = ?');
+      params.push(options.driveId);
+    }
+    const from = `FROM ${FTS_TABLE} JOIN files f ON f.rowid = ${FTS_TABLE}.rowid WHERE ${conditions.join(' AND ')}`;
+
+    const { name, description, content } = COLUMN_WEIGHTS;
+    // both report a score where higher is better; column 2 is name
+    const columns = this.searchFlavor === 'fts5'
+      ? `-bm25(${FTS_TABLE}, 0, 0, ${name}, ${description}, ${content}) AS score,
+         highlight(${FTS_TABLE}, 2, '<mark>', '</mark>') AS name_highlight,
+         snippet(${FTS_TABLE}, -1, '<mark>', '</mark>', '…', 12) AS snippet`
+      : `fts_bm25(matchinfo(${FTS_TABLE}, 'pcnalx'), 0, 0, ${name}, ${description}, ${content}) AS score,
+         snippet(${FTS_TABLE}, '<mark>', '</mark>', '…', 2, 64) AS name_highlight,
+         snippet(${FTS_TABLE}, '<mark>', '</mark>', '…', -1, 12) AS snippet`;
+
+    const rows = this.dbManager.query(`
+      SELECT f.*, ${columns} ${from}
+      ORDER BY score DESC, f.modified_time DESC
+      LIMIT ? OFFSET ?
+    `, [...params, options.limit || 20, options.offset || 0]);
+
+    const total = this.dbManager.queryOne(`SELECT COUNT(*) as count ${from}`, params);
+
+    return {
+      files: rows.map(r => ({
+        ...this._mapRow(r),
+        score: r.score,
+        highlights: { name: r.name_highlight, snippet: r.snippet }
+      })),
+      total: total ? total.count : 0
+    };
+  }
+
+  // parent's materialized path plus our name; parents we haven't seen count as the root
+  _buildPath(file, accountId) {
+    const parentId = file.parents?.[0];
+    const parent = parentId
+      ? this.dbManager.queryOne('SELECT path FROM files WHERE account_id = ? AND id = ?', [accountId, parentId])
+      : null;
+    return `${parent?.path || ''}/${file.name}`;
+  }
+
+  // mirrored files under a moved folder are mirrored again at their new path
+  _updateDescendantPaths(folderId, folderPath, accountId) {
+    this.dbManager.run(`
+      WITH RECURSIVE subtree(id, path, depth) AS (
+        SELECT id, ? || '/' || name, 1 FROM files WHERE account_id = ? AND parent_id = ?
+        UNION
+        SELECT f.id, subtree.path || '/' || f.name, subtree.depth + 1
+        FROM files f JOIN subtree ON f.parent_id = subtree.id
+        WHERE f.account_id = ? AND subtree.depth < ${MAX_PATH_DEPTH}
+      )
+      UPDATE files SET
+        path = (SELECT path FROM subtree WHERE subtree.id = files.id ORDER BY depth LIMIT 1),
+        download_status = CASE
+          WHEN download_status = ?
+            AND path IS NOT (SELECT path FROM subtree WHERE subtree.id = files.id ORDER BY depth LIMIT 1)
+            THEN ?
+          ELSE download_status
+        END
+      WHERE account_id = ? AND id IN (SELECT id FROM subtree)
+    `, [folderPath, accountId, folderId, accountId, DOWNLOAD_STATUS.DOWNLOADED, DOWNLOAD_STATUS.PENDING, accountId]);
+  }
+
+  // all or nothing: a page is either fully stored or not at all
+  upsertBatch(files, accountId = DEFAULT_ACCOUNT_ID, options = {}) {
+    this.dbManager.withTransaction(() => {
+      for (const file of files) {
+        this._upsert(file, accountId, options);
+      }
+    });
+    logger.debug(`Upserted ${files.length} files`, { accountId });
   }
 
-  findById(id) {
-    const row = this.dbManager.queryOne('SELECT * FROM files WHERE id = ?', [id]);
+  findById(id, accountId = null) {
+    const params = [id];
+    const scope = accountClause(accountId, params);
+    const row = this.dbManager.queryOne(`SELECT * FROM files WHERE id = ?${scope} LIMIT 1`, params);
     return row ? this._mapRow(row) : null;
   }
 
-  findByParentId(parentId) {
-    const rows = this.dbManager.query('SELECT * FROM files WHERE parent_id = ?', [parentId]);
+  findByParentId(parentId, accountId = null) {
+    const params = [parentId];
+    const scope = accountClause(accountId, params);
+    const rows = this.dbManager.query(
+      `SELECT * FROM files WHERE parent_id = ? AND deleted_at IS NULL${scope}`,
+      params
+    );
     return rows.map(r => this._mapRow(r));
   }
 
-  getAll(limit = 1000, offset = 0) {
+  // walks parent_id up to the first folder we don't know about (usually the drive root)
+  // drive allows duplicate names, so a path can match more than one file
+  findByPath(filePath, accountId = DEFAULT_ACCOUNT_ID, driveId = null) {
+    const params = [accountId, filePath];
+    const scope = driveClause(driveId, params);
     const rows = this.dbManager.query(
-      'SELECT * FROM files ORDER BY modified_time DESC LIMIT ? OFFSET ?',
-      [limit, offset]
+      `SELECT * FROM files WHERE account_id = ? AND path = ? AND deleted_at IS NULL${scope} ORDER BY modified_time DESC`,
+      params
     );
     return rows.map(r => this._mapRow(r));
   }
 
-  count() {
-    const result = this.dbManager.queryOne('SELECT COUNT(*) as count FROM files', []);
+  // recursive counts and sizes below a folder; UNION drops repeats so cycles end
+  getFolderStats(folderId, accountId = DEFAULT_ACCOUNT_ID) {
+    const row = this.dbManager.queryOne(`
+      WITH RECURSIVE subtree(id, mime_type, size) AS (
+        SELECT id, mime_type, size FROM files
+        WHERE account_id = ? AND parent_id = ? AND deleted_at IS NULL
+        UNION
+        SELECT f.id, f.mime_type, f.size
+        FROM files f JOIN subtree ON f.parent_id = subtree.id
+        WHERE f.account_id = ? AND f.deleted_at IS NULL
+      )
+      SELECT
+        COALESCE(SUM(CASE WHEN mime_type = ? THEN 0 ELSE 1 END), 0) as file_count,
+        COALESCE(SUM(CASE WHEN mime_type = ? THEN 1 ELSE 0 END), 0) as folder_count,
+        COALESCE(SUM(size), 0) as total_size
+      FROM subtree
+    `, [accountId, folderId, accountId, FOLDER_MIME_TYPE, FOLDER_MIME_TYPE]);
+
+    return {
+      fileCount: row ? row.file_count : 0,
+      folderCount: row ? row.folder_count : 0,
+      totalSize: row ? row.total_size : 0
+    };
+  }
+
+  // just enough of every live row to assemble a folder tree in memory
+  findTreeRows(accountId = DEFAULT_ACCOUNT_ID, driveId = null) {
+    const params = [accountId];
+    const scope = driveClause(driveId, params);
+    return this.dbManager.query(
+      `SELECT id, name, mime_type, size, parent_id, path, drive_id FROM files
+       WHERE account_id = ? AND deleted_at IS NULL${scope}`,
+      params
+    );
+  }
+
+  findAncestors(id, accountId = DEFAULT_ACCOUNT_ID) {
+    const ancestors = [];
+    const seen = new Set([id]);
+    let current = this.findById(id, accountId);
+
+    while (current && current.parentId && !seen.has(current.parentId)) {
+      seen.add(current.parentId);
+      const parent = this.findById(current.parentId, accountId);
+      if (!parent) break;
+      ancestors.unshift(parent);
+      current = parent;
+    }
+
+    return ancestors;
+  }
+
+  findByDownloadStatus(status, limit = 100, accountId = null) {
+    const params = [status];
+    const scope = accountClause(accountId, params);
+    params.push(limit);
+    const rows = this.dbManager.query(`
+      SELECT * FROM files
+      WHERE download_status = ? AND deleted_at IS NULL${scope}
+      ORDER BY synced_at ASC LIMIT ?
+    `, params);
+    return rows.map(r => this._mapRow(r));
+  }
+
+  setDownloadStatus(id, status, error = null, accountId = DEFAULT_ACCOUNT_ID) {
+    this.dbManager.run(
+      'UPDATE files SET download_status = ?, download_error = ? WHERE account_id = ? AND id = ?',
+      [status, error, accountId, id]
+    );
+  }
+
+  markDownloaded(id, { localPath, localSize }, accountId = DEFAULT_ACCOUNT_ID) {
+    const now = new Date().toISOString();
+    this.dbManager.run(`
+      UPDATE files SET
+        download_status = ?, local_path = ?, local_size = ?, downloaded_at = ?, download_error = NULL
+      WHERE account_id = ? AND id = ?
+    `, [DOWNLOAD_STATUS.DOWNLOADED, localPath, localSize, now, accountId, id]);
+  }
+
+  getDownloadStats(accountId = null) {
+    const params = [];
+    const scope = accountClause(accountId, params);
+    const rows = this.dbManager.query(`
+      SELECT download_status as status, COUNT(*) as count, COALESCE(SUM(local_size), 0) as bytes
+      FROM files WHERE download_status IS NOT NULL${scope}
+      GROUP BY download_status
+    `, params);
+    const stats = {};
+    for (const row of rows) {
+      stats[row.status] = { count: row.count, bytes: row.bytes };
+    }
+    return stats;
+  }
+
+  getAll(limit = 1000, offset = 0, options = {}) {
+    const params = [];
+    const deleted = options.includeDeleted ? '1 = 1' : 'deleted_at IS NULL';
+    const scope = accountClause(options.accountId, params) + driveClause(options.driveId, params);
+    params.push(limit, offset);
+    const rows = this.dbManager.query(
+      `SELECT * FROM files WHERE ${deleted}${scope} ORDER BY modified_time DESC LIMIT ? OFFSET ?`,
+      params
+    );
+    return rows.map(r => this._mapRow(r));
+  }
+
+  // filtered, sorted listing; pass page.cursor (keyset) or page.offset
+  find(filters = {}, page = {}) {
+    const sort = page.sort || DEFAULT_SORT;
+    const order = page.order || DEFAULT_ORDER;
+    const limit = page.limit || 100;
+    const expr = SORT_FIELDS[sort];
+    if (!expr) {
+      throw new Error(`Cannot sort by ${sort}. Expected one of: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+
+    const { where, params } = buildFileFilter(filters);
+    const dir = order === 'asc' ? 'ASC' : 'DESC';
+
+    // keyset pagination: rows inserted by a running sync can't shift later pages
+    let clause = where;
+    if (page.cursor) {
+      const cursor = decodeCursor(page.cursor, sort, order);
+      clause += `${where ? ' AND' : 'WHERE'} (${expr}, account_id, id) ${dir === 'ASC' ? '>' : '<'} (?, ?, ?)`;
+      params.push(cursor.value, cursor.accountId, cursor.id);
+    }
+    params.push(limit + 1, page.cursor ? 0 : (page.offset || 0));
+
+    const rows = this.dbManager.query(`
+      SELECT *, ${expr} AS sort_value FROM files ${clause}
+      ORDER BY sort_value ${dir}, account_id ${dir}, id ${dir}
+      LIMIT ? OFFSET ?
+    `, params);
+
+    const hasMore = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    return {
+      files: pageRows.map(r => this._mapRow(r)),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sort, order, pageRows[pageRows.length - 1]) : null
+    };
+  }
+
+  countMatching(filters = {}) {
+    const { where, params } = buildFileFilter(filters);
+    const result = this.dbManager.queryOne(`SELECT COUNT(*) as count FROM files ${where}`, params);
+    return result ? result.count : 0;
+  }
+
+  count(options = {}) {
+    const params = [];
+    const deleted = options.includeDeleted ? '1 = 1' : 'deleted_at IS NULL';
+    const scope = accountClause(options.accountId, params) + driveClause(options.driveId, params);
+    const result = this.dbManager.queryOne(`SELECT COUNT(*) as count FROM files WHERE ${deleted}${scope}`, params);
+    return result ? result.count : 0;
+  }
+
+  countDeleted(options = {}) {
+    const params = [];
+    const scope = accountClause(options.accountId, params) + driveClause(options.driveId, params);
+    const result = this.dbManager.queryOne(
+      `SELECT COUNT(*) as count FROM files WHERE deleted_at IS NOT NULL${scope}`,
+      params
+    );
     return result ? result.count : 0;
   }
 
-  deleteById(id) {
-    const before = this.count();
-    this.dbManager.run('DELETE FROM files WHERE id = ?', [id]);
-    const after = this.count();
-    return before - after;
+  // tombstone: the row stays around for auditing until purged
+  markDeleted(id, accountId = DEFAULT_ACCOUNT_ID, options = {}) {
+    const existing = this._findRow(id, accountId);
+    if (!existing) return 0;
+
+    if (options.syncId) {
+      this._recordRemoval(existing, options.syncId);
+    }
+    const now = new Date().toISOString();
+    this.dbManager.run(
+      'UPDATE files SET deleted_at = COALESCE(deleted_at, ?), synced_at = ? WHERE account_id = ? AND id = ?',
+      [now, now, accountId, id]
+    );
+    return 1;
+  }
+
+  // anything a complete listing of the drive didn't touch no longer exists there
+  markUnseenDeleted(syncedBefore, accountId = DEFAULT_ACCOUNT_ID, driveId = MY_DRIVE_ID, options = {}) {
+    const where = 'deleted_at IS NULL AND synced_at < ? AND account_id = ? AND drive_id = ?';
+    const params = [syncedBefore, accountId, driveId];
+    const result = this.dbManager.queryOne(`SELECT COUNT(*) as count FROM files WHERE ${where}`, params);
+    const count = result ? result.count : 0;
+    if (count > 0) {
+      if (options.syncId) {
+        for (const row of this.dbManager.query(`SELECT * FROM files WHERE ${where}`, params)) {
+          this._recordRemoval(row, options.syncId);
+        }
+      }
+      const now = new Date().toISOString();
+      this.dbManager.run(`UPDATE files SET deleted_at = ? WHERE ${where}`, [now, ...params]);
+      logger.info('Reconciliation tombstoned unseen files', { count, accountId, driveId });
+    }
+    return count;
+  }
+
+  // hard delete of every row of the drive, tombstones included, that syncId didn't write last
+  deleteUnseen(syncId, accountId = DEFAULT_ACCOUNT_ID, driveId = MY_DRIVE_ID) {
+    const where = '(sync_id IS NULL OR sync_id != ?) AND account_id = ? AND drive_id = ?';
+    const params = [syncId, accountId, driveId];
+    return this.dbManager.withTransaction(() => {
+      const rows = this.dbManager.query(`SELECT * FROM files WHERE ${where}`, params);
+      if (rows.length === 0) return 0;
+      for (const row of rows.filter(r => !r.deleted_at)) {
+        this._recordRemoval(row, syncId);
+      }
+      this._deleteWhere(where, params);
+      logger.info('Deleted unseen files', { count: rows.length, accountId, driveId });
+      return rows.length;
+    });
+  }
+
+  purgeDeleted(olderThan, accountId = null) {
+    const params = [olderThan];
+    const scope = accountClause(accountId, params);
+    const result = this.dbManager.queryOne(
+      `SELECT COUNT(*) as count FROM files WHERE deleted_at IS NOT NULL AND deleted_at < ?${scope}`,
+      params
+    );
+    const count = result ? result.count : 0;
+    if (count > 0) {
+      this._deleteWhere(`deleted_at IS NOT NULL AND deleted_at < ?${scope}`, params);
+      logger.info('Purged expired tombstones', { count, olderThan });
+    }
+    return count;
+  }
+
+  deleteById(id, accountId = null, options = {}) {
+    const params = [id];
+    const scope = accountClause(accountId, params);
+    if (options.syncId) {
+      for (const row of this.dbManager.query(`SELECT * FROM files WHERE id = ?${scope}`, params)) {
+        this._recordRemoval(row, options.syncId);
+      }
+    }
+    return this._deleteWhere(`id = ?${scope}`, params);
   }
 
-  deleteAll() {
-    const count = this.count();
-    this.dbManager.run('DELETE FROM files', []);
-    logger.info(`Deleted all files`, { count });
+  deleteAll(accountId = null) {
+    const params = [];
+    const scope = accountClause(accountId, params);
+    const count = this._deleteWhere(`1 = 1${scope}`, params);
+    logger.info(`Deleted all files`, { count, accountId });
     return count;
   }
 
   _mapRow(row) {
     return {
       id: row.id,
+      accountId: row.account_id,
+      driveId: row.drive_id,
       name: row.name,
       mimeType: row.mime_type,
       size: row.size,
       parentId: row.parent_id,
+      path: row.path,
       modifiedTime: row.modified_time,
       createdTime: row.created_time,
       md5Checksum: row.md5_checksum,
       syncedAt: row.synced_at,
+      localPath: row.local_path,
+      localSize: row.local_size,
+      downloadStatus: row.download_status,
+      downloadedAt: row.downloaded_at,
+      downloadError: row.download_error,
+      trashed: !!row.trashed,
+      deletedAt: row.deleted_at,
       rawMetadata: row.raw_metadata ? JSON.parse(row.raw_metadata) : null
     };
   }
 }
 
 module.exports = FileRepository;
+module.exports.DOWNLOAD_STATUS = DOWNLOAD_STATUS;
@@ -0,0 +1,141 @@
+// full-text index over file names and metadata. FTS5 is preferred; builds
+// without it (the stock sql.js wasm) get FTS4 plus a bm25 ranking function,
+// which has to be registered on every connection
+
+const FTS_TABLE = 'files_fts';
+
+// relative weight of each indexed column when ranking
+const COLUMN_WEIGHTS = { name: 10, description: 4, content: 1 };
+
+// metadata keys whose text is worth searching besides name and description
+const CONTENT_KEYS = ['originalFilename', 'fullFileExtension'];
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+function createSearchTable(db) {
+  try {
+    db.run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS ${FTS_TABLE} USING fts5(
+        account_id UNINDEXED, file_id UNINDEXED, name, description, content,
+        tokenize = 'unicode61 remove_diacritics 2'
+      )
+    `);
+  } catch (err) {
+    if (!/no such module/.test(err.message)) throw err;
+    db.run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS ${FTS_TABLE} USING fts4(
+        account_id, file_id, name, description, content,
+        notindexed=account_id, notindexed=file_id,
+        tokenize=unicode61 "remove_diacritics=2"
+      )
+    `);
+  }
+}
+
+// okapi bm25 from fts4 matchinfo(..., 'pcnalx'); higher is better
+function bm25(matchinfo, weights) {
+  if (!matchinfo) return 0;
+  const bytes = matchinfo instanceof Uint8Array ? matchinfo : new Uint8Array(matchinfo);
+  const info = new Uint32Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / 4);
+
+  const phrases = info[0];
+  const columns = info[1];
+  const rows = info[2];
+  const avgLength = info.subarray(3, 3 + columns);
+  const length = info.subarray(3 + columns, 3 + 2 * columns);
+  const hits = 3 + 2 * columns;
+
+  let score = 0;
+  for (let p = 0; p < phrases; p++) {
+    for (let c = 0; c < columns; c++) {
+      const weight = weights[c] || 0;
+      const base = hits + 3 * (p * columns + c);
+      const tf = info[base];
+      const docs = info[base + 2];
+      if (!weight || !tf || !avgLength[c]) continue;
+
+      const idf = Math.log(1 + (rows - docs + 0.5) / (docs + 0.5));
+      const norm = BM25_K1 * (1 - BM25_B + BM25_B * length[c] / avgLength[c]);
+      score += weight * idf * (tf * (BM25_K1 + 1)) / (tf + norm);
+    }
+  }
+  return score;
+}
+
+function registerSearchFunctions(db) {
+  // the arity comes from the js function: matchinfo plus one weight per column
+  db.createFunction('fts_bm25', (matchinfo, w0, w1, w2, w3, w4) => bm25(matchinfo, [w0, w1, w2, w3, w4]));
+}
+
+function detectFlavor(dbManager) {
+  const row = dbManager.queryOne(
+    "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?",
+    [FTS_TABLE]
+  );
+  return row && /fts5/i.test(row.sql) ? 'fts5' : 'fts4';
+}
+
+function collectStrings(value, out) {
+  if (typeof value === 'string') {
+    out.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach(v => collectStrings(v, out));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(v => collectStrings(v, out));
+  }
+}
+
+function extractSearchText(file) {
+  const content = [];
+  for (const key of CONTENT_KEYS) {
+    collectStrings(file[key], content);
+  }
+  // owners, custom properties and the like
+  collectStrings(file.properties, content);
+  collectStrings(file.appProperties, content);
+  for (const person of [...(file.owners || []), file.lastModifyingUser].filter(Boolean)) {
+    collectStrings([person.displayName, person.emailAddress], content);
+  }
+
+  return {
+    name: file.name || '',
+    description: file.description || '',
+    content: content.join(' ')
+  };
+}
+
+// user query -> MATCH expression. quoted text is a phrase, a trailing * makes
+// a prefix, everything else is AND-ed. punctuation never reaches fts syntax.
+function buildMatchExpression(query) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(query || ''))) !== null) {
+    if (match[1] !== undefined) {
+      const words = match[1].match(/[\p{L}\p{N}]+/gu) || [];
+      if (words.length > 0) terms.push(`"${words.join(' ')}"`);
+      continue;
+    }
+
+    const prefix = match[2].endsWith('*');
+    const words = match[2].match(/[\p{L}\p{N}]+/gu) || [];
+    words.forEach((word, i) => {
+      terms.push(prefix && i === words.length - 1 ? `${word}*` : `"${word}"`);
+    });
+  }
+
+  return terms.join(' ');
+}
+
+module.exports = {
+  FTS_TABLE,
+  COLUMN_WEIGHTS,
+  createSearchTable,
+  registerSearchFunctions,
+  detectFlavor,
+  extractSearchText,
+  buildMatchExpression,
+  bm25
+};
@@ -1,16 +1,53 @@
-const { getDatabase, closeDatabase } = require('./database');
+const { getDatabase, closeDatabase, DatabaseManager } = require('./database');
+const { Migrator } = require('./migrator');
 const FileRepository = require('./fileRepository');
-const { JobRepository, JOB_STATUS } = require('./jobRepository');
+const { DOWNLOAD_STATUS } = FileRepository;
+const { JobRepository, JOB_STATUS, CANCELLABLE_STATUSES } = require('./jobRepository');
 const { CheckpointRepository, CHECKPOINT_STATUS } = require('./checkpointRepository');
 const TokenRepository = require('./tokenRepository');
+const SyncStateRepository = require('./syncStateRepository');
+const { ScheduleRepository, SCHEDULE_RUN_STATUS } = require('./scheduleRepository');
+const { AccountRepository, DEFAULT_ACCOUNT_ID, isValidAccountId } = require('./accountRepository');
+const { DriveRepository, MY_DRIVE_ID, ALL_DRIVES, isSharedDrive } = require('./driveRepository');
+const EventRepository = require('./eventRepository');
+const { WebhookRepository, DELIVERY_STATUS } = require('./webhookRepository');
+const { FileChangeRepository, CHANGE_TYPES } = require('./fileChangeRepository');
+const { SnapshotRepository, SNAPSHOT_SOURCE } = require('./snapshotRepository');
+const { ExportRepository, EXPORT_STATUS } = require('./exportRepository');
+const { WorkerRepository, WORKER_STATUS } = require('./workerRepository');
 
 module.exports = {
   getDatabase,
   closeDatabase,
+  DatabaseManager,
+  Migrator,
   FileRepository,
+  DOWNLOAD_STATUS,
   JobRepository,
   JOB_STATUS,
+  CANCELLABLE_STATUSES,
   CheckpointRepository,
   CHECKPOINT_STATUS,
-  TokenRepository
+  TokenRepository,
+  SyncStateRepository,
+  ScheduleRepository,
+  SCHEDULE_RUN_STATUS,
+  AccountRepository,
+  DEFAULT_ACCOUNT_ID,
+  isValidAccountId,
+  DriveRepository,
+  MY_DRIVE_ID,
+  ALL_DRIVES,
+  isSharedDrive,
+  EventRepository,
+  WebhookRepository,
+  DELIVERY_STATUS,
+  FileChangeRepository,
+  CHANGE_TYPES,
+  SnapshotRepository,
+  SNAPSHOT_SOURCE,
+  ExportRepository,
+  EXPORT_STATUS,
+  WorkerRepository,
+  WORKER_STATUS
 };
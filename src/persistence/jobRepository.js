@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const { DEFAULT_ACCOUNT_ID } = require('./accountRepository');
 
 function generateId() {
   return 'job_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
@@ -9,9 +10,19 @@ const JOB_STATUS = {
   RUNNING: 'running',
   COMPLETED: 'completed',
   FAILED: 'failed',
-  DEAD: 'dead'
+  DEAD: 'dead',
+  // stopped with its sync; resuming the sync puts it back in the queue
+  PAUSED: 'paused',
+  // stopped for good on request
+  CANCELLED: 'cancelled'
 };
 
+// how long a running job's lease lasts without a heartbeat
+const DEFAULT_LEASE_MS = 60000;
+
+// statuses a job can still be cancelled from
+const CANCELLABLE_STATUSES = [JOB_STATUS.PENDING, JOB_STATUS.RUNNING, JOB_STATUS.PAUSED, JOB_STATUS.FAILED];
+
 class JobRepository {
   constructor(dbManager) {
     this.dbManager = dbManager;
@@ -20,13 +31,15 @@ class JobRepository {
   create(type, payload, options = {}) {
     const id = generateId();
     const now = new Date().toISOString();
+    const accountId = options.accountId || payload?.accountId || DEFAULT_ACCOUNT_ID;
 
     this.dbManager.run(`
-      INSERT INTO jobs (id, type, payload, status, priority, max_attempts, created_at, updated_at, scheduled_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO jobs (id, type, account_id, payload, status, priority, max_attempts, created_at, updated_at, scheduled_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       id,
       type,
+      accountId,
       JSON.stringify(payload),
       JOB_STATUS.PENDING,
       options.priority || 0,
@@ -56,48 +69,234 @@ class JobRepository {
     return rows.map(r => this._mapRow(r));
   }
 
-  findByStatus(status, limit = 100) {
+  // takes up to limit due jobs for workerId in a single statement, so two
+  // workers polling the same database never get the same job. they come back
+  // running, leased and counted, but with attempts as it was before this one,
+  // which is what handlers and the runner expect of the job they're given
+  claimPending(workerId, limit = 10, leaseMs = DEFAULT_LEASE_MS) {
+    return this.dbManager.withTransaction(() => {
+      const now = new Date();
+      const rows = this.dbManager.query(`
+        UPDATE jobs SET status = ?, worker_id = ?, started_at = ?, updated_at = ?, attempts = attempts + 1,
+          heartbeat_at = ?, lease_expires_at = ?
+        WHERE status = ? AND id IN (
+          SELECT id FROM jobs
+          WHERE status = ? AND scheduled_at <= ?
+          ORDER BY priority DESC, created_at ASC
+          LIMIT ?
+        )
+        RETURNING *
+      `, [
+        JOB_STATUS.RUNNING,
+        workerId,
+        now.toISOString(),
+        now.toISOString(),
+        now.toISOString(),
+        new Date(now.getTime() + leaseMs).toISOString(),
+        JOB_STATUS.PENDING,
+        JOB_STATUS.PENDING,
+        now.toISOString(),
+        limit
+      ]);
+      // RETURNING doesn't keep the subquery's order
+      return rows
+        .map(r => ({ ...this._mapRow(r), attempts: r.attempts - 1 }))
+        .sort((a, b) => b.priority - a.priority || a.createdAt.localeCompare(b.createdAt));
+    });
+  }
+
+  // jobs that run the given sync, newest first
+  findBySyncId(syncId) {
+    const rows = this.dbManager.query(`
+      SELECT * FROM jobs WHERE json_extract(payload, '$.syncId') = ?
+      ORDER BY created_at DESC
+    `, [syncId]);
+    return rows.map(r => this._mapRow(r));
+  }
+
+  // every job of any of the types, in any of the statuses; either list may be empty
+  findMatching({ types = [], statuses = [], accountId = null } = {}) {
+    const conditions = [];
+    const params = [];
+    if (types.length > 0) {
+      conditions.push(`type IN (${types.map(() => '?').join(', ')})`);
+      params.push(...types);
+    }
+    if (statuses.length > 0) {
+      conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (accountId) {
+      conditions.push('account_id = ?');
+      params.push(accountId);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.dbManager.query(`SELECT * FROM jobs ${where} ORDER BY created_at ASC, rowid ASC`, params);
+    return rows.map(r => this._mapRow(r));
+  }
+
+  findByStatus(status, limit = 100, accountId = null) {
+    const params = [status];
+    let scope = '';
+    if (accountId) {
+      scope = ' AND account_id = ?';
+      params.push(accountId);
+    }
+    params.push(limit);
     const rows = this.dbManager.query(
-      'SELECT * FROM jobs WHERE status = ? ORDER BY created_at DESC LIMIT ?',
-      [status, limit]
+      `SELECT * FROM jobs WHERE status = ?${scope} ORDER BY created_at DESC LIMIT ?`,
+      params
     );
     return rows.map(r => this._mapRow(r));
   }
 
-  markRunning(id) {
-    const now = new Date().toISOString();
-    const job = this.findById(id);
-    if (!job) return 0;
+  countActiveByType(types, accountId = null) {
+    return this.countByType(types, [JOB_STATUS.PENDING, JOB_STATUS.RUNNING], accountId);
+  }
 
-    this.dbManager.run(`
-      UPDATE jobs SET status = ?, started_at = ?, updated_at = ?, attempts = ?
+  countByType(types, statuses, accountId = null) {
+    const typePlaceholders = types.map(() => '?').join(', ');
+    const statusPlaceholders = statuses.map(() => '?').join(', ');
+    const params = [...types, ...statuses];
+    let scope = '';
+    if (accountId) {
+      scope = ' AND account_id = ?';
+      params.push(accountId);
+    }
+    const result = this.dbManager.queryOne(`
+      SELECT COUNT(*) as count FROM jobs
+      WHERE type IN (${typePlaceholders}) AND status IN (${statusPlaceholders})${scope}
+    `, params);
+    return result ? result.count : 0;
+  }
+
+  // the lease is renewed by heartbeat() while the job runs; when it runs out
+  // the job is taken to be orphaned and reapExpired() requeues it
+  markRunning(id, leaseMs = DEFAULT_LEASE_MS) {
+    const now = new Date();
+    const { changes } = this.dbManager.run(`
+      UPDATE jobs SET status = ?, started_at = ?, updated_at = ?, attempts = attempts + 1,
+        heartbeat_at = ?, lease_expires_at = ?
       WHERE id = ?
-    `, [JOB_STATUS.RUNNING, now, now, job.attempts + 1, id]);
-    return 1;
+    `, [
+      JOB_STATUS.RUNNING,
+      now.toISOString(),
+      now.toISOString(),
+      now.toISOString(),
+      new Date(now.getTime() + leaseMs).toISOString(),
+      id
+    ]);
+    return changes;
+  }
+
+  // 0 when the job isn't running anymore: cancelled, or reaped after a missed
+  // lease. with a workerId also when another worker has claimed it since, so a
+  // stalled worker can't keep renewing the lease of the job's new owner
+  heartbeat(id, leaseMs = DEFAULT_LEASE_MS, { workerId = null } = {}) {
+    const now = new Date();
+    const fence = workerId ? this._fence(workerId) : { sql: ' AND status = ?', params: [JOB_STATUS.RUNNING] };
+    const { changes } = this.dbManager.run(`
+      UPDATE jobs SET heartbeat_at = ?, lease_expires_at = ?
+      WHERE id = ?${fence.sql}
+    `, [now.toISOString(), new Date(now.getTime() + leaseMs).toISOString(), id, ...fence.params]);
+    return changes;
   }
 
-  markCompleted(id) {
+  // running jobs whose lease ran out go back in the queue, the attempt they
+  // were on counted; out of attempts, they go to the dead-letter queue.
+  // rows running from before leases existed have none and count as expired
+  reapExpired() {
+    return this.dbManager.withTransaction(() => {
+      const now = new Date().toISOString();
+      const rows = this.dbManager.query(`
+        SELECT * FROM jobs
+        WHERE status = ? AND (lease_expires_at IS NULL OR lease_expires_at < ?)
+      `, [JOB_STATUS.RUNNING, now]);
+
+      const reaped = [];
+      for (const job of rows.map(r => this._mapRow(r))) {
+        const error = `Lease expired${job.heartbeatAt ? `, last heartbeat ${job.heartbeatAt}` : ''}: the runner stopped`;
+        this.dbManager.run(`
+          UPDATE jobs SET reaped_count = reaped_count + 1, last_reaped_at = ?, lease_expires_at = NULL
+          WHERE id = ?
+        `, [now, job.id]);
+
+        if (job.attempts >= job.maxAttempts) {
+          this.moveToDead(job.id, error);
+          reaped.push({ ...job, status: JOB_STATUS.DEAD, lastError: error });
+        } else {
+          this.dbManager.run(`
+            UPDATE jobs SET status = ?, last_error = ?, scheduled_at = ?, updated_at = ?
+            WHERE id = ?
+          `, [JOB_STATUS.PENDING, error, now, now, job.id]);
+          reaped.push({ ...job, status: JOB_STATUS.PENDING, lastError: error });
+        }
+      }
+      return reaped;
+    });
+  }
+
+  // whether workerId still holds the job it claimed
+  isHeldBy(id, workerId) {
+    const row = this.dbManager.queryOne(
+      'SELECT 1 AS held FROM jobs WHERE id = ? AND status = ? AND worker_id = ?',
+      [id, JOB_STATUS.RUNNING, workerId]
+    );
+    return !!row;
+  }
+
+  // the runner's writes pass the workerId it claimed the job with and only
+  // land while that worker still holds the job: one that lost its lease, or
+  // whose job was cancelled, gets 0 back and leaves the row to its new owner
+  markCompleted(id, { workerId = null } = {}) {
     const now = new Date().toISOString();
-    this.dbManager.run(`
+    const fence = this._fence(workerId);
+    const { changes } = this.dbManager.run(`
       UPDATE jobs SET status = ?, completed_at = ?, updated_at = ?
-      WHERE id = ?
-    `, [JOB_STATUS.COMPLETED, now, now, id]);
-    return 1;
+      WHERE id = ?${fence.sql}
+    `, [JOB_STATUS.COMPLETED, now, now, id, ...fence.params]);
+    return changes;
   }
 
-  markFailed(id, error) {
-    const now = new Date().toISOString();
-    const job = this.findById(id);
+  markFailed(id, error, { workerId = null } = {}) {
+    return this.dbManager.withTransaction(() => {
+      const now = new Date().toISOString();
+      const job = this.findById(id);
+      if (workerId && !(job && job.status === JOB_STATUS.RUNNING && job.workerId === workerId)) {
+        return 0;
+      }
+
+      if (job && job.attempts >= job.maxAttempts) {
+        return this.moveToDead(id, error);
+      }
+
+      this.dbManager.run(`
+        UPDATE jobs SET status = ?, last_error = ?, updated_at = ?
+        WHERE id = ?
+      `, [JOB_STATUS.FAILED, error, now, id]);
+      return 1;
+    });
+  }
 
-    if (job && job.attempts >= job.maxAttempts) {
-      return this.moveToDead(id, error);
-    }
+  // stopped on request: the attempt it was running doesn't count against its retries
+  markStopped(id, status, { workerId = null } = {}) {
+    const now = new Date().toISOString();
+    const fence = this._fence(workerId);
+    const { changes } = this.dbManager.run(`
+      UPDATE jobs SET
+        attempts = CASE WHEN status = ? AND attempts > 0 THEN attempts - 1 ELSE attempts END,
+        status = ?, updated_at = ?
+      WHERE id = ?${fence.sql}
+    `, [JOB_STATUS.RUNNING, status, now, id, ...fence.params]);
+    return changes;
+  }
 
-    this.dbManager.run(`
-      UPDATE jobs SET status = ?, last_error = ?, updated_at = ?
-      WHERE id = ?
-    `, [JOB_STATUS.FAILED, error, now, id]);
-    return 1;
+  // failed attempt with retries left: record the error and put it back in the queue together
+  retryLater(id, error, delayMs, options = {}) {
+    return this.dbManager.withTransaction(() => {
+      if (this.markFailed(id, error, options) === 0) return 0;
+      return this.reschedule(id, delayMs);
+    });
   }
 
   reschedule(id, delayMs) {
@@ -116,21 +315,30 @@ class JobRepository {
 
     const now = new Date().toISOString();
 
-    this.dbManager.run(`
-      INSERT INTO dead_letter_queue (job_id, job_type, payload, error_message, failed_at)
-      VALUES (?, ?, ?, ?, ?)
-    `, [job.id, job.type, JSON.stringify(job.payload), error, now]);
+    this.dbManager.withTransaction(() => {
+      this.dbManager.run(`
+        INSERT INTO dead_letter_queue (job_id, job_type, payload, error_message, failed_at)
+        VALUES (?, ?, ?, ?, ?)
+      `, [job.id, job.type, JSON.stringify(job.payload), error, now]);
 
-    this.dbManager.run(`
-      UPDATE jobs SET status = ?, last_error = ?, updated_at = ?
-      WHERE id = ?
-    `, [JOB_STATUS.DEAD, error, now, id]);
+      this.dbManager.run(`
+        UPDATE jobs SET status = ?, last_error = ?, updated_at = ?
+        WHERE id = ?
+      `, [JOB_STATUS.DEAD, error, now, id]);
+    });
 
     logger.warn('Job moved to dead letter queue', { id, type: job.type, error });
     return 1;
   }
 
-  getDeadLetterJobs(limit = 100) {
+  getDeadLetterJobs(limit = 100, accountId = null) {
+    if (accountId) {
+      return this.dbManager.query(`
+        SELECT * FROM dead_letter_queue
+        WHERE job_id IN (SELECT id FROM jobs WHERE account_id = ?)
+        ORDER BY failed_at DESC LIMIT ?
+      `, [accountId, limit]);
+    }
     return this.dbManager.query(
       'SELECT * FROM dead_letter_queue ORDER BY failed_at DESC LIMIT ?',
       [limit]
@@ -149,20 +357,25 @@ class JobRepository {
 
     const now = new Date().toISOString();
 
-    this.dbManager.run('DELETE FROM dead_letter_queue WHERE id = ?', [deadId]);
-    this.dbManager.run(`
-      UPDATE jobs SET status = ?, attempts = 0, last_error = NULL, updated_at = ?, scheduled_at = ?
-      WHERE id = ?
-    `, [JOB_STATUS.PENDING, now, now, deadJob.job_id]);
+    this.dbManager.withTransaction(() => {
+      this.dbManager.run('DELETE FROM dead_letter_queue WHERE id = ?', [deadId]);
+      this.dbManager.run(`
+        UPDATE jobs SET status = ?, attempts = 0, last_error = NULL, updated_at = ?, scheduled_at = ?
+        WHERE id = ?
+      `, [JOB_STATUS.PENDING, now, now, deadJob.job_id]);
+    });
 
     logger.info('Dead job requeued', { jobId: deadJob.job_id });
     return deadJob.job_id;
   }
 
-  getStats() {
+  getStats(accountId = null) {
+    const where = accountId ? 'WHERE account_id = ?' : '';
+    const params = accountId ? [accountId] : [];
+
     const rows = this.dbManager.query(
-      'SELECT status, COUNT(*) as count FROM jobs GROUP BY status',
-      []
+      `SELECT status, COUNT(*) as count FROM jobs ${where} GROUP BY status`,
+      params
     );
     const stats = {};
     for (const row of rows) {
@@ -170,11 +383,24 @@ class JobRepository {
     }
 
     const deadCount = this.dbManager.queryOne(
-      'SELECT COUNT(*) as count FROM dead_letter_queue',
-      []
+      accountId
+        ? 'SELECT COUNT(*) as count FROM dead_letter_queue WHERE job_id IN (SELECT id FROM jobs WHERE account_id = ?)'
+        : 'SELECT COUNT(*) as count FROM dead_letter_queue',
+      params
     );
     stats.deadLetter = deadCount ? deadCount.count : 0;
 
+    // jobs the reaper took back from a runner that stopped, and how often
+    const reaped = this.dbManager.queryOne(`
+      SELECT COUNT(*) as jobs, COALESCE(SUM(reaped_count), 0) as times, MAX(last_reaped_at) as last
+      FROM jobs WHERE reaped_count > 0${accountId ? ' AND account_id = ?' : ''}
+    `, params);
+    stats.reaped = {
+      jobs: reaped ? reaped.jobs : 0,
+      times: reaped ? reaped.times : 0,
+      lastReapedAt: reaped?.last || null
+    };
+
     return stats;
   }
 
@@ -185,17 +411,25 @@ class JobRepository {
     const deadCountResult = this.dbManager.queryOne('SELECT COUNT(*) as count FROM dead_letter_queue', []);
     const deadCount = deadCountResult ? deadCountResult.count : 0;
 
-    this.dbManager.run('DELETE FROM dead_letter_queue', []);
-    this.dbManager.run('DELETE FROM jobs', []);
+    this.dbManager.withTransaction(() => {
+      this.dbManager.run('DELETE FROM dead_letter_queue', []);
+      this.dbManager.run('DELETE FROM jobs', []);
+    });
 
     logger.info('All jobs and dead letter queue cleared', { jobCount, deadCount });
     return { jobCount, deadCount };
   }
 
+  _fence(workerId) {
+    if (!workerId) return { sql: '', params: [] };
+    return { sql: ' AND status = ? AND worker_id = ?', params: [JOB_STATUS.RUNNING, workerId] };
+  }
+
   _mapRow(row) {
     return {
       id: row.id,
       type: row.type,
+      accountId: row.account_id,
       payload: row.payload ? JSON.parse(row.payload) : null,
       status: row.status,
       priority: row.priority,
@@ -206,9 +440,14 @@ class JobRepository {
       updatedAt: row.updated_at,
       scheduledAt: row.scheduled_at,
       startedAt: row.started_at,
-      completedAt: row.completed_at
+      completedAt: row.completed_at,
+      heartbeatAt: row.heartbeat_at,
+      leaseExpiresAt: row.lease_expires_at,
+      reapedCount: row.reaped_count || 0,
+      lastReapedAt: row.last_reaped_at,
+      workerId: row.worker_id || null
     };
   }
 }
 
-module.exports = { JobRepository, JOB_STATUS };
+module.exports = { JobRepository, JOB_STATUS, CANCELLABLE_STATUSES, DEFAULT_LEASE_MS };
@@ -0,0 +1,269 @@
+// the schema as it stood when migrations were introduced. databases created
+// before that (by CREATE TABLE IF NOT EXISTS) may hold any older layout, so
+// existing tables are upgraded in place: missing columns are added, and tables
+// whose primary key changed are rebuilt with their rows copied across
+
+// same cap FileRepository uses when rebuilding subtree paths
+const MAX_PATH_DEPTH = 100;
+
+const TABLES = {
+  files: {
+    columns: [
+      ['id', 'TEXT NOT NULL'],
+      ['account_id', "TEXT NOT NULL DEFAULT 'default'"],
+      ['drive_id', "TEXT NOT NULL DEFAULT 'my-drive'"],
+      ['name', 'TEXT NOT NULL'],
+      ['mime_type', 'TEXT'],
+      ['size', 'INTEGER'],
+      ['parent_id', 'TEXT'],
+      ['path', 'TEXT'],
+      ['modified_time', 'TEXT'],
+      ['created_time', 'TEXT'],
+      ['md5_checksum', 'TEXT'],
+      ['synced_at', 'TEXT'],
+      ['raw_metadata', 'TEXT'],
+      ['local_path', 'TEXT'],
+      ['local_size', 'INTEGER'],
+      ['download_status', 'TEXT'],
+      ['downloaded_at', 'TEXT'],
+      ['download_error', 'TEXT'],
+      ['trashed', 'INTEGER DEFAULT 0'],
+      ['deleted_at', 'TEXT']
+    ],
+    primaryKey: ['account_id', 'id']
+  },
+  sync_checkpoints: {
+    columns: [
+      ['id', 'INTEGER PRIMARY KEY AUTOINCREMENT'],
+      ['sync_id', 'TEXT NOT NULL'],
+      ['account_id', "TEXT NOT NULL DEFAULT 'default'"],
+      ['drive_id', "TEXT NOT NULL DEFAULT 'my-drive'"],
+      ['page_token', 'TEXT'],
+      ['files_processed', 'INTEGER DEFAULT 0'],
+      ['files_removed', 'INTEGER DEFAULT 0'],
+      ['files_trashed', 'INTEGER DEFAULT 0'],
+      ['status', "TEXT DEFAULT 'in_progress'"],
+      ['started_at', 'TEXT'],
+      ['updated_at', 'TEXT'],
+      ['completed_at', 'TEXT'],
+      ['error_message', 'TEXT']
+    ]
+  },
+  jobs: {
+    columns: [
+      ['id', 'TEXT PRIMARY KEY'],
+      ['type', 'TEXT NOT NULL'],
+      ['account_id', "TEXT NOT NULL DEFAULT 'default'"],
+      ['payload', 'TEXT'],
+      ['status', "TEXT DEFAULT 'pending'"],
+      ['priority', 'INTEGER DEFAULT 0'],
+      ['attempts', 'INTEGER DEFAULT 0'],
+      ['max_attempts', 'INTEGER DEFAULT 5'],
+      ['last_error', 'TEXT'],
+      ['created_at', 'TEXT'],
+      ['updated_at', 'TEXT'],
+      ['scheduled_at', 'TEXT'],
+      ['started_at', 'TEXT'],
+      ['completed_at', 'TEXT']
+    ]
+  },
+  dead_letter_queue: {
+    columns: [
+      ['id', 'INTEGER PRIMARY KEY AUTOINCREMENT'],
+      ['job_id', 'TEXT NOT NULL'],
+      ['job_type', 'TEXT'],
+      ['payload', 'TEXT'],
+      ['error_message', 'TEXT'],
+      ['failed_at', 'TEXT']
+    ]
+  },
+  sync_state: {
+    columns: [
+      ['account_id', 'TEXT NOT NULL'],
+      ['drive_id', "TEXT NOT NULL DEFAULT 'my-drive'"],
+      ['change_token', 'TEXT'],
+      ['last_sync_id', 'TEXT'],
+      ['updated_at', 'TEXT']
+    ],
+    primaryKey: ['account_id', 'drive_id'],
+    // the first version kept one row per account keyed by id
+    renamedFrom: { account_id: 'id' }
+  },
+  schedules: {
+    columns: [
+      ['id', 'TEXT PRIMARY KEY'],
+      ['name', 'TEXT NOT NULL UNIQUE'],
+      ['sync_type', 'TEXT NOT NULL'],
+      ['account_id', "TEXT NOT NULL DEFAULT 'default'"],
+      ['drive_id', "TEXT NOT NULL DEFAULT 'my-drive'"],
+      ['interval_ms', 'INTEGER'],
+      ['cron', 'TEXT'],
+      ['enabled', 'INTEGER DEFAULT 1'],
+      ['last_run_at', 'TEXT'],
+      ['last_status', 'TEXT'],
+      ['last_sync_id', 'TEXT'],
+      ['last_error', 'TEXT'],
+      ['next_run_at', 'TEXT'],
+      ['created_at', 'TEXT'],
+      ['updated_at', 'TEXT']
+    ]
+  },
+  accounts: {
+    columns: [
+      ['id', 'TEXT PRIMARY KEY'],
+      ['email', 'TEXT'],
+      ['display_name', 'TEXT'],
+      ['created_at', 'TEXT'],
+      ['updated_at', 'TEXT']
+    ]
+  },
+  drives: {
+    columns: [
+      ['id', 'TEXT NOT NULL'],
+      ['account_id', "TEXT NOT NULL DEFAULT 'default'"],
+      ['name', 'TEXT'],
+      ['hidden', 'INTEGER DEFAULT 0'],
+      ['created_time', 'TEXT'],
+      ['updated_at', 'TEXT']
+    ],
+    primaryKey: ['account_id', 'id']
+  },
+  tokens: {
+    columns: [
+      ['user_id', 'TEXT PRIMARY KEY'],
+      ['access_token', 'TEXT'],
+      ['refresh_token', 'TEXT'],
+      ['expiry_date', 'INTEGER'],
+      ['updated_at', 'TEXT']
+    ]
+  }
+};
+
+const INDEXES = [
+  'CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status)',
+  'CREATE INDEX IF NOT EXISTS idx_jobs_scheduled ON jobs(scheduled_at)',
+  'CREATE INDEX IF NOT EXISTS idx_jobs_account ON jobs(account_id)',
+  'CREATE INDEX IF NOT EXISTS idx_files_parent ON files(parent_id)',
+  'CREATE INDEX IF NOT EXISTS idx_files_id ON files(id)',
+  'CREATE INDEX IF NOT EXISTS idx_files_download_status ON files(download_status)',
+  'CREATE INDEX IF NOT EXISTS idx_files_deleted_at ON files(deleted_at)',
+  'CREATE INDEX IF NOT EXISTS idx_files_drive ON files(account_id, drive_id)',
+  'CREATE INDEX IF NOT EXISTS idx_files_path ON files(account_id, path)',
+  'CREATE INDEX IF NOT EXISTS idx_sync_checkpoints_sync_id ON sync_checkpoints(sync_id)',
+  'CREATE INDEX IF NOT EXISTS idx_sync_checkpoints_account ON sync_checkpoints(account_id)'
+];
+
+function createTableSql(name, spec) {
+  const definitions = spec.columns.map(([column, type]) => `${column} ${type}`);
+  if (spec.primaryKey) {
+    definitions.push(`PRIMARY KEY (${spec.primaryKey.join(', ')})`);
+  }
+  return `CREATE TABLE ${name} (\n  ${definitions.join(',\n  ')}\n)`;
+}
+
+function existingColumns(db, table) {
+  return db.query(`PRAGMA table_info(${table})`);
+}
+
+function primaryKeyOf(columns) {
+  return columns
+    .filter(c => c.pk > 0)
+    .sort((a, b) => a.pk - b.pk)
+    .map(c => c.name);
+}
+
+function expectedPrimaryKey(spec) {
+  if (spec.primaryKey) return spec.primaryKey;
+  return spec.columns.filter(([, type]) => /PRIMARY KEY/.test(type)).map(([column]) => column);
+}
+
+// copy into a fresh table; used when the primary key changed, which sqlite can't alter
+function rebuildTable(db, name, spec, columns) {
+  const present = new Set(columns.map(c => c.name));
+  const targets = [];
+  const sources = [];
+  for (const [column] of spec.columns) {
+    const source = present.has(column) ? column : spec.renamedFrom?.[column];
+    if (source && present.has(source)) {
+      targets.push(column);
+      sources.push(source);
+    }
+  }
+
+  db.run(createTableSql(`${name}_rebuild`, spec));
+  db.run(`
+    INSERT OR IGNORE INTO ${name}_rebuild (${targets.join(', ')})
+    SELECT ${sources.join(', ')} FROM ${name}
+  `);
+  db.run(`DROP TABLE ${name}`);
+  db.run(`ALTER TABLE ${name}_rebuild RENAME TO ${name}`);
+}
+
+function upgradeTable(db, name, spec) {
+  const columns = existingColumns(db, name);
+  if (columns.length === 0) {
+    db.run(createTableSql(name, spec));
+    return;
+  }
+
+  if (primaryKeyOf(columns).join() !== expectedPrimaryKey(spec).join()) {
+    rebuildTable(db, name, spec, columns);
+    return;
+  }
+
+  const present = new Set(columns.map(c => c.name));
+  for (const [column, type] of spec.columns) {
+    if (!present.has(column)) {
+      db.run(`ALTER TABLE ${name} ADD COLUMN ${column} ${type}`);
+    }
+  }
+}
+
+// rows from before materialized paths get theirs from the parent chain;
+// items whose parent was never synced start at the root, as on upsert
+function backfillPaths(db) {
+  const missing = db.queryOne('SELECT COUNT(*) as count FROM files WHERE path IS NULL');
+  if (missing.count === 0) return;
+
+  db.run(`
+    CREATE TEMP TABLE file_paths AS
+    WITH RECURSIVE tree(account_id, id, path, depth) AS (
+      SELECT f.account_id, f.id, '/' || f.name, 1 FROM files f
+      WHERE f.parent_id IS NULL OR NOT EXISTS (
+        SELECT 1 FROM files p WHERE p.account_id = f.account_id AND p.id = f.parent_id
+      )
+      UNION
+      SELECT f.account_id, f.id, tree.path || '/' || f.name, tree.depth + 1
+      FROM files f JOIN tree ON f.account_id = tree.account_id AND f.parent_id = tree.id
+      WHERE tree.depth < ${MAX_PATH_DEPTH}
+    )
+    -- with MIN() sqlite takes path from the shallowest row
+    SELECT account_id, id, path, MIN(depth) AS depth FROM tree GROUP BY account_id, id
+  `);
+  db.run('CREATE INDEX temp.idx_file_paths ON file_paths(account_id, id)');
+  db.run(`
+    UPDATE files SET path = (
+      SELECT path FROM file_paths p WHERE p.account_id = files.account_id AND p.id = files.id
+    )
+    WHERE path IS NULL
+  `);
+  db.run('DROP TABLE temp.file_paths');
+}
+
+function up(db) {
+  for (const [name, spec] of Object.entries(TABLES)) {
+    upgradeTable(db, name, spec);
+  }
+  for (const sql of INDEXES) {
+    db.run(sql);
+  }
+  backfillPaths(db);
+}
+
+function down(db) {
+  for (const name of Object.keys(TABLES).reverse()) {
+    db.run(`DROP TABLE IF EXISTS ${name}`);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+const { FTS_TABLE, createSearchTable } = require('../fileSearch');
+
+// full-text index over files. rows already in the table are indexed from
+// raw_metadata, a best effort next to what upserts index from the live file
+function up(db) {
+  createSearchTable(db);
+  db.run(`
+    INSERT INTO ${FTS_TABLE} (rowid, account_id, file_id, name, description, content)
+    SELECT rowid, account_id, id, name,
+      COALESCE(json_extract(raw_metadata, '$.description'), ''),
+      TRIM(COALESCE(json_extract(raw_metadata, '$.originalFilename'), '') || ' ' ||
+        COALESCE(json_extract(raw_metadata, '$.fullFileExtension'), ''))
+    FROM files WHERE rowid NOT IN (SELECT rowid FROM ${FTS_TABLE})
+  `);
+}
+
+function down(db) {
+  db.run(`DROP TABLE IF EXISTS ${FTS_TABLE}`);
+}
+
+module.exports = { up, down };
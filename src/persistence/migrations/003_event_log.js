@@ -0,0 +1,22 @@
+// sync and job events, kept so /events clients can pick up where they left off.
+// AUTOINCREMENT so pruned ids are never handed out again as Last-Event-ID values
+function up(db) {
+  db.run(`
+    CREATE TABLE events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      account_id TEXT,
+      sync_id TEXT,
+      job_id TEXT,
+      data TEXT,
+      created_at TEXT NOT NULL
+    )
+  `);
+  db.run('CREATE INDEX idx_events_sync ON events(sync_id)');
+}
+
+function down(db) {
+  db.run('DROP TABLE IF EXISTS events');
+}
+
+module.exports = { up, down };
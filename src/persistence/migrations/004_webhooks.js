@@ -0,0 +1,44 @@
+// outbound webhook subscriptions and one row per delivery, updated on every attempt
+function up(db) {
+  db.run(`
+    CREATE TABLE webhooks (
+      id TEXT PRIMARY KEY,
+      url TEXT NOT NULL,
+      events TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      account_id TEXT,
+      description TEXT,
+      enabled INTEGER DEFAULT 1,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    )
+  `);
+
+  db.run(`
+    CREATE TABLE webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id TEXT NOT NULL,
+      event_id INTEGER,
+      event_type TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL,
+      attempts INTEGER DEFAULT 0,
+      job_id TEXT,
+      response_status INTEGER,
+      response_body TEXT,
+      error TEXT,
+      duration_ms INTEGER,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      delivered_at TEXT
+    )
+  `);
+  db.run('CREATE INDEX idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id)');
+}
+
+function down(db) {
+  db.run('DROP TABLE IF EXISTS webhook_deliveries');
+  db.run('DROP TABLE IF EXISTS webhooks');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+// what each sync did to each file, with the tracked fields before and after
+function up(db) {
+  db.run(`
+    CREATE TABLE file_changes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      account_id TEXT NOT NULL,
+      drive_id TEXT,
+      file_id TEXT NOT NULL,
+      sync_id TEXT,
+      change_type TEXT NOT NULL,
+      fields TEXT,
+      before_values TEXT,
+      after_values TEXT,
+      created_at TEXT NOT NULL
+    )
+  `);
+  db.run('CREATE INDEX idx_file_changes_sync ON file_changes(sync_id, id)');
+  db.run('CREATE INDEX idx_file_changes_file ON file_changes(account_id, file_id, id)');
+  db.run('CREATE INDEX idx_file_changes_created ON file_changes(created_at)');
+}
+
+function down(db) {
+  db.run('DROP TABLE IF EXISTS file_changes');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,44 @@
+// named copies of the catalog: one row per snapshot and a copy of every live file in it
+function up(db) {
+  db.run(`
+    CREATE TABLE snapshots (
+      id TEXT PRIMARY KEY,
+      account_id TEXT NOT NULL,
+      drive_id TEXT,
+      name TEXT NOT NULL,
+      description TEXT,
+      source TEXT NOT NULL,
+      sync_id TEXT,
+      file_count INTEGER DEFAULT 0,
+      total_size INTEGER DEFAULT 0,
+      created_at TEXT NOT NULL
+    )
+  `);
+  db.run('CREATE UNIQUE INDEX idx_snapshots_name ON snapshots(account_id, name)');
+  db.run('CREATE INDEX idx_snapshots_created ON snapshots(account_id, created_at)');
+
+  db.run(`
+    CREATE TABLE snapshot_files (
+      snapshot_id TEXT NOT NULL,
+      file_id TEXT NOT NULL,
+      drive_id TEXT,
+      name TEXT,
+      mime_type TEXT,
+      size INTEGER,
+      parent_id TEXT,
+      path TEXT,
+      modified_time TEXT,
+      created_time TEXT,
+      md5_checksum TEXT,
+      PRIMARY KEY (snapshot_id, file_id)
+    )
+  `);
+  db.run('CREATE INDEX idx_snapshot_files_path ON snapshot_files(snapshot_id, path)');
+}
+
+function down(db) {
+  db.run('DROP TABLE IF EXISTS snapshot_files');
+  db.run('DROP TABLE IF EXISTS snapshots');
+}
+
+module.exports = { up, down };
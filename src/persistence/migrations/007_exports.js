@@ -0,0 +1,31 @@
+// catalog exports written to disk by a job, kept for download until deleted
+function up(db) {
+  db.run(`
+    CREATE TABLE exports (
+      id TEXT PRIMARY KEY,
+      account_id TEXT,
+      drive_id TEXT,
+      format TEXT NOT NULL,
+      columns TEXT NOT NULL,
+      filters TEXT NOT NULL,
+      sort TEXT NOT NULL,
+      sort_order TEXT NOT NULL,
+      status TEXT NOT NULL,
+      job_id TEXT,
+      file_path TEXT,
+      row_count INTEGER DEFAULT 0,
+      bytes INTEGER DEFAULT 0,
+      error TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      completed_at TEXT
+    )
+  `);
+  db.run('CREATE INDEX idx_exports_account ON exports(account_id, created_at)');
+}
+
+function down(db) {
+  db.run('DROP TABLE IF EXISTS exports');
+}
+
+module.exports = { up, down };
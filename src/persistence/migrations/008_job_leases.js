@@ -0,0 +1,19 @@
+// a running job holds a lease its runner keeps renewing; one whose lease ran
+// out belonged to a runner that died and is put back in the queue
+function up(db) {
+  db.run('ALTER TABLE jobs ADD COLUMN lease_expires_at TEXT');
+  db.run('ALTER TABLE jobs ADD COLUMN heartbeat_at TEXT');
+  db.run('ALTER TABLE jobs ADD COLUMN reaped_count INTEGER DEFAULT 0');
+  db.run('ALTER TABLE jobs ADD COLUMN last_reaped_at TEXT');
+  db.run('CREATE INDEX idx_jobs_lease ON jobs(status, lease_expires_at)');
+}
+
+function down(db) {
+  db.run('DROP INDEX IF EXISTS idx_jobs_lease');
+  db.run('ALTER TABLE jobs DROP COLUMN last_reaped_at');
+  db.run('ALTER TABLE jobs DROP COLUMN reaped_count');
+  db.run('ALTER TABLE jobs DROP COLUMN heartbeat_at');
+  db.run('ALTER TABLE jobs DROP COLUMN lease_expires_at');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+// processes running jobs register here, and a claimed job records which one holds it
+function up(db) {
+  db.run(`
+    CREATE TABLE workers (
+      id TEXT PRIMARY KEY,
+      hostname TEXT NOT NULL,
+      pid INTEGER NOT NULL,
+      concurrency INTEGER NOT NULL,
+      started_at TEXT NOT NULL,
+      heartbeat_at TEXT NOT NULL,
+      stopped_at TEXT
+    )
+  `);
+  db.run('ALTER TABLE jobs ADD COLUMN worker_id TEXT');
+  db.run('CREATE INDEX idx_jobs_worker ON jobs(worker_id, status)');
+}
+
+function down(db) {
+  db.run('DROP INDEX IF EXISTS idx_jobs_worker');
+  db.run('ALTER TABLE jobs DROP COLUMN worker_id');
+  db.run('DROP TABLE IF EXISTS workers');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,11 @@
+// the sync or import that last wrote each file, so a replacing import can tell
+// the rows it wrote from the ones it didn't without comparing timestamps
+function up(db) {
+  db.run('ALTER TABLE files ADD COLUMN sync_id TEXT');
+}
+
+function down(db) {
+  db.run('ALTER TABLE files DROP COLUMN sync_id');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// numbered migration modules exporting up(db) and down(db), in version order
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => {
+      const match = MIGRATION_FILE.exec(file);
+      if (!match) return null;
+      const { up, down } = require(path.join(dir, file));
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: parseInt(match[1], 10), name: match[2], up, down };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+class Migrator {
+  constructor(dbManager, options = {}) {
+    this.dbManager = dbManager;
+    this.migrations = options.migrations || loadMigrations(options.dir);
+  }
+
+  _ensureTable() {
+    this.dbManager.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  appliedVersions() {
+    this._ensureTable();
+    return this.dbManager
+      .query('SELECT version FROM schema_migrations ORDER BY version')
+      .map(r => r.version);
+  }
+
+  currentVersion() {
+    const applied = this.appliedVersions();
+    return applied.length > 0 ? applied[applied.length - 1] : 0;
+  }
+
+  latestVersion() {
+    return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+  }
+
+  status() {
+    this._ensureTable();
+    const applied = new Map(
+      this.dbManager.query('SELECT version, applied_at FROM schema_migrations').map(r => [r.version, r.applied_at])
+    );
+    return this.migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      appliedAt: applied.get(m.version) || null
+    }));
+  }
+
+  pending() {
+    const applied = new Set(this.appliedVersions());
+    return this.migrations.filter(m => !applied.has(m.version));
+  }
+
+  // versions recorded in the database that this build has no file for
+  unknownVersions() {
+    const known = new Set(this.migrations.map(m => m.version));
+    return this.appliedVersions().filter(v => !known.has(v));
+  }
+
+  // true when the database holds tables from before migrations were tracked
+  hasUntrackedSchema() {
+    const row = this.dbManager.queryOne(`
+      SELECT COUNT(*) as count FROM sqlite_master
+      WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'
+    `);
+    return row.count > 0 && this.appliedVersions().length === 0;
+  }
+
+  // applies pending migrations up to `to` (default: latest), each in its own transaction
+  migrate({ to = this.latestVersion() } = {}) {
+    const unknown = this.unknownVersions();
+    if (unknown.length > 0) {
+      throw new Error(`Database has migrations this build doesn't know about (${unknown.join(', ')}); it was migrated by a newer version`);
+    }
+
+    const applied = [];
+    for (const migration of this.pending()) {
+      if (migration.version > to) break;
+
+      this.dbManager.withTransaction(() => {
+        migration.up(this.dbManager);
+        this.dbManager.run(
+          'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+      });
+      logger.info('Applied migration', { version: migration.version, name: migration.name });
+      applied.push(migration);
+    }
+    return applied;
+  }
+
+  // reverts the last `steps` applied migrations, or everything above `to`
+  rollback({ steps = 1, to } = {}) {
+    const byVersion = new Map(this.migrations.map(m => [m.version, m]));
+    const applied = this.appliedVersions().reverse();
+    const targets = to !== undefined
+      ? applied.filter(v => v > to)
+      : applied.slice(0, steps);
+
+    const reverted = [];
+    for (const version of targets) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Cannot roll back migration ${version}: no migration file for it`);
+      }
+
+      this.dbManager.withTransaction(() => {
+        migration.down(this.dbManager);
+        this.dbManager.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+      });
+      logger.info('Reverted migration', { version, name: migration.name });
+      reverted.push(migration);
+    }
+    return reverted;
+  }
+}
+
+module.exports = { Migrator, loadMigrations, MIGRATIONS_DIR };
@@ -0,0 +1,141 @@
+const logger = require('../utils/logger');
+const { DEFAULT_ACCOUNT_ID } = require('./accountRepository');
+const { MY_DRIVE_ID } = require('./driveRepository');
+
+function generateId() {
+  return 'sched_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+const SCHEDULE_RUN_STATUS = {
+  STARTED: 'started',
+  SKIPPED: 'skipped',
+  FAILED: 'failed'
+};
+
+class ScheduleRepository {
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+  }
+
+  create(schedule) {
+    const id = generateId();
+    const now = new Date().toISOString();
+
+    this.dbManager.run(`
+      INSERT INTO schedules (
+        id, name, sync_type, account_id, drive_id, interval_ms, cron, enabled, next_run_at, created_at, updated_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id,
+      schedule.name,
+      schedule.syncType,
+      schedule.accountId || DEFAULT_ACCOUNT_ID,
+      schedule.driveId || MY_DRIVE_ID,
+      schedule.intervalMs || null,
+      schedule.cron || null,
+      schedule.enabled === false ? 0 : 1,
+      schedule.nextRunAt || null,
+      now,
+      now
+    ]);
+
+    logger.debug('Schedule created', { id, name: schedule.name });
+    return id;
+  }
+
+  findById(id) {
+    const row = this.dbManager.queryOne('SELECT * FROM schedules WHERE id = ?', [id]);
+    return row ? this._mapRow(row) : null;
+  }
+
+  findByName(name) {
+    const row = this.dbManager.queryOne('SELECT * FROM schedules WHERE name = ?', [name]);
+    return row ? this._mapRow(row) : null;
+  }
+
+  findAll(accountId = null) {
+    const rows = accountId
+      ? this.dbManager.query('SELECT * FROM schedules WHERE account_id = ? ORDER BY created_at ASC', [accountId])
+      : this.dbManager.query('SELECT * FROM schedules ORDER BY created_at ASC', []);
+    return rows.map(r => this._mapRow(r));
+  }
+
+  findDue(now) {
+    const rows = this.dbManager.query(`
+      SELECT * FROM schedules
+      WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?
+      ORDER BY next_run_at ASC
+    `, [now]);
+    return rows.map(r => this._mapRow(r));
+  }
+
+  update(id, changes) {
+    const columns = {
+      name: 'name',
+      syncType: 'sync_type',
+      accountId: 'account_id',
+      driveId: 'drive_id',
+      intervalMs: 'interval_ms',
+      cron: 'cron',
+      enabled: 'enabled',
+      nextRunAt: 'next_run_at'
+    };
+
+    const sets = [];
+    const params = [];
+    for (const [key, column] of Object.entries(columns)) {
+      if (changes[key] !== undefined) {
+        sets.push(`${column} = ?`);
+        params.push(key === 'enabled' ? (changes[key] ? 1 : 0) : changes[key]);
+      }
+    }
+    if (sets.length === 0) return 0;
+
+    sets.push('updated_at = ?');
+    params.push(new Date().toISOString(), id);
+
+    this.dbManager.run(`UPDATE schedules SET ${sets.join(', ')} WHERE id = ?`, params);
+    return 1;
+  }
+
+  recordRun(id, { status, runAt, nextRunAt, syncId = null, error = null }) {
+    this.dbManager.run(`
+      UPDATE schedules SET
+        last_run_at = ?, last_status = ?, last_sync_id = COALESCE(?, last_sync_id),
+        last_error = ?, next_run_at = ?, updated_at = ?
+      WHERE id = ?
+    `, [runAt, status, syncId, error, nextRunAt, new Date().toISOString(), id]);
+    return 1;
+  }
+
+  delete(id) {
+    const existing = this.findById(id);
+    if (!existing) return false;
+    this.dbManager.run('DELETE FROM schedules WHERE id = ?', [id]);
+    logger.debug('Schedule deleted', { id });
+    return true;
+  }
+
+  _mapRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      syncType: row.sync_type,
+      accountId: row.account_id,
+      driveId: row.drive_id,
+      intervalMs: row.interval_ms,
+      cron: row.cron,
+      enabled: !!row.enabled,
+      lastRunAt: row.last_run_at,
+      lastStatus: row.last_status,
+      lastSyncId: row.last_sync_id,
+      lastError: row.last_error,
+      nextRunAt: row.next_run_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = { ScheduleRepository, SCHEDULE_RUN_STATUS };
@@ -0,0 +1,228 @@
+const logger = require('../utils/logger');
+const { snapshotRow, classifyChange } = require('./fileChangeRepository');
+
+function generateId() {
+  return 'snap_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+const SNAPSHOT_SOURCE = {
+  MANUAL: 'manual',
+  FULL_SYNC: 'full_sync'
+};
+
+// the file columns a snapshot keeps, named as in the files table
+const FILE_COLUMNS = [
+  'drive_id', 'name', 'mime_type', 'size', 'parent_id', 'path', 'modified_time', 'created_time', 'md5_checksum'
+];
+
+// the same fields the change log compares, see fileChangeRepository
+const COMPARED_COLUMNS = ['name', 'parent_id', 'mime_type', 'size', 'md5_checksum', 'modified_time'];
+
+function mapFile(row, prefix = '') {
+  return {
+    id: row[`${prefix}file_id`],
+    driveId: row[`${prefix}drive_id`],
+    name: row[`${prefix}name`],
+    mimeType: row[`${prefix}mime_type`],
+    size: row[`${prefix}size`],
+    parentId: row[`${prefix}parent_id`],
+    path: row[`${prefix}path`],
+    modifiedTime: row[`${prefix}modified_time`],
+    createdTime: row[`${prefix}created_time`],
+    md5Checksum: row[`${prefix}md5_checksum`]
+  };
+}
+
+// the row of one side of a changed-file join, unprefixed
+function unprefix(row, prefix) {
+  const result = {};
+  for (const column of ['file_id', ...FILE_COLUMNS]) {
+    result[column] = row[`${prefix}${column}`];
+  }
+  return result;
+}
+
+class SnapshotRepository {
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+  }
+
+  // copies every live file of the account (or of one of its drives) as it is right now
+  create({ accountId, driveId = null, name, description = null, source = SNAPSHOT_SOURCE.MANUAL, syncId = null }) {
+    const id = generateId();
+    const now = new Date().toISOString();
+
+    this.dbManager.withTransaction(() => {
+      this.dbManager.run(`
+        INSERT INTO snapshots (id, account_id, drive_id, name, description, source, sync_id, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `, [id, accountId, driveId, name, description, source, syncId, now]);
+
+      const params = [id, accountId];
+      let scope = '';
+      if (driveId) {
+        scope = ' AND drive_id = ?';
+        params.push(driveId);
+      }
+      this.dbManager.run(`
+        INSERT INTO snapshot_files (snapshot_id, file_id, ${FILE_COLUMNS.join(', ')})
+        SELECT ?, id, ${FILE_COLUMNS.join(', ')} FROM files
+        WHERE account_id = ? AND deleted_at IS NULL${scope}
+      `, params);
+
+      this.dbManager.run(`
+        UPDATE snapshots SET
+          file_count = (SELECT COUNT(*) FROM snapshot_files WHERE snapshot_id = ?),
+          total_size = (SELECT COALESCE(SUM(size), 0) FROM snapshot_files WHERE snapshot_id = ?)
+        WHERE id = ?
+      `, [id, id, id]);
+    });
+
+    logger.debug('Snapshot created', { id, accountId, driveId, name });
+    return id;
+  }
+
+  findById(id) {
+    const row = this.dbManager.queryOne('SELECT * FROM snapshots WHERE id = ?', [id]);
+    return row ? this._mapRow(row) : null;
+  }
+
+  findByName(name, accountId) {
+    const row = this.dbManager.queryOne('SELECT * FROM snapshots WHERE account_id = ? AND name = ?', [accountId, name]);
+    return row ? this._mapRow(row) : null;
+  }
+
+  // newest first; `before` finds the snapshots taken up to a point in time
+  findAll(filters = {}) {
+    const conditions = ['1 = 1'];
+    const params = [];
+
+    if (filters.accountId) {
+      conditions.push('account_id = ?');
+      params.push(filters.accountId);
+    }
+    if (filters.driveId !== undefined) {
+      conditions.push('drive_id IS ?');
+      params.push(filters.driveId);
+    }
+    if (filters.source) {
+      conditions.push('source = ?');
+      params.push(filters.source);
+    }
+    if (filters.before) {
+      conditions.push('created_at <= ?');
+      params.push(filters.before);
+    }
+
+    let limit = '';
+    if (filters.limit) {
+      limit = ' LIMIT ?';
+      params.push(filters.limit);
+    }
+    const rows = this.dbManager.query(
+      `SELECT * FROM snapshots WHERE ${conditions.join(' AND ')} ORDER BY created_at DESC, id DESC${limit}`,
+      params
+    );
+    return rows.map(r => this._mapRow(r));
+  }
+
+  // files as of the snapshot, by path
+  findFiles(snapshotId, filters = {}, page = {}) {
+    const conditions = ['snapshot_id = ?'];
+    const params = [snapshotId];
+
+    if (filters.parentId) {
+      conditions.push('parent_id = ?');
+      params.push(filters.parentId);
+    }
+    if (filters.pathPrefix) {
+      conditions.push("(path = ? OR path LIKE ? ESCAPE '\\')");
+      const prefix = filters.pathPrefix.replace(/\/+$/, '');
+      params.push(prefix, prefix.replace(/[\\%_]/g, '\\$&') + '/%');
+    }
+    if (filters.name) {
+      conditions.push("name LIKE ? ESCAPE '\\'");
+      params.push('%' + filters.name.replace(/[\\%_]/g, '\\$&') + '%');
+    }
+
+    const where = conditions.join(' AND ');
+    const rows = this.dbManager.query(
+      `SELECT * FROM snapshot_files WHERE ${where} ORDER BY path ASC, file_id ASC LIMIT ? OFFSET ?`,
+      [...params, page.limit || 100, page.offset || 0]
+    );
+    const total = this.dbManager.queryOne(`SELECT COUNT(*) as count FROM snapshot_files WHERE ${where}`, params);
+
+    return { files: rows.map(r => mapFile(r)), total: total ? total.count : 0 };
+  }
+
+  findFile(snapshotId, fileId) {
+    const row = this.dbManager.queryOne(
+      'SELECT * FROM snapshot_files WHERE snapshot_id = ? AND file_id = ?',
+      [snapshotId, fileId]
+    );
+    return row ? mapFile(row) : null;
+  }
+
+  // what happened between two snapshots; changed files are classified like the change log does
+  diff(fromId, toId) {
+    const onlyIn = (id, otherId) => this.dbManager.query(`
+      SELECT * FROM snapshot_files s
+      WHERE s.snapshot_id = ? AND NOT EXISTS (
+        SELECT 1 FROM snapshot_files o WHERE o.snapshot_id = ? AND o.file_id = s.file_id
+      )
+      ORDER BY s.path ASC, s.file_id ASC
+    `, [id, otherId]).map(r => mapFile(r));
+
+    const columns = ['file_id', ...FILE_COLUMNS];
+    const changedRows = this.dbManager.query(`
+      SELECT ${columns.map(c => `a.${c} AS before_${c}`).join(', ')},
+             ${columns.map(c => `b.${c} AS after_${c}`).join(', ')}
+      FROM snapshot_files a
+      JOIN snapshot_files b ON b.snapshot_id = ? AND b.file_id = a.file_id
+      WHERE a.snapshot_id = ? AND (${COMPARED_COLUMNS.map(c => `a.${c} IS NOT b.${c}`).join(' OR ')})
+      ORDER BY b.path ASC, b.file_id ASC
+    `, [toId, fromId]);
+
+    const changed = changedRows.map(row => {
+      const change = classifyChange(snapshotRow(unprefix(row, 'before_')), snapshotRow(unprefix(row, 'after_')));
+      return {
+        ...change,
+        before: mapFile(row, 'before_'),
+        after: mapFile(row, 'after_')
+      };
+    });
+
+    return { added: onlyIn(toId, fromId), removed: onlyIn(fromId, toId), changed };
+  }
+
+  delete(id) {
+    return this.dbManager.withTransaction(() => {
+      this.dbManager.run('DELETE FROM snapshot_files WHERE snapshot_id = ?', [id]);
+      const { changes } = this.dbManager.run('DELETE FROM snapshots WHERE id = ?', [id]);
+      return changes > 0;
+    });
+  }
+
+  deleteAll() {
+    this.dbManager.run('DELETE FROM snapshot_files', []);
+    const { changes } = this.dbManager.run('DELETE FROM snapshots', []);
+    return changes;
+  }
+
+  _mapRow(row) {
+    return {
+      id: row.id,
+      accountId: row.account_id,
+      driveId: row.drive_id,
+      name: row.name,
+      description: row.description,
+      source: row.source,
+      syncId: row.sync_id,
+      fileCount: row.file_count,
+      totalSize: row.total_size,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = { SnapshotRepository, SNAPSHOT_SOURCE };
@@ -0,0 +1,97 @@
+// native sqlite through better-sqlite3. writes go straight to the database
+// file through the WAL, so there is nothing to export or flush
+class BetterSqliteStorage {
+  constructor(dbPath, options = {}) {
+    this.driver = 'better-sqlite3';
+    this.dbPath = dbPath || ':memory:';
+    this.busyTimeoutMs = options.busyTimeoutMs ?? 5000;
+    // for reading someone else's file, e.g. a backup being imported
+    this.readonly = !!options.readonly;
+    this.db = null;
+  }
+
+  async open() {
+    // required lazily: it is an optional native dependency
+    const Database = require('better-sqlite3');
+    if (this.readonly) {
+      this.db = new Database(this.dbPath, { readonly: true, fileMustExist: true });
+      return this;
+    }
+    this.db = new Database(this.dbPath);
+    if (this.dbPath !== ':memory:') {
+      this.db.pragma('journal_mode = WAL');
+      this.db.pragma('synchronous = NORMAL');
+    }
+    this.db.pragma(`busy_timeout = ${this.busyTimeoutMs}`);
+    return this;
+  }
+
+  // better-sqlite3 refuses booleans, sql.js stores them as 1/0
+  _bind(params) {
+    return params.map(p => (typeof p === 'boolean' ? Number(p) : p));
+  }
+
+  query(sql, params = []) {
+    const stmt = this.db.prepare(sql);
+    if (!stmt.reader) {
+      stmt.run(this._bind(params));
+      return [];
+    }
+    return stmt.all(this._bind(params));
+  }
+
+  run(sql, params = []) {
+    const stmt = this.db.prepare(sql);
+    if (stmt.reader) {
+      // e.g. pragmas that report their new value
+      stmt.all(this._bind(params));
+      return { changes: 0 };
+    }
+    const { changes } = stmt.run(this._bind(params));
+    return { changes };
+  }
+
+  exec(sql) {
+    this.db.exec(sql);
+  }
+
+  // immediate so a second process can't sneak a write in between our read and
+  // write; nested calls run as savepoints
+  transaction(fn) {
+    return this.db.transaction(fn).immediate();
+  }
+
+  createFunction(name, fn) {
+    this.db.function(name, { deterministic: true }, fn);
+  }
+
+  // online page-level copy: consistent even with a WAL, and unlike VACUUM INTO
+  // it keeps rowids, which the search index is keyed on
+  async backup(destPath) {
+    await this.db.backup(destPath);
+  }
+
+  isDirty() {
+    return false;
+  }
+
+  flush() {}
+
+  close() {
+    if (!this.db) return;
+    if (this.dbPath !== ':memory:' && !this.readonly) {
+      // fold the WAL back in and leave a plain rollback-journal file, which
+      // the sql.js fallback can still read. the last connection out does it
+      try {
+        this.db.pragma('wal_checkpoint(TRUNCATE)');
+        this.db.pragma('journal_mode = DELETE');
+      } catch (err) {
+        if (err.code !== 'SQLITE_BUSY') throw err;
+      }
+    }
+    this.db.close();
+    this.db = null;
+  }
+}
+
+module.exports = { BetterSqliteStorage };
@@ -0,0 +1,36 @@
+const logger = require('../../utils/logger');
+const { SqlJsStorage } = require('./sqlJsStorage');
+const { BetterSqliteStorage } = require('./betterSqliteStorage');
+
+const STORAGE_DRIVERS = {
+  'better-sqlite3': BetterSqliteStorage,
+  'sql.js': SqlJsStorage
+};
+
+// 'auto' prefers the native driver and falls back to sql.js when it isn't
+// installed or its binary doesn't load on this platform
+function resolveDriver(driver = 'auto') {
+  if (driver !== 'auto') {
+    if (!STORAGE_DRIVERS[driver]) {
+      throw new Error(`Unknown database driver: ${driver}. Expected one of: auto, ${Object.keys(STORAGE_DRIVERS).join(', ')}`);
+    }
+    return driver;
+  }
+
+  try {
+    // the native binding only loads once a database is opened
+    const Database = require('better-sqlite3');
+    new Database(':memory:').close();
+    return 'better-sqlite3';
+  } catch (err) {
+    logger.warn('better-sqlite3 unavailable, falling back to sql.js', { error: err.message });
+    return 'sql.js';
+  }
+}
+
+async function openStorage(dbPath, options = {}) {
+  const Storage = STORAGE_DRIVERS[resolveDriver(options.driver)];
+  return new Storage(dbPath, options).open();
+}
+
+module.exports = { openStorage, resolveDriver, STORAGE_DRIVERS, SqlJsStorage, BetterSqliteStorage };
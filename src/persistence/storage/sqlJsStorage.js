@@ -0,0 +1,173 @@
+const initSqlJs = require('sql.js');
+const fs = require('fs');
+const logger = require('../../utils/logger');
+
+const DEFAULT_SAVE_DELAY_MS = 1000;
+const DEFAULT_MAX_SAVE_DELAY_MS = 10000;
+
+// write to a temp file and rename over the target, so a crash mid-save
+// leaves either the old file or the new one, never half of each
+function writeFileAtomic(filePath, data) {
+  const tmpPath = `${filePath}.tmp-${process.pid}`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    try {
+      fs.writeSync(fd, data);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+  } catch (err) {
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+}
+
+// in-memory sqlite (wasm). the whole database lives in memory and is exported
+// to disk after writes settle for saveDelayMs, or at most every maxSaveDelayMs
+class SqlJsStorage {
+  constructor(dbPath, options = {}) {
+    this.driver = 'sql.js';
+    this.dbPath = dbPath && dbPath !== ':memory:' ? dbPath : null;
+    this.saveDelayMs = options.saveDelayMs ?? DEFAULT_SAVE_DELAY_MS;
+    this.maxSaveDelayMs = options.maxSaveDelayMs ?? DEFAULT_MAX_SAVE_DELAY_MS;
+    // never written back, e.g. a backup being imported
+    this.readonly = !!options.readonly;
+    this.db = null;
+    this.dirtySince = null;
+    this.saveTimer = null;
+    this.transactionDepth = 0;
+    this.functions = new Map();
+  }
+
+  async open() {
+    const SQL = await initSqlJs();
+    if (this.readonly && !(this.dbPath && fs.existsSync(this.dbPath))) {
+      throw new Error(`Database file not found: ${this.dbPath}`);
+    }
+    if (this.dbPath && fs.existsSync(this.dbPath)) {
+      this.db = new SQL.Database(fs.readFileSync(this.dbPath));
+    } else {
+      this.db = new SQL.Database();
+    }
+    return this;
+  }
+
+  query(sql, params = []) {
+    const stmt = this.db.prepare(sql);
+    try {
+      stmt.bind(params);
+      const results = [];
+      while (stmt.step()) {
+        results.push(stmt.getAsObject());
+      }
+      return results;
+    } finally {
+      stmt.free();
+    }
+  }
+
+  run(sql, params = []) {
+    this.db.run(sql, params);
+    const changes = this.db.getRowsModified();
+    this._scheduleSave();
+    return { changes };
+  }
+
+  exec(sql) {
+    this.db.exec(sql);
+    this._scheduleSave();
+  }
+
+  // same contract as better-sqlite3: fn is synchronous, nested calls become
+  // savepoints, and an exception rolls back only its own level
+  transaction(fn) {
+    const depth = this.transactionDepth;
+    const savepoint = `tx_${depth}`;
+    this.db.run(depth === 0 ? 'BEGIN IMMEDIATE' : `SAVEPOINT ${savepoint}`);
+    this.transactionDepth++;
+
+    let result;
+    try {
+      result = fn();
+      if (result && typeof result.then === 'function') {
+        throw new TypeError('Transaction function cannot return a promise');
+      }
+    } catch (err) {
+      this.transactionDepth = depth;
+      this.db.exec(depth === 0 ? 'ROLLBACK' : `ROLLBACK TO ${savepoint}; RELEASE ${savepoint}`);
+      throw err;
+    }
+
+    this.transactionDepth = depth;
+    this.db.run(depth === 0 ? 'COMMIT' : `RELEASE ${savepoint}`);
+    this._scheduleSave();
+    return result;
+  }
+
+  createFunction(name, fn) {
+    this.functions.set(name, fn);
+    this.db.create_function(name, fn);
+  }
+
+  // export() reopens the database underneath and drops user functions with it
+  _export() {
+    const data = Buffer.from(this.db.export());
+    for (const [name, fn] of this.functions) {
+      this.db.create_function(name, fn);
+    }
+    return data;
+  }
+
+  async backup(destPath) {
+    writeFileAtomic(destPath, this._export());
+  }
+
+  _scheduleSave() {
+    if (!this.dbPath || this.readonly) return;
+
+    const now = Date.now();
+    if (this.dirtySince === null) {
+      this.dirtySince = now;
+    }
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+    }
+
+    // keep pushing the save back while writes keep coming, up to the max delay
+    const delay = Math.max(0, Math.min(this.saveDelayMs, this.dirtySince + this.maxSaveDelayMs - now));
+    this.saveTimer = setTimeout(() => {
+      try {
+        this.flush();
+      } catch (err) {
+        logger.error('Failed to save database', { path: this.dbPath, error: err.message });
+      }
+    }, delay);
+    this.saveTimer.unref?.();
+  }
+
+  isDirty() {
+    return this.dirtySince !== null;
+  }
+
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.dbPath || this.dirtySince === null) return;
+
+    writeFileAtomic(this.dbPath, this._export());
+    this.dirtySince = null;
+  }
+
+  close() {
+    if (!this.db) return;
+    this.flush();
+    this.db.close();
+    this.db = null;
+  }
+}
+
+module.exports = { SqlJsStorage, writeFileAtomic, DEFAULT_SAVE_DELAY_MS, DEFAULT_MAX_SAVE_DELAY_MS };
@@ -0,0 +1,61 @@
+const logger = require('../utils/logger');
+const { DEFAULT_ACCOUNT_ID } = require('./accountRepository');
+const { MY_DRIVE_ID } = require('./driveRepository');
+
+// one row per account and drive
+class SyncStateRepository {
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+  }
+
+  get(accountId = DEFAULT_ACCOUNT_ID, driveId = MY_DRIVE_ID) {
+    const row = this.dbManager.queryOne(
+      'SELECT * FROM sync_state WHERE account_id = ? AND drive_id = ?',
+      [accountId, driveId]
+    );
+    return row ? this._mapRow(row) : null;
+  }
+
+  findAll(accountId = null) {
+    const rows = accountId
+      ? this.dbManager.query('SELECT * FROM sync_state WHERE account_id = ? ORDER BY drive_id ASC', [accountId])
+      : this.dbManager.query('SELECT * FROM sync_state ORDER BY account_id ASC, drive_id ASC', []);
+    return rows.map(r => this._mapRow(r));
+  }
+
+  saveChangeToken(token, syncId = null, accountId = DEFAULT_ACCOUNT_ID, driveId = MY_DRIVE_ID) {
+    const now = new Date().toISOString();
+    this.dbManager.run(`
+      INSERT INTO sync_state (account_id, drive_id, change_token, last_sync_id, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(account_id, drive_id) DO UPDATE SET
+        change_token = excluded.change_token,
+        last_sync_id = excluded.last_sync_id,
+        updated_at = excluded.updated_at
+    `, [accountId, driveId, token, syncId, now]);
+    logger.debug('Change token saved', { accountId, driveId, syncId });
+  }
+
+  // clears every drive of the account
+  clear(accountId = DEFAULT_ACCOUNT_ID) {
+    this.dbManager.run('DELETE FROM sync_state WHERE account_id = ?', [accountId]);
+    return 1;
+  }
+
+  clearAll() {
+    this.dbManager.run('DELETE FROM sync_state', []);
+    return 1;
+  }
+
+  _mapRow(row) {
+    return {
+      accountId: row.account_id,
+      driveId: row.drive_id,
+      changeToken: row.change_token,
+      lastSyncId: row.last_sync_id,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = SyncStateRepository;
@@ -0,0 +1,199 @@
+const logger = require('../utils/logger');
+
+function generateId() {
+  return 'wh_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+}
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  RETRYING: 'retrying',
+  DELIVERED: 'delivered',
+  FAILED: 'failed',
+  // the webhook was deleted or disabled before the delivery ran
+  SKIPPED: 'skipped'
+};
+
+class WebhookRepository {
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+  }
+
+  create(webhook) {
+    const id = generateId();
+    const now = new Date().toISOString();
+
+    this.dbManager.run(`
+      INSERT INTO webhooks (id, url, events, secret, account_id, description, enabled, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id,
+      webhook.url,
+      JSON.stringify(webhook.events),
+      webhook.secret,
+      webhook.accountId || null,
+      webhook.description || null,
+      webhook.enabled === false ? 0 : 1,
+      now,
+      now
+    ]);
+
+    logger.debug('Webhook created', { id, url: webhook.url });
+    return id;
+  }
+
+  findById(id) {
+    const row = this.dbManager.queryOne('SELECT * FROM webhooks WHERE id = ?', [id]);
+    return row ? this._mapRow(row) : null;
+  }
+
+  findAll(accountId = null) {
+    const rows = accountId
+      ? this.dbManager.query('SELECT * FROM webhooks WHERE account_id = ? ORDER BY created_at ASC', [accountId])
+      : this.dbManager.query('SELECT * FROM webhooks ORDER BY created_at ASC', []);
+    return rows.map(r => this._mapRow(r));
+  }
+
+  // webhooks without an account hear about every account
+  findEnabled(accountId = null) {
+    const rows = this.dbManager.query(`
+      SELECT * FROM webhooks
+      WHERE enabled = 1 AND (account_id IS NULL OR account_id = ?)
+      ORDER BY created_at ASC
+    `, [accountId]);
+    return rows.map(r => this._mapRow(r));
+  }
+
+  update(id, changes) {
+    const columns = {
+      url: 'url',
+      events: 'events',
+      secret: 'secret',
+      accountId: 'account_id',
+      description: 'description',
+      enabled: 'enabled'
+    };
+
+    const sets = [];
+    const params = [];
+    for (const [key, column] of Object.entries(columns)) {
+      if (changes[key] === undefined) continue;
+      sets.push(`${column} = ?`);
+      if (key === 'enabled') {
+        params.push(changes[key] ? 1 : 0);
+      } else if (key === 'events') {
+        params.push(JSON.stringify(changes[key]));
+      } else {
+        params.push(changes[key]);
+      }
+    }
+    if (sets.length === 0) return 0;
+
+    sets.push('updated_at = ?');
+    params.push(new Date().toISOString(), id);
+
+    this.dbManager.run(`UPDATE webhooks SET ${sets.join(', ')} WHERE id = ?`, params);
+    return 1;
+  }
+
+  // the delivery log goes with the webhook
+  delete(id) {
+    const existing = this.findById(id);
+    if (!existing) return false;
+    this.dbManager.withTransaction(() => {
+      this.dbManager.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+      this.dbManager.run('DELETE FROM webhooks WHERE id = ?', [id]);
+    });
+    logger.debug('Webhook deleted', { id });
+    return true;
+  }
+
+  createDelivery({ webhookId, eventId = null, eventType, payload }) {
+    const now = new Date().toISOString();
+    this.dbManager.run(`
+      INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload, status, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [webhookId, eventId, eventType, JSON.stringify(payload), DELIVERY_STATUS.PENDING, now, now]);
+    const { id } = this.dbManager.queryOne('SELECT last_insert_rowid() AS id');
+    return id;
+  }
+
+  findDelivery(id) {
+    const row = this.dbManager.queryOne('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+    return row ? this._mapDelivery(row) : null;
+  }
+
+  findDeliveries(webhookId, { status = null, limit = 50 } = {}) {
+    const rows = status
+      ? this.dbManager.query(
+        'SELECT * FROM webhook_deliveries WHERE webhook_id = ? AND status = ? ORDER BY id DESC LIMIT ?',
+        [webhookId, status, limit]
+      )
+      : this.dbManager.query(
+        'SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?',
+        [webhookId, limit]
+      );
+    return rows.map(r => this._mapDelivery(r));
+  }
+
+  setDeliveryJob(id, jobId) {
+    this.dbManager.run(
+      'UPDATE webhook_deliveries SET job_id = ?, updated_at = ? WHERE id = ?',
+      [jobId, new Date().toISOString(), id]
+    );
+  }
+
+  // one call per attempt; attempts counts them
+  recordAttempt(id, { status, responseStatus = null, responseBody = null, error = null, durationMs = null }) {
+    const now = new Date().toISOString();
+    const deliveredAt = status === DELIVERY_STATUS.DELIVERED ? now : null;
+    this.dbManager.run(`
+      UPDATE webhook_deliveries SET
+        status = ?, attempts = attempts + 1, response_status = ?, response_body = ?,
+        error = ?, duration_ms = ?, updated_at = ?, delivered_at = COALESCE(?, delivered_at)
+      WHERE id = ?
+    `, [status, responseStatus, responseBody, error, durationMs, now, deliveredAt, id]);
+  }
+
+  markDeliverySkipped(id, reason) {
+    this.dbManager.run(
+      'UPDATE webhook_deliveries SET status = ?, error = ?, updated_at = ? WHERE id = ?',
+      [DELIVERY_STATUS.SKIPPED, reason, new Date().toISOString(), id]
+    );
+  }
+
+  _mapRow(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      events: JSON.parse(row.events),
+      secret: row.secret,
+      accountId: row.account_id,
+      description: row.description,
+      enabled: !!row.enabled,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  _mapDelivery(row) {
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      eventId: row.event_id,
+      eventType: row.event_type,
+      payload: JSON.parse(row.payload),
+      status: row.status,
+      attempts: row.attempts,
+      jobId: row.job_id,
+      responseStatus: row.response_status,
+      responseBody: row.response_body,
+      error: row.error,
+      durationMs: row.duration_ms,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      deliveredAt: row.delivered_at
+    };
+  }
+}
+
+module.exports = { WebhookRepository, DELIVERY_STATUS };
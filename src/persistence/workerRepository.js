@@ -0,0 +1,116 @@
+const { JOB_STATUS } = require('./jobRepository');
+
+const WORKER_STATUS = {
+  ACTIVE: 'active',
+  // stopped renewing its heartbeat without saying it was stopping: crashed or hung
+  LOST: 'lost',
+  STOPPED: 'stopped'
+};
+
+// stopped and lost workers are forgotten after this long
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// the processes running jobs off the shared queue. each one renews its
+// heartbeat while it runs; the jobs it holds are the running ones with its worker_id
+class WorkerRepository {
+  constructor(dbManager) {
+    this.dbManager = dbManager;
+  }
+
+  register({ id, hostname, pid, concurrency }) {
+    const now = new Date().toISOString();
+    this.dbManager.run(`
+      INSERT INTO workers (id, hostname, pid, concurrency, started_at, heartbeat_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        hostname = excluded.hostname,
+        pid = excluded.pid,
+        concurrency = excluded.concurrency,
+        started_at = excluded.started_at,
+        heartbeat_at = excluded.heartbeat_at,
+        stopped_at = NULL
+    `, [id, hostname, pid, concurrency, now, now]);
+    return this.findById(id);
+  }
+
+  heartbeat(id, concurrency = null) {
+    const { changes } = this.dbManager.run(`
+      UPDATE workers SET heartbeat_at = ?, concurrency = COALESCE(?, concurrency)
+      WHERE id = ? AND stopped_at IS NULL
+    `, [new Date().toISOString(), concurrency, id]);
+    return changes;
+  }
+
+  markStopped(id) {
+    const now = new Date().toISOString();
+    const { changes } = this.dbManager.run(
+      'UPDATE workers SET stopped_at = ?, heartbeat_at = ? WHERE id = ? AND stopped_at IS NULL',
+      [now, now, id]
+    );
+    return changes;
+  }
+
+  findById(id, staleAfterMs) {
+    const row = this.dbManager.queryOne('SELECT * FROM workers WHERE id = ?', [id]);
+    return row ? this._withJobs([this._mapRow(row, staleAfterMs)])[0] : null;
+  }
+
+  // newest first. a worker whose heartbeat is older than staleAfterMs is lost
+  findAll(staleAfterMs, { includeStopped = true } = {}) {
+    const where = includeStopped ? '' : 'WHERE stopped_at IS NULL';
+    const rows = this.dbManager.query(`SELECT * FROM workers ${where} ORDER BY started_at DESC`, []);
+    return this._withJobs(rows.map(r => this._mapRow(r, staleAfterMs)));
+  }
+
+  prune(retentionMs = DEFAULT_RETENTION_MS) {
+    const cutoff = new Date(Date.now() - retentionMs).toISOString();
+    const { changes } = this.dbManager.run('DELETE FROM workers WHERE heartbeat_at < ?', [cutoff]);
+    return changes;
+  }
+
+  deleteAll() {
+    const { changes } = this.dbManager.run('DELETE FROM workers', []);
+    return changes;
+  }
+
+  // the jobs each worker is running right now
+  _withJobs(workers) {
+    if (workers.length === 0) return workers;
+    const rows = this.dbManager.query(`
+      SELECT id, type, account_id, worker_id, started_at FROM jobs
+      WHERE status = ? AND worker_id IN (${workers.map(() => '?').join(', ')})
+      ORDER BY started_at ASC
+    `, [JOB_STATUS.RUNNING, ...workers.map(w => w.id)]);
+
+    for (const worker of workers) {
+      worker.jobs = rows.filter(r => r.worker_id === worker.id).map(r => ({
+        id: r.id,
+        type: r.type,
+        accountId: r.account_id,
+        startedAt: r.started_at
+      }));
+    }
+    return workers;
+  }
+
+  _mapRow(row, staleAfterMs) {
+    let status = WORKER_STATUS.ACTIVE;
+    if (row.stopped_at) {
+      status = WORKER_STATUS.STOPPED;
+    } else if (staleAfterMs && Date.now() - new Date(row.heartbeat_at).getTime() > staleAfterMs) {
+      status = WORKER_STATUS.LOST;
+    }
+    return {
+      id: row.id,
+      hostname: row.hostname,
+      pid: row.pid,
+      concurrency: row.concurrency,
+      status,
+      startedAt: row.started_at,
+      heartbeatAt: row.heartbeat_at,
+      stoppedAt: row.stopped_at
+    };
+  }
+}
+
+module.exports = { WorkerRepository, WORKER_STATUS };
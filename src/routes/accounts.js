@@ -0,0 +1,49 @@
+const express = require('express');
+const logger = require('../utils/logger');
+
+function createAccountsRouter(accountManager, syncEngine) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json(accountManager.listAccounts());
+  });
+
+  router.get('/:id', (req, res) => {
+    const account = accountManager.listAccounts().find(a => a.id === req.params.id);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    res.json({
+      ...account,
+      fileCount: syncEngine.getFileCount(account.id),
+      syncState: syncEngine.getState(account.id),
+      drives: syncEngine.getDrives(account.id),
+      driveStates: syncEngine.getStates(account.id)
+    });
+  });
+
+  // revokes tokens and unregisters; ?purge=true also drops the account's files
+  router.delete('/:id', async (req, res) => {
+    try {
+      const removed = await accountManager.removeAccount(req.params.id);
+      if (!removed) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+
+      let filesDeleted = 0;
+      if (req.query.purge === 'true') {
+        filesDeleted = syncEngine.deleteAllFiles(req.params.id);
+      }
+
+      logger.info('Account removed', { id: req.params.id, filesDeleted });
+      res.json({ message: 'Account removed', id: req.params.id, filesDeleted });
+    } catch (err) {
+      logger.error('Failed to remove account', { error: err.message, id: req.params.id });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAccountsRouter;
@@ -1,16 +1,18 @@
 const express = require('express');
 const logger = require('../utils/logger');
+const { DEFAULT_ACCOUNT_ID } = require('../persistence');
+const { accountParam } = require('./middleware');
 
-function createAuthRouter(authClient) {
+function createAuthRouter(accountManager) {
   const router = express.Router();
 
-  router.get('/login', (req, res) => {
-    const url = authClient.getAuthUrl();
+  router.get('/login', accountParam(DEFAULT_ACCOUNT_ID), (req, res) => {
+    const url = accountManager.getAuthUrl(req.accountId);
     res.redirect(url);
   });
 
   router.get('/callback', async (req, res) => {
-    const { code, error } = req.query;
+    const { code, error, state } = req.query;
 
     if (error) {
       logger.error('OAuth error', { error });
@@ -21,25 +23,38 @@ function createAuthRouter(authClient) {
       return res.status(400).json({ error: 'Missing authorization code' });
     }
 
+    // the state /login handed out names the account; anything else wasn't started here
+    const accountId = accountManager.consumeLoginState(state);
+    if (!accountId) {
+      return res.status(400).json({ error: 'Invalid or expired login state' });
+    }
+
     try {
-      await authClient.handleCallback(code);
-      res.json({ message: 'Authentication successful' });
+      await accountManager.handleCallback(code, accountId);
+      res.json({ message: 'Authentication successful', account: accountId });
     } catch (err) {
-      logger.error('Failed to exchange code', { error: err.message });
+      logger.error('Failed to exchange code', { error: err.message, account: accountId });
       res.status(500).json({ error: 'Failed to complete authentication' });
     }
   });
 
-  router.get('/status', (req, res) => {
+  router.get('/status', accountParam(), (req, res) => {
+    if (req.accountId) {
+      return res.json({
+        account: req.accountId,
+        authenticated: accountManager.isAuthenticated(req.accountId)
+      });
+    }
     res.json({
-      authenticated: authClient.isAuthenticated()
+      authenticated: accountManager.isAnyAuthenticated(),
+      accounts: accountManager.listAccounts()
     });
   });
 
-  router.post('/logout', async (req, res) => {
+  router.post('/logout', accountParam(DEFAULT_ACCOUNT_ID), async (req, res) => {
     try {
-      await authClient.revokeAccess();
-      res.json({ message: 'Logged out successfully' });
+      await accountManager.getAuthClient(req.accountId).revokeAccess();
+      res.json({ message: 'Logged out successfully', account: req.accountId });
     } catch (err) {
       res.status(500).json({ error: 'Failed to logout' });
     }
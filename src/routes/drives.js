@@ -0,0 +1,31 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { DEFAULT_ACCOUNT_ID } = require('../persistence');
+const { accountParam } = require('./middleware');
+
+function createDrivesRouter(syncEngine, accountManager) {
+  const router = express.Router();
+
+  // shared drives as of the last refresh
+  router.get('/', accountParam(), (req, res) => {
+    res.json(syncEngine.getDrives(req.accountId));
+  });
+
+  router.post('/refresh', accountParam(DEFAULT_ACCOUNT_ID), async (req, res) => {
+    if (!accountManager.isAuthenticated(req.accountId)) {
+      return res.status(401).json({ error: `Account ${req.accountId} is not authenticated. Please login first.` });
+    }
+
+    try {
+      const drives = await syncEngine.refreshDrives(req.accountId);
+      res.json({ accountId: req.accountId, drives });
+    } catch (err) {
+      logger.error('Failed to refresh shared drives', { error: err.message, accountId: req.accountId });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createDrivesRouter;
@@ -0,0 +1,100 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { accountParam } = require('./middleware');
+
+const SYNC_ID_PATTERN = /^[\w-]{1,128}$/;
+const TYPE_PATTERN = /^[\w:*-]{1,64}$/;
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+// Last-Event-ID is what EventSource sends on reconnect; ?lastEventId= is for
+// clients that can't set headers. without either the stream starts with live events
+function readLastEventId(req) {
+  const raw = req.get('Last-Event-ID') ?? req.query.lastEventId;
+  if (raw === undefined || raw === '') return null;
+  const id = Number(raw);
+  return Number.isInteger(id) && id >= 0 ? id : NaN;
+}
+
+function createEventsRouter(eventStream, options = {}) {
+  const router = express.Router();
+  const heartbeatMs = options.heartbeatMs || 15000;
+  const retryMs = options.retryMs || 3000;
+
+  router.get('/', accountParam(), (req, res) => {
+    const { syncId } = req.query;
+    if (syncId && !SYNC_ID_PATTERN.test(syncId)) {
+      return res.status(400).json({ error: `Invalid sync id: ${syncId}` });
+    }
+
+    const types = req.query.types
+      ? String(req.query.types).split(',').map(t => t.trim()).filter(Boolean)
+      : [];
+    const badType = types.find(t => !TYPE_PATTERN.test(t));
+    if (badType) {
+      return res.status(400).json({ error: `Invalid event type: ${badType}` });
+    }
+
+    const lastEventId = readLastEventId(req);
+    if (Number.isNaN(lastEventId)) {
+      return res.status(400).json({ error: 'Last-Event-ID must be a non-negative integer' });
+    }
+
+    const filter = { syncId: syncId || null, accountId: req.accountId, types };
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // stops nginx from holding events back
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${retryMs}\n\n`);
+
+    // live events that arrive while the backlog is read are sent after it
+    const buffered = [];
+    let replaying = true;
+    const unsubscribe = eventStream.subscribe(filter, (event) => {
+      if (replaying) {
+        buffered.push(event);
+      } else {
+        writeEvent(res, event);
+      }
+    });
+
+    let sentUpTo = lastEventId ?? 0;
+    if (lastEventId !== null) {
+      if (eventStream.isTruncated(lastEventId)) {
+        res.write(`event: events:truncated\ndata: ${JSON.stringify({ lastEventId })}\n\n`);
+      }
+      sentUpTo = eventStream.replay(lastEventId, filter, (event) => writeEvent(res, event));
+    }
+    for (const event of buffered) {
+      if (event.id > sentUpTo) writeEvent(res, event);
+    }
+    replaying = false;
+
+    const heartbeat = setInterval(() => res.write(': keepalive\n\n'), heartbeatMs);
+
+    const cleanup = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      eventStream.off('close', onClose);
+    };
+    const onClose = () => {
+      cleanup();
+      res.end();
+    };
+
+    eventStream.on('close', onClose);
+    req.on('close', cleanup);
+
+    logger.debug('Event stream opened', { filter, lastEventId });
+  });
+
+  return router;
+}
+
+module.exports = createEventsRouter;
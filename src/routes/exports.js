@@ -0,0 +1,92 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { EXPORT_STATUS } = require('../persistence');
+const { EXPORT_FORMATS } = require('../export');
+const { accountParam, driveParam } = require('./middleware');
+
+const MAX_PAGE_SIZE = 1000;
+
+// a json body as query string values, so it parses like GET /files/export
+function bodyToQuery(body = {}) {
+  const query = {};
+  for (const [key, value] of Object.entries(body)) {
+    if (value === null || value === undefined || key === 'account' || key === 'drive') continue;
+    query[key] = Array.isArray(value) ? value.join(',') : String(value);
+  }
+  return query;
+}
+
+function createExportsRouter(exportManager, exportRepository) {
+  const router = express.Router();
+
+  router.get('/', accountParam(), (req, res) => {
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 100;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_PAGE_SIZE}` });
+    }
+    const status = req.query.status || null;
+    if (status && !Object.values(EXPORT_STATUS).includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${Object.values(EXPORT_STATUS).join(', ')}` });
+    }
+    res.json(exportRepository.findAll({ accountId: req.accountId, status, limit }));
+  });
+
+  // takes the GET /files/export parameters in the body; the file is written by a job
+  router.post('/', accountParam(), driveParam(), (req, res) => {
+    try {
+      const exp = exportManager.createExport({
+        accountId: req.accountId,
+        driveId: req.driveId,
+        query: bodyToQuery(req.body)
+      });
+      res.status(202).json(exp);
+    } catch (err) {
+      logger.error('Failed to queue export', { error: err.message });
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    const exp = exportRepository.findById(req.params.id);
+    if (!exp) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+    res.json(exp);
+  });
+
+  router.get('/:id/download', (req, res) => {
+    const exp = exportRepository.findById(req.params.id);
+    if (!exp) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+    if (exp.status !== EXPORT_STATUS.COMPLETED) {
+      return res.status(409).json({ error: `Export is ${exp.status}`, status: exp.status });
+    }
+
+    res.type(EXPORT_FORMATS[exp.format].contentType);
+    res.download(exp.filePath, `files-${exp.id}.${EXPORT_FORMATS[exp.format].extension}`, (err) => {
+      if (!err) return;
+      logger.error('Failed to send export', { id: exp.id, error: err.message });
+      if (!res.headersSent) {
+        res.status(410).json({ error: 'Export file is no longer available' });
+      }
+    });
+  });
+
+  router.delete('/:id', (req, res) => {
+    try {
+      const deleted = exportManager.deleteExport(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Export not found' });
+      }
+      res.json({ message: 'Export deleted', id: req.params.id });
+    } catch (err) {
+      logger.error('Failed to delete export', { id: req.params.id, error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createExportsRouter;
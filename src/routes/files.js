@@ -1,48 +1,215 @@
 const express = require('express');
+const { pipeline } = require('stream');
 const logger = require('../utils/logger');
+const { isFolder } = require('../utils/mimeTypes');
+const { buildFolderTree, DEFAULT_TREE_DEPTH } = require('../utils/folderTree');
+const { DEFAULT_ACCOUNT_ID } = require('../persistence');
+const { EXPORT_FORMATS, parseExportQuery, createExportStream } = require('../export');
+const { MAX_PAGE_SIZE, parseNonNegativeInt, parseFileQuery } = require('../utils/queryParams');
+const { accountParam, driveParam } = require('./middleware');
 
-function createFilesRouter(fileRepository) {
+const MAX_SEARCH_RESULTS = 100;
+
+function createFilesRouter(fileRepository, fileChangeRepository) {
   const router = express.Router();
 
+  router.use(accountParam());
+  router.use(driveParam());
+
   router.get('/', (req, res) => {
-    const limit = parseInt(req.query.limit, 10) || 100;
-    const offset = parseInt(req.query.offset, 10) || 0;
+    let query;
+    try {
+      query = parseFileQuery(req.query);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
 
-    const files = fileRepository.getAll(limit, offset);
-    const total = fileRepository.count();
+    const filters = { ...query.filters, accountId: req.accountId, driveId: req.driveId };
 
-    res.json({
-      files,
-      pagination: {
-        limit,
-        offset,
-        total,
-        hasMore: offset + files.length < total
+    try {
+      const { files, hasMore, nextCursor } = fileRepository.find(filters, query.page);
+      const total = fileRepository.countMatching(filters);
+
+      res.json({
+        files,
+        pagination: {
+          limit: query.page.limit,
+          offset: query.page.offset,
+          total,
+          hasMore,
+          nextCursor
+        }
+      });
+    } catch (err) {
+      // bad cursors and sort fields surface from the repository
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // everything the /files filters match, written a page at a time as it's read;
+  // ?format=csv|ndjson|json, ?columns= a list of fields and raw.<path> metadata
+  router.get('/export', (req, res) => {
+    let options;
+    try {
+      options = parseExportQuery(req.query);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const filters = {
+      ...options.filters,
+      accountId: req.accountId,
+      driveId: req.driveId
+    };
+    const { contentType, extension } = EXPORT_FORMATS[options.format];
+    res.attachment(`files.${extension}`);
+    res.type(contentType);
+
+    // the status line is gone by the time a page fails, all that's left is to cut the response short
+    pipeline(createExportStream(fileRepository, { ...options, filters }), res, (err) => {
+      if (err) {
+        logger.warn('File export ended early', { error: err.message, format: options.format });
       }
     });
   });
 
   router.get('/count', (req, res) => {
-    const count = fileRepository.count();
-    res.json({ count });
+    const scope = { accountId: req.accountId, driveId: req.driveId };
+    const count = fileRepository.count(scope);
+    const deleted = fileRepository.countDeleted(scope);
+    res.json({ count, deleted });
+  });
+
+  router.get('/downloads/stats', (req, res) => {
+    res.json(fileRepository.getDownloadStats(req.accountId));
+  });
+
+  router.get('/search', (req, res) => {
+    const q = req.query.q ? String(req.query.q).trim() : '';
+    if (!q) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+
+    let limit;
+    let offset;
+    try {
+      limit = req.query.limit !== undefined ? parseNonNegativeInt(req.query.limit, 'limit') : 20;
+      offset = req.query.offset !== undefined ? parseNonNegativeInt(req.query.offset, 'offset') : 0;
+      if (limit < 1 || limit > MAX_SEARCH_RESULTS) {
+        throw new Error(`limit must be between 1 and ${MAX_SEARCH_RESULTS}`);
+      }
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    try {
+      const { files, total } = fileRepository.search(q, {
+        accountId: req.accountId,
+        driveId: req.driveId,
+        includeDeleted: req.query.includeDeleted === 'true',
+        limit,
+        offset
+      });
+      res.json({
+        query: q,
+        results: files,
+        pagination: { limit, offset, total, hasMore: offset + files.length < total }
+      });
+    } catch (err) {
+      logger.error('Search failed', { error: err.message, q });
+      res.status(500).json({ error: 'Search failed' });
+    }
+  });
+
+  // nested folders with recursive counts; ?root=<folderId>&depth=N
+  router.get('/tree', (req, res) => {
+    const accountId = req.accountId || DEFAULT_ACCOUNT_ID;
+    const depth = req.query.depth !== undefined ? parseInt(req.query.depth, 10) : DEFAULT_TREE_DEPTH;
+    if (!Number.isInteger(depth) || depth < 0) {
+      return res.status(400).json({ error: 'depth must be a non-negative integer' });
+    }
+
+    const rows = fileRepository.findTreeRows(accountId, req.driveId);
+    const tree = buildFolderTree(rows, { rootId: req.query.root, depth });
+    if (!tree) {
+      return res.status(404).json({ error: 'Folder not found' });
+    }
+    res.json(tree);
+  });
+
+  router.get('/by-path', (req, res) => {
+    const filePath = req.query.path;
+    if (!filePath || !filePath.startsWith('/')) {
+      return res.status(400).json({ error: 'path must be an absolute path like /a/b/c' });
+    }
+
+    // tolerate a trailing slash on folder paths
+    const normalized = filePath.length > 1 ? filePath.replace(/\/+$/, '') : filePath;
+    const matches = fileRepository.findByPath(normalized, req.accountId || DEFAULT_ACCOUNT_ID, req.driveId);
+    if (matches.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (matches.length > 1) {
+      return res.status(409).json({
+        error: 'Path matches more than one file',
+        matches: matches.map(f => ({ id: f.id, driveId: f.driveId, modifiedTime: f.modifiedTime }))
+      });
+    }
+    res.json(matches[0]);
   });
 
   router.get('/:id', (req, res) => {
-    const file = fileRepository.findById(req.params.id);
+    const file = fileRepository.findById(req.params.id, req.accountId);
     if (!file) {
       return res.status(404).json({ error: 'File not found' });
     }
     res.json(file);
   });
 
+  router.get('/:id/stats', (req, res) => {
+    const file = fileRepository.findById(req.params.id, req.accountId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    if (!isFolder(file.mimeType)) {
+      return res.status(400).json({ error: 'Not a folder' });
+    }
+    res.json({
+      id: file.id,
+      path: file.path,
+      ...fileRepository.getFolderStats(file.id, file.accountId)
+    });
+  });
+
+  // what syncs did to the file, newest first; outlives the file itself after a hard delete
+  router.get('/:id/history', (req, res) => {
+    let limit = 100;
+    try {
+      if (req.query.limit !== undefined) limit = parseNonNegativeInt(req.query.limit, 'limit');
+      if (limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw new Error(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+      }
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const accountId = req.accountId || DEFAULT_ACCOUNT_ID;
+    const file = fileRepository.findById(req.params.id, accountId);
+    const changes = fileChangeRepository.findByFile(req.params.id, accountId, limit);
+    if (!file && changes.length === 0) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+    res.json({ fileId: req.params.id, accountId, file, changes });
+  });
+
   router.get('/:id/children', (req, res) => {
-    const children = fileRepository.findByParentId(req.params.id);
+    const children = fileRepository.findByParentId(req.params.id, req.accountId);
     res.json(children);
   });
 
   router.delete('/', (req, res) => {
     try {
-      const count = fileRepository.deleteAll();
+      const count = fileRepository.deleteAll(req.accountId);
       logger.info('All files deleted via API', { count });
       res.json({ message: 'All files deleted', count });
     } catch (err) {
@@ -53,11 +220,11 @@ function createFilesRouter(fileRepository) {
 
   router.delete('/:id', (req, res) => {
     try {
-      const file = fileRepository.findById(req.params.id);
+      const file = fileRepository.findById(req.params.id, req.accountId);
       if (!file) {
         return res.status(404).json({ error: 'File not found' });
       }
-      const deleted = fileRepository.deleteById(req.params.id);
+      const deleted = fileRepository.deleteById(req.params.id, req.accountId);
       logger.info('File deleted', { id: req.params.id, deleted });
       res.json({ message: 'File deleted', id: req.params.id });
     } catch (err) {
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { pipeline } = require('stream/promises');
+const logger = require('../utils/logger');
+const { accountParam, driveParam } = require('./middleware');
+
+// what the upload is when ?format= doesn't say
+const CONTENT_TYPES = {
+  'application/x-ndjson': 'ndjson',
+  'application/jsonl': 'ndjson',
+  'text/csv': 'csv',
+  'application/vnd.sqlite3': 'sqlite',
+  'application/x-sqlite3': 'sqlite'
+};
+
+function createImportsRouter(catalogImporter) {
+  const router = express.Router();
+
+  // the request body is the file: an ndjson or csv export, or a database backup
+  router.post('/', accountParam(), driveParam(null, { keepAll: true }), async (req, res) => {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const options = {
+      accountId: req.accountId,
+      driveId: req.driveId,
+      format: req.query.format || CONTENT_TYPES[contentType],
+      mode: req.query.mode,
+      changeToken: req.query.changeToken
+    };
+    try {
+      catalogImporter.validate(options);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    // sqlite needs a file to open, the text formats are read as they arrive
+    let tmpDir = null;
+    try {
+      let source = { stream: req };
+      if (options.format === 'sqlite') {
+        tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'import-'));
+        source = { path: path.join(tmpDir, 'backup.db') };
+        await pipeline(req, fs.createWriteStream(source.path));
+      }
+      res.json(await catalogImporter.import(source, options));
+    } catch (err) {
+      logger.error('Import request failed', { error: err.message });
+      res.status(400).json({ error: err.message });
+    } finally {
+      if (tmpDir) await fs.promises.rm(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createImportsRouter;
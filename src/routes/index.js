@@ -2,10 +2,30 @@ const createAuthRouter = require('./auth');
 const createSyncRouter = require('./sync');
 const createJobsRouter = require('./jobs');
 const createFilesRouter = require('./files');
+const createSchedulesRouter = require('./schedules');
+const createAccountsRouter = require('./accounts');
+const createDrivesRouter = require('./drives');
+const createEventsRouter = require('./events');
+const createWebhooksRouter = require('./webhooks');
+const createMetricsRouter = require('./metrics');
+const createSnapshotsRouter = require('./snapshots');
+const createExportsRouter = require('./exports');
+const createImportsRouter = require('./imports');
+const createWorkersRouter = require('./workers');
 
 module.exports = {
   createAuthRouter,
   createSyncRouter,
   createJobsRouter,
-  createFilesRouter
+  createFilesRouter,
+  createSchedulesRouter,
+  createAccountsRouter,
+  createDrivesRouter,
+  createEventsRouter,
+  createWebhooksRouter,
+  createMetricsRouter,
+  createSnapshotsRouter,
+  createExportsRouter,
+  createImportsRouter,
+  createWorkersRouter
 };
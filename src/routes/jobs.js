@@ -1,40 +1,69 @@
 const express = require('express');
 const logger = require('../utils/logger');
+const { CANCELLABLE_STATUSES } = require('../persistence');
+const { accountParam } = require('./middleware');
+
+// a string or a list of strings in the body
+function listParam(value) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.every(v => typeof v === 'string' && v)) {
+    throw new Error('Expected a string or a list of strings');
+  }
+  return list;
+}
 
-function createJobsRouter(jobRunner, jobRepository) {
+// runsJobs is false in an api-only process: its runner is never started, jobs run
+// in the worker processes, so only the shared queue can be reported on
+function createJobsRouter(jobRunner, jobRepository, { runsJobs = true } = {}) {
   const router = express.Router();
 
+  router.use(accountParam());
+
+  const runnerHere = (req, res, next) => {
+    if (!runsJobs) {
+      return res.status(409).json({ error: 'This process runs no jobs; control the runner on the workers' });
+    }
+    next();
+  };
+
   router.get('/stats', (req, res) => {
-    const stats = jobRunner.getStats();
+    if (!runsJobs) {
+      const { deadLetter, reaped, ...byStatus } = jobRepository.getStats(req.accountId);
+      return res.json({ ...byStatus, byStatus, deadLetter, reaped });
+    }
+    const stats = jobRunner.getStats(req.accountId);
     res.json(stats);
   });
 
+  // running on any worker, not only this process's runner
   router.get('/active', (req, res) => {
-    const jobs = jobRunner.getActiveJobs();
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const jobs = jobRepository.findByStatus('running', limit, req.accountId);
     res.json(jobs);
   });
 
   router.get('/pending', (req, res) => {
     const limit = parseInt(req.query.limit, 10) || 50;
-    const jobs = jobRepository.findByStatus('pending', limit);
+    const jobs = jobRepository.findByStatus('pending', limit, req.accountId);
     res.json(jobs);
   });
 
   router.get('/failed', (req, res) => {
     const limit = parseInt(req.query.limit, 10) || 50;
-    const jobs = jobRepository.findByStatus('failed', limit);
+    const jobs = jobRepository.findByStatus('failed', limit, req.accountId);
     res.json(jobs);
   });
 
   router.get('/completed', (req, res) => {
     const limit = parseInt(req.query.limit, 10) || 50;
-    const jobs = jobRepository.findByStatus('completed', limit);
+    const jobs = jobRepository.findByStatus('completed', limit, req.accountId);
     res.json(jobs);
   });
 
   router.get('/dead-letter', (req, res) => {
     const limit = parseInt(req.query.limit, 10) || 50;
-    const jobs = jobRepository.getDeadLetterJobs(limit);
+    const jobs = jobRepository.getDeadLetterJobs(limit, req.accountId);
     res.json(jobs);
   });
 
@@ -52,6 +81,28 @@ function createJobsRouter(jobRunner, jobRepository) {
     }
   });
 
+  // bulk cancel: {"type": ..., "status": ...}, each one value or a list, at least one of them
+  router.post('/cancel', (req, res) => {
+    let types;
+    let statuses;
+    try {
+      types = listParam(req.body?.type);
+      statuses = listParam(req.body?.status);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (types.length === 0 && statuses.length === 0) {
+      return res.status(400).json({ error: 'Pass a type or a status to cancel by' });
+    }
+    const invalid = statuses.filter(s => !CANCELLABLE_STATUSES.includes(s));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Jobs can only be cancelled from: ${CANCELLABLE_STATUSES.join(', ')}` });
+    }
+
+    const result = jobRunner.cancelMatching({ types, statuses, accountId: req.accountId });
+    res.json(result);
+  });
+
   router.get('/:id', (req, res) => {
     const job = jobRepository.findById(req.params.id);
     if (!job) {
@@ -74,17 +125,30 @@ function createJobsRouter(jobRunner, jobRepository) {
     res.json({ message: 'Job rescheduled' });
   });
 
-  router.post('/runner/pause', (req, res) => {
+  router.post('/:id/cancel', (req, res) => {
+    const job = jobRepository.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const status = jobRunner.cancel(job.id);
+    if (!status) {
+      return res.status(409).json({ error: `Job ${job.id} is ${job.status}` });
+    }
+    res.json({ message: status === 'cancelling' ? 'Job cancelling' : 'Job cancelled', jobId: job.id, status });
+  });
+
+  router.post('/runner/pause', runnerHere, (req, res) => {
     jobRunner.pause();
     res.json({ message: 'Job runner paused' });
   });
 
-  router.post('/runner/resume', (req, res) => {
+  router.post('/runner/resume', runnerHere, (req, res) => {
     jobRunner.resume();
     res.json({ message: 'Job runner resumed' });
   });
 
-  router.post('/runner/concurrency', (req, res) => {
+  router.post('/runner/concurrency', runnerHere, (req, res) => {
     const { concurrency } = req.body;
     if (typeof concurrency !== 'number' || concurrency < 1) {
       return res.status(400).json({ error: 'Invalid concurrency value' });
@@ -0,0 +1,21 @@
+const express = require('express');
+const logger = require('../utils/logger');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function createMetricsRouter(registry) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    try {
+      res.set('Content-Type', CONTENT_TYPE).send(registry.render());
+    } catch (err) {
+      logger.error('Failed to render metrics', { error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createMetricsRouter;
@@ -0,0 +1,33 @@
+const { isValidAccountId, ALL_DRIVES } = require('../persistence');
+
+// reads ?account= (or body.account) into req.accountId
+// without a default, a missing account means "all accounts" for read endpoints
+function accountParam(defaultAccountId = null) {
+  return (req, res, next) => {
+    const accountId = req.query.account || req.body?.account || defaultAccountId;
+    if (accountId && !isValidAccountId(accountId)) {
+      return res.status(400).json({ error: `Invalid account id: ${accountId}` });
+    }
+    req.accountId = accountId || null;
+    next();
+  };
+}
+
+// drive ids from google are url-safe base64-ish; also allows my-drive and all
+const DRIVE_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// reads ?drive= (or body.drive) into req.driveId. all means every drive, the
+// same as no drive, unless keepAll: syncs start one per drive for it and
+// imports refuse it
+function driveParam(defaultDriveId = null, { keepAll = false } = {}) {
+  return (req, res, next) => {
+    const driveId = req.query.drive || req.body?.drive || defaultDriveId;
+    if (driveId && !DRIVE_ID_PATTERN.test(driveId)) {
+      return res.status(400).json({ error: `Invalid drive id: ${driveId}` });
+    }
+    req.driveId = driveId === ALL_DRIVES && !keepAll ? null : driveId || null;
+    next();
+  };
+}
+
+module.exports = { accountParam, driveParam };
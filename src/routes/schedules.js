@@ -0,0 +1,69 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { accountParam } = require('./middleware');
+
+function createSchedulesRouter(scheduler, scheduleRepository) {
+  const router = express.Router();
+
+  router.get('/', accountParam(), (req, res) => {
+    res.json(scheduleRepository.findAll(req.accountId));
+  });
+
+  router.post('/', (req, res) => {
+    try {
+      const schedule = scheduler.createSchedule(req.body || {});
+      res.status(201).json(schedule);
+    } catch (err) {
+      logger.error('Failed to create schedule', { error: err.message });
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    const schedule = scheduleRepository.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json(schedule);
+  });
+
+  router.patch('/:id', (req, res) => {
+    try {
+      const schedule = scheduler.updateSchedule(req.params.id, req.body || {});
+      if (!schedule) {
+        return res.status(404).json({ error: 'Schedule not found' });
+      }
+      res.json(schedule);
+    } catch (err) {
+      logger.error('Failed to update schedule', { error: err.message, id: req.params.id });
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  router.delete('/:id', (req, res) => {
+    const deleted = scheduler.deleteSchedule(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    res.json({ message: 'Schedule deleted', id: req.params.id });
+  });
+
+  router.post('/:id/run', async (req, res) => {
+    const schedule = scheduleRepository.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+
+    try {
+      const result = await scheduler.runSchedule(schedule);
+      res.json(result);
+    } catch (err) {
+      logger.error('Failed to run schedule', { error: err.message, id: req.params.id });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createSchedulesRouter;
@@ -0,0 +1,152 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { toCsv } = require('../utils/csv');
+const { SNAPSHOT_SOURCE } = require('../persistence');
+const { DIFF_SECTIONS, DIFF_CSV_COLUMNS, diffToRows } = require('../snapshots');
+const { accountParam, driveParam } = require('./middleware');
+
+const MAX_PAGE_SIZE = 1000;
+
+function parseLimit(value, fallback) {
+  if (value === undefined) return fallback;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return limit;
+}
+
+function parseOffset(value) {
+  if (value === undefined) return 0;
+  const offset = Number(value);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new Error('offset must be a non-negative integer');
+  }
+  return offset;
+}
+
+function createSnapshotsRouter(snapshotManager, snapshotRepository) {
+  const router = express.Router();
+
+  // ?before= with limit=1 answers "which snapshot shows the drive as of then"
+  router.get('/', accountParam(), driveParam(), (req, res) => {
+    const filters = { accountId: req.accountId };
+    try {
+      filters.limit = parseLimit(req.query.limit, 100);
+      if (req.driveId) filters.driveId = req.driveId;
+      if (req.query.source) {
+        if (!Object.values(SNAPSHOT_SOURCE).includes(req.query.source)) {
+          throw new Error(`source must be one of: ${Object.values(SNAPSHOT_SOURCE).join(', ')}`);
+        }
+        filters.source = req.query.source;
+      }
+      if (req.query.before) {
+        const time = Date.parse(req.query.before);
+        if (isNaN(time)) throw new Error('before must be a date');
+        filters.before = new Date(time).toISOString();
+      }
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.json(snapshotRepository.findAll(filters));
+  });
+
+  router.post('/', accountParam(), driveParam(), (req, res) => {
+    try {
+      const snapshot = snapshotManager.createSnapshot({
+        name: req.body?.name,
+        description: req.body?.description,
+        accountId: req.accountId,
+        driveId: req.driveId
+      });
+      res.status(201).json(snapshot);
+    } catch (err) {
+      logger.error('Failed to create snapshot', { error: err.message });
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // ?from=&to= snapshot ids, ?type= limits the sections, ?format=csv for a download
+  router.get('/compare', (req, res) => {
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to snapshot ids are required' });
+    }
+    const format = req.query.format || 'json';
+    if (format !== 'json' && format !== 'csv') {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+    const sections = req.query.type ? String(req.query.type).split(',').map(t => t.trim()).filter(Boolean) : DIFF_SECTIONS;
+    const unknown = sections.find(section => !DIFF_SECTIONS.includes(section));
+    if (unknown) {
+      return res.status(400).json({ error: `type must be one of: ${DIFF_SECTIONS.join(', ')}` });
+    }
+
+    let diff;
+    try {
+      diff = snapshotManager.compare(String(from), String(to), sections);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (!diff) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    if (format === 'csv') {
+      res.type('text/csv');
+      res.attachment(`snapshot-diff-${diff.from.id}-${diff.to.id}.csv`);
+      return res.send(toCsv(DIFF_CSV_COLUMNS, diffToRows(diff)));
+    }
+    res.json(diff);
+  });
+
+  router.get('/:id', (req, res) => {
+    const snapshot = snapshotRepository.findById(req.params.id);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    res.json(snapshot);
+  });
+
+  router.delete('/:id', (req, res) => {
+    const deleted = snapshotManager.deleteSnapshot(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    res.json({ message: 'Snapshot deleted', id: req.params.id });
+  });
+
+  // the catalog as of the snapshot; ?path= a folder path, ?parent=, ?name= substring
+  router.get('/:id/files', (req, res) => {
+    const snapshot = snapshotRepository.findById(req.params.id);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    let page;
+    try {
+      page = { limit: parseLimit(req.query.limit, 100), offset: parseOffset(req.query.offset) };
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const filters = {
+      parentId: req.query.parent ? String(req.query.parent) : null,
+      pathPrefix: req.query.path ? String(req.query.path) : null,
+      name: req.query.name ? String(req.query.name) : null
+    };
+    const { files, total } = snapshotRepository.findFiles(snapshot.id, filters, page);
+    res.json({ snapshot, files, total, limit: page.limit, offset: page.offset });
+  });
+
+  router.get('/:id/files/:fileId', (req, res) => {
+    const file = snapshotRepository.findFile(req.params.id, req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found in snapshot' });
+    }
+    res.json(file);
+  });
+
+  return router;
+}
+
+module.exports = createSnapshotsRouter;
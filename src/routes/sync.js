@@ -1,13 +1,45 @@
 const express = require('express');
 const logger = require('../utils/logger');
+const { DEFAULT_ACCOUNT_ID, MY_DRIVE_ID, CHANGE_TYPES } = require('../persistence');
+const { accountParam, driveParam } = require('./middleware');
 
-function createSyncRouter(syncEngine, authClient) {
+const MAX_CHANGES_PAGE = 1000;
+
+// query string -> change log filters and paging, throws on bad input
+function parseChangesQuery(query) {
+  const options = { limit: 100, after: 0 };
+
+  if (query.type) {
+    options.types = String(query.type).split(',').map(t => t.trim()).filter(Boolean);
+    const valid = Object.values(CHANGE_TYPES);
+    const unknown = options.types.find(t => !valid.includes(t));
+    if (unknown) {
+      throw new Error(`type must be one of ${valid.join(', ')}`);
+    }
+  }
+  if (query.fileId) options.fileId = String(query.fileId);
+  if (query.limit !== undefined) {
+    options.limit = Number(query.limit);
+    if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_CHANGES_PAGE) {
+      throw new Error(`limit must be between 1 and ${MAX_CHANGES_PAGE}`);
+    }
+  }
+  if (query.after !== undefined) {
+    options.after = Number(query.after);
+    if (!Number.isInteger(options.after) || options.after < 0) {
+      throw new Error('after must be a non-negative integer');
+    }
+  }
+  return options;
+}
+
+function createSyncRouter(syncEngine, accountManager) {
   const router = express.Router();
 
   // middleware to check auth
   const requireAuth = (req, res, next) => {
-    if (!authClient.isAuthenticated()) {
-      return res.status(401).json({ error: 'Not authenticated. Please login first.' });
+    if (!accountManager.isAuthenticated(req.accountId)) {
+      return res.status(401).json({ error: `Account ${req.accountId} is not authenticated. Please login first.` });
     }
     next();
   };
@@ -27,11 +59,16 @@ function createSyncRouter(syncEngine, authClient) {
     }
   });
 
+  router.use(accountParam(DEFAULT_ACCOUNT_ID));
+  router.use(driveParam());
   router.use(requireAuth);
 
-  router.post('/full', async (req, res) => {
+  // ?drive=all starts one sync per drive
+  const syncDrives = driveParam(null, { keepAll: true });
+
+  router.post('/full', syncDrives, async (req, res) => {
     try {
-      const result = await syncEngine.startFullSync();
+      const result = await syncEngine.startFullSync({ accountId: req.accountId, driveId: req.driveId });
       res.json({
         message: 'Full sync started',
         ...result
@@ -42,9 +79,9 @@ function createSyncRouter(syncEngine, authClient) {
     }
   });
 
-  router.post('/incremental', async (req, res) => {
+  router.post('/incremental', syncDrives, async (req, res) => {
     try {
-      const result = await syncEngine.startIncrementalSync();
+      const result = await syncEngine.startIncrementalSync({ accountId: req.accountId, driveId: req.driveId });
       res.json({
         message: 'Incremental sync started',
         ...result
@@ -55,6 +92,17 @@ function createSyncRouter(syncEngine, authClient) {
     }
   });
 
+  router.post('/downloads', (req, res) => {
+    try {
+      const limit = parseInt(req.body?.limit, 10) || 500;
+      const count = syncEngine.enqueueDownloads(limit, req.accountId);
+      res.json({ message: 'Downloads enqueued', count });
+    } catch (err) {
+      logger.error('Failed to enqueue downloads', { error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   router.post('/:syncId/resume', async (req, res) => {
     try {
       const result = await syncEngine.resumeSync(req.params.syncId);
@@ -77,6 +125,10 @@ function createSyncRouter(syncEngine, authClient) {
     }
   });
 
+  router.get('/state', (req, res) => {
+    res.json(syncEngine.getState(req.accountId, req.driveId || MY_DRIVE_ID));
+  });
+
   router.get('/current', (req, res) => {
     const status = syncEngine.getCurrentSync();
     if (!status) {
@@ -93,15 +145,31 @@ function createSyncRouter(syncEngine, authClient) {
     res.json(status);
   });
 
+  router.get('/:syncId/changes', (req, res) => {
+    let options;
+    try {
+      options = parseChangesQuery(req.query);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+
+    const report = syncEngine.getChanges(req.params.syncId, options);
+    if (!report) {
+      return res.status(404).json({ error: 'Sync not found' });
+    }
+    res.json(report);
+  });
+
   router.get('/history', (req, res) => {
     const limit = parseInt(req.query.limit, 10) || 20;
-    const history = syncEngine.getSyncHistory(limit);
+    // history spans all accounts unless one is asked for
+    const history = syncEngine.getSyncHistory(limit, req.query.account ? req.accountId : null, req.driveId);
     res.json(history);
   });
 
   router.delete('/files', (req, res) => {
     try {
-      const count = syncEngine.deleteAllFiles();
+      const count = syncEngine.deleteAllFiles(req.query.account ? req.accountId : null);
       logger.info('All files deleted via API', { count });
       res.json({ message: 'All files deleted', count });
     } catch (err) {
@@ -0,0 +1,90 @@
+const express = require('express');
+const logger = require('../utils/logger');
+const { DELIVERY_STATUS } = require('../persistence');
+const { accountParam } = require('./middleware');
+
+// the secret is only shown when a webhook is created
+function present(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+function createWebhooksRouter(dispatcher, webhookRepository) {
+  const router = express.Router();
+
+  router.get('/', accountParam(), (req, res) => {
+    res.json(webhookRepository.findAll(req.accountId).map(present));
+  });
+
+  router.post('/', (req, res) => {
+    try {
+      const webhook = dispatcher.createWebhook(req.body || {});
+      res.status(201).json(webhook);
+    } catch (err) {
+      logger.error('Failed to create webhook', { error: err.message });
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  router.get('/:id', (req, res) => {
+    const webhook = webhookRepository.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(present(webhook));
+  });
+
+  router.patch('/:id', (req, res) => {
+    try {
+      const webhook = dispatcher.updateWebhook(req.params.id, req.body || {});
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+      res.json(present(webhook));
+    } catch (err) {
+      logger.error('Failed to update webhook', { error: err.message, id: req.params.id });
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  router.delete('/:id', (req, res) => {
+    const deleted = dispatcher.deleteWebhook(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json({ message: 'Webhook deleted', id: req.params.id });
+  });
+
+  router.get('/:id/deliveries', (req, res) => {
+    if (!webhookRepository.findById(req.params.id)) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const { status } = req.query;
+    if (status && !Object.values(DELIVERY_STATUS).includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${Object.values(DELIVERY_STATUS).join(', ')}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json(webhookRepository.findDeliveries(req.params.id, { status, limit }));
+  });
+
+  router.post('/:id/test', (req, res) => {
+    const queued = dispatcher.sendTest(req.params.id);
+    if (!queued) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.status(202).json({ message: 'Test delivery queued', ...queued });
+  });
+
+  router.post('/:id/deliveries/:deliveryId/redeliver', (req, res) => {
+    const queued = dispatcher.redeliver(req.params.id, parseInt(req.params.deliveryId, 10));
+    if (!queued) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    res.status(202).json({ message: 'Delivery queued', ...queued });
+  });
+
+  return router;
+}
+
+module.exports = createWebhooksRouter;
@@ -0,0 +1,25 @@
+const express = require('express');
+
+// the processes running jobs off the queue and the jobs each one holds
+function createWorkersRouter(workerRepository, options = {}) {
+  const router = express.Router();
+  // a worker renews its heartbeat a few times per lease; past one it is lost
+  const staleAfterMs = options.staleAfterMs || 60000;
+
+  router.get('/', (req, res) => {
+    const includeStopped = req.query.includeStopped !== 'false';
+    res.json(workerRepository.findAll(staleAfterMs, { includeStopped }));
+  });
+
+  router.get('/:id', (req, res) => {
+    const worker = workerRepository.findById(req.params.id, staleAfterMs);
+    if (!worker) {
+      return res.status(404).json({ error: 'Worker not found' });
+    }
+    res.json(worker);
+  });
+
+  return router;
+}
+
+module.exports = createWorkersRouter;
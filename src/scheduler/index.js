@@ -0,0 +1,3 @@
+const { Scheduler, SCHEDULE_SYNC_TYPES } = require('./scheduler');
+
+module.exports = { Scheduler, SCHEDULE_SYNC_TYPES };
@@ -0,0 +1,239 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { nextCronRun, parseCron } = require('../utils/cron');
+const { SCHEDULE_RUN_STATUS, JOB_STATUS, DEFAULT_ACCOUNT_ID, MY_DRIVE_ID, isValidAccountId } = require('../persistence');
+const { SYNC_JOB_TYPES } = require('../jobs');
+
+const SCHEDULE_SYNC_TYPES = ['incremental', 'full'];
+
+// shortest interval we accept, anything faster just piles up skipped runs
+const MIN_INTERVAL_MS = 10000;
+
+class Scheduler extends EventEmitter {
+  constructor(options) {
+    super();
+    this.scheduleRepo = options.scheduleRepository;
+    this.jobRepo = options.jobRepository;
+    this.syncEngine = options.syncEngine;
+    this.accountManager = options.accountManager || null;
+    this.tickInterval = options.tickInterval || config.scheduler.tickMs;
+    this.running = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.running) {
+      logger.warn('Scheduler already running');
+      return;
+    }
+
+    this.running = true;
+    logger.info('Scheduler started', { tickInterval: this.tickInterval });
+    this._tick();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    logger.info('Scheduler stopped');
+  }
+
+  async _tick() {
+    if (!this.running) return;
+
+    try {
+      await this.runDue();
+    } catch (err) {
+      logger.error('Error running due schedules', { error: err.message });
+    }
+
+    this.timer = setTimeout(() => this._tick(), this.tickInterval);
+  }
+
+  async runDue(now = new Date()) {
+    const due = this.scheduleRepo.findDue(now.toISOString());
+    const results = [];
+    for (const schedule of due) {
+      results.push(await this.runSchedule(schedule, now));
+    }
+    return results;
+  }
+
+  async runSchedule(schedule, now = new Date()) {
+    const runAt = now.toISOString();
+    const nextRunAt = this.computeNextRun(schedule, now);
+
+    const skipReason = this._getSkipReason(schedule.accountId);
+    if (skipReason) {
+      this.scheduleRepo.recordRun(schedule.id, {
+        status: SCHEDULE_RUN_STATUS.SKIPPED,
+        runAt,
+        nextRunAt,
+        error: skipReason
+      });
+      logger.info('Scheduled sync skipped', { schedule: schedule.name, reason: skipReason });
+      this.emit('schedule:skipped', { schedule, reason: skipReason });
+      return { scheduleId: schedule.id, status: SCHEDULE_RUN_STATUS.SKIPPED, reason: skipReason };
+    }
+
+    try {
+      const { accountId, driveId } = schedule;
+      const result = schedule.syncType === 'full'
+        ? await this.syncEngine.startFullSync({ accountId, driveId, reconcile: true })
+        : await this.syncEngine.startIncrementalSync({ accountId, driveId });
+
+      // an all-drives schedule starts one sync per drive
+      const syncId = result.syncId || result.syncs?.map(s => s.syncId).join(',');
+
+      this.scheduleRepo.recordRun(schedule.id, {
+        status: SCHEDULE_RUN_STATUS.STARTED,
+        runAt,
+        nextRunAt,
+        syncId
+      });
+      logger.info('Scheduled sync started', { schedule: schedule.name, syncId });
+      this.emit('schedule:triggered', { schedule, ...result });
+      return { scheduleId: schedule.id, status: SCHEDULE_RUN_STATUS.STARTED, ...result };
+    } catch (err) {
+      this.scheduleRepo.recordRun(schedule.id, {
+        status: SCHEDULE_RUN_STATUS.FAILED,
+        runAt,
+        nextRunAt,
+        error: err.message
+      });
+      logger.error('Scheduled sync failed to start', { schedule: schedule.name, error: err.message });
+      this.emit('schedule:failed', { schedule, error: err });
+      return { scheduleId: schedule.id, status: SCHEDULE_RUN_STATUS.FAILED, error: err.message };
+    }
+  }
+
+  _getSkipReason(accountId) {
+    if (this.accountManager && !this.accountManager.isAuthenticated(accountId)) {
+      return 'Not authenticated';
+    }
+
+    const syncTypes = Object.keys(SYNC_JOB_TYPES);
+    const active = this.jobRepo.countActiveByType(syncTypes, accountId);
+    if (active > 0) {
+      return 'Sync already in progress';
+    }
+
+    // a paused sync picks up where it left off once resumed; a new one would race it
+    const paused = this.jobRepo.countByType(syncTypes, [JOB_STATUS.PAUSED], accountId);
+    if (paused > 0) {
+      return 'Sync paused';
+    }
+
+    return null;
+  }
+
+  computeNextRun(schedule, from = new Date()) {
+    if (schedule.cron) {
+      return nextCronRun(schedule.cron, from).toISOString();
+    }
+    return new Date(from.getTime() + schedule.intervalMs).toISOString();
+  }
+
+  validate(schedule) {
+    if (!schedule.name || typeof schedule.name !== 'string') {
+      throw new Error('Schedule name is required');
+    }
+    if (!isValidAccountId(schedule.accountId)) {
+      throw new Error(`Invalid account id: ${schedule.accountId}`);
+    }
+    if (!SCHEDULE_SYNC_TYPES.includes(schedule.syncType)) {
+      throw new Error(`syncType must be one of: ${SCHEDULE_SYNC_TYPES.join(', ')}`);
+    }
+    if (!!schedule.cron === !!schedule.intervalMs) {
+      throw new Error('Exactly one of intervalMs or cron is required');
+    }
+    if (schedule.intervalMs && (!Number.isInteger(schedule.intervalMs) || schedule.intervalMs < MIN_INTERVAL_MS)) {
+      throw new Error(`intervalMs must be an integer of at least ${MIN_INTERVAL_MS}`);
+    }
+    if (schedule.cron) {
+      parseCron(schedule.cron);
+    }
+  }
+
+  createSchedule(input) {
+    const schedule = {
+      name: input.name,
+      syncType: input.syncType,
+      accountId: input.accountId || DEFAULT_ACCOUNT_ID,
+      driveId: input.driveId || MY_DRIVE_ID,
+      intervalMs: input.intervalMs || null,
+      cron: input.cron || null,
+      enabled: input.enabled !== false
+    };
+    this.validate(schedule);
+
+    if (this.scheduleRepo.findByName(schedule.name)) {
+      throw new Error(`Schedule already exists: ${schedule.name}`);
+    }
+
+    schedule.nextRunAt = schedule.enabled ? this.computeNextRun(schedule) : null;
+    const id = this.scheduleRepo.create(schedule);
+
+    logger.info('Schedule created', { id, name: schedule.name });
+    return this.scheduleRepo.findById(id);
+  }
+
+  updateSchedule(id, input) {
+    const existing = this.scheduleRepo.findById(id);
+    if (!existing) return null;
+
+    const merged = { ...existing };
+    for (const key of ['name', 'syncType', 'accountId', 'driveId', 'enabled']) {
+      if (input[key] !== undefined) merged[key] = input[key];
+    }
+    // switching between interval and cron clears the other one
+    if (input.cron !== undefined || input.intervalMs !== undefined) {
+      merged.cron = input.cron || null;
+      merged.intervalMs = input.intervalMs || null;
+    }
+    this.validate(merged);
+
+    const other = this.scheduleRepo.findByName(merged.name);
+    if (other && other.id !== id) {
+      throw new Error(`Schedule already exists: ${merged.name}`);
+    }
+
+    const timingChanged = merged.cron !== existing.cron ||
+      merged.intervalMs !== existing.intervalMs ||
+      merged.enabled !== existing.enabled;
+    if (timingChanged) {
+      merged.nextRunAt = merged.enabled ? this.computeNextRun(merged) : null;
+    }
+
+    this.scheduleRepo.update(id, merged);
+    logger.info('Schedule updated', { id });
+    return this.scheduleRepo.findById(id);
+  }
+
+  deleteSchedule(id) {
+    const deleted = this.scheduleRepo.delete(id);
+    if (deleted) {
+      logger.info('Schedule deleted', { id });
+    }
+    return deleted;
+  }
+
+  // seeds schedules from config without clobbering ones edited through the API
+  ensureSchedule(name, syncType, spec) {
+    if (!spec || this.scheduleRepo.findByName(name)) {
+      return null;
+    }
+
+    const input = /^\d+$/.test(String(spec))
+      ? { name, syncType, intervalMs: parseInt(spec, 10) }
+      : { name, syncType, cron: String(spec) };
+
+    return this.createSchedule(input);
+  }
+}
+
+module.exports = { Scheduler, SCHEDULE_SYNC_TYPES };
@@ -0,0 +1,8 @@
+const { SnapshotManager, DIFF_SECTIONS, DIFF_CSV_COLUMNS, diffToRows } = require('./snapshotManager');
+
+module.exports = {
+  SnapshotManager,
+  DIFF_SECTIONS,
+  DIFF_CSV_COLUMNS,
+  diffToRows
+};
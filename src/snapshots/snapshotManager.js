@@ -0,0 +1,178 @@
+const logger = require('../utils/logger');
+const config = require('../config');
+const { DEFAULT_ACCOUNT_ID, MY_DRIVE_ID, ALL_DRIVES, isValidAccountId, SNAPSHOT_SOURCE } = require('../persistence');
+const { SYNC_JOB_TYPES, completesSync } = require('../jobs');
+
+const DIFF_SECTIONS = ['added', 'removed', 'changed'];
+
+const MAX_NAME_LENGTH = 100;
+
+// one row per file for the CSV export; removed files show their last known values
+const DIFF_CSV_COLUMNS = [
+  'change',
+  'change_type',
+  'file_id',
+  'path',
+  'previous_path',
+  'name',
+  'previous_name',
+  'mime_type',
+  'size',
+  'previous_size',
+  'md5_checksum',
+  'previous_md5_checksum',
+  'modified_time',
+  'previous_modified_time',
+  'fields'
+];
+
+function csvRow(change, file, previous = null, extra = {}) {
+  return {
+    change,
+    file_id: file.id,
+    path: file.path,
+    name: file.name,
+    mime_type: file.mimeType,
+    size: file.size,
+    md5_checksum: file.md5Checksum,
+    modified_time: file.modifiedTime,
+    previous_path: previous?.path,
+    previous_name: previous?.name,
+    previous_size: previous?.size,
+    previous_md5_checksum: previous?.md5Checksum,
+    previous_modified_time: previous?.modifiedTime,
+    ...extra
+  };
+}
+
+function diffToRows(diff) {
+  return [
+    ...(diff.added || []).map(file => csvRow('added', file)),
+    ...(diff.removed || []).map(file => csvRow('removed', file)),
+    ...(diff.changed || []).map(c => csvRow('changed', c.after, c.before, { change_type: c.changeType, fields: c.fields }))
+  ];
+}
+
+// named catalog snapshots, taken on request or after every full sync
+class SnapshotManager {
+  constructor(options) {
+    this.snapshotRepo = options.snapshotRepository;
+    this.onFullSync = options.onFullSync ?? config.snapshots.onFullSync;
+    this.keepAutomatic = options.keepAutomatic ?? config.snapshots.keepAutomatic;
+    this.detachers = [];
+  }
+
+  attach(jobRunner) {
+    if (!this.onFullSync) return;
+    const listener = (job, result) => {
+      if (SYNC_JOB_TYPES[job.type] === 'full' && completesSync(job, result)) this.snapshotSync(job);
+    };
+    jobRunner.on('job:completed', listener);
+    this.detachers.push(() => jobRunner.off('job:completed', listener));
+  }
+
+  detach() {
+    for (const detach of this.detachers) detach();
+    this.detachers = [];
+  }
+
+  // runs in a job runner listener, so it must not throw
+  snapshotSync(job) {
+    const { syncId, accountId = DEFAULT_ACCOUNT_ID, driveId = MY_DRIVE_ID } = job.payload || {};
+    try {
+      const snapshot = this.createSnapshot({
+        name: `full-sync-${syncId || job.id}`,
+        accountId,
+        driveId,
+        description: 'Taken at the end of a full sync',
+        source: SNAPSHOT_SOURCE.FULL_SYNC,
+        syncId
+      });
+      this.pruneAutomatic(accountId, driveId);
+      return snapshot;
+    } catch (err) {
+      logger.error('Failed to snapshot after full sync', { syncId, accountId, error: err.message });
+      return null;
+    }
+  }
+
+  // keeps the newest automatic snapshots of an account and drive, manual ones are never pruned
+  pruneAutomatic(accountId, driveId) {
+    if (!this.keepAutomatic || this.keepAutomatic < 1) return 0;
+
+    const stale = this.snapshotRepo
+      .findAll({ accountId, driveId, source: SNAPSHOT_SOURCE.FULL_SYNC })
+      .slice(this.keepAutomatic);
+    for (const snapshot of stale) {
+      this.snapshotRepo.delete(snapshot.id);
+    }
+    if (stale.length > 0) {
+      logger.info('Pruned automatic snapshots', { accountId, driveId, count: stale.length });
+    }
+    return stale.length;
+  }
+
+  validate(snapshot) {
+    if (typeof snapshot.name !== 'string' || !snapshot.name.trim()) {
+      throw new Error('name is required');
+    }
+    if (snapshot.name.length > MAX_NAME_LENGTH) {
+      throw new Error(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    if (!isValidAccountId(snapshot.accountId)) {
+      throw new Error(`Invalid account id: ${snapshot.accountId}`);
+    }
+    if (this.snapshotRepo.findByName(snapshot.name, snapshot.accountId)) {
+      throw new Error(`A snapshot named ${snapshot.name} already exists`);
+    }
+  }
+
+  createSnapshot(input) {
+    const snapshot = {
+      name: typeof input.name === 'string' ? input.name.trim() : input.name,
+      accountId: input.accountId || DEFAULT_ACCOUNT_ID,
+      // without a drive the snapshot covers every drive of the account
+      driveId: input.driveId && input.driveId !== ALL_DRIVES ? input.driveId : null,
+      description: input.description || null,
+      source: input.source || SNAPSHOT_SOURCE.MANUAL,
+      syncId: input.syncId || null
+    };
+    this.validate(snapshot);
+
+    const id = this.snapshotRepo.create(snapshot);
+    const created = this.snapshotRepo.findById(id);
+    logger.info('Snapshot created', { id, name: created.name, accountId: created.accountId, files: created.fileCount });
+    return created;
+  }
+
+  deleteSnapshot(id) {
+    const deleted = this.snapshotRepo.delete(id);
+    if (deleted) {
+      logger.info('Snapshot deleted', { id });
+    }
+    return deleted;
+  }
+
+  // null when either snapshot doesn't exist; sections limits the lists returned
+  compare(fromId, toId, sections = DIFF_SECTIONS) {
+    const from = this.snapshotRepo.findById(fromId);
+    const to = this.snapshotRepo.findById(toId);
+    if (!from || !to) return null;
+    if (from.accountId !== to.accountId) {
+      throw new Error('Snapshots belong to different accounts');
+    }
+
+    const diff = this.snapshotRepo.diff(fromId, toId);
+    const result = {
+      from,
+      to,
+      summary: Object.fromEntries(DIFF_SECTIONS.map(section => [section, diff[section].length]))
+    };
+    for (const section of sections) {
+      result[section] = diff[section];
+    }
+    return result;
+  }
+}
+
+module.exports = { SnapshotManager, DIFF_SECTIONS, DIFF_CSV_COLUMNS, diffToRows };
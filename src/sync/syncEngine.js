@@ -1,12 +1,23 @@
 const EventEmitter = require('events');
 const logger = require('../utils/logger');
-const { CHECKPOINT_STATUS } = require('../persistence');
-const { JOB_TYPES } = require('../jobs');
+const {
+  CHECKPOINT_STATUS,
+  DOWNLOAD_STATUS,
+  JOB_STATUS,
+  DEFAULT_ACCOUNT_ID,
+  MY_DRIVE_ID,
+  ALL_DRIVES
+} = require('../persistence');
+const { JOB_TYPES, resolveDriveClient } = require('../jobs');
 
 function generateSyncId() {
   return 'sync_' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
 }
 
+function stateKey(accountId, driveId) {
+  return `${accountId}/${driveId}`;
+}
+
 class SyncEngine extends EventEmitter {
   constructor(options) {
     super();
@@ -15,59 +26,149 @@ class SyncEngine extends EventEmitter {
     this.checkpointRepo = options.checkpointRepository;
     this.jobRepo = options.jobRepository;
     this.jobRunner = options.jobRunner;
+    this.syncStateRepo = options.syncStateRepository || null;
+    this.driveRepo = options.driveRepository || null;
+    this.fileChangeRepo = options.fileChangeRepository || null;
 
     this.currentSyncId = null;
-    this.lastChangeToken = null;
+    // last known change token per account and drive
+    this.changeTokens = new Map();
+  }
+
+  loadState(accountId = DEFAULT_ACCOUNT_ID, driveId = MY_DRIVE_ID) {
+    const state = this.syncStateRepo?.get(accountId, driveId);
+    if (state?.changeToken) {
+      this.changeTokens.set(stateKey(accountId, driveId), state.changeToken);
+      logger.info('Loaded persisted change token', { accountId, driveId, lastSyncId: state.lastSyncId });
+    }
+    return state;
+  }
+
+  getState(accountId = DEFAULT_ACCOUNT_ID, driveId = MY_DRIVE_ID) {
+    const state = this.syncStateRepo?.get(accountId, driveId);
+    return {
+      accountId,
+      driveId,
+      changeToken: state?.changeToken || this.changeTokens.get(stateKey(accountId, driveId)) || null,
+      lastSyncId: state?.lastSyncId || null,
+      updatedAt: state?.updatedAt || null
+    };
+  }
+
+  // persisted change tokens for every drive of the account
+  getStates(accountId = DEFAULT_ACCOUNT_ID) {
+    return this.syncStateRepo ? this.syncStateRepo.findAll(accountId) : [];
+  }
+
+  async refreshDrives(accountId = DEFAULT_ACCOUNT_ID) {
+    const drives = await resolveDriveClient(this.driveClient, accountId).listAllDrives();
+    this.driveRepo?.replaceAll(drives, accountId);
+
+    logger.info('Shared drives refreshed', { accountId, count: drives.length });
+    this.emit('drives:refreshed', { accountId, count: drives.length });
+
+    return this.driveRepo ? this.driveRepo.findAll(accountId) : drives;
+  }
+
+  getDrives(accountId = null) {
+    return this.driveRepo ? this.driveRepo.findAll(accountId) : [];
+  }
+
+  // one sync per drive so each keeps its own checkpoint and change token
+  async _startForAllDrives(start, options) {
+    const accountId = options.accountId || DEFAULT_ACCOUNT_ID;
+    const drives = await this.refreshDrives(accountId);
+    const driveIds = [MY_DRIVE_ID, ...drives.map(d => d.id)];
+
+    const syncs = [];
+    for (const driveId of driveIds) {
+      syncs.push(await start.call(this, { ...options, accountId, driveId }));
+    }
+
+    return { accountId, driveId: ALL_DRIVES, syncs };
   }
 
-  async startFullSync() {
+  async startFullSync(options = {}) {
+    const accountId = options.accountId || DEFAULT_ACCOUNT_ID;
+    const driveId = options.driveId || MY_DRIVE_ID;
+
+    if (driveId === ALL_DRIVES) {
+      return this._startForAllDrives(this.startFullSync, options);
+    }
+
     // check for existing in-progress sync
-    const existing = this.checkpointRepo.findLatestInProgress();
+    const existing = this.checkpointRepo.findLatestInProgress(accountId, driveId);
     if (existing) {
-      logger.info('Found existing sync in progress, resuming', { syncId: existing.syncId });
+      logger.info('Found existing sync in progress, resuming', { syncId: existing.syncId, accountId, driveId });
       return this.resumeSync(existing.syncId);
     }
 
+    // capture the change token before listing so nothing modified mid-sync is lost
+    const startPageToken = await resolveDriveClient(this.driveClient, accountId).getStartPageToken(driveId);
+
     const syncId = generateSyncId();
     this.currentSyncId = syncId;
 
-    this.checkpointRepo.create(syncId);
+    this.checkpointRepo.create(syncId, accountId, driveId);
 
-    const jobId = this.jobRepo.create(JOB_TYPES.FULL_SYNC, { syncId }, {
+    // the first page; each page job queues the next
+    const jobId = this.jobRepo.create(JOB_TYPES.SYNC_PAGE, {
+      syncId,
+      accountId,
+      driveId,
+      startPageToken,
+      reconcile: !!options.reconcile,
+      pageToken: null,
+      page: 1
+    }, {
       priority: 10,
       maxAttempts: 3
     });
 
-    logger.info('Full sync initiated', { syncId, jobId });
-    this.emit('sync:started', { syncId, type: 'full' });
+    logger.info('Full sync initiated', { syncId, jobId, accountId, driveId });
+    this.emit('sync:started', { syncId, accountId, driveId, type: 'full' });
 
-    return { syncId, jobId };
+    return { syncId, jobId, accountId, driveId };
   }
 
-  async startIncrementalSync() {
-    if (!this.lastChangeToken) {
+  async startIncrementalSync(options = {}) {
+    const accountId = options.accountId || DEFAULT_ACCOUNT_ID;
+    const driveId = options.driveId || MY_DRIVE_ID;
+
+    if (driveId === ALL_DRIVES) {
+      return this._startForAllDrives(this.startIncrementalSync, options);
+    }
+
+    // handlers advance the persisted token, so it is fresher than ours
+    this.loadState(accountId, driveId);
+
+    let changeToken = this.changeTokens.get(stateKey(accountId, driveId));
+    if (!changeToken) {
       // first time, need to get initial token
-      this.lastChangeToken = await this.driveClient.getStartPageToken();
-      logger.info('Got initial change token', { token: this.lastChangeToken });
+      changeToken = await resolveDriveClient(this.driveClient, accountId).getStartPageToken(driveId);
+      this.setChangeToken(changeToken, accountId, driveId);
+      logger.info('Got initial change token', { token: changeToken, accountId, driveId });
     }
 
     const syncId = generateSyncId();
     this.currentSyncId = syncId;
 
-    this.checkpointRepo.create(syncId);
+    this.checkpointRepo.create(syncId, accountId, driveId);
 
     const jobId = this.jobRepo.create(JOB_TYPES.INCREMENTAL_SYNC, {
       syncId,
-      startPageToken: this.lastChangeToken
+      accountId,
+      driveId,
+      startPageToken: changeToken
     }, {
       priority: 5,
       maxAttempts: 3
     });
 
-    logger.info('Incremental sync initiated', { syncId, jobId });
-    this.emit('sync:started', { syncId, type: 'incremental' });
+    logger.info('Incremental sync initiated', { syncId, jobId, accountId, driveId });
+    this.emit('sync:started', { syncId, accountId, driveId, type: 'incremental' });
 
-    return { syncId, jobId };
+    return { syncId, jobId, accountId, driveId };
   }
 
   async resumeSync(syncId) {
@@ -79,20 +180,49 @@ class SyncEngine extends EventEmitter {
     if (checkpoint.status === CHECKPOINT_STATUS.COMPLETED) {
       throw new Error(`Sync ${syncId} already completed`);
     }
+    if (checkpoint.status === CHECKPOINT_STATUS.CANCELLED) {
+      throw new Error(`Sync ${syncId} was cancelled`);
+    }
 
     this.checkpointRepo.resume(checkpoint.id);
     this.currentSyncId = syncId;
 
-    const jobId = this.jobRepo.create(JOB_TYPES.FULL_SYNC, {
-      syncId,
-      resumeFrom: checkpoint.pageToken
-    }, {
-      priority: 10,
-      maxAttempts: 3
-    });
+    // a job paused with the sync picks up where it stopped, full or incremental
+    const jobs = this.jobRepo.findBySyncId(syncId);
+    const paused = jobs.find(job => job.status === JOB_STATUS.PAUSED);
+    const active = jobs.find(job => job.status === JOB_STATUS.PENDING || job.status === JOB_STATUS.RUNNING);
+    let jobId;
+    if (paused) {
+      this.jobRepo.reschedule(paused.id, 0);
+      jobId = paused.id;
+    } else if (active) {
+      // still queued or running: a second chain would list every page twice
+      jobId = active.id;
+    } else if (jobs[0]?.type === JOB_TYPES.INCREMENTAL_SYNC) {
+      // its job dead-lettered: a new one with the same payload continues from the checkpoint
+      jobId = this.jobRepo.create(JOB_TYPES.INCREMENTAL_SYNC, jobs[0].payload, {
+        priority: jobs[0].priority,
+        maxAttempts: jobs[0].maxAttempts
+      });
+    } else {
+      // the chain broke off (its page job dead-lettered): start it again at the checkpoint
+      const last = jobs[0]?.payload || {};
+      jobId = this.jobRepo.create(JOB_TYPES.SYNC_PAGE, {
+        syncId,
+        accountId: checkpoint.accountId,
+        driveId: checkpoint.driveId,
+        startPageToken: last.startPageToken,
+        reconcile: !!last.reconcile,
+        pageToken: checkpoint.pageToken || null,
+        page: last.page || 1
+      }, {
+        priority: 10,
+        maxAttempts: 3
+      });
+    }
 
     logger.info('Sync resumed', { syncId, jobId, fromPage: !!checkpoint.pageToken });
-    this.emit('sync:resumed', { syncId });
+    this.emit('sync:resumed', { syncId, jobId, accountId: checkpoint.accountId, driveId: checkpoint.driveId });
 
     return { syncId, jobId };
   }
@@ -103,9 +233,57 @@ class SyncEngine extends EventEmitter {
       throw new Error(`Checkpoint not found for sync: ${syncId}`);
     }
 
+    if (checkpoint.status === CHECKPOINT_STATUS.COMPLETED || checkpoint.status === CHECKPOINT_STATUS.CANCELLED) {
+      throw new Error(`Sync ${syncId} already ${checkpoint.status}`);
+    }
+
     this.checkpointRepo.pause(checkpoint.id);
+
+    // a running job stops at its next page, a queued one before it starts
+    for (const job of this.jobRepo.findBySyncId(syncId)) {
+      if (job.status === JOB_STATUS.RUNNING) {
+        this.jobRunner?.abort(job.id, JOB_STATUS.PAUSED);
+      } else if (job.status === JOB_STATUS.PENDING) {
+        this.jobRepo.markStopped(job.id, JOB_STATUS.PAUSED);
+      }
+    }
     logger.info('Sync paused', { syncId });
-    this.emit('sync:paused', { syncId });
+    this.emit('sync:paused', { syncId, accountId: checkpoint.accountId, driveId: checkpoint.driveId });
+  }
+
+  // a sync whose job ran out of retries failed: it is no longer in progress,
+  // so the next sync of the drive starts afresh, but it can still be resumed.
+  // false when it had already ended
+  markFailed(syncId, error) {
+    const checkpoint = this.checkpointRepo.findBySyncId(syncId);
+    const ended = [CHECKPOINT_STATUS.COMPLETED, CHECKPOINT_STATUS.CANCELLED, CHECKPOINT_STATUS.FAILED];
+    if (!checkpoint || ended.includes(checkpoint.status)) {
+      return false;
+    }
+
+    this.checkpointRepo.markFailed(checkpoint.id, error);
+    if (this.currentSyncId === syncId) {
+      this.currentSyncId = null;
+    }
+    logger.warn('Sync failed', { syncId, error });
+    return true;
+  }
+
+  // a sync whose job was cancelled is over: the next sync of the drive starts
+  // afresh rather than resuming it. false when it had already ended
+  markCancelled(syncId) {
+    const checkpoint = this.checkpointRepo.findBySyncId(syncId);
+    if (!checkpoint || checkpoint.status === CHECKPOINT_STATUS.COMPLETED || checkpoint.status === CHECKPOINT_STATUS.CANCELLED) {
+      return false;
+    }
+
+    this.checkpointRepo.cancel(checkpoint.id);
+    if (this.currentSyncId === syncId) {
+      this.currentSyncId = null;
+    }
+    logger.info('Sync cancelled', { syncId });
+    this.emit('sync:cancelled', { syncId, accountId: checkpoint.accountId, driveId: checkpoint.driveId });
+    return true;
   }
 
   getStatus(syncId) {
@@ -116,8 +294,12 @@ class SyncEngine extends EventEmitter {
 
     return {
       syncId: checkpoint.syncId,
+      accountId: checkpoint.accountId,
+      driveId: checkpoint.driveId,
       status: checkpoint.status,
       filesProcessed: checkpoint.filesProcessed,
+      filesRemoved: checkpoint.filesRemoved,
+      filesTrashed: checkpoint.filesTrashed,
       startedAt: checkpoint.startedAt,
       updatedAt: checkpoint.updatedAt,
       completedAt: checkpoint.completedAt,
@@ -125,6 +307,25 @@ class SyncEngine extends EventEmitter {
     };
   }
 
+  // the file changes a sync made, with counts by change type; null for an unknown sync
+  getChanges(syncId, options = {}) {
+    const checkpoint = this.checkpointRepo.findBySyncId(syncId);
+    if (!checkpoint) {
+      return null;
+    }
+
+    const changes = this.fileChangeRepo ? this.fileChangeRepo.findBySync(syncId, options) : [];
+    return {
+      syncId,
+      accountId: checkpoint.accountId,
+      driveId: checkpoint.driveId,
+      status: checkpoint.status,
+      summary: this.fileChangeRepo?.summarizeSync(syncId) || null,
+      changes,
+      nextAfter: options.limit && changes.length === options.limit ? changes[changes.length - 1].id : null
+    };
+  }
+
   getCurrentSync() {
     if (!this.currentSyncId) {
       return null;
@@ -132,8 +333,8 @@ class SyncEngine extends EventEmitter {
     return this.getStatus(this.currentSyncId);
   }
 
-  getSyncHistory(limit = 20) {
-    return this.checkpointRepo.getHistory(limit);
+  getSyncHistory(limit = 20, accountId = null, driveId = null) {
+    return this.checkpointRepo.getHistory(limit, accountId, driveId);
   }
 
   deleteSync(syncId) {
@@ -148,8 +349,9 @@ class SyncEngine extends EventEmitter {
 
     const deleted = this.checkpointRepo.delete(syncId);
     if (deleted) {
+      this.fileChangeRepo?.deleteBySync(syncId);
       logger.info('Sync deleted', { syncId });
-      this.emit('sync:deleted', { syncId });
+      this.emit('sync:deleted', { syncId, accountId: checkpoint.accountId, driveId: checkpoint.driveId });
 
       if (this.currentSyncId === syncId) {
         this.currentSyncId = null;
@@ -158,22 +360,42 @@ class SyncEngine extends EventEmitter {
     return deleted;
   }
 
-  getFileCount() {
-    return this.fileRepo.count();
+  enqueueDownloads(limit = 500, accountId = null) {
+    const files = this.fileRepo.findByDownloadStatus(DOWNLOAD_STATUS.PENDING, limit, accountId);
+
+    for (const file of files) {
+      this.jobRepo.create(JOB_TYPES.DOWNLOAD_FILE, { fileId: file.id, accountId: file.accountId }, {
+        priority: 1,
+        maxAttempts: 5
+      });
+      this.fileRepo.setDownloadStatus(file.id, DOWNLOAD_STATUS.QUEUED, null, file.accountId);
+    }
+
+    if (files.length > 0) {
+      logger.info('Downloads enqueued', { count: files.length, accountId });
+      this.emit('downloads:enqueued', { count: files.length, accountId });
+    }
+
+    return files.length;
+  }
+
+  getFileCount(accountId = null) {
+    return this.fileRepo.count({ accountId });
   }
 
-  getFiles(limit = 100, offset = 0) {
-    return this.fileRepo.getAll(limit, offset);
+  getFiles(limit = 100, offset = 0, accountId = null) {
+    return this.fileRepo.getAll(limit, offset, { accountId });
   }
 
-  setChangeToken(token) {
-    this.lastChangeToken = token;
+  setChangeToken(token, accountId = DEFAULT_ACCOUNT_ID, driveId = MY_DRIVE_ID) {
+    this.changeTokens.set(stateKey(accountId, driveId), token);
+    this.syncStateRepo?.saveChangeToken(token, null, accountId, driveId);
   }
 
-  deleteAllFiles() {
-    const count = this.fileRepo.deleteAll();
-    logger.info('All files deleted', { count });
-    this.emit('files:deleted', { count });
+  deleteAllFiles(accountId = null) {
+    const count = this.fileRepo.deleteAll(accountId);
+    logger.info('All files deleted', { count, accountId });
+    this.emit('files:deleted', { count, accountId });
     return count;
   }
 
@@ -183,7 +405,10 @@ class SyncEngine extends EventEmitter {
     const jobsDeleted = this.jobRepo.deleteAll();
 
     this.currentSyncId = null;
-    this.lastChangeToken = null;
+    this.syncStateRepo?.clearAll();
+    this.driveRepo?.deleteAll();
+    this.fileChangeRepo?.deleteAll();
+    this.changeTokens.clear();
 
     logger.info('Full reset completed', {
       filesDeleted,
@@ -0,0 +1,121 @@
+// minimal 5-field cron parser: minute hour day-of-month month day-of-week
+// supports *, lists (1,2), ranges (1-5), steps (*/15, 1-30/5)
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// give up looking for a match after this many years (e.g. "0 0 31 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+function parseField(expr, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of expr.split(',')) {
+    const [rangeExpr, stepExpr] = part.split('/');
+    const step = stepExpr === undefined ? 1 : parseInt(stepExpr, 10);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in cron ${name} field: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (rangeExpr === '*') {
+      start = min;
+      end = max;
+    } else if (rangeExpr.includes('-')) {
+      [start, end] = rangeExpr.split('-').map(v => parseInt(v, 10));
+    } else {
+      start = parseInt(rangeExpr, 10);
+      end = stepExpr === undefined ? start : max;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron ${name} field: ${part}`);
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+
+  return values;
+}
+
+function parseCron(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields: "${expression}"`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  // 7 and 0 are both sunday
+  if (dayOfWeek.has(7)) {
+    dayOfWeek.add(0);
+    dayOfWeek.delete(7);
+  }
+
+  return {
+    minute,
+    hour,
+    dayOfMonth,
+    month,
+    dayOfWeek,
+    anyDayOfMonth: parts[2] === '*',
+    anyDayOfWeek: parts[4] === '*'
+  };
+}
+
+function matchesDay(cron, date) {
+  const domMatch = cron.dayOfMonth.has(date.getDate());
+  const dowMatch = cron.dayOfWeek.has(date.getDay());
+
+  // classic cron: when both day fields are restricted, either one matching is enough
+  if (!cron.anyDayOfMonth && !cron.anyDayOfWeek) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+// next time strictly after `from` that matches the expression (local time)
+function nextCronRun(expression, from = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(from.getTime());
+  limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+
+  while (date <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error(`Cron expression never matches: "${expression}"`);
+}
+
+module.exports = { parseCron, nextCronRun };
@@ -0,0 +1,81 @@
+const { StringDecoder } = require('string_decoder');
+
+// RFC 4180: fields with a comma, quote or line break are quoted, quotes doubled
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvLine(values) {
+  return values.map(escapeCsvValue).join(',') + '\r\n';
+}
+
+// rows are objects, columns pick and order their keys
+function toCsv(columns, rows) {
+  return toCsvLine(columns) + rows.map(row => toCsvLine(columns.map(column => row[column]))).join('');
+}
+
+// the reverse, a row of field strings at a time from a stream; quoted fields
+// may hold line breaks and chunks may end anywhere, mid-quote included
+async function* readCsvRows(stream) {
+  const decoder = new StringDecoder('utf8');
+  let row = [];
+  let field = '';
+  let quoted = false;
+  // a quote inside a quoted field: either the first of "" or its closing quote
+  let quoteSeen = false;
+
+  const endRow = () => {
+    row.push(field);
+    const done = row;
+    row = [];
+    field = '';
+    // blank lines aren't rows
+    return done.length === 1 && done[0] === '' ? null : done;
+  };
+
+  for await (const chunk of stream) {
+    const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    for (const ch of text) {
+      if (quoted) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (ch === '"') {
+            field += '"';
+            continue;
+          }
+          quoted = false;
+        } else if (ch === '"') {
+          quoteSeen = true;
+          continue;
+        } else {
+          field += ch;
+          continue;
+        }
+      }
+
+      if (ch === '"' && field === '') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n') {
+        const done = endRow();
+        if (done) yield done;
+      } else if (ch !== '\r') {
+        field += ch;
+      }
+    }
+  }
+
+  if (quoted && !quoteSeen) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    const done = endRow();
+    if (done) yield done;
+  }
+}
+
+module.exports = { escapeCsvValue, toCsvLine, toCsv, readCsvRows };
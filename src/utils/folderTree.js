@@ -0,0 +1,91 @@
+const { isFolder } = require('./mimeTypes');
+
+const DEFAULT_TREE_DEPTH = 1;
+const MAX_TREE_DEPTH = 50;
+
+// assembles nested folders with recursive counts from flat file rows
+// (id, name, mime_type, size, parent_id, path, drive_id)
+function buildFolderTree(rows, options = {}) {
+  const depth = Math.min(Math.max(options.depth ?? DEFAULT_TREE_DEPTH, 0), MAX_TREE_DEPTH);
+
+  const byId = new Map(rows.map(row => [row.id, row]));
+  const childrenOf = new Map();
+  const topLevel = [];
+
+  for (const row of rows) {
+    // parents we never saw (drive roots, folders shared without their parent) make top-level items
+    if (row.parent_id && byId.has(row.parent_id)) {
+      if (!childrenOf.has(row.parent_id)) childrenOf.set(row.parent_id, []);
+      childrenOf.get(row.parent_id).push(row);
+    } else {
+      topLevel.push(row);
+    }
+  }
+
+  const stats = new Map();
+  const aggregate = (children, seen) => {
+    const totals = { fileCount: 0, folderCount: 0, totalSize: 0 };
+    for (const child of children) {
+      if (isFolder(child.mime_type)) {
+        totals.folderCount++;
+        const sub = folderStats(child.id, seen);
+        totals.fileCount += sub.fileCount;
+        totals.folderCount += sub.folderCount;
+        totals.totalSize += sub.totalSize;
+      } else {
+        totals.fileCount++;
+        totals.totalSize += child.size || 0;
+      }
+    }
+    return totals;
+  };
+  const folderStats = (id, seen = new Set()) => {
+    if (stats.has(id)) return stats.get(id);
+    if (seen.has(id)) return { fileCount: 0, folderCount: 0, totalSize: 0 };
+    seen.add(id);
+    const totals = aggregate(childrenOf.get(id) || [], seen);
+    stats.set(id, totals);
+    return totals;
+  };
+
+  const subfolders = (children) => children
+    .filter(child => isFolder(child.mime_type))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const toNode = (row, remaining, seen) => {
+    const folders = subfolders(childrenOf.get(row.id) || []);
+    const node = {
+      id: row.id,
+      name: row.name,
+      path: row.path,
+      driveId: row.drive_id,
+      ...folderStats(row.id)
+    };
+    if (remaining > 0 && !seen.has(row.id)) {
+      seen.add(row.id);
+      node.children = folders.map(folder => toNode(folder, remaining - 1, seen));
+    } else if (folders.length > 0) {
+      node.truncated = true;
+    }
+    return node;
+  };
+
+  if (options.rootId) {
+    const root = byId.get(options.rootId);
+    if (!root || !isFolder(root.mime_type)) return null;
+    return toNode(root, depth, new Set());
+  }
+
+  // no root asked for: a virtual node above everything top-level
+  const folders = subfolders(topLevel);
+  const root = { id: null, name: '/', path: '/', ...aggregate(topLevel, new Set()) };
+  if (depth > 0) {
+    const seen = new Set();
+    root.children = folders.map(folder => toNode(folder, depth - 1, seen));
+  } else if (folders.length > 0) {
+    root.truncated = true;
+  }
+  return root;
+}
+
+module.exports = { buildFolderTree, DEFAULT_TREE_DEPTH, MAX_TREE_DEPTH };
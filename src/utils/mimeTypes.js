@@ -0,0 +1,67 @@
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// native google docs/sheets/etc have no binary content to fetch with alt=media
+const GOOGLE_APPS_PREFIX = 'application/vnd.google-apps.';
+
+// named groups for filtering; prefixes match whole families like image/*
+const MIME_GROUPS = {
+  folders: { types: [FOLDER_MIME_TYPE] },
+  documents: {
+    types: [
+      'application/vnd.google-apps.document',
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.oasis.opendocument.text',
+      'application/rtf',
+      'text/plain',
+      'text/markdown'
+    ]
+  },
+  spreadsheets: {
+    types: [
+      'application/vnd.google-apps.spreadsheet',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.oasis.opendocument.spreadsheet',
+      'text/csv'
+    ]
+  },
+  presentations: {
+    types: [
+      'application/vnd.google-apps.presentation',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/vnd.oasis.opendocument.presentation'
+    ]
+  },
+  images: { types: ['application/vnd.google-apps.drawing'], prefixes: ['image/'] },
+  video: { prefixes: ['video/'] },
+  audio: { prefixes: ['audio/'] },
+  archives: {
+    types: [
+      'application/zip',
+      'application/x-7z-compressed',
+      'application/x-rar-compressed',
+      'application/x-tar',
+      'application/gzip'
+    ]
+  },
+  google: { prefixes: [GOOGLE_APPS_PREFIX] }
+};
+
+function isFolder(mimeType) {
+  return mimeType === FOLDER_MIME_TYPE;
+}
+
+function isDownloadable(mimeType) {
+  return !!mimeType && !mimeType.startsWith(GOOGLE_APPS_PREFIX);
+}
+
+module.exports = {
+  FOLDER_MIME_TYPE,
+  GOOGLE_APPS_PREFIX,
+  MIME_GROUPS,
+  isFolder,
+  isDownloadable
+};
@@ -0,0 +1,63 @@
+const MAX_PAGE_SIZE = 1000;
+
+function parseNonNegativeInt(value, name) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return parsed;
+}
+
+function parseDate(value, name) {
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`${name} must be a date`);
+  }
+  return new Date(time).toISOString();
+}
+
+function parseList(value) {
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// query string -> repository filters and paging, throws on bad input
+function parseFileQuery(query) {
+  const filters = { includeDeleted: query.includeDeleted === 'true' };
+
+  if (query.name) filters.name = String(query.name);
+  if (query.glob) filters.glob = String(query.glob);
+  if (query.mimeType) filters.mimeTypes = parseList(query.mimeType);
+  if (query.type) filters.types = parseList(query.type);
+  if (query.checksum) filters.checksum = String(query.checksum).toLowerCase();
+  if (query.parent) {
+    filters.parentId = String(query.parent);
+    filters.recursive = query.recursive === 'true';
+  }
+  if (query.minSize !== undefined) filters.minSize = parseNonNegativeInt(query.minSize, 'minSize');
+  if (query.maxSize !== undefined) filters.maxSize = parseNonNegativeInt(query.maxSize, 'maxSize');
+  for (const key of ['modifiedAfter', 'modifiedBefore', 'createdAfter', 'createdBefore']) {
+    if (query[key]) filters[key] = parseDate(query[key], key);
+  }
+
+  const limit = query.limit !== undefined ? parseNonNegativeInt(query.limit, 'limit') : 100;
+  if (limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new Error(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const order = query.order ? String(query.order).toLowerCase() : undefined;
+  if (order && order !== 'asc' && order !== 'desc') {
+    throw new Error('order must be asc or desc');
+  }
+
+  const page = {
+    limit,
+    offset: query.offset !== undefined ? parseNonNegativeInt(query.offset, 'offset') : 0,
+    cursor: query.cursor ? String(query.cursor) : null,
+    sort: query.sort ? String(query.sort) : undefined,
+    order
+  };
+
+  return { filters, page };
+}
+
+module.exports = { MAX_PAGE_SIZE, parseNonNegativeInt, parseDate, parseList, parseFileQuery };
@@ -0,0 +1,85 @@
+const logger = require('../utils/logger');
+const { DELIVERY_STATUS } = require('../persistence');
+const { signPayload } = require('./webhookDispatcher');
+
+// enough of a response body to see what the receiver complained about
+const MAX_RESPONSE_BODY = 1024;
+
+// one attempt per job run; a thrown error hands the retry and its backoff to the job runner
+function createWebhookDeliveryHandler(webhookRepository, options = {}) {
+  const timeoutMs = options.timeoutMs || 10000;
+
+  return async (payload, job, context = {}) => {
+    const delivery = webhookRepository.findDelivery(payload.deliveryId);
+    if (!delivery) {
+      return { skipped: true, reason: 'not_found' };
+    }
+
+    const webhook = webhookRepository.findById(delivery.webhookId);
+    if (!webhook || !webhook.enabled) {
+      webhookRepository.markDeliverySkipped(delivery.id, webhook ? 'Webhook disabled' : 'Webhook deleted');
+      return { skipped: true, reason: webhook ? 'disabled' : 'deleted' };
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const failedStatus = job.attempts + 1 >= job.maxAttempts ? DELIVERY_STATUS.FAILED : DELIVERY_STATUS.RETRYING;
+    const startedAt = Date.now();
+
+    let response;
+    let responseBody;
+    try {
+      response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'drive-sync-webhooks',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+        },
+        body,
+        // a redirect would re-send the signed body somewhere nobody configured
+        redirect: 'manual',
+        signal: context.signal
+          ? AbortSignal.any([AbortSignal.timeout(timeoutMs), context.signal])
+          : AbortSignal.timeout(timeoutMs)
+      });
+      responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+    } catch (err) {
+      const error = err.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : err.message;
+      webhookRepository.recordAttempt(delivery.id, {
+        status: failedStatus,
+        error,
+        durationMs: Date.now() - startedAt
+      });
+      throw new Error(`Webhook delivery ${delivery.id} failed: ${error}`);
+    }
+
+    const durationMs = Date.now() - startedAt;
+    if (!response.ok) {
+      webhookRepository.recordAttempt(delivery.id, {
+        status: failedStatus,
+        responseStatus: response.status,
+        responseBody,
+        error: `HTTP ${response.status}`,
+        durationMs
+      });
+      throw new Error(`Webhook delivery ${delivery.id} failed: HTTP ${response.status}`);
+    }
+
+    webhookRepository.recordAttempt(delivery.id, {
+      status: DELIVERY_STATUS.DELIVERED,
+      responseStatus: response.status,
+      responseBody,
+      durationMs
+    });
+    logger.debug('Webhook delivered', { webhookId: webhook.id, deliveryId: delivery.id, status: response.status });
+
+    return { deliveryId: delivery.id, status: response.status, durationMs };
+  };
+}
+
+module.exports = { createWebhookDeliveryHandler };
@@ -0,0 +1,10 @@
+const { WebhookDispatcher, WEBHOOK_EVENTS, TEST_EVENT, signPayload } = require('./webhookDispatcher');
+const { createWebhookDeliveryHandler } = require('./delivery');
+
+module.exports = {
+  WebhookDispatcher,
+  WEBHOOK_EVENTS,
+  TEST_EVENT,
+  signPayload,
+  createWebhookDeliveryHandler
+};
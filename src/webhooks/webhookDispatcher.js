@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { DEFAULT_ACCOUNT_ID, isValidAccountId } = require('../persistence');
+const { JOB_TYPES } = require('../jobs');
+
+// events a webhook can subscribe to; '*' subscribes to all of them
+const WEBHOOK_EVENTS = [
+  'sync:completed',
+  'sync:failed',
+  'file:added',
+  'file:changed',
+  'file:removed',
+  'job:failed'
+];
+
+// sent by POST /webhooks/:id/test regardless of the subscription
+const TEST_EVENT = 'webhook:test';
+
+const MIN_SECRET_LENGTH = 16;
+
+// receivers recompute this over "<timestamp>.<raw body>" with their copy of the secret
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function isSubscribed(webhook, type) {
+  return webhook.events.includes('*') || webhook.events.includes(type);
+}
+
+// turns sync and job events into deliveries, one delivery job per subscribed webhook
+class WebhookDispatcher {
+  constructor(options) {
+    this.webhookRepo = options.webhookRepository;
+    this.jobRepo = options.jobRepository;
+    this.eventStream = options.eventStream;
+    this.maxAttempts = options.maxAttempts || config.webhooks.maxAttempts;
+    this.unsubscribe = null;
+  }
+
+  start() {
+    if (this.unsubscribe) return;
+    // events followed from other processes were dispatched by the process that published them
+    this.unsubscribe = this.eventStream.subscribe({ types: WEBHOOK_EVENTS }, (event) => this.dispatch(event), {
+      localOnly: true
+    });
+    logger.info('Webhook dispatcher started');
+  }
+
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  // runs inside the event stream's emit, so it must not throw
+  dispatch(event) {
+    // a failing delivery must not announce itself to the webhooks, or it never ends
+    if (event.data?.jobType === JOB_TYPES.WEBHOOK_DELIVERY) return 0;
+
+    try {
+      const webhooks = this.webhookRepo.findEnabled(event.accountId)
+        .filter(webhook => isSubscribed(webhook, event.type));
+
+      for (const webhook of webhooks) {
+        this._enqueue(webhook, event.type, {
+          id: event.id,
+          type: event.type,
+          createdAt: event.createdAt,
+          accountId: event.accountId,
+          syncId: event.syncId,
+          data: event.data
+        }, event.id);
+      }
+      return webhooks.length;
+    } catch (err) {
+      logger.error('Failed to dispatch webhooks', { type: event.type, error: err.message });
+      return 0;
+    }
+  }
+
+  _enqueue(webhook, eventType, payload, eventId = null) {
+    return this.jobRepo.dbManager.withTransaction(() => {
+      const deliveryId = this.webhookRepo.createDelivery({ webhookId: webhook.id, eventId, eventType, payload });
+      const jobId = this.jobRepo.create(JOB_TYPES.WEBHOOK_DELIVERY, { deliveryId, webhookId: webhook.id }, {
+        accountId: payload.accountId || webhook.accountId || DEFAULT_ACCOUNT_ID,
+        maxAttempts: this.maxAttempts
+      });
+      this.webhookRepo.setDeliveryJob(deliveryId, jobId);
+      logger.debug('Webhook delivery queued', { webhookId: webhook.id, deliveryId, eventType });
+      return { deliveryId, jobId };
+    });
+  }
+
+  sendTest(id) {
+    const webhook = this.webhookRepo.findById(id);
+    if (!webhook) return null;
+
+    return this._enqueue(webhook, TEST_EVENT, {
+      id: null,
+      type: TEST_EVENT,
+      createdAt: new Date().toISOString(),
+      accountId: webhook.accountId,
+      syncId: null,
+      data: { webhookId: webhook.id }
+    });
+  }
+
+  // sends the same body again as a new delivery
+  redeliver(webhookId, deliveryId) {
+    const webhook = this.webhookRepo.findById(webhookId);
+    const delivery = this.webhookRepo.findDelivery(deliveryId);
+    if (!webhook || !delivery || delivery.webhookId !== webhookId) return null;
+
+    return this._enqueue(webhook, delivery.eventType, delivery.payload, delivery.eventId);
+  }
+
+  validate(webhook) {
+    let url;
+    try {
+      url = new URL(webhook.url);
+    } catch (err) {
+      throw new Error(`Invalid webhook url: ${webhook.url}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('Webhook url must be http or https');
+    }
+
+    if (!Array.isArray(webhook.events) || webhook.events.length === 0) {
+      throw new Error('events must be a non-empty array');
+    }
+    const unknown = webhook.events.filter(type => type !== '*' && !WEBHOOK_EVENTS.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown events: ${unknown.join(', ')}. Valid events: ${WEBHOOK_EVENTS.join(', ')}, *`);
+    }
+
+    if (webhook.accountId && !isValidAccountId(webhook.accountId)) {
+      throw new Error(`Invalid account id: ${webhook.accountId}`);
+    }
+    if (typeof webhook.secret !== 'string' || webhook.secret.length < MIN_SECRET_LENGTH) {
+      throw new Error(`secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+    }
+  }
+
+  createWebhook(input) {
+    const webhook = {
+      url: input.url,
+      events: input.events,
+      secret: input.secret || crypto.randomBytes(24).toString('hex'),
+      accountId: input.accountId || null,
+      description: input.description || null,
+      enabled: input.enabled !== false
+    };
+    this.validate(webhook);
+
+    const id = this.webhookRepo.create(webhook);
+    logger.info('Webhook created', { id, url: webhook.url, events: webhook.events });
+    return this.webhookRepo.findById(id);
+  }
+
+  updateWebhook(id, input) {
+    const existing = this.webhookRepo.findById(id);
+    if (!existing) return null;
+
+    const merged = { ...existing };
+    for (const key of ['url', 'events', 'secret', 'accountId', 'description', 'enabled']) {
+      if (input[key] !== undefined) merged[key] = input[key];
+    }
+    this.validate(merged);
+
+    this.webhookRepo.update(id, merged);
+    logger.info('Webhook updated', { id });
+    return this.webhookRepo.findById(id);
+  }
+
+  deleteWebhook(id) {
+    const deleted = this.webhookRepo.delete(id);
+    if (deleted) {
+      logger.info('Webhook deleted', { id });
+    }
+    return deleted;
+  }
+}
+
+module.exports = { WebhookDispatcher, WEBHOOK_EVENTS, TEST_EVENT, signPayload };
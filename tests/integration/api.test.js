@@ -2,8 +2,8 @@ const request = require('supertest');
 const express = require('express');
 const { createTestDb } = require('../helpers/testDb');
 
-const { FileRepository, JobRepository } = require('../../src/persistence');
-const { createFilesRouter, createJobsRouter } = require('../../src/routes');
+const { FileRepository, JobRepository, FileChangeRepository, WorkerRepository } = require('../../src/persistence');
+const { createFilesRouter, createJobsRouter, createWorkersRouter } = require('../../src/routes');
 const { JobRunner } = require('../../src/jobs');
 
 describe('API Integration', () => {
@@ -22,7 +22,7 @@ describe('API Integration', () => {
 
     app = express();
     app.use(express.json());
-    app.use('/files', createFilesRouter(fileRepo));
+    app.use('/files', createFilesRouter(fileRepo, new FileChangeRepository(dbManager)));
     app.use('/jobs', createJobsRouter(jobRunner, jobRepo));
   });
 
@@ -60,6 +60,66 @@ describe('API Integration', () => {
 
       expect(response.body.count).toBe(2);
     });
+
+    it('should filter by account', async () => {
+      fileRepo.upsert({ id: 'f1', name: 'mine.txt' }, 'personal');
+      fileRepo.upsert({ id: 'f1', name: 'theirs.txt' }, 'work');
+
+      const response = await request(app)
+        .get('/files?account=work')
+        .expect(200);
+
+      expect(response.body.files.length).toBe(1);
+      expect(response.body.files[0].name).toBe('theirs.txt');
+      expect(response.body.files[0].accountId).toBe('work');
+    });
+
+    it('should treat drive=all as every drive', async () => {
+      fileRepo.upsertBatch([
+        { id: 'f1', name: 'mine.txt' },
+        { id: 't1', name: 'shared.txt', driveId: 'team1' }
+      ]);
+
+      const list = await request(app).get('/files?drive=all').expect(200);
+      expect(list.body.files.map(f => f.id).sort()).toEqual(['f1', 't1']);
+      expect((await request(app).get('/files/count?drive=all').expect(200)).body.count).toBe(2);
+      expect((await request(app).get('/files/count?drive=team1').expect(200)).body.count).toBe(1);
+      expect((await request(app).get('/files/search?q=shared&drive=all').expect(200)).body.results).toHaveLength(1);
+    });
+
+    it('should filter, sort and follow cursors', async () => {
+      fileRepo.upsertBatch([
+        { id: 'f1', name: 'a.pdf', mimeType: 'application/pdf', size: 10 },
+        { id: 'f2', name: 'b.png', mimeType: 'image/png', size: 20 },
+        { id: 'f3', name: 'c.jpg', mimeType: 'image/jpeg', size: 30 }
+      ]);
+
+      const first = await request(app)
+        .get('/files?type=images&sort=size&order=asc&limit=1')
+        .expect(200);
+
+      expect(first.body.files.map(f => f.id)).toEqual(['f2']);
+      expect(first.body.pagination.total).toBe(2);
+
+      const second = await request(app)
+        .get(`/files?type=images&sort=size&order=asc&limit=1&cursor=${first.body.pagination.nextCursor}`)
+        .expect(200);
+
+      expect(second.body.files.map(f => f.id)).toEqual(['f3']);
+      expect(second.body.pagination.hasMore).toBe(false);
+    });
+
+    it('should reject bad filters', async () => {
+      await request(app).get('/files?minSize=-1').expect(400);
+      await request(app).get('/files?sort=bogus').expect(400);
+      await request(app).get('/files?modifiedAfter=yesterday-ish').expect(400);
+    });
+
+    it('should reject an invalid account id', async () => {
+      await request(app)
+        .get('/files?account=../../etc')
+        .expect(400);
+    });
   });
 
   describe('GET /files/:id', () => {
@@ -83,6 +143,98 @@ describe('API Integration', () => {
     });
   });
 
+  describe('GET /files/:id/history', () => {
+    it('should list changes newest first, even after a hard delete', async () => {
+      fileRepo.upsert({ id: 'f1', name: 'a.txt' }, 'default', { syncId: 's1' });
+      fileRepo.upsert({ id: 'f1', name: 'b.txt' }, 'default', { syncId: 's2' });
+      fileRepo.deleteById('f1', 'default', { syncId: 's3' });
+
+      const response = await request(app)
+        .get('/files/f1/history')
+        .expect(200);
+
+      expect(response.body.file).toBeNull();
+      expect(response.body.changes.map(c => c.changeType)).toEqual(['deleted', 'renamed', 'added']);
+      expect(response.body.changes[1]).toMatchObject({ before: { name: 'a.txt' }, after: { name: 'b.txt' } });
+    });
+
+    it('should return 404 for a file without history', async () => {
+      await request(app).get('/files/nonexistent/history').expect(404);
+      await request(app).get('/files/nonexistent/history?limit=0').expect(400);
+    });
+  });
+
+  describe('folder tree', () => {
+    const FOLDER = 'application/vnd.google-apps.folder';
+
+    beforeEach(() => {
+      fileRepo.upsertBatch([
+        { id: 'a', name: 'Projects', mimeType: FOLDER },
+        { id: 'b', name: 'Reports', mimeType: FOLDER, parents: ['a'] },
+        { id: 'c', name: 'q1.txt', mimeType: 'text/plain', size: 100, parents: ['b'] }
+      ]);
+    });
+
+    it('should return a nested tree with aggregates', async () => {
+      const response = await request(app)
+        .get('/files/tree?depth=2')
+        .expect(200);
+
+      expect(response.body.children[0].name).toBe('Projects');
+      expect(response.body.children[0].children[0]).toMatchObject({ name: 'Reports', fileCount: 1, totalSize: 100 });
+    });
+
+    it('should look files up by path', async () => {
+      const response = await request(app)
+        .get('/files/by-path?path=/Projects/Reports/q1.txt')
+        .expect(200);
+
+      expect(response.body.id).toBe('c');
+    });
+
+    it('should report ambiguous paths', async () => {
+      fileRepo.upsert({ id: 'c2', name: 'q1.txt', mimeType: 'text/plain', parents: ['b'] });
+
+      const response = await request(app)
+        .get('/files/by-path?path=/Projects/Reports/q1.txt')
+        .expect(409);
+
+      expect(response.body.matches.length).toBe(2);
+    });
+
+    it('should return folder stats', async () => {
+      const response = await request(app)
+        .get('/files/a/stats')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ path: '/Projects', fileCount: 1, folderCount: 1, totalSize: 100 });
+    });
+  });
+
+  describe('GET /files/search', () => {
+    it('should require a query', async () => {
+      await request(app)
+        .get('/files/search')
+        .expect(400);
+    });
+
+    it('should return ranked results with highlights', async () => {
+      fileRepo.upsertBatch([
+        { id: 'f1', name: 'budget.xlsx', description: 'yearly numbers' },
+        { id: 'f2', name: 'notes.txt', description: 'see the budget' },
+        { id: 'f3', name: 'photo.jpg' }
+      ]);
+
+      const response = await request(app)
+        .get('/files/search?q=budget')
+        .expect(200);
+
+      expect(response.body.results.map(f => f.id)).toEqual(['f1', 'f2']);
+      expect(response.body.results[0].highlights.name).toBe('<mark>budget</mark>.xlsx');
+      expect(response.body.pagination.total).toBe(2);
+    });
+  });
+
   describe('GET /jobs/stats', () => {
     it('should return job statistics', async () => {
       jobRepo.create('test', {});
@@ -117,6 +269,75 @@ describe('API Integration', () => {
     });
   });
 
+  describe('POST /jobs/:id/cancel', () => {
+    it('should cancel a running job through its signal and a queued one right away', async () => {
+      jobRunner.registerHandler('slow', (payload, job, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      }));
+      const cancelled = jest.fn();
+      jobRunner.on('job:cancelled', cancelled);
+
+      const running = jobRepo.create('slow', {}, { priority: 1 });
+      const queued = jobRepo.create('slow', {}, { scheduledAt: new Date(Date.now() + 60000).toISOString() });
+      jobRunner.start();
+      await new Promise(r => setTimeout(r, 100));
+
+      const res = await request(app).post(`/jobs/${running}/cancel`).expect(200);
+      expect(res.body).toMatchObject({ jobId: running, status: 'cancelling' });
+      await new Promise(r => setTimeout(r, 50));
+      expect(jobRepo.findById(running).status).toBe('cancelled');
+
+      await request(app).post(`/jobs/${queued}/cancel`).expect(200, { message: 'Job cancelled', jobId: queued, status: 'cancelled' });
+      expect(cancelled).toHaveBeenCalledTimes(2);
+
+      await request(app).post(`/jobs/${queued}/cancel`).expect(409);
+      await request(app).post('/jobs/nonexistent/cancel').expect(404);
+    });
+
+    it('should cancel in bulk by type and status', async () => {
+      const a = jobRepo.create('download_file', {});
+      const b = jobRepo.create('download_file', {}, { accountId: 'work' });
+      const other = jobRepo.create('full_sync', {});
+      const done = jobRepo.create('download_file', {});
+      jobRepo.markCompleted(done);
+
+      const res = await request(app).post('/jobs/cancel').send({ type: 'download_file' }).expect(200);
+      expect(res.body).toEqual({ cancelled: [a, b], cancelling: [] });
+      expect(jobRepo.findById(other).status).toBe('pending');
+      expect(jobRepo.findById(done).status).toBe('completed');
+      expect(jobRunner.getStats().cancelled).toBe(2);
+
+      await request(app).post('/jobs/cancel?account=work').send({ status: 'pending' }).expect(200, { cancelled: [], cancelling: [] });
+      await request(app).post('/jobs/cancel').send({}).expect(400);
+      await request(app).post('/jobs/cancel').send({ status: 'completed' }).expect(400);
+    });
+  });
+
+  describe('GET /workers', () => {
+    it('should list workers with the jobs they hold', async () => {
+      const workerRepo = new WorkerRepository(dbManager);
+      app.use('/workers', createWorkersRouter(workerRepo, { staleAfterMs: 60000 }));
+      jobRunner = new JobRunner(jobRepo, {}, { workerId: 'worker-a', workerRepository: workerRepo });
+      jobRunner.registerHandler('slow', () => new Promise(() => {}));
+      workerRepo.register({ id: 'worker-old', hostname: 'h', pid: 1, concurrency: 1 });
+      const longAgo = new Date(Date.now() - 120000).toISOString();
+      dbManager.run('UPDATE workers SET started_at = ?, heartbeat_at = ?', [longAgo, longAgo]);
+
+      const jobId = jobRepo.create('slow', {});
+      jobRunner.start();
+      await new Promise(r => setTimeout(r, 100));
+
+      const res = await request(app).get('/workers').expect(200);
+      expect(res.body.map(w => [w.id, w.status])).toEqual([['worker-a', 'active'], ['worker-old', 'lost']]);
+      expect(res.body[0]).toMatchObject({ pid: process.pid, jobs: [{ id: jobId, type: 'slow' }] });
+
+      const active = await request(app).get('/jobs/active').expect(200);
+      expect(active.body).toEqual([expect.objectContaining({ id: jobId, workerId: 'worker-a' })]);
+
+      await request(app).get('/workers/nope').expect(404);
+    });
+  });
+
   describe('job runner control', () => {
     it('should pause and resume job runner', async () => {
       jobRunner.start();
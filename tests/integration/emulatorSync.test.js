@@ -0,0 +1,281 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { google } = require('googleapis');
+const config = require('../../src/config');
+const { createTestDb } = require('../helpers/testDb');
+const {
+  FileRepository,
+  JobRepository,
+  CheckpointRepository,
+  SyncStateRepository,
+  EventRepository,
+  FileChangeRepository
+} = require('../../src/persistence');
+const {
+  JobRunner,
+  JOB_TYPES,
+  completesSync,
+  createSyncPageHandler,
+  createIncrementalSyncHandler,
+  createDownloadFileHandler
+} = require('../../src/jobs');
+const { SyncEngine } = require('../../src/sync');
+const { DriveClient } = require('../../src/api/driveClient');
+const { DriveEmulator } = require('../../src/emulator');
+const { EventStream } = require('../../src/events');
+const { createSyncRouter, createFilesRouter } = require('../../src/routes');
+
+const FOLDER = 'application/vnd.google-apps.folder';
+
+const FIXTURE = {
+  files: [
+    {
+      id: 'projects',
+      name: 'Projects',
+      mimeType: FOLDER,
+      children: [
+        { id: 'plan', name: 'plan.txt', mimeType: 'text/plain', content: 'the plan' },
+        { id: 'old', name: 'old.txt', mimeType: 'text/plain', content: 'stale' }
+      ]
+    },
+    { id: 'readme', name: 'README.txt', mimeType: 'text/plain', content: 'hello' },
+    { id: 'photo', name: 'photo.jpg', mimeType: 'image/jpeg', content: 'pixels' }
+  ]
+};
+
+// sync against the emulator through the real googleapis client
+describe('Sync against the Drive emulator', () => {
+  const originalPageSize = config.sync.pageSize;
+  let emulator;
+  let dbManager;
+  let fileRepo;
+  let fileChangeRepo;
+  let jobRunner;
+  let syncEngine;
+  let driveClient;
+  let mirrorDir;
+
+  const waitForJob = (jobId) => new Promise((resolve, reject) => {
+    jobRunner.on('job:completed', (job, result) => job.id === jobId && resolve(result));
+    jobRunner.on('job:retry', (job, err) => job.id === jobId && reject(err));
+  });
+
+  // a full sync runs a job per page; it's done when one completes it
+  const waitForSync = (syncId) => new Promise((resolve, reject) => {
+    jobRunner.on('job:completed', (job, result) => job.payload.syncId === syncId && completesSync(job, result) && resolve(result));
+    jobRunner.on('job:retry', (job, err) => job.payload.syncId === syncId && reject(err));
+  });
+
+  beforeEach(async () => {
+    // small pages so listings span several requests
+    config.sync.pageSize = 2;
+
+    emulator = new DriveEmulator({ fixture: FIXTURE });
+    await emulator.start();
+
+    const oauth2Client = new google.auth.OAuth2();
+    oauth2Client.setCredentials({ access_token: 'test-token' });
+    driveClient = new DriveClient({ getClient: () => oauth2Client }, { rootUrl: emulator.url });
+
+    dbManager = await createTestDb();
+    fileRepo = new FileRepository(dbManager);
+    fileChangeRepo = new FileChangeRepository(dbManager);
+    const jobRepo = new JobRepository(dbManager);
+    const checkpointRepo = new CheckpointRepository(dbManager);
+    const syncStateRepo = new SyncStateRepository(dbManager);
+    mirrorDir = fs.mkdtempSync(path.join(os.tmpdir(), 'emulator-mirror-'));
+
+    jobRunner = new JobRunner(jobRepo);
+    jobRunner.registerHandler(
+      JOB_TYPES.SYNC_PAGE,
+      createSyncPageHandler(driveClient, fileRepo, checkpointRepo, jobRepo, syncStateRepo)
+    );
+    jobRunner.registerHandler(
+      JOB_TYPES.INCREMENTAL_SYNC,
+      createIncrementalSyncHandler(driveClient, fileRepo, checkpointRepo, syncStateRepo)
+    );
+    jobRunner.registerHandler(
+      JOB_TYPES.DOWNLOAD_FILE,
+      createDownloadFileHandler(driveClient, fileRepo, { mirrorDir })
+    );
+
+    syncEngine = new SyncEngine({
+      driveClient,
+      fileRepository: fileRepo,
+      checkpointRepository: checkpointRepo,
+      jobRepository: jobRepo,
+      jobRunner,
+      syncStateRepository: syncStateRepo,
+      fileChangeRepository: fileChangeRepo
+    });
+    jobRunner.start();
+  });
+
+  afterEach(async () => {
+    config.sync.pageSize = originalPageSize;
+    jobRunner.stop();
+    dbManager.close();
+    await emulator.stop();
+    fs.rmSync(mirrorDir, { recursive: true, force: true });
+  });
+
+  it('should list files added mid-listing, and replay them with the next incremental sync', async () => {
+    emulator.faults.add({
+      route: 'files.list',
+      after: 1,
+      times: 1,
+      mutate: { op: 'add', parentId: 'projects', file: { id: 'late', name: 'late.txt', mimeType: 'text/plain', content: 'new' } }
+    });
+
+    const full = await syncEngine.startFullSync();
+    await waitForSync(full.syncId);
+
+    // listed by creation, a new file comes after the pages already read
+    expect(emulator.requestCount('files.list')).toBe(3);
+    expect(fileRepo.count()).toBe(6);
+    expect(fileRepo.findById('late')).not.toBeNull();
+
+    emulator.store.deleteFile('old');
+    emulator.store.updateFile('readme', { name: 'README.md' });
+
+    const incremental = await syncEngine.startIncrementalSync();
+    const result = await waitForJob(incremental.jobId);
+
+    expect(result).toMatchObject({ totalChanges: 3, filesRemoved: 1 });
+    expect(fileRepo.findById('late').path).toBe('/Projects/late.txt');
+    expect(fileRepo.findById('readme').name).toBe('README.md');
+    expect(fileRepo.findById('old').deletedAt).not.toBeNull();
+  });
+
+  it('should not reconcile away a file modified mid-listing', async () => {
+    const first = await syncEngine.startFullSync();
+    await waitForSync(first.syncId);
+
+    // photo is listed last; an edit must not move it to a page already read
+    emulator.faults.add({
+      route: 'files.list',
+      after: 1,
+      times: 1,
+      mutate: { op: 'update', id: 'photo', changes: { content: 'new pixels' } }
+    });
+
+    const full = await syncEngine.startFullSync({ reconcile: true });
+    const result = await waitForSync(full.syncId);
+
+    expect(result.filesRemoved).toBe(0);
+    expect(fileRepo.findById('photo').deletedAt).toBeNull();
+    expect(fileRepo.findById('photo').size).toBe(10);
+  });
+
+  it('should publish file and sync events for incremental changes', async () => {
+    const full = await syncEngine.startFullSync();
+    await waitForSync(full.syncId);
+
+    const eventStream = new EventStream(new EventRepository(dbManager));
+    eventStream.attach({ syncEngine, jobRunner });
+    const events = [];
+    eventStream.subscribe({ types: ['file:*', 'sync:completed'] }, event => events.push(event));
+
+    emulator.store.addFile({ id: 'notes', name: 'notes.txt', mimeType: 'text/plain', content: 'hi' }, 'projects');
+    emulator.store.updateFile('readme', { name: 'README.md' });
+    emulator.store.trashFile('photo');
+    emulator.store.deleteFile('old');
+
+    const incremental = await syncEngine.startIncrementalSync();
+    await waitForJob(incremental.jobId);
+    eventStream.close();
+
+    const byFile = Object.fromEntries(events.filter(e => e.data.fileId).map(e => [e.data.fileId, e]));
+    expect(byFile.notes).toMatchObject({ type: 'file:added', syncId: incremental.syncId, data: { path: '/Projects/notes.txt' } });
+    expect(byFile.readme).toMatchObject({ type: 'file:changed', data: { name: 'README.md' } });
+    expect(byFile.photo).toMatchObject({ type: 'file:removed', data: { reason: 'trashed', name: 'photo.jpg' } });
+    expect(byFile.old).toMatchObject({ type: 'file:removed', data: { reason: 'removed', path: '/Projects/old.txt' } });
+    expect(events[events.length - 1]).toMatchObject({
+      type: 'sync:completed',
+      syncId: incremental.syncId,
+      data: { type: 'incremental', result: { totalChanges: 4 } }
+    });
+  });
+
+  it('should record what each sync changed', async () => {
+    const full = await syncEngine.startFullSync();
+    await waitForSync(full.syncId);
+
+    expect(syncEngine.getChanges(full.syncId).summary).toMatchObject({ added: 5, total: 5 });
+
+    emulator.store.addFile({ id: 'notes', name: 'notes.txt', mimeType: 'text/plain', content: 'hi' }, 'projects');
+    emulator.store.updateFile('readme', { name: 'README.md' });
+    emulator.store.updateFile('photo', { parents: ['projects'] });
+    emulator.store.updateFile('plan', { content: 'the new plan' });
+    emulator.store.deleteFile('old');
+
+    const incremental = await syncEngine.startIncrementalSync();
+    await waitForJob(incremental.jobId);
+
+    const report = syncEngine.getChanges(incremental.syncId, { limit: 100 });
+    expect(report.summary).toEqual({ added: 1, modified: 1, renamed: 1, moved: 1, deleted: 1, total: 5 });
+    const byFile = Object.fromEntries(report.changes.map(c => [c.fileId, c]));
+    expect(byFile.notes).toMatchObject({ changeType: 'added', before: null, after: { path: '/Projects/notes.txt' } });
+    expect(byFile.readme).toMatchObject({ changeType: 'renamed', before: { name: 'README.txt' }, after: { name: 'README.md' } });
+    expect(byFile.readme.fields).toContain('name');
+    expect(byFile.photo).toMatchObject({
+      changeType: 'moved',
+      before: { path: '/photo.jpg' },
+      after: { parentId: 'projects', path: '/Projects/photo.jpg' }
+    });
+    expect(byFile.plan.changeType).toBe('modified');
+    expect(byFile.plan.fields).toEqual(expect.arrayContaining(['md5Checksum', 'size']));
+    expect(byFile.old).toMatchObject({ changeType: 'deleted', before: { name: 'old.txt' }, after: null });
+
+    // nothing changed, nothing recorded
+    const quiet = await syncEngine.startIncrementalSync();
+    await waitForJob(quiet.jobId);
+    expect(syncEngine.getChanges(quiet.syncId).summary.total).toBe(0);
+
+    const app = express();
+    app.use('/sync', createSyncRouter(syncEngine, { isAuthenticated: () => true }));
+    app.use('/files', createFilesRouter(fileRepo, fileChangeRepo));
+
+    const moved = await request(app).get(`/sync/${incremental.syncId}/changes?type=moved,renamed&limit=1`).expect(200);
+    expect(moved.body.changes).toHaveLength(1);
+    const rest = await request(app).get(`/sync/${incremental.syncId}/changes?type=moved,renamed&after=${moved.body.nextAfter}`).expect(200);
+    expect([...moved.body.changes, ...rest.body.changes].map(c => c.fileId).sort()).toEqual(['photo', 'readme']);
+    await request(app).get(`/sync/${incremental.syncId}/changes?type=copied`).expect(400);
+    await request(app).get('/sync/nope/changes').expect(404);
+
+    const history = await request(app).get('/files/photo/history').expect(200);
+    expect(history.body.changes.map(c => c.changeType)).toEqual(['moved', 'added']);
+    expect(history.body.changes.map(c => c.syncId)).toEqual([incremental.syncId, full.syncId]);
+  });
+
+  it('should ride out injected server errors', async () => {
+    emulator.faults.add({ route: 'files.list', status: 503, after: 1, times: 1 });
+
+    const full = await syncEngine.startFullSync();
+    await waitForSync(full.syncId);
+
+    expect(fileRepo.count()).toBe(5);
+    expect(emulator.requestCount('files.list')).toBe(4);
+  });
+
+  it('should mirror contents and verify their checksums', async () => {
+    const full = await syncEngine.startFullSync();
+    await waitForSync(full.syncId);
+
+    const downloaded = new Promise(resolve => {
+      let remaining = 4;
+      jobRunner.on('job:completed', (job) => {
+        if (job.type === JOB_TYPES.DOWNLOAD_FILE && --remaining === 0) resolve();
+      });
+    });
+    expect(syncEngine.enqueueDownloads(10)).toBe(4);
+    await downloaded;
+
+    expect(fs.readFileSync(path.join(mirrorDir, 'default', 'Projects', 'plan.txt'), 'utf8')).toBe('the plan');
+    expect(fileRepo.findById('photo')).toMatchObject({ downloadStatus: 'downloaded', localSize: 6 });
+    expect(emulator.requestCount('files.download')).toBe(4);
+  });
+});
@@ -0,0 +1,121 @@
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const { createTestDb } = require('../helpers/testDb');
+const { EventRepository } = require('../../src/persistence');
+const { EventStream } = require('../../src/events');
+const { createEventsRouter } = require('../../src/routes');
+
+// parses "id/event/data" blocks from an event-stream body
+function parseEvents(text) {
+  return text.split('\n\n')
+    .filter(block => block.includes('data:'))
+    .map(block => {
+      const fields = {};
+      for (const line of block.split('\n')) {
+        const idx = line.indexOf(': ');
+        if (idx > 0) fields[line.slice(0, idx)] = line.slice(idx + 2);
+      }
+      return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+    });
+}
+
+describe('GET /events', () => {
+  let dbManager;
+  let eventStream;
+  let server;
+  let baseUrl;
+
+  // reads the stream until `until` holds for the parsed events, then disconnects
+  const stream = (path, headers, until) => new Promise((resolve, reject) => {
+    const req = http.get(`${baseUrl}${path}`, { headers }, (res) => {
+      let body = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+        const events = parseEvents(body);
+        if (until(events)) {
+          req.destroy();
+          resolve({ res, body, events });
+        }
+      });
+    });
+    req.on('error', reject);
+  });
+
+  beforeEach(async () => {
+    dbManager = await createTestDb();
+    eventStream = new EventStream(new EventRepository(dbManager));
+
+    const app = express();
+    app.use('/events', createEventsRouter(eventStream, { heartbeatMs: 60000 }));
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    eventStream.close();
+    await new Promise(resolve => server.close(resolve));
+    dbManager.close();
+  });
+
+  it('should stream live events as they are published', async () => {
+    const received = stream('/events', {}, events => events.length === 2);
+    // give the handler a moment to subscribe
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    eventStream.publish('sync:started', { syncId: 's1', data: { type: 'full' } });
+    eventStream.publish('sync:paused', { syncId: 's1' });
+
+    const { res, body, events } = await received;
+    expect(res.headers['content-type']).toBe('text/event-stream');
+    expect(body.startsWith('retry: ')).toBe(true);
+    expect(events.map(e => e.event)).toEqual(['sync:started', 'sync:paused']);
+    expect(events[0].data).toMatchObject({ type: 'sync:started', syncId: 's1', data: { type: 'full' } });
+    expect(events[0].id).toBe(String(events[0].data.id));
+  });
+
+  it('should replay missed events after Last-Event-ID', async () => {
+    const first = eventStream.publish('sync:started', { syncId: 's1' });
+    eventStream.publish('job:started', { syncId: 's1', jobId: 'j1' });
+    eventStream.publish('job:completed', { syncId: 's1', jobId: 'j1' });
+
+    const { events } = await stream('/events', { 'Last-Event-ID': String(first.id) }, events => events.length === 2);
+
+    expect(events.map(e => e.event)).toEqual(['job:started', 'job:completed']);
+  });
+
+  it('should filter by sync id and event type', async () => {
+    eventStream.publish('sync:started', { syncId: 's1' });
+    eventStream.publish('job:started', { syncId: 's2' });
+    eventStream.publish('job:failed', { syncId: 's1' });
+    eventStream.publish('sync:progress', { syncId: 's1' });
+
+    const { events } = await stream(
+      '/events?syncId=s1&types=job:*,sync:progress&lastEventId=0',
+      {},
+      events => events.length === 2
+    );
+
+    expect(events.map(e => e.event)).toEqual(['job:failed', 'sync:progress']);
+  });
+
+  it('should tell clients when replay can not reach back far enough', async () => {
+    for (let i = 0; i < 5; i++) {
+      eventStream.publish('reset');
+    }
+    eventStream.eventRepo.prune(2);
+
+    const { events } = await stream('/events', { 'Last-Event-ID': '1' }, events => events.length === 3);
+
+    expect(events[0]).toMatchObject({ event: 'events:truncated', data: { lastEventId: 1 } });
+    expect(events.slice(1).map(e => e.id)).toEqual(['4', '5']);
+  });
+
+  it('should reject invalid filters', async () => {
+    await request(server).get('/events?types=bad%20type').expect(400);
+    await request(server).get('/events?syncId=../x').expect(400);
+    await request(server).get('/events').set('Last-Event-ID', 'abc').expect(400);
+  });
+});
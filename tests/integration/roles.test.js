@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const request = require('supertest');
+const config = require('../../src/config');
+const { closeDatabase } = require('../../src/persistence');
+const { completesSync } = require('../../src/jobs');
+const { DriveEmulator } = require('../../src/emulator');
+const App = require('../../src/app');
+
+// a port nothing listens on right now
+const freePort = () => new Promise((resolve, reject) => {
+  const server = net.createServer();
+  server.on('error', reject);
+  server.listen(0, () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+
+// api and worker processes sharing one database file
+describe('Split roles', () => {
+  const originalDb = { ...config.db };
+  const originalWorkerMetricsPort = config.server.workerMetricsPort;
+  const originalSchedulerEnabled = config.scheduler.enabled;
+  let dir;
+  const apps = [];
+
+  const startApp = async (role) => {
+    const app = new App({ role });
+    apps.push(app);
+    await app.initialize();
+    return app;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roles-'));
+    // split roles refuse sql.js, whatever driver the suite runs on
+    Object.assign(config.db, { path: path.join(dir, 'sync.db'), driver: 'better-sqlite3', backupBeforeMigrate: false });
+    config.scheduler.enabled = false;
+  });
+
+  afterEach(async () => {
+    for (const app of apps.splice(0)) {
+      await app.stop();
+    }
+    // the database is one per process; the next test opens its own file
+    closeDatabase();
+    Object.assign(config.db, originalDb);
+    config.server.workerMetricsPort = originalWorkerMetricsPort;
+    config.scheduler.enabled = originalSchedulerEnabled;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should serve /metrics from a worker on its metrics port', async () => {
+    config.server.workerMetricsPort = await freePort();
+    const worker = await startApp('worker');
+    worker.start();
+    await new Promise(resolve => worker.server.once('listening', resolve));
+
+    const response = await fetch(`http://localhost:${config.server.workerMetricsPort}/metrics`);
+    expect(response.status).toBe(200);
+    expect(await response.text()).toContain('gdrive_sync_jobs');
+
+    // and nothing else
+    const health = await fetch(`http://localhost:${config.server.workerMetricsPort}/health`);
+    expect(health.status).toBe(404);
+  });
+
+  it('should run jobs for an account logged in through the api after the worker started', async () => {
+    const emulator = new DriveEmulator({
+      fixture: { files: [{ id: 'readme', name: 'README.txt', mimeType: 'text/plain', content: 'hello' }] }
+    });
+    await emulator.start();
+    const originalEmulatorUrl = config.google.emulatorUrl;
+    config.google.emulatorUrl = emulator.url;
+    config.server.workerMetricsPort = 0;
+
+    try {
+      const worker = await startApp('worker');
+      worker.start();
+      const api = await startApp('api');
+
+      const login = await request(api.express).get('/auth/login?account=work').expect(302);
+      const authUrl = new URL(login.headers.location);
+      const consent = await request(emulator.app).get(authUrl.pathname + authUrl.search);
+      await request(api.express).get(`/auth/callback${new URL(consent.headers.location).search}`).expect(200);
+
+      const synced = new Promise((resolve, reject) => {
+        worker.jobRunner.on('job:completed', (job, result) => completesSync(job, result) && resolve(result));
+        worker.jobRunner.on('job:retry', (job, err) => reject(err));
+      });
+      await request(api.express).post('/sync/full?account=work').expect(200);
+      await synced;
+
+      expect(worker.fileRepo.findById('readme', 'work')).toMatchObject({ name: 'README.txt' });
+    } finally {
+      config.google.emulatorUrl = originalEmulatorUrl;
+      await emulator.stop();
+    }
+  });
+
+  it('should refuse runner control in the api role', async () => {
+    const api = await startApp('api');
+    api.jobRepo.create('test', {});
+
+    for (const route of ['pause', 'resume']) {
+      await request(api.express).post(`/jobs/runner/${route}`).expect(409);
+    }
+    await request(api.express).post('/jobs/runner/concurrency').send({ concurrency: 5 }).expect(409);
+
+    // the shared queue is still reported on, without the runner that never runs here
+    const stats = await request(api.express).get('/jobs/stats').expect(200);
+    expect(stats.body.pending).toBe(1);
+    expect(stats.body).not.toHaveProperty('running');
+    expect(stats.body).not.toHaveProperty('concurrency');
+  });
+});
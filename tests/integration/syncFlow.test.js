@@ -1,6 +1,17 @@
 const { createTestDb } = require('../helpers/testDb');
-const { FileRepository, JobRepository, CheckpointRepository } = require('../../src/persistence');
-const { JobRunner, JOB_TYPES, createFullSyncHandler } = require('../../src/jobs');
+const {
+  FileRepository,
+  JobRepository,
+  CheckpointRepository,
+  SyncStateRepository,
+  DriveRepository
+} = require('../../src/persistence');
+const {
+  JobRunner,
+  JOB_TYPES,
+  createSyncPageHandler,
+  createIncrementalSyncHandler
+} = require('../../src/jobs');
 const { SyncEngine } = require('../../src/sync');
 
 describe('Sync Flow Integration', () => {
@@ -8,6 +19,7 @@ describe('Sync Flow Integration', () => {
   let fileRepo;
   let jobRepo;
   let checkpointRepo;
+  let syncStateRepo;
   let jobRunner;
   let syncEngine;
   let mockDriveClient;
@@ -18,16 +30,22 @@ describe('Sync Flow Integration', () => {
     fileRepo = new FileRepository(dbManager);
     jobRepo = new JobRepository(dbManager);
     checkpointRepo = new CheckpointRepository(dbManager);
+    syncStateRepo = new SyncStateRepository(dbManager);
 
     mockDriveClient = {
       listFiles: jest.fn(),
+      getChanges: jest.fn(),
       getStartPageToken: jest.fn().mockResolvedValue('initial_token')
     };
 
     jobRunner = new JobRunner(jobRepo);
     jobRunner.registerHandler(
-      JOB_TYPES.FULL_SYNC,
-      createFullSyncHandler(mockDriveClient, fileRepo, checkpointRepo, jobRepo)
+      JOB_TYPES.SYNC_PAGE,
+      createSyncPageHandler(mockDriveClient, fileRepo, checkpointRepo, jobRepo, syncStateRepo)
+    );
+    jobRunner.registerHandler(
+      JOB_TYPES.INCREMENTAL_SYNC,
+      createIncrementalSyncHandler(mockDriveClient, fileRepo, checkpointRepo, syncStateRepo)
     );
 
     syncEngine = new SyncEngine({
@@ -35,7 +53,8 @@ describe('Sync Flow Integration', () => {
       fileRepository: fileRepo,
       checkpointRepository: checkpointRepo,
       jobRepository: jobRepo,
-      jobRunner: jobRunner
+      jobRunner: jobRunner,
+      syncStateRepository: syncStateRepo
     });
   });
 
@@ -143,6 +162,23 @@ describe('Sync Flow Integration', () => {
       const deadJobs = jobRepo.getDeadLetterJobs();
       expect(deadJobs.length).toBeGreaterThan(0);
     });
+
+    it('should fail the sync of a dead-lettered job so the next sync starts afresh', async () => {
+      mockDriveClient.listFiles.mockRejectedValue(new Error('Permanent failure'));
+      jobRunner.on('job:failed', (job, err) => syncEngine.markFailed(job.payload.syncId, err.message));
+
+      const { syncId, jobId } = await syncEngine.startFullSync();
+      dbManager.run('UPDATE jobs SET max_attempts = 1 WHERE id = ?', [jobId]);
+      jobRunner.start();
+      await new Promise(r => setTimeout(r, 300));
+
+      expect(jobRepo.findById(jobId).status).toBe('dead');
+      expect(checkpointRepo.findBySyncId(syncId)).toMatchObject({ status: 'failed', errorMessage: 'Permanent failure' });
+      expect(syncEngine.markFailed(syncId, 'again')).toBe(false);
+
+      const next = await syncEngine.startFullSync();
+      expect(next.syncId).not.toBe(syncId);
+    });
   });
 
   describe('resumable sync', () => {
@@ -169,4 +205,463 @@ describe('Sync Flow Integration', () => {
       expect(checkpoint.filesProcessed).toBe(2);
     });
   });
+
+  describe('pausing', () => {
+    it('should stop a paused sync at the next page and resume it with the queued page job', async () => {
+      let syncId;
+      mockDriveClient.listFiles
+        .mockResolvedValueOnce({ data: { files: [{ id: 'f1', name: 'file1.txt' }], nextPageToken: 'page_2' } })
+        .mockImplementationOnce(async () => {
+          // paused while this page is being fetched
+          syncEngine.pauseSync(syncId);
+          return { data: { files: [{ id: 'f2', name: 'file2.txt' }], nextPageToken: 'page_3' } };
+        })
+        .mockResolvedValueOnce({ data: { files: [{ id: 'f3', name: 'file3.txt' }], nextPageToken: null } });
+
+      const started = await syncEngine.startFullSync();
+      syncId = started.syncId;
+      jobRunner.start();
+      await new Promise(r => setTimeout(r, 300));
+
+      expect(mockDriveClient.listFiles).toHaveBeenCalledTimes(2);
+      expect(mockDriveClient.listFiles.mock.calls[1][0].signal.aborted).toBe(true);
+      // the page being fetched is kept; the one after it waits for the resume
+      const [page3, page2, page1] = jobRepo.findBySyncId(syncId);
+      expect(page1.id).toBe(started.jobId);
+      expect([page1.status, page2.status]).toEqual(['completed', 'completed']);
+      expect(page3).toMatchObject({ status: 'paused', attempts: 0, payload: expect.objectContaining({ page: 3, pageToken: 'page_3' }) });
+      expect(checkpointRepo.findBySyncId(syncId)).toMatchObject({ status: 'paused', pageToken: 'page_3', filesProcessed: 2 });
+      expect(syncStateRepo.get()).toBeNull();
+
+      const resumed = await syncEngine.resumeSync(syncId);
+      expect(resumed.jobId).toBe(page3.id);
+      await new Promise(r => setTimeout(r, 1500));
+
+      expect(mockDriveClient.listFiles).toHaveBeenCalledTimes(3);
+      expect(mockDriveClient.listFiles).toHaveBeenLastCalledWith(expect.objectContaining({ pageToken: 'page_3' }));
+      expect(jobRepo.findById(page3.id).status).toBe('completed');
+      expect(checkpointRepo.findBySyncId(syncId)).toMatchObject({ status: 'completed', filesProcessed: 3 });
+      expect(syncStateRepo.get().changeToken).toBe('initial_token');
+      expect(() => syncEngine.pauseSync(syncId)).toThrow('already completed');
+    });
+
+    it('should not complete a sync paused while its last page was fetched', async () => {
+      let syncId;
+      mockDriveClient.listFiles
+        .mockImplementationOnce(async () => {
+          syncEngine.pauseSync(syncId);
+          return { data: { files: [{ id: 'f1', name: 'file1.txt' }], nextPageToken: null } };
+        })
+        .mockResolvedValueOnce({ data: { files: [{ id: 'f1', name: 'file1.txt' }], nextPageToken: null } });
+
+      const started = await syncEngine.startFullSync();
+      syncId = started.syncId;
+      jobRunner.start();
+      await new Promise(r => setTimeout(r, 300));
+
+      expect(jobRepo.findById(started.jobId).status).toBe('paused');
+      expect(checkpointRepo.findBySyncId(syncId)).toMatchObject({ status: 'paused', filesProcessed: 0 });
+      expect(syncStateRepo.get()).toBeNull();
+
+      await syncEngine.resumeSync(syncId);
+      await new Promise(r => setTimeout(r, 1500));
+
+      expect(checkpointRepo.findBySyncId(syncId)).toMatchObject({ status: 'completed', filesProcessed: 1 });
+      expect(syncStateRepo.get().changeToken).toBe('initial_token');
+    });
+
+    it('should not start a queued job of a paused sync', async () => {
+      const { syncId, jobId } = await syncEngine.startFullSync();
+      syncEngine.pauseSync(syncId);
+
+      jobRunner.start();
+      await new Promise(r => setTimeout(r, 200));
+
+      expect(mockDriveClient.listFiles).not.toHaveBeenCalled();
+      expect(jobRepo.findById(jobId).status).toBe('paused');
+    });
+  });
+
+  describe('cancelling', () => {
+    it('should end a cancelled sync instead of resuming it', async () => {
+      let syncId;
+      let jobId;
+      mockDriveClient.listFiles
+        .mockImplementationOnce(async () => {
+          expect(jobRunner.cancel(jobId)).toBe('cancelling');
+          return { data: { files: [{ id: 'f1', name: 'file1.txt' }], nextPageToken: 'page_2' } };
+        })
+        .mockResolvedValue({ data: { files: [], nextPageToken: null } });
+      jobRunner.on('job:cancelled', (job) => syncEngine.markCancelled(job.payload.syncId));
+      const cancelled = jest.fn();
+      syncEngine.on('sync:cancelled', cancelled);
+
+      ({ syncId, jobId } = await syncEngine.startFullSync());
+      jobRunner.start();
+      await new Promise(r => setTimeout(r, 300));
+
+      expect(jobRepo.findById(jobId).status).toBe('cancelled');
+      expect(checkpointRepo.findBySyncId(syncId)).toMatchObject({ status: 'cancelled', filesProcessed: 1 });
+      // the page it had fetched is kept, no job was queued for the next one
+      expect(fileRepo.count()).toBe(1);
+      expect(jobRepo.findBySyncId(syncId)).toHaveLength(1);
+      expect(cancelled).toHaveBeenCalledWith(expect.objectContaining({ syncId }));
+      await expect(syncEngine.resumeSync(syncId)).rejects.toThrow('was cancelled');
+
+      const next = await syncEngine.startFullSync();
+      expect(next.syncId).not.toBe(syncId);
+    });
+
+    it('should stop an incremental sync cancelled by another process without moving its token', async () => {
+      syncStateRepo.saveChangeToken('token_1');
+      const handler = createIncrementalSyncHandler(mockDriveClient, fileRepo, checkpointRepo, syncStateRepo, { jobRepository: jobRepo });
+      const { syncId, jobId } = await syncEngine.startIncrementalSync();
+      const [job] = jobRepo.claimPending('worker-a', 1);
+      mockDriveClient.getChanges
+        .mockResolvedValueOnce({ data: { changes: [{ fileId: 'f1', file: { id: 'f1', name: 'a.txt' } }], nextPageToken: 'changes_2' } })
+        .mockImplementationOnce(async () => {
+          // what the API process does when the job is cancelled there
+          jobRepo.markStopped(jobId, 'cancelled');
+          syncEngine.markCancelled(syncId);
+          return { data: { changes: [{ fileId: 'f2', file: { id: 'f2', name: 'b.txt' } }], newStartPageToken: 'token_2' } };
+        });
+
+      await expect(handler(job.payload, job)).rejects.toMatchObject({ name: 'JobStoppedError', status: null });
+
+      expect(fileRepo.findById('f1')).not.toBeNull();
+      expect(fileRepo.findById('f2')).toBeNull();
+      expect(checkpointRepo.findBySyncId(syncId).status).toBe('cancelled');
+      expect(syncStateRepo.get().changeToken).toBe('token_1');
+    });
+
+    it('should not start a sync job whose checkpoint was cancelled', async () => {
+      syncStateRepo.saveChangeToken('token_1');
+      const handler = createIncrementalSyncHandler(mockDriveClient, fileRepo, checkpointRepo, syncStateRepo);
+      const { syncId, jobId } = await syncEngine.startIncrementalSync();
+      syncEngine.markCancelled(syncId);
+
+      await expect(handler(jobRepo.findById(jobId).payload)).rejects.toMatchObject({ status: 'cancelled' });
+      expect(mockDriveClient.getChanges).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resuming failed syncs', () => {
+    beforeEach(() => {
+      jobRunner.on('job:failed', (job, err) => syncEngine.markFailed(job.payload.syncId, err.message));
+    });
+
+    it('should resume a dead-lettered incremental sync as an incremental sync', async () => {
+      syncStateRepo.saveChangeToken('token_1');
+      mockDriveClient.getChanges
+        .mockResolvedValueOnce({ data: { changes: [{ fileId: 'f1', file: { id: 'f1', name: 'a.txt' } }], nextPageToken: 'changes_2' } })
+        .mockRejectedValueOnce(new Error('Permanent failure'))
+        .mockResolvedValueOnce({ data: { changes: [{ fileId: 'f2', file: { id: 'f2', name: 'b.txt' } }], newStartPageToken: 'token_2' } });
+
+      const { syncId, jobId } = await syncEngine.startIncrementalSync();
+      dbManager.run('UPDATE jobs SET max_attempts = 1 WHERE id = ?', [jobId]);
+      jobRunner.start();
+      await new Promise(r => setTimeout(r, 300));
+
+      expect(jobRepo.findById(jobId).status).toBe('dead');
+      expect(checkpointRepo.findBySyncId(syncId)).toMatchObject({ status: 'failed', pageToken: 'changes_2' });
+
+      const resumed = await syncEngine.resumeSync(syncId);
+      await new Promise(r => setTimeout(r, 1500));
+
+      const job = jobRepo.findById(resumed.jobId);
+      expect(job).toMatchObject({ type: 'incremental_sync', status: 'completed', priority: 5 });
+      expect(job.payload).toEqual(jobRepo.findById(jobId).payload);
+      expect(mockDriveClient.listFiles).not.toHaveBeenCalled();
+      expect(mockDriveClient.getChanges).toHaveBeenLastCalledWith('changes_2', expect.anything());
+      expect(checkpointRepo.findBySyncId(syncId)).toMatchObject({ status: 'completed', filesProcessed: 2 });
+      expect(syncStateRepo.get().changeToken).toBe('token_2');
+    });
+
+    it('should resume a full sync whose page job dead-lettered at that page', async () => {
+      mockDriveClient.listFiles
+        .mockResolvedValueOnce({ data: { files: [{ id: 'f1', name: 'file1.txt' }], nextPageToken: 'page_2' } })
+        .mockRejectedValueOnce(new Error('Permanent failure'))
+        .mockResolvedValueOnce({ data: { files: [{ id: 'f2', name: 'file2.txt' }], nextPageToken: null } });
+
+      const { syncId } = await syncEngine.startFullSync({ reconcile: true });
+      dbManager.run('UPDATE jobs SET max_attempts = 1');
+      jobRunner.start();
+      await new Promise(r => setTimeout(r, 300));
+
+      expect(checkpointRepo.findBySyncId(syncId)).toMatchObject({ status: 'failed', pageToken: 'page_2' });
+
+      const resumed = await syncEngine.resumeSync(syncId);
+      expect(jobRepo.findById(resumed.jobId)).toMatchObject({
+        type: 'sync_page',
+        payload: expect.objectContaining({ page: 2, pageToken: 'page_2', reconcile: true, startPageToken: 'initial_token' })
+      });
+      await new Promise(r => setTimeout(r, 1500));
+
+      expect(checkpointRepo.findBySyncId(syncId)).toMatchObject({ status: 'completed', filesProcessed: 2 });
+    });
+  });
+
+  describe('page jobs', () => {
+    it('should run each page as its own job, queued by the page before it', async () => {
+      mockDriveClient.listFiles
+        .mockResolvedValueOnce({ data: { files: [{ id: 'f1', name: 'file1.txt' }], nextPageToken: 'page_2' } })
+        .mockResolvedValueOnce({ data: { files: [{ id: 'f2', name: 'file2.txt' }], nextPageToken: 'page_3' } })
+        .mockResolvedValueOnce({ data: { files: [{ id: 'f3', name: 'file3.txt' }], nextPageToken: null } });
+      const completed = [];
+      jobRunner.on('job:completed', (job, result) => completed.push(result));
+
+      const { syncId, jobId } = await syncEngine.startFullSync();
+      jobRunner.start();
+      await new Promise(r => setTimeout(r, 500));
+
+      const jobs = jobRepo.findBySyncId(syncId).reverse();
+      expect(jobs[0].id).toBe(jobId);
+      expect(jobs.map(j => [j.type, j.status, j.payload.page, j.payload.pageToken])).toEqual([
+        ['sync_page', 'completed', 1, null],
+        ['sync_page', 'completed', 2, 'page_2'],
+        ['sync_page', 'completed', 3, 'page_3']
+      ]);
+      expect(jobs.every(j => j.payload.startPageToken === 'initial_token' && j.priority === 10)).toBe(true);
+      expect(completed.map(r => r.hasMore)).toEqual([true, true, false]);
+      expect(completed[2]).toMatchObject({ totalFiles: 3, pages: 3 });
+      expect(checkpointRepo.findBySyncId(syncId)).toMatchObject({ status: 'completed', filesProcessed: 3 });
+    });
+
+    it('should retry only the page that failed', async () => {
+      mockDriveClient.listFiles
+        .mockResolvedValueOnce({ data: { files: [{ id: 'f1', name: 'file1.txt' }], nextPageToken: 'page_2' } })
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockResolvedValueOnce({ data: { files: [{ id: 'f2', name: 'file2.txt' }], nextPageToken: null } });
+
+      const { syncId, jobId } = await syncEngine.startFullSync();
+      jobRunner.start();
+      await new Promise(r => setTimeout(r, 300));
+
+      const [page2] = jobRepo.findBySyncId(syncId);
+      expect(page2).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Network error' });
+      expect(checkpointRepo.findBySyncId(syncId)).toMatchObject({ status: 'in_progress', pageToken: 'page_2', filesProcessed: 1 });
+
+      jobRepo.reschedule(page2.id, 0);
+      await new Promise(r => setTimeout(r, 1500));
+
+      expect(mockDriveClient.listFiles).toHaveBeenCalledTimes(3);
+      expect(mockDriveClient.listFiles).toHaveBeenLastCalledWith(expect.objectContaining({ pageToken: 'page_2' }));
+      expect(jobRepo.findById(jobId)).toMatchObject({ status: 'completed', attempts: 1 });
+      expect(jobRepo.findById(page2.id)).toMatchObject({ status: 'completed', attempts: 2 });
+      expect(checkpointRepo.findBySyncId(syncId)).toMatchObject({ status: 'completed', filesProcessed: 2 });
+    });
+
+    it('should skip a page the checkpoint has already moved past', async () => {
+      const syncId = 'sync_rerun';
+      const checkpointId = checkpointRepo.create(syncId);
+      checkpointRepo.updateProgress(checkpointId, 'page_3', 2);
+
+      const handler = createSyncPageHandler(mockDriveClient, fileRepo, checkpointRepo, jobRepo, syncStateRepo);
+      const result = await handler({ syncId, pageToken: 'page_2', page: 2 });
+
+      expect(result).toEqual({ page: 2, skipped: true });
+      expect(mockDriveClient.listFiles).not.toHaveBeenCalled();
+      expect(jobRepo.findBySyncId(syncId)).toHaveLength(0);
+      expect(checkpointRepo.findBySyncId(syncId)).toMatchObject({ pageToken: 'page_3', filesProcessed: 2 });
+    });
+  });
+
+  describe('atomic pages', () => {
+    it('should not keep a page whose checkpoint update failed', async () => {
+      mockDriveClient.listFiles.mockResolvedValueOnce({
+        data: { files: [{ id: 'f1', name: 'file1.txt' }], nextPageToken: 'page_2' }
+      });
+      const syncId = 'sync_atomic';
+      checkpointRepo.create(syncId);
+      jest.spyOn(checkpointRepo, 'updateProgress').mockImplementationOnce(() => {
+        throw new Error('disk I/O error');
+      });
+
+      const handler = createSyncPageHandler(mockDriveClient, fileRepo, checkpointRepo, jobRepo, syncStateRepo);
+      await expect(handler({ syncId })).rejects.toThrow('disk I/O error');
+
+      expect(fileRepo.count()).toBe(0);
+      expect(checkpointRepo.findBySyncId(syncId).pageToken).toBeNull();
+    });
+  });
+
+  describe('change token persistence', () => {
+    it('should store the start token captured before a full sync', async () => {
+      mockDriveClient.listFiles.mockResolvedValueOnce({
+        data: { files: [{ id: 'f1', name: 'file1.txt' }], nextPageToken: null }
+      });
+
+      const { syncId } = await syncEngine.startFullSync();
+      jobRunner.start();
+      await new Promise(r => setTimeout(r, 500));
+
+      const state = syncStateRepo.get();
+      expect(state.changeToken).toBe('initial_token');
+      expect(state.lastSyncId).toBe(syncId);
+    });
+
+    it('should continue incremental syncs from the persisted token', async () => {
+      syncStateRepo.saveChangeToken('token_1');
+      mockDriveClient.getChanges
+        .mockResolvedValueOnce({
+          data: {
+            changes: [{ fileId: 'f1', file: { id: 'f1', name: 'changed.txt' } }],
+            newStartPageToken: 'token_2'
+          }
+        })
+        .mockResolvedValueOnce({
+          data: { changes: [], newStartPageToken: 'token_3' }
+        });
+
+      // simulates a restart: a fresh engine only knows what is in the database
+      const restarted = new SyncEngine({
+        driveClient: mockDriveClient,
+        fileRepository: fileRepo,
+        checkpointRepository: checkpointRepo,
+        jobRepository: jobRepo,
+        jobRunner,
+        syncStateRepository: syncStateRepo
+      });
+      restarted.loadState();
+
+      await restarted.startIncrementalSync();
+      jobRunner.start();
+      await new Promise(r => setTimeout(r, 500));
+
+      expect(mockDriveClient.getChanges).toHaveBeenLastCalledWith('token_1', { driveId: 'my-drive', signal: expect.any(AbortSignal) });
+      expect(syncStateRepo.get().changeToken).toBe('token_2');
+
+      await restarted.startIncrementalSync();
+      await new Promise(r => setTimeout(r, 1500));
+
+      expect(mockDriveClient.getChanges).toHaveBeenLastCalledWith('token_2', { driveId: 'my-drive', signal: expect.any(AbortSignal) });
+      expect(syncStateRepo.get().changeToken).toBe('token_3');
+      expect(mockDriveClient.getStartPageToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deletions during incremental sync', () => {
+    it('should tombstone removed and trashed files and count them', async () => {
+      fileRepo.upsertBatch([
+        { id: 'f1', name: 'removed.txt' },
+        { id: 'f2', name: 'trashed.txt' },
+        { id: 'f3', name: 'kept.txt' }
+      ]);
+      syncStateRepo.saveChangeToken('token_1');
+      mockDriveClient.getChanges.mockResolvedValueOnce({
+        data: {
+          changes: [
+            { fileId: 'f1', removed: true },
+            { fileId: 'f2', file: { id: 'f2', name: 'trashed.txt', trashed: true } }
+          ],
+          newStartPageToken: 'token_2'
+        }
+      });
+
+      const { syncId } = await syncEngine.startIncrementalSync();
+      jobRunner.start();
+      await new Promise(r => setTimeout(r, 500));
+
+      expect(fileRepo.count()).toBe(1);
+      expect(fileRepo.findById('f1').deletedAt).not.toBeNull();
+      expect(fileRepo.findById('f2').trashed).toBe(true);
+
+      const status = syncEngine.getStatus(syncId);
+      expect(status.filesRemoved).toBe(1);
+      expect(status.filesTrashed).toBe(1);
+    });
+
+    it('should hard delete when configured', async () => {
+      const handler = createIncrementalSyncHandler(mockDriveClient, fileRepo, checkpointRepo, syncStateRepo, {
+        deleteMode: 'hard'
+      });
+      fileRepo.upsertBatch([{ id: 'f1', name: 'a.txt' }, { id: 'f2', name: 'b.txt' }]);
+      mockDriveClient.getChanges.mockResolvedValueOnce({
+        data: {
+          changes: [
+            { fileId: 'f1', removed: true },
+            { fileId: 'f2', file: { id: 'f2', name: 'b.txt', trashed: true } }
+          ],
+          newStartPageToken: 'token_2'
+        }
+      });
+
+      const result = await handler({ syncId: 'sync_hard', startPageToken: 'token_1' });
+
+      expect(result.filesRemoved).toBe(1);
+      expect(result.filesTrashed).toBe(1);
+      expect(fileRepo.count({ includeDeleted: true })).toBe(0);
+    });
+  });
+
+  describe('reconciliation', () => {
+    it('should tombstone files missing from a reconciling full sync', async () => {
+      fileRepo.upsertBatch([{ id: 'f1', name: 'still-there.txt' }, { id: 'f2', name: 'vanished.txt' }]);
+      dbManager.run('UPDATE files SET synced_at = ?', ['2020-01-01T00:00:00.000Z']);
+
+      mockDriveClient.listFiles.mockResolvedValueOnce({
+        data: { files: [{ id: 'f1', name: 'still-there.txt' }], nextPageToken: null }
+      });
+
+      const { syncId } = await syncEngine.startFullSync({ reconcile: true });
+      jobRunner.start();
+      await new Promise(r => setTimeout(r, 500));
+
+      expect(fileRepo.count()).toBe(1);
+      expect(fileRepo.findById('f2').deletedAt).not.toBeNull();
+      expect(syncEngine.getStatus(syncId).filesRemoved).toBe(1);
+    });
+  });
+
+  describe('shared drives', () => {
+    let driveRepo;
+
+    beforeEach(() => {
+      driveRepo = new DriveRepository(dbManager);
+      mockDriveClient.listAllDrives = jest.fn().mockResolvedValue([{ id: 'team1', name: 'Team' }]);
+      syncEngine.driveRepo = driveRepo;
+    });
+
+    it('should tag files with their drive and keep a change token per drive', async () => {
+      mockDriveClient.getStartPageToken.mockImplementation(async (driveId) => `start_${driveId}`);
+      mockDriveClient.listFiles.mockImplementation(async ({ driveId }) => ({
+        data: {
+          files: driveId === 'team1'
+            ? [{ id: 't1', name: 'shared.txt', driveId: 'team1' }]
+            : [{ id: 'm1', name: 'mine.txt' }],
+          nextPageToken: null
+        }
+      }));
+
+      const result = await syncEngine.startFullSync({ driveId: 'all' });
+      jobRunner.start();
+      await new Promise(r => setTimeout(r, 800));
+
+      expect(result.syncs.map(s => s.driveId)).toEqual(['my-drive', 'team1']);
+      expect(driveRepo.findAll('default').map(d => d.name)).toEqual(['Team']);
+      expect(fileRepo.findById('t1').driveId).toBe('team1');
+      expect(fileRepo.findById('m1').driveId).toBe('my-drive');
+      expect(fileRepo.count({ driveId: 'team1' })).toBe(1);
+      expect(syncStateRepo.get('default', 'team1').changeToken).toBe('start_team1');
+      expect(syncStateRepo.get('default', 'my-drive').changeToken).toBe('start_my-drive');
+    });
+
+    it('should only reconcile files of the drive that was listed', async () => {
+      fileRepo.upsertBatch([
+        { id: 'm1', name: 'mine.txt' },
+        { id: 't1', name: 'shared.txt', driveId: 'team1' }
+      ]);
+      dbManager.run('UPDATE files SET synced_at = ?', ['2020-01-01T00:00:00.000Z']);
+
+      mockDriveClient.listFiles.mockResolvedValueOnce({ data: { files: [], nextPageToken: null } });
+
+      await syncEngine.startFullSync({ driveId: 'team1', reconcile: true });
+      jobRunner.start();
+      await new Promise(r => setTimeout(r, 500));
+
+      expect(mockDriveClient.listFiles).toHaveBeenCalledWith(expect.objectContaining({ driveId: 'team1' }));
+      expect(fileRepo.findById('t1').deletedAt).not.toBeNull();
+      expect(fileRepo.findById('m1').deletedAt).toBeNull();
+    });
+  });
 });
@@ -0,0 +1,136 @@
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const { createTestDb } = require('../helpers/testDb');
+const { WebhookRepository, JobRepository, EventRepository } = require('../../src/persistence');
+const { EventStream } = require('../../src/events');
+const { JobRunner, JOB_TYPES } = require('../../src/jobs');
+const { WebhookDispatcher, createWebhookDeliveryHandler } = require('../../src/webhooks');
+const { createWebhooksRouter } = require('../../src/routes');
+
+describe('Webhooks API', () => {
+  let app;
+  let dbManager;
+  let webhookRepo;
+  let jobRunner;
+  let eventStream;
+  let dispatcher;
+  let receiver;
+  let receiverUrl;
+  let received;
+
+  beforeEach(async () => {
+    received = [];
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: JSON.parse(body) });
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+    dbManager = await createTestDb();
+    webhookRepo = new WebhookRepository(dbManager);
+    const jobRepo = new JobRepository(dbManager);
+    jobRunner = new JobRunner(jobRepo);
+    jobRunner.pollInterval = 20;
+    jobRunner.registerHandler(JOB_TYPES.WEBHOOK_DELIVERY, createWebhookDeliveryHandler(webhookRepo));
+
+    eventStream = new EventStream(new EventRepository(dbManager));
+    eventStream.attach({ jobRunner });
+    dispatcher = new WebhookDispatcher({ webhookRepository: webhookRepo, jobRepository: jobRepo, eventStream });
+    dispatcher.start();
+
+    app = express();
+    app.use(express.json());
+    app.use('/webhooks', createWebhooksRouter(dispatcher, webhookRepo));
+  });
+
+  afterEach(async () => {
+    jobRunner.stop();
+    dispatcher.stop();
+    eventStream.close();
+    dbManager.close();
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  const waitForDeliveries = (count) => new Promise(resolve => {
+    jobRunner.on('job:completed', (job) => {
+      if (job.type === JOB_TYPES.WEBHOOK_DELIVERY && --count === 0) resolve();
+    });
+  });
+
+  it('should manage webhooks without exposing their secret after creation', async () => {
+    const created = await request(app)
+      .post('/webhooks')
+      .send({ url: receiverUrl, events: ['sync:completed', 'sync:failed'], accountId: 'work' })
+      .expect(201);
+    expect(created.body.secret).toBeTruthy();
+
+    const list = await request(app).get('/webhooks?account=work').expect(200);
+    expect(list.body).toHaveLength(1);
+    expect(list.body[0].secret).toBeUndefined();
+
+    const updated = await request(app)
+      .patch(`/webhooks/${created.body.id}`)
+      .send({ events: ['*'], enabled: false })
+      .expect(200);
+    expect(updated.body).toMatchObject({ events: ['*'], enabled: false });
+
+    await request(app).patch(`/webhooks/${created.body.id}`).send({ url: 'nope' }).expect(400);
+    await request(app).delete(`/webhooks/${created.body.id}`).expect(200);
+    await request(app).get(`/webhooks/${created.body.id}`).expect(404);
+  });
+
+  it('should reject invalid webhooks', async () => {
+    const response = await request(app)
+      .post('/webhooks')
+      .send({ url: receiverUrl, events: ['everything'] })
+      .expect(400);
+
+    expect(response.body.error).toContain('Unknown events');
+  });
+
+  it('should deliver subscribed events through the job queue', async () => {
+    const { body: webhook } = await request(app)
+      .post('/webhooks')
+      .send({ url: receiverUrl, events: ['sync:completed'] })
+      .expect(201);
+
+    const delivered = waitForDeliveries(1);
+    jobRunner.start();
+    eventStream.publish('sync:started', { syncId: 's1' });
+    eventStream.publish('sync:completed', { syncId: 's1', data: { type: 'incremental', result: { totalChanges: 2 } } });
+    await delivered;
+
+    expect(received).toHaveLength(1);
+    expect(received[0].headers['x-webhook-event']).toBe('sync:completed');
+    expect(received[0].body).toMatchObject({ type: 'sync:completed', syncId: 's1', data: { result: { totalChanges: 2 } } });
+
+    const log = await request(app).get(`/webhooks/${webhook.id}/deliveries`).expect(200);
+    expect(log.body).toHaveLength(1);
+    expect(log.body[0]).toMatchObject({ status: 'delivered', attempts: 1, responseStatus: 200 });
+    await request(app).get(`/webhooks/${webhook.id}/deliveries?status=bogus`).expect(400);
+  });
+
+  it('should send test deliveries and redeliver', async () => {
+    const { body: webhook } = await request(app)
+      .post('/webhooks')
+      .send({ url: receiverUrl, events: ['file:removed'] })
+      .expect(201);
+
+    const delivered = waitForDeliveries(2);
+    jobRunner.start();
+    const test = await request(app).post(`/webhooks/${webhook.id}/test`).expect(202);
+    await request(app).post(`/webhooks/${webhook.id}/deliveries/${test.body.deliveryId}/redeliver`).expect(202);
+    await delivered;
+
+    expect(received.map(r => r.body.type)).toEqual(['webhook:test', 'webhook:test']);
+    expect(new Set(received.map(r => r.headers['x-webhook-delivery'])).size).toBe(2);
+    await request(app).post('/webhooks/wh_missing/test').expect(404);
+    await request(app).post(`/webhooks/${webhook.id}/deliveries/999/redeliver`).expect(404);
+  });
+});
@@ -5,7 +5,7 @@
 
 const { createTestDb } = require('./helpers/testDb');
 const { FileRepository, JobRepository, CheckpointRepository, JOB_STATUS } = require('../src/persistence');
-const { JobRunner, JOB_TYPES, createFullSyncHandler } = require('../src/jobs');
+const { JobRunner, JOB_TYPES, createSyncPageHandler } = require('../src/jobs');
 const { SyncEngine } = require('../src/sync');
 const { DriveClient, RateLimitError } = require('../src/api');
 
@@ -86,8 +86,8 @@ describe('REQUIREMENT 2: Resumable Sync Engine', () => {
 
     jobRunner = new JobRunner(jobRepo);
     jobRunner.registerHandler(
-      JOB_TYPES.FULL_SYNC,
-      createFullSyncHandler(mockDriveClient, fileRepo, checkpointRepo, jobRepo)
+      JOB_TYPES.SYNC_PAGE,
+      createSyncPageHandler(mockDriveClient, fileRepo, checkpointRepo, jobRepo)
     );
 
     syncEngine = new SyncEngine({
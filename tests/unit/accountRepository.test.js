@@ -0,0 +1,66 @@
+const { createTestDb } = require('../helpers/testDb');
+const { AccountRepository, FileRepository, isValidAccountId } = require('../../src/persistence');
+
+describe('AccountRepository', () => {
+  let dbManager;
+  let accountRepo;
+
+  beforeEach(async () => {
+    dbManager = await createTestDb();
+    accountRepo = new AccountRepository(dbManager);
+  });
+
+  afterEach(() => {
+    dbManager.close();
+  });
+
+  it('should register and update an account', () => {
+    accountRepo.register('work', { email: 'me@work.com' });
+    accountRepo.register('work', { email: 'me@work.com', displayName: 'Me' });
+
+    const all = accountRepo.findAll();
+    expect(all.length).toBe(1);
+    expect(all[0].id).toBe('work');
+    expect(all[0].displayName).toBe('Me');
+  });
+
+  it('should delete an account', () => {
+    accountRepo.register('work');
+
+    expect(accountRepo.delete('work')).toBe(true);
+    expect(accountRepo.findById('work')).toBeNull();
+  });
+
+  it('should validate account ids', () => {
+    expect(isValidAccountId('me@example.com')).toBe(true);
+    expect(isValidAccountId('../etc')).toBe(false);
+    expect(isValidAccountId('')).toBe(false);
+  });
+
+  describe('file scoping', () => {
+    let fileRepo;
+
+    beforeEach(() => {
+      fileRepo = new FileRepository(dbManager);
+    });
+
+    it('should keep the same drive file id separate per account', () => {
+      fileRepo.upsert({ id: 'f1', name: 'personal.txt' }, 'personal');
+      fileRepo.upsert({ id: 'f1', name: 'work.txt' }, 'work');
+
+      expect(fileRepo.findById('f1', 'personal').name).toBe('personal.txt');
+      expect(fileRepo.findById('f1', 'work').name).toBe('work.txt');
+      expect(fileRepo.count()).toBe(2);
+      expect(fileRepo.count({ accountId: 'work' })).toBe(1);
+    });
+
+    it('should only clear files for the given account', () => {
+      fileRepo.upsertBatch([{ id: 'a', name: 'a.txt' }, { id: 'b', name: 'b.txt' }], 'personal');
+      fileRepo.upsert({ id: 'c', name: 'c.txt' }, 'work');
+
+      expect(fileRepo.deleteAll('personal')).toBe(2);
+      expect(fileRepo.count()).toBe(1);
+      expect(fileRepo.findById('c', 'work')).not.toBeNull();
+    });
+  });
+});
@@ -49,6 +49,19 @@ describe('CheckpointRepository', () => {
       expect(checkpoint.completedAt).toBeDefined();
     });
 
+    it('should not complete a paused or cancelled checkpoint', () => {
+      const paused = repo.create('sync_paused');
+      const cancelled = repo.create('sync_cancelled');
+      repo.pause(paused);
+      repo.cancel(cancelled);
+
+      expect(repo.markCompleted(paused, 10)).toBe(0);
+      expect(repo.markCompleted(cancelled, 10)).toBe(0);
+      expect(repo.findBySyncId('sync_paused').status).toBe(CHECKPOINT_STATUS.PAUSED);
+      expect(repo.findBySyncId('sync_cancelled').status).toBe(CHECKPOINT_STATUS.CANCELLED);
+      expect(repo.markCompleted(repo.create('sync_123'), 10)).toBe(1);
+    });
+
     it('should mark checkpoint as failed', () => {
       const id = repo.create('sync_123');
 
@@ -0,0 +1,52 @@
+const { parseCron, nextCronRun } = require('../../src/utils/cron');
+
+describe('cron', () => {
+  describe('parseCron', () => {
+    it('should expand steps, ranges and lists', () => {
+      const cron = parseCron('*/15 9-11 1,15 * 1-5');
+
+      expect([...cron.minute]).toEqual([0, 15, 30, 45]);
+      expect([...cron.hour]).toEqual([9, 10, 11]);
+      expect([...cron.dayOfMonth]).toEqual([1, 15]);
+      expect(cron.month.size).toBe(12);
+      expect([...cron.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should reject malformed expressions', () => {
+      expect(() => parseCron('* * *')).toThrow(/5 fields/);
+      expect(() => parseCron('60 * * * *')).toThrow(/minute/);
+      expect(() => parseCron('*/0 * * * *')).toThrow(/step/);
+    });
+  });
+
+  describe('nextCronRun', () => {
+    it('should find the next matching minute', () => {
+      const from = new Date(2024, 0, 15, 10, 7, 30);
+      const next = nextCronRun('*/15 * * * *', from);
+
+      expect(next).toEqual(new Date(2024, 0, 15, 10, 15, 0));
+    });
+
+    it('should roll over to the next day', () => {
+      const from = new Date(2024, 0, 15, 23, 30);
+      const next = nextCronRun('0 2 * * *', from);
+
+      expect(next).toEqual(new Date(2024, 0, 16, 2, 0, 0));
+    });
+
+    it('should honour day of week', () => {
+      // 2024-01-15 is a monday
+      const from = new Date(2024, 0, 15, 12, 0);
+      const next = nextCronRun('0 3 * * 0', from);
+
+      expect(next).toEqual(new Date(2024, 0, 21, 3, 0, 0));
+    });
+
+    it('should be strictly after the start time', () => {
+      const from = new Date(2024, 0, 15, 10, 15, 0);
+      const next = nextCronRun('15 10 * * *', from);
+
+      expect(next).toEqual(new Date(2024, 0, 16, 10, 15, 0));
+    });
+  });
+});
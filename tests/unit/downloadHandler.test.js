@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { createTestDb } = require('../helpers/testDb');
+const FileRepository = require('../../src/persistence/fileRepository');
+const { DOWNLOAD_STATUS } = require('../../src/persistence/fileRepository');
+const { DriveRepository } = require('../../src/persistence');
+const { createDownloadFileHandler } = require('../../src/jobs/handlers');
+
+function md5(content) {
+  return crypto.createHash('md5').update(content).digest('hex');
+}
+
+describe('createDownloadFileHandler', () => {
+  let dbManager;
+  let fileRepo;
+  let mirrorDir;
+  let mockDriveClient;
+  let handler;
+
+  beforeEach(async () => {
+    dbManager = await createTestDb();
+    fileRepo = new FileRepository(dbManager);
+    mirrorDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mirror-'));
+
+    mockDriveClient = {
+      downloadFile: jest.fn().mockImplementation(() =>
+        Promise.resolve({ data: Readable.from([Buffer.from('hello world')]) })
+      )
+    };
+
+    handler = createDownloadFileHandler(mockDriveClient, fileRepo, { mirrorDir });
+
+    fileRepo.upsertBatch([
+      { id: 'root1', name: 'Projects', mimeType: 'application/vnd.google-apps.folder' },
+      { id: 'sub1', name: 'Reports', mimeType: 'application/vnd.google-apps.folder', parents: ['root1'] }
+    ]);
+  });
+
+  afterEach(() => {
+    dbManager.close();
+    fs.rmSync(mirrorDir, { recursive: true, force: true });
+  });
+
+  it('should write the file under its folder path and record it', async () => {
+    fileRepo.upsert({
+      id: 'f1',
+      name: 'q1.txt',
+      mimeType: 'text/plain',
+      parents: ['sub1'],
+      md5Checksum: md5('hello world')
+    });
+
+    const result = await handler({ fileId: 'f1' });
+
+    const expectedPath = path.join(mirrorDir, 'default', 'Projects', 'Reports', 'q1.txt');
+    expect(result.localPath).toBe(expectedPath);
+    expect(fs.readFileSync(expectedPath, 'utf8')).toBe('hello world');
+    expect(fs.existsSync(`${expectedPath}.part`)).toBe(false);
+
+    const file = fileRepo.findById('f1');
+    expect(file.downloadStatus).toBe(DOWNLOAD_STATUS.DOWNLOADED);
+    expect(file.localPath).toBe(expectedPath);
+    expect(file.localSize).toBe(11);
+  });
+
+  it('should fail and clean up on checksum mismatch', async () => {
+    fileRepo.upsert({
+      id: 'f1',
+      name: 'q1.txt',
+      mimeType: 'text/plain',
+      parents: ['sub1'],
+      md5Checksum: md5('something else')
+    });
+
+    await expect(handler({ fileId: 'f1' })).rejects.toThrow(/Checksum mismatch/);
+
+    const file = fileRepo.findById('f1');
+    expect(file.downloadStatus).toBe(DOWNLOAD_STATUS.FAILED);
+    expect(fs.existsSync(path.join(mirrorDir, 'default', 'Projects', 'Reports', 'q1.txt'))).toBe(false);
+    expect(fs.existsSync(path.join(mirrorDir, 'default', 'Projects', 'Reports', 'q1.txt.part'))).toBe(false);
+  });
+
+  it('should skip google docs without calling the api', async () => {
+    fileRepo.upsert({ id: 'doc1', name: 'Notes', mimeType: 'application/vnd.google-apps.document' });
+
+    const result = await handler({ fileId: 'doc1' });
+
+    expect(result.skipped).toBe(true);
+    expect(mockDriveClient.downloadFile).not.toHaveBeenCalled();
+  });
+
+  it('should disambiguate duplicate names in the same folder', async () => {
+    fileRepo.upsertBatch([
+      { id: 'a', name: 'dup.txt', mimeType: 'text/plain', parents: ['root1'] },
+      { id: 'b', name: 'dup.txt', mimeType: 'text/plain', parents: ['root1'] }
+    ]);
+
+    const result = await handler({ fileId: 'b' });
+
+    expect(result.localPath).toBe(path.join(mirrorDir, 'default', 'Projects', 'dup (b).txt'));
+  });
+
+  it('should mirror shared drive files under the drive name', async () => {
+    const driveRepo = new DriveRepository(dbManager);
+    driveRepo.replaceAll([{ id: 'team1', name: 'Team Stuff' }]);
+    handler = createDownloadFileHandler(mockDriveClient, fileRepo, { mirrorDir, driveRepository: driveRepo });
+
+    fileRepo.upsert({ id: 's1', name: 'plan.txt', mimeType: 'text/plain', parents: ['team1'], driveId: 'team1' });
+
+    const result = await handler({ fileId: 's1' });
+
+    expect(result.localPath).toBe(path.join(mirrorDir, 'default', 'Shared drives', 'Team Stuff', 'plan.txt'));
+  });
+});
@@ -47,6 +47,25 @@ describe('DriveClient', () => {
     });
   });
 
+  describe('cancellation', () => {
+    it('should pass the signal on and stop retrying once it is aborted', async () => {
+      const client = new DriveClient(mockAuthClient);
+      const controller = new AbortController();
+      const list = jest.fn().mockImplementation(() => {
+        setTimeout(() => controller.abort(new Error('stop')), 10);
+        return Promise.reject({ code: 500 });
+      });
+      client.drive = { files: { list } };
+
+      await expect(client.listFiles({ signal: controller.signal })).rejects.toThrow('stop');
+
+      expect(list).toHaveBeenCalledTimes(1);
+      expect(list).toHaveBeenCalledWith(expect.any(Object), { signal: controller.signal });
+      await expect(client.listFiles({ signal: controller.signal })).rejects.toThrow('stop');
+      expect(list).toHaveBeenCalledTimes(1);
+    });
+  });
+
   describe('listFiles', () => {
     it('should call drive api with correct parameters', async () => {
       const client = new DriveClient(mockAuthClient);
@@ -85,6 +104,51 @@ describe('DriveClient', () => {
     });
   });
 
+  describe('shared drives', () => {
+    it('should query a single shared drive when given its id', async () => {
+      const client = new DriveClient(mockAuthClient);
+
+      const mockList = jest.fn().mockResolvedValue({ data: { files: [] } });
+      client.drive = { files: { list: mockList } };
+
+      await client.listFiles({ driveId: 'team1' });
+
+      expect(mockList).toHaveBeenCalledWith(expect.objectContaining({
+        corpora: 'drive',
+        driveId: 'team1',
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true
+      }));
+    });
+
+    it('should stay on my drive by default', async () => {
+      const client = new DriveClient(mockAuthClient);
+
+      const mockList = jest.fn().mockResolvedValue({ data: { files: [] } });
+      client.drive = { files: { list: mockList } };
+
+      await client.listFiles({ driveId: 'my-drive' });
+
+      const params = mockList.mock.calls[0][0];
+      expect(params.corpora).toBe('user');
+      expect(params.driveId).toBeUndefined();
+    });
+
+    it('should page through all shared drives', async () => {
+      const client = new DriveClient(mockAuthClient);
+
+      const mockDrivesList = jest.fn()
+        .mockResolvedValueOnce({ data: { drives: [{ id: 'd1' }], nextPageToken: 'next' } })
+        .mockResolvedValueOnce({ data: { drives: [{ id: 'd2' }] } });
+      client.drive = { drives: { list: mockDrivesList } };
+
+      const drives = await client.listAllDrives();
+
+      expect(drives.map(d => d.id)).toEqual(['d1', 'd2']);
+      expect(mockDrivesList).toHaveBeenLastCalledWith(expect.objectContaining({ pageToken: 'next' }));
+    });
+  });
+
   describe('error handling', () => {
     it('should propagate non-retryable errors', async () => {
       const client = new DriveClient(mockAuthClient);
@@ -0,0 +1,356 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { google } = require('googleapis');
+const config = require('../../src/config');
+const { createTestDb } = require('../helpers/testDb');
+const { TokenRepository, AccountRepository } = require('../../src/persistence');
+const { DriveClient } = require('../../src/api/driveClient');
+const GoogleAuthClient = require('../../src/api/googleAuth');
+const { AccountManager } = require('../../src/api');
+const { createAuthRouter } = require('../../src/routes');
+const { DriveEmulator, DriveStore, loadFixture } = require('../../src/emulator');
+const { selectFields } = require('../../src/emulator/fields');
+
+const FOLDER = 'application/vnd.google-apps.folder';
+
+const FIXTURE = {
+  drives: [{ id: 'team1', name: 'Team' }],
+  files: [
+    {
+      id: 'projects',
+      name: 'Projects',
+      mimeType: FOLDER,
+      children: [
+        { id: 'plan', name: 'plan.txt', mimeType: 'text/plain', content: 'the plan' },
+        { id: 'sheet', name: 'Budget', mimeType: 'application/vnd.google-apps.spreadsheet' }
+      ]
+    },
+    { id: 'readme', name: 'README.txt', mimeType: 'text/plain', content: 'hello' },
+    { id: 'team_doc', name: 'guide.txt', mimeType: 'text/plain', driveId: 'team1', content: 'welcome' }
+  ]
+};
+
+const md5 = (content) => crypto.createHash('md5').update(content).digest('hex');
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+describe('Drive emulator', () => {
+  let emulator;
+  let client;
+
+  beforeEach(async () => {
+    emulator = new DriveEmulator({ fixture: FIXTURE });
+    await emulator.start();
+
+    const oauth2Client = new google.auth.OAuth2();
+    oauth2Client.setCredentials({ access_token: 'test-token' });
+    client = new DriveClient({ getClient: () => oauth2Client }, { rootUrl: emulator.url });
+  });
+
+  afterEach(async () => {
+    await emulator.stop();
+  });
+
+  describe('with DriveClient', () => {
+    it('should page through my drive with the requested fields', async () => {
+      const first = await client.listFiles({ pageSize: 2 });
+      const second = await client.listFiles({ pageSize: 2, pageToken: first.data.nextPageToken });
+
+      const files = [...first.data.files, ...second.data.files];
+      expect(files.map(f => f.id).sort()).toEqual(['plan', 'projects', 'readme', 'sheet']);
+      expect(second.data.nextPageToken).toBeUndefined();
+      expect(files.find(f => f.id === 'plan')).toMatchObject({
+        parents: ['projects'],
+        size: '8',
+        md5Checksum: md5('the plan'),
+        owners: [{ emailAddress: 'user@emulator.local' }]
+      });
+    });
+
+    it('should keep shared drive content to its own corpus', async () => {
+      const team = await client.listFiles({ driveId: 'team1' });
+      const drives = await client.listAllDrives();
+
+      expect(team.data.files.map(f => [f.id, f.driveId])).toEqual([['team_doc', 'team1']]);
+      expect(drives).toEqual([expect.objectContaining({ id: 'team1', name: 'Team' })]);
+    });
+
+    it('should report edits, trashing and deletions as changes', async () => {
+      const startToken = await client.getStartPageToken();
+
+      emulator.store.updateFile('readme', { name: 'README.md' });
+      emulator.store.trashFile('projects');
+      emulator.store.deleteFile('plan');
+
+      const res = await client.getChanges(startToken);
+      const byId = Object.fromEntries(res.data.changes.map(c => [c.fileId, c]));
+
+      expect(byId.readme.file.name).toBe('README.md');
+      expect(byId.projects.file.trashed).toBe(true);
+      expect(byId.sheet.file.trashed).toBe(true);
+      expect(byId.plan).toMatchObject({ removed: true });
+      expect(byId.plan.file).toBeUndefined();
+      expect(res.data.newStartPageToken).toBe(await client.getStartPageToken());
+    });
+
+    it('should download file contents', async () => {
+      const res = await client.downloadFile('plan');
+
+      expect(await readAll(res.data)).toBe('the plan');
+    });
+
+    it('should answer unknown files with 404', async () => {
+      await expect(client.getFile('missing')).rejects.toMatchObject({ code: 404 });
+    });
+
+    it('should retry past injected rate limiting', async () => {
+      emulator.faults.add({ route: 'files.list', status: 403, times: 2, retryAfter: 0 });
+
+      const res = await client.listFiles();
+
+      expect(res.data.files.length).toBeGreaterThan(0);
+      expect(emulator.requestCount('files.list')).toBe(3);
+    });
+  });
+
+  describe('over http', () => {
+    const get = (url) => request(emulator.app).get(url).set('Authorization', 'Bearer test');
+
+    it('should require a bearer token', async () => {
+      const res = await request(emulator.app).get('/drive/v3/files');
+
+      expect(res.status).toBe(401);
+      expect(res.body.error.errors[0].reason).toBe('authError');
+    });
+
+    it('should return only the default fields unless asked', async () => {
+      const res = await get('/drive/v3/files/readme');
+
+      expect(res.body).toEqual({ kind: 'drive#file', id: 'readme', name: 'README.txt', mimeType: 'text/plain' });
+    });
+
+    it('should inject errors with a retry-after header', async () => {
+      emulator.faults.add({ route: 'changes.list', status: 429, times: 1, retryAfter: 7 });
+
+      const failed = await get('/drive/v3/changes?pageToken=1');
+      const next = await get('/drive/v3/changes?pageToken=1');
+
+      expect(failed.status).toBe(429);
+      expect(failed.headers['retry-after']).toBe('7');
+      expect(failed.body.error).toMatchObject({ code: 429, errors: [{ reason: 'rateLimitExceeded' }] });
+      expect(next.status).toBe(200);
+    });
+
+    it('should fail after the first requests and with a given probability', async () => {
+      emulator.faults.add({ route: 'files.get', status: 503, after: 1 });
+      const random = jest.spyOn(emulator.faults, 'random');
+
+      expect((await get('/drive/v3/files/readme')).status).toBe(200);
+      expect((await get('/drive/v3/files/readme')).status).toBe(503);
+
+      emulator.faults.clear();
+      emulator.faults.add({ route: '*', status: 500, probability: 0.5 });
+      random.mockReturnValueOnce(0.9).mockReturnValueOnce(0.1);
+      expect((await get('/drive/v3/about')).status).toBe(200);
+      expect((await get('/drive/v3/about')).status).toBe(500);
+    });
+
+    it('should add latency', async () => {
+      emulator.faults.add({ route: 'files.get', delayMs: 150 });
+
+      const started = Date.now();
+      await get('/drive/v3/files/readme');
+
+      expect(Date.now() - started).toBeGreaterThanOrEqual(140);
+    });
+
+    it('should mutate the drive between pages', async () => {
+      emulator.faults.add({
+        route: 'files.list',
+        after: 1,
+        times: 1,
+        mutate: { op: 'add', file: { id: 'late', name: 'late.txt', mimeType: 'text/plain' } }
+      });
+      const list = '/drive/v3/files?pageSize=2&orderBy=modifiedTime desc&fields=nextPageToken,files(id)';
+
+      const first = await get(list);
+      const second = await get(`${list}&pageToken=${first.body.nextPageToken}`);
+
+      // the new file lands on the first page, pushing an already listed one onto the second
+      const firstIds = first.body.files.map(f => f.id);
+      expect(second.body.files.map(f => f.id)).toContain(firstIds[1]);
+      expect([...firstIds, ...second.body.files.map(f => f.id)]).not.toContain('late');
+    });
+
+    it('should refuse to download google docs and folders', async () => {
+      const res = await get('/drive/v3/files/sheet?alt=media');
+
+      expect(res.status).toBe(403);
+      expect(res.body.error.errors[0].reason).toBe('fileNotDownloadable');
+    });
+
+    it('should accept files and faults through the control api', async () => {
+      await request(emulator.app)
+        .post('/emulator/files')
+        .send({ id: 'added', name: 'added.txt', parentId: 'projects', content: 'new' })
+        .expect(201);
+      await request(emulator.app)
+        .post('/emulator/faults')
+        .send({ route: 'files.get', status: 500, times: 1 })
+        .expect(201);
+
+      expect((await get('/drive/v3/files/added')).status).toBe(500);
+      expect((await get('/drive/v3/files/added?fields=parents,size')).body).toEqual({ parents: ['projects'], size: '3' });
+
+      const state = await request(emulator.app).get('/emulator/state');
+      expect(state.body).toMatchObject({ files: 6, requests: { 'files.get': 2 } });
+    });
+
+    it('should reject unknown fault routes', async () => {
+      const res = await request(emulator.app).post('/emulator/faults').send({ route: 'files.delete', status: 500 });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('oauth', () => {
+    const originalUrl = config.google.emulatorUrl;
+
+    afterEach(() => {
+      config.google.emulatorUrl = originalUrl;
+    });
+
+    it('should complete the login flow against the emulator', async () => {
+      config.google.emulatorUrl = emulator.url;
+      const tokenRepo = { save: jest.fn(), findByUserId: jest.fn() };
+      const authClient = new GoogleAuthClient(tokenRepo, 'dev');
+
+      const authUrl = new URL(authClient.getAuthUrl('dev'));
+      const consent = await request(emulator.app).get(authUrl.pathname + authUrl.search);
+      const callback = new URL(consent.headers.location);
+      const tokens = await authClient.handleCallback(callback.searchParams.get('code'));
+
+      expect(authUrl.origin).toBe(emulator.url);
+      expect(callback.searchParams.get('state')).toBe('dev');
+      expect(tokens.refresh_token).toMatch(/^emulator-refresh-/);
+      expect(tokenRepo.save).toHaveBeenCalledWith('dev', tokens);
+
+      const user = await new DriveClient(authClient).getAbout();
+      expect(user.emailAddress).toBe('user@emulator.local');
+    });
+
+    it('should only accept callbacks for logins it started', async () => {
+      config.google.emulatorUrl = emulator.url;
+      const dbManager = await createTestDb();
+      const accountManager = new AccountManager(new TokenRepository(dbManager), new AccountRepository(dbManager));
+      const app = express();
+      app.use('/auth', createAuthRouter(accountManager));
+
+      const login = await request(app).get('/auth/login?account=work').expect(302);
+      const authUrl = new URL(login.headers.location);
+      const state = authUrl.searchParams.get('state');
+      expect(state).not.toBe('work');
+
+      const consent = await request(emulator.app).get(authUrl.pathname + authUrl.search);
+      const callback = new URL(consent.headers.location);
+      expect(callback.searchParams.get('state')).toBe(state);
+
+      // a forged state, or a bare account id, completes nothing
+      await request(app).get(`/auth/callback?code=${callback.searchParams.get('code')}&state=work`).expect(400);
+
+      const done = await request(app).get(`/auth/callback${callback.search}`).expect(200);
+      expect(done.body.account).toBe('work');
+      expect(accountManager.isAuthenticated('work')).toBe(true);
+
+      // and each state is good for one callback
+      await request(app).get(`/auth/callback${callback.search}`).expect(400);
+      dbManager.close();
+    });
+  });
+});
+
+describe('DriveStore', () => {
+  it('should hand out ever later modified times', () => {
+    const store = new DriveStore();
+
+    const a = store.addFile({ name: 'a.txt' });
+    const b = store.addFile({ name: 'b.txt' });
+
+    expect(b.modifiedTime > a.modifiedTime).toBe(true);
+    expect(store.listFiles({ orderBy: 'modifiedTime desc' }).files.map(f => f.name)).toEqual(['b.txt', 'a.txt']);
+  });
+
+  it('should understand the query terms we use', () => {
+    const store = new DriveStore(FIXTURE);
+    const ids = (q) => store.listFiles({ q }).files.map(f => f.id).sort();
+
+    store.trashFile('readme');
+
+    expect(ids('trashed = false')).toEqual(['plan', 'projects', 'sheet']);
+    expect(ids("'projects' in parents and mimeType != 'text/plain'")).toEqual(['sheet']);
+    expect(ids("name contains 'read' and trashed = true")).toEqual(['readme']);
+    expect(() => ids('starred = true')).toThrow('Invalid query');
+  });
+
+  it('should page changes and hand back the next start token', () => {
+    const store = new DriveStore(FIXTURE);
+    for (const name of ['a', 'b', 'c']) {
+      store.addFile({ name });
+    }
+
+    const first = store.listChanges({ pageToken: '1', pageSize: 2 });
+    const second = store.listChanges({ pageToken: first.nextPageToken, pageSize: 2 });
+
+    expect(first.changes.map(c => c.file.name)).toEqual(['a', 'b']);
+    expect(second.changes.map(c => c.file.name)).toEqual(['c']);
+    expect(second.newStartPageToken).toBe(store.getStartPageToken());
+    expect(() => store.listChanges({ pageToken: '99' })).toThrow('Invalid page token');
+  });
+
+  describe('directory fixtures', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emulator-'));
+      fs.mkdirSync(path.join(dir, 'Reports'));
+      fs.writeFileSync(path.join(dir, 'Reports', 'q1.csv'), 'a,b\n1,2\n');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should serve folders and files from disk with stable ids', async () => {
+      const store = new DriveStore(loadFixture(dir));
+      const [folder] = store.listFiles({ q: `mimeType = '${FOLDER}'` }).files;
+      const [report] = store.listFiles({ q: `'${folder.id}' in parents` }).files;
+
+      expect(report).toMatchObject({ name: 'q1.csv', mimeType: 'text/csv', md5Checksum: md5('a,b\n1,2\n') });
+      expect(new DriveStore(loadFixture(dir)).getFile(report.id).name).toBe('q1.csv');
+      expect(await readAll(store.openContent(report.id).stream)).toBe('a,b\n1,2\n');
+    });
+  });
+
+  describe('selectFields', () => {
+    it('should keep nested selections', () => {
+      const value = { a: 1, b: 2, items: [{ id: 'x', owners: [{ name: 'n', email: 'e' }], extra: true }] };
+
+      expect(selectFields(value, 'a, items(id, owners(email))')).toEqual({
+        a: 1,
+        items: [{ id: 'x', owners: [{ email: 'e' }] }]
+      });
+      expect(selectFields(value, '*')).toBe(value);
+      expect(() => selectFields(value, 'items(id')).toThrow('Invalid field selection');
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const EventEmitter = require('events');
+const { createTestDb } = require('../helpers/testDb');
+const { EventRepository, JobRepository } = require('../../src/persistence');
+const { EventStream, matchesFilter } = require('../../src/events');
+const { JobRunner } = require('../../src/jobs');
+
+describe('EventRepository', () => {
+  let dbManager;
+  let eventRepo;
+
+  beforeEach(async () => {
+    dbManager = await createTestDb();
+    eventRepo = new EventRepository(dbManager);
+  });
+
+  afterEach(() => {
+    dbManager.close();
+  });
+
+  it('should append events with increasing ids', () => {
+    const first = eventRepo.append({ type: 'sync:started', syncId: 's1', data: { type: 'full' } });
+    const second = eventRepo.append({ type: 'job:started', jobId: 'j1' });
+
+    expect(second.id).toBeGreaterThan(first.id);
+    expect(eventRepo.findAfter(0)).toEqual([first, second]);
+    expect(eventRepo.findAfter(first.id)).toEqual([second]);
+  });
+
+  it('should filter by sync id, account and type', () => {
+    eventRepo.append({ type: 'sync:started', syncId: 's1', accountId: 'work' });
+    eventRepo.append({ type: 'sync:progress', syncId: 's1', accountId: 'work' });
+    eventRepo.append({ type: 'job:completed', syncId: 's2', accountId: 'home' });
+    eventRepo.append({ type: 'job_x', syncId: 's2', accountId: 'home' });
+
+    expect(eventRepo.findAfter(0, { syncId: 's1' }).map(e => e.type)).toEqual(['sync:started', 'sync:progress']);
+    expect(eventRepo.findAfter(0, { accountId: 'home' })).toHaveLength(2);
+    expect(eventRepo.findAfter(0, { types: ['job:*'] }).map(e => e.type)).toEqual(['job:completed']);
+    expect(eventRepo.findAfter(0, { types: ['sync:started', 'job:completed'] })).toHaveLength(2);
+  });
+
+  it('should keep only the newest events when pruning', () => {
+    for (let i = 0; i < 5; i++) {
+      eventRepo.append({ type: 'reset' });
+    }
+
+    expect(eventRepo.prune(2)).toBe(3);
+    expect(eventRepo.findAfter(0)).toHaveLength(2);
+    expect(eventRepo.oldestId()).toBe(4);
+  });
+});
+
+describe('EventStream', () => {
+  let dbManager;
+  let eventRepo;
+  let stream;
+  let syncEngine;
+
+  beforeEach(async () => {
+    dbManager = await createTestDb();
+    eventRepo = new EventRepository(dbManager);
+    stream = new EventStream(eventRepo, { progressIntervalMs: 60000 });
+    syncEngine = new EventEmitter();
+  });
+
+  afterEach(() => {
+    stream.close();
+    dbManager.close();
+  });
+
+  it('should record and forward sync engine events', () => {
+    const received = [];
+    stream.subscribe({}, event => received.push(event));
+    stream.attach({ syncEngine });
+
+    syncEngine.emit('sync:started', { syncId: 's1', accountId: 'work', driveId: 'my-drive', type: 'full' });
+
+    expect(received).toHaveLength(1);
+    expect(received[0]).toMatchObject({ type: 'sync:started', syncId: 's1', accountId: 'work' });
+    expect(eventRepo.findAfter(0)).toEqual(received);
+  });
+
+  it('should only deliver events matching the subscription filter', () => {
+    const received = [];
+    stream.subscribe({ syncId: 's2', types: ['sync:*'] }, event => received.push(event));
+
+    stream.publish('sync:started', { syncId: 's1' });
+    stream.publish('job:started', { syncId: 's2' });
+    stream.publish('sync:paused', { syncId: 's2' });
+
+    expect(received.map(e => e.type)).toEqual(['sync:paused']);
+  });
+
+  it('should replay logged events after an id', () => {
+    const first = stream.publish('sync:started', { syncId: 's1' });
+    stream.publish('sync:started', { syncId: 's2' });
+    const third = stream.publish('sync:paused', { syncId: 's1' });
+
+    const replayed = [];
+    const lastId = stream.replay(first.id, { syncId: 's1' }, event => replayed.push(event));
+
+    expect(replayed.map(e => e.id)).toEqual([third.id]);
+    expect(lastId).toBe(third.id);
+  });
+
+  it('should report when the log no longer reaches back to an id', () => {
+    for (let i = 0; i < 5; i++) {
+      stream.publish('reset');
+    }
+    eventRepo.prune(2);
+
+    expect(stream.isTruncated(1)).toBe(true);
+    expect(stream.isTruncated(3)).toBe(false);
+  });
+
+  it('should follow events other processes record in the log', async () => {
+    const other = new EventStream(eventRepo);
+    const received = [];
+    const local = [];
+    stream.subscribe({}, event => received.push(event.type));
+    stream.subscribe({}, event => local.push(event.type), { localOnly: true });
+    other.publish('sync:started', { syncId: 'before' });
+
+    stream.follow(10);
+    other.publish('job:completed', { syncId: 's1' });
+    stream.publish('sync:started', { syncId: 's2' });
+    other.publish('sync:completed', { syncId: 's1' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    other.close();
+
+    expect(received).toEqual(['sync:started', 'job:completed', 'sync:completed']);
+    expect(local).toEqual(['sync:started']);
+  });
+
+  it('should throttle progress events per job', () => {
+    const jobRunner = new EventEmitter();
+    stream.attach({ jobRunner });
+    const job = { id: 'j1', type: 'full_sync', accountId: 'default', attempts: 0, payload: { syncId: 's1' } };
+
+    jobRunner.emit('job:progress', job, { pages: 1, filesProcessed: 100 });
+    jobRunner.emit('job:progress', job, { pages: 2, filesProcessed: 200 });
+    jobRunner.emit('job:completed', job, { totalFiles: 200, hasMore: false });
+    jobRunner.emit('job:progress', job, { pages: 1, filesProcessed: 50 });
+
+    const events = eventRepo.findAfter(0);
+    expect(events.map(e => e.type)).toEqual(['sync:progress', 'job:completed', 'sync:completed', 'sync:progress']);
+    expect(events[0]).toMatchObject({ syncId: 's1', jobId: 'j1', data: { pages: 1, filesProcessed: 100 } });
+  });
+
+  it('should not fail jobs when the event log is unavailable', async () => {
+    const jobRepo = new JobRepository(dbManager);
+    const jobRunner = new JobRunner(jobRepo);
+    jobRunner.pollInterval = 10;
+    stream.attach({ jobRunner });
+    jest.spyOn(eventRepo, 'append').mockImplementation(() => {
+      throw new Error('disk full');
+    });
+
+    jobRunner.registerHandler('progress_test', async (payload, job, context) => {
+      context.progress({ pages: 1 });
+      return { ok: true };
+    });
+    const completed = new Promise(resolve => jobRunner.on('job:completed', (job, result) => resolve(result)));
+    jobRepo.create('progress_test', {});
+    jobRunner.start();
+
+    await expect(completed).resolves.toEqual({ ok: true });
+    jobRunner.stop();
+  });
+
+  it('should stop recording and detach on close', () => {
+    const onClose = jest.fn();
+    stream.on('close', onClose);
+    stream.attach({ syncEngine });
+
+    stream.close();
+    syncEngine.emit('sync:started', { syncId: 's1' });
+
+    expect(onClose).toHaveBeenCalled();
+    expect(syncEngine.listenerCount('sync:started')).toBe(0);
+    expect(eventRepo.findAfter(0)).toHaveLength(0);
+  });
+
+  it('should match filters by type prefix', () => {
+    const event = { type: 'job:failed', syncId: 's1', accountId: 'work' };
+
+    expect(matchesFilter(event, {})).toBe(true);
+    expect(matchesFilter(event, { types: ['job:*'] })).toBe(true);
+    expect(matchesFilter(event, { types: ['sync:*'] })).toBe(false);
+    expect(matchesFilter(event, { accountId: 'home' })).toBe(false);
+  });
+});
@@ -0,0 +1,200 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createTestDb } = require('../helpers/testDb');
+const { FileRepository, JobRepository, ExportRepository, FileChangeRepository } = require('../../src/persistence');
+const { JOB_TYPES } = require('../../src/jobs');
+const {
+  parseColumns,
+  parseExportQuery,
+  createExportStream,
+  ExportManager,
+  createExportFilesHandler
+} = require('../../src/export');
+const { createFilesRouter, createExportsRouter } = require('../../src/routes');
+
+async function readAll(stream) {
+  let text = '';
+  for await (const chunk of stream) text += chunk;
+  return text;
+}
+
+describe('Catalog export', () => {
+  let dbManager;
+  let fileRepo;
+
+  beforeEach(async () => {
+    dbManager = await createTestDb();
+    fileRepo = new FileRepository(dbManager);
+
+    fileRepo.upsertBatch([
+      { id: 'a', name: 'a, "quoted".txt', size: '10', owners: [{ emailAddress: 'ann@example.com' }] },
+      { id: 'b', name: 'b.pdf', mimeType: 'application/pdf', size: '20', capabilities: { canEdit: true } },
+      { id: 'c', name: 'c.txt', size: '30' },
+      { id: 'gone', name: 'gone.txt' }
+    ]);
+    fileRepo.markDeleted('gone');
+  });
+
+  afterEach(() => {
+    dbManager.close();
+  });
+
+  it('should parse columns and reject unknown ones', () => {
+    expect(parseColumns('id, name,raw.owners.0.emailAddress,id')).toEqual(['id', 'name', 'raw.owners.0.emailAddress']);
+    expect(parseColumns(undefined)).toContain('path');
+    expect(() => parseColumns('id,secret')).toThrow('Unknown columns: secret');
+    expect(() => parseColumns('raw..x')).toThrow('Unknown columns');
+    expect(() => parseExportQuery({ format: 'xml' })).toThrow('format must be one of');
+    expect(() => parseExportQuery({ sort: 'owner' })).toThrow('Cannot sort by owner');
+  });
+
+  it('should write csv across pages with raw metadata fields', async () => {
+    const text = await readAll(createExportStream(fileRepo, {
+      format: 'csv',
+      columns: ['id', 'name', 'raw.owners.0.emailAddress', 'raw.capabilities', 'raw.constructor'],
+      batchSize: 2
+    }));
+
+    expect(text.split('\r\n')).toEqual([
+      'id,name,raw.owners.0.emailAddress,raw.capabilities,raw.constructor',
+      'a,"a, ""quoted"".txt",ann@example.com,,',
+      'b,b.pdf,,"{""canEdit"":true}",',
+      'c,c.txt,,,',
+      ''
+    ]);
+  });
+
+  it('should write ndjson and json with the /files filters', async () => {
+    const filters = { maxSize: 20 };
+    const ndjson = await readAll(createExportStream(fileRepo, { format: 'ndjson', columns: ['id', 'size'], filters }));
+    expect(ndjson).toBe('{"id":"a","size":10}\n{"id":"b","size":20}\n');
+
+    const json = await readAll(createExportStream(fileRepo, { format: 'json', columns: ['id'], batchSize: 1 }));
+    expect(JSON.parse(json)).toEqual([{ id: 'a' }, { id: 'b' }, { id: 'c' }]);
+
+    const empty = await readAll(createExportStream(fileRepo, { format: 'json', filters: { name: 'nothing' } }));
+    expect(JSON.parse(empty)).toEqual([]);
+  });
+
+  describe('export jobs', () => {
+    let exportDir;
+    let exportRepo;
+    let jobRepo;
+    let manager;
+    let handler;
+
+    beforeEach(() => {
+      exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+      exportRepo = new ExportRepository(dbManager);
+      jobRepo = new JobRepository(dbManager);
+      manager = new ExportManager({ exportRepository: exportRepo, jobRepository: jobRepo });
+      handler = createExportFilesHandler(exportRepo, fileRepo, { exportDir });
+    });
+
+    afterEach(() => {
+      fs.rmSync(exportDir, { recursive: true, force: true });
+    });
+
+    it('should queue an export and write it to disk', async () => {
+      const exp = manager.createExport({ accountId: 'default', query: { format: 'ndjson', columns: 'id', mimeType: 'application/pdf' } });
+      expect(exp).toMatchObject({ status: 'pending', format: 'ndjson', columns: ['id'], sort: 'id', order: 'asc' });
+
+      const job = jobRepo.findById(exp.jobId);
+      expect(job).toMatchObject({ type: JOB_TYPES.EXPORT_FILES, payload: { exportId: exp.id } });
+
+      const result = await handler(job.payload, job);
+      expect(result).toMatchObject({ exportId: exp.id, rows: 1 });
+
+      const done = exportRepo.findById(exp.id);
+      expect(done).toMatchObject({ status: 'completed', rowCount: 1, bytes: 11 });
+      expect(fs.readFileSync(done.filePath, 'utf8')).toBe('{"id":"b"}\n');
+      expect(fs.readdirSync(exportDir)).toEqual([`${exp.id}.ndjson`]);
+
+      expect(manager.deleteExport(exp.id)).toBe(true);
+      expect(fs.existsSync(done.filePath)).toBe(false);
+      expect(manager.deleteExport(exp.id)).toBe(false);
+    });
+
+    it('should reject bad exports and record failed runs', async () => {
+      expect(() => manager.createExport({ query: { columns: 'nope' } })).toThrow('Unknown columns');
+      expect(() => manager.createExport({ accountId: 'bad id!' })).toThrow('Invalid account id');
+      expect(exportRepo.findAll()).toHaveLength(0);
+
+      const exp = manager.createExport({ query: {} });
+      const job = jobRepo.findById(exp.jobId);
+      fs.writeFileSync(path.join(exportDir, 'blocked'), '');
+      const blocked = createExportFilesHandler(exportRepo, fileRepo, { exportDir: path.join(exportDir, 'blocked') });
+
+      await expect(blocked(job.payload, { ...job, attempts: 0 })).rejects.toThrow(`Export ${exp.id} failed`);
+      expect(exportRepo.findById(exp.id)).toMatchObject({ status: 'pending' });
+      await expect(blocked(job.payload, { ...job, attempts: job.maxAttempts - 1 })).rejects.toThrow();
+      expect(exportRepo.findById(exp.id).status).toBe('failed');
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+    let exportDir;
+    let exportRepo;
+    let jobRepo;
+
+    beforeEach(() => {
+      exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+      exportRepo = new ExportRepository(dbManager);
+      jobRepo = new JobRepository(dbManager);
+      const manager = new ExportManager({ exportRepository: exportRepo, jobRepository: jobRepo });
+
+      app = express();
+      app.use(express.json());
+      app.use('/files', createFilesRouter(fileRepo, new FileChangeRepository(dbManager)));
+      app.use('/exports', createExportsRouter(manager, exportRepo));
+    });
+
+    afterEach(() => {
+      fs.rmSync(exportDir, { recursive: true, force: true });
+    });
+
+    it('should stream the catalog as a download', async () => {
+      const csv = await request(app).get('/files/export?columns=id,size&sort=size&order=desc').expect(200);
+      expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+      expect(csv.headers['content-disposition']).toContain('files.csv');
+      expect(csv.text).toBe('id,size\r\nc,30\r\nb,20\r\na,10\r\n');
+
+      const ndjson = await request(app).get('/files/export?format=ndjson&columns=id&includeDeleted=true&account=default').expect(200);
+      expect(ndjson.headers['content-type']).toMatch(/^application\/x-ndjson/);
+      expect(ndjson.text.trim().split('\n')).toHaveLength(4);
+
+      await request(app).get('/files/export?format=xml').expect(400);
+      await request(app).get('/files/export?columns=password').expect(400);
+      await request(app).get('/files/export?modifiedAfter=yesterday').expect(400);
+      await request(app).get('/files/export?type=pdf').expect(400);
+    });
+
+    it('should queue, report and download export jobs', async () => {
+      const created = await request(app).post('/exports')
+        .send({ format: 'csv', columns: ['id', 'name'], mimeType: ['application/pdf'] })
+        .expect(202);
+      expect(created.body).toMatchObject({ status: 'pending', accountId: null });
+
+      await request(app).get(`/exports/${created.body.id}/download`).expect(409);
+
+      const job = jobRepo.findById(created.body.jobId);
+      await createExportFilesHandler(exportRepo, fileRepo, { exportDir })(job.payload, job);
+
+      const list = await request(app).get('/exports?status=completed').expect(200);
+      expect(list.body.map(e => e.id)).toEqual([created.body.id]);
+
+      const download = await request(app).get(`/exports/${created.body.id}/download`).expect(200);
+      expect(download.headers['content-disposition']).toContain(`files-${created.body.id}.csv`);
+      expect(download.text).toBe('id,name\r\nb,b.pdf\r\n');
+
+      await request(app).post('/exports').send({ format: 'xml' }).expect(400);
+      await request(app).get('/exports?status=lost').expect(400);
+      await request(app).delete(`/exports/${created.body.id}`).expect(200);
+      await request(app).get(`/exports/${created.body.id}`).expect(404);
+    });
+  });
+});
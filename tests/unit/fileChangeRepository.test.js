@@ -0,0 +1,138 @@
+const { createTestDb } = require('../helpers/testDb');
+const { FileRepository, FileChangeRepository } = require('../../src/persistence');
+const { classifyChange } = require('../../src/persistence/fileChangeRepository');
+
+describe('classifyChange', () => {
+  const file = {
+    name: 'a.txt',
+    parentId: 'p1',
+    path: '/A/a.txt',
+    mimeType: 'text/plain',
+    size: 3,
+    md5Checksum: 'abc',
+    modifiedTime: '2024-01-01T00:00:00.000Z',
+    trashed: false
+  };
+
+  it('should tell adds, deletes and no-ops apart', () => {
+    expect(classifyChange(null, file)).toEqual({ changeType: 'added', fields: [] });
+    expect(classifyChange(null, { ...file, trashed: true })).toBeNull();
+    expect(classifyChange(file, null)).toEqual({ changeType: 'deleted', fields: [] });
+    expect(classifyChange(file, { ...file, trashed: true })).toEqual({ changeType: 'deleted', fields: [] });
+    expect(classifyChange(file, { ...file })).toBeNull();
+  });
+
+  it('should prefer moved over renamed over modified', () => {
+    const later = '2024-02-01T00:00:00.000Z';
+
+    expect(classifyChange(file, { ...file, name: 'b.txt', parentId: 'p2', modifiedTime: later }))
+      .toEqual({ changeType: 'moved', fields: ['name', 'parentId', 'modifiedTime'] });
+    expect(classifyChange(file, { ...file, name: 'b.txt', modifiedTime: later }))
+      .toEqual({ changeType: 'renamed', fields: ['name', 'modifiedTime'] });
+    expect(classifyChange(file, { ...file, md5Checksum: 'def', size: 4 }))
+      .toEqual({ changeType: 'modified', fields: ['size', 'md5Checksum'] });
+  });
+
+  it('should not count a path that only followed its ancestors', () => {
+    expect(classifyChange(file, { ...file, path: '/B/a.txt' })).toBeNull();
+  });
+});
+
+describe('FileRepository change log', () => {
+  let dbManager;
+  let fileRepo;
+  let changeRepo;
+
+  beforeEach(async () => {
+    dbManager = await createTestDb();
+    fileRepo = new FileRepository(dbManager);
+    changeRepo = new FileChangeRepository(dbManager);
+  });
+
+  afterEach(() => {
+    dbManager.close();
+  });
+
+  const types = (syncId) => changeRepo.findBySync(syncId).map(c => [c.fileId, c.changeType]);
+
+  it('should only record writes made for a sync', () => {
+    fileRepo.upsert({ id: 'f1', name: 'a.txt' });
+    fileRepo.markDeleted('f1');
+
+    expect(changeRepo.findByFile('f1', 'default')).toEqual([]);
+  });
+
+  it('should record upserts against the row they replace', () => {
+    fileRepo.upsertBatch([
+      { id: 'f1', name: 'a.txt', md5Checksum: 'abc' },
+      { id: 'f2', name: 'b.txt' }
+    ], 'default', { syncId: 's1' });
+    fileRepo.upsertBatch([
+      { id: 'f1', name: 'a.txt', md5Checksum: 'def' },
+      { id: 'f2', name: 'b.txt' }
+    ], 'default', { syncId: 's2' });
+
+    expect(types('s1')).toEqual([['f1', 'added'], ['f2', 'added']]);
+    expect(types('s2')).toEqual([['f1', 'modified']]);
+    expect(changeRepo.findBySync('s2')[0]).toMatchObject({
+      accountId: 'default',
+      fields: ['md5Checksum'],
+      before: { md5Checksum: 'abc' },
+      after: { md5Checksum: 'def' }
+    });
+  });
+
+  it('should record trashing, restoring and removal as deletes and adds', () => {
+    fileRepo.upsert({ id: 'f1', name: 'a.txt' }, 'default', { syncId: 's1' });
+    fileRepo.upsert({ id: 'f1', name: 'a.txt', trashed: true }, 'default', { syncId: 's2' });
+    fileRepo.upsert({ id: 'f1', name: 'a.txt' }, 'default', { syncId: 's3' });
+    fileRepo.markDeleted('f1', 'default', { syncId: 's4' });
+    // already gone, nothing more to record
+    fileRepo.markDeleted('f1', 'default', { syncId: 's5' });
+
+    expect(changeRepo.findByFile('f1', 'default').map(c => [c.syncId, c.changeType])).toEqual([
+      ['s4', 'deleted'],
+      ['s3', 'added'],
+      ['s2', 'deleted'],
+      ['s1', 'added']
+    ]);
+  });
+
+  it('should record hard deletes and reconciliation tombstones', () => {
+    fileRepo.upsertBatch([{ id: 'f1', name: 'a.txt' }, { id: 'f2', name: 'b.txt' }]);
+    const later = new Date(Date.now() + 1000).toISOString();
+
+    fileRepo.deleteById('f1', 'default', { syncId: 's1' });
+    fileRepo.markUnseenDeleted(later, 'default', 'my-drive', { syncId: 's2' });
+
+    expect(types('s1')).toEqual([['f1', 'deleted']]);
+    expect(types('s2')).toEqual([['f2', 'deleted']]);
+    expect(changeRepo.findBySync('s2')[0]).toMatchObject({ before: { name: 'b.txt' }, after: null });
+  });
+
+  it('should page, filter and summarize a sync', () => {
+    fileRepo.upsertBatch([
+      { id: 'f1', name: 'a.txt' },
+      { id: 'f2', name: 'b.txt' },
+      { id: 'f3', name: 'c.txt' }
+    ], 'default', { syncId: 's1' });
+    fileRepo.upsert({ id: 'f2', name: 'b2.txt' }, 'default', { syncId: 's1' });
+
+    const first = changeRepo.findBySync('s1', { limit: 2 });
+    const rest = changeRepo.findBySync('s1', { after: first[1].id });
+
+    expect([...first, ...rest].map(c => c.fileId)).toEqual(['f1', 'f2', 'f3', 'f2']);
+    expect(changeRepo.findBySync('s1', { types: ['renamed'] }).map(c => c.fileId)).toEqual(['f2']);
+    expect(changeRepo.findBySync('s1', { fileId: 'f2' })).toHaveLength(2);
+    expect(changeRepo.summarizeSync('s1')).toEqual({ added: 3, modified: 0, renamed: 1, moved: 0, deleted: 0, total: 4 });
+  });
+
+  it('should purge old entries and those of a deleted sync', () => {
+    fileRepo.upsert({ id: 'f1', name: 'a.txt' }, 'default', { syncId: 's1' });
+    fileRepo.upsert({ id: 'f2', name: 'b.txt' }, 'default', { syncId: 's2' });
+
+    expect(changeRepo.deleteBySync('s1')).toBe(1);
+    expect(changeRepo.purge(new Date(Date.now() + 1000).toISOString())).toBe(1);
+    expect(changeRepo.findByFile('f2', 'default')).toEqual([]);
+  });
+});
@@ -65,6 +65,19 @@ describe('FileRepository', () => {
       expect(repo.findById('f1').name).toBe('file1.txt');
       expect(repo.findById('f2').name).toBe('file2.txt');
     });
+
+    it('should store nothing when one file in the batch fails', () => {
+      repo.upsert({ id: 'f1', name: 'before.txt' });
+
+      expect(() => repo.upsertBatch([
+        { id: 'f1', name: 'after.txt' },
+        { id: 'f2' }
+      ])).toThrow();
+
+      expect(repo.count()).toBe(1);
+      expect(repo.findById('f1').name).toBe('before.txt');
+      expect(repo.search('after').files).toEqual([]);
+    });
   });
 
   describe('findByParentId', () => {
@@ -105,5 +118,232 @@ describe('FileRepository', () => {
       expect(deleted).toBe(1);
       expect(repo.findById('file123')).toBeNull();
     });
+
+    it('should count only the rows it deleted', () => {
+      repo.upsertBatch([{ id: 'file123', name: 'a.txt' }, { id: 'other', name: 'b.txt' }]);
+      repo.upsert({ id: 'file123', name: 'a.txt' }, 'work');
+
+      expect(repo.deleteById('file123', 'work')).toBe(1);
+      expect(repo.deleteById('missing')).toBe(0);
+      expect(repo.count({ includeDeleted: true })).toBe(2);
+    });
+  });
+
+  describe('download tracking', () => {
+    it('should mark new binary files as pending download', () => {
+      repo.upsertBatch([
+        { id: 'f1', name: 'photo.jpg', mimeType: 'image/jpeg' },
+        { id: 'd1', name: 'Folder', mimeType: 'application/vnd.google-apps.folder' }
+      ]);
+
+      expect(repo.findById('f1').downloadStatus).toBe('pending');
+      expect(repo.findById('d1').downloadStatus).toBeNull();
+    });
+
+    it('should reset to pending when content changes', () => {
+      repo.upsert({ id: 'f1', name: 'a.txt', mimeType: 'text/plain', md5Checksum: 'aaa' });
+      repo.markDownloaded('f1', { localPath: '/tmp/a.txt', localSize: 3 });
+
+      repo.upsert({ id: 'f1', name: 'a.txt', mimeType: 'text/plain', md5Checksum: 'aaa' });
+      expect(repo.findById('f1').downloadStatus).toBe('downloaded');
+
+      repo.upsert({ id: 'f1', name: 'a.txt', mimeType: 'text/plain', md5Checksum: 'bbb' });
+      expect(repo.findById('f1').downloadStatus).toBe('pending');
+    });
+
+    it('should reset to pending when a file is renamed or moved', () => {
+      const FOLDER = 'application/vnd.google-apps.folder';
+      repo.upsertBatch([
+        { id: 'x', name: 'Archive', mimeType: FOLDER },
+        { id: 'f1', name: 'a.txt', mimeType: 'text/plain', md5Checksum: 'aaa' }
+      ]);
+      repo.markDownloaded('f1', { localPath: '/tmp/a.txt', localSize: 3 });
+
+      repo.upsert({ id: 'f1', name: 'b.txt', mimeType: 'text/plain', md5Checksum: 'aaa' });
+      expect(repo.findById('f1').downloadStatus).toBe('pending');
+
+      repo.markDownloaded('f1', { localPath: '/tmp/b.txt', localSize: 3 });
+      repo.upsert({ id: 'f1', name: 'b.txt', mimeType: 'text/plain', md5Checksum: 'aaa', parents: ['x'] });
+      expect(repo.findById('f1').downloadStatus).toBe('pending');
+    });
+
+    it('should reset the files under a moved folder to pending', () => {
+      const FOLDER = 'application/vnd.google-apps.folder';
+      repo.upsertBatch([
+        { id: 'a', name: 'Projects', mimeType: FOLDER },
+        { id: 'f1', name: 'a.txt', mimeType: 'text/plain', parents: ['a'] },
+        { id: 'd1', name: 'Notes', mimeType: 'application/vnd.google-apps.document', parents: ['a'] }
+      ]);
+      repo.markDownloaded('f1', { localPath: '/tmp/Projects/a.txt', localSize: 3 });
+
+      repo.upsert({ id: 'a', name: 'Old Projects', mimeType: FOLDER });
+
+      expect(repo.findById('f1').downloadStatus).toBe('pending');
+      expect(repo.findById('d1').downloadStatus).toBeNull();
+    });
+  });
+
+  describe('deletions', () => {
+    it('should hide tombstoned files from listings', () => {
+      repo.upsertBatch([
+        { id: 'f1', name: 'keep.txt', parents: ['p1'] },
+        { id: 'f2', name: 'gone.txt', parents: ['p1'] }
+      ]);
+
+      expect(repo.markDeleted('f2')).toBe(1);
+
+      expect(repo.count()).toBe(1);
+      expect(repo.countDeleted()).toBe(1);
+      expect(repo.findByParentId('p1').map(f => f.id)).toEqual(['f1']);
+      expect(repo.getAll(10, 0, { includeDeleted: true }).length).toBe(2);
+      expect(repo.findById('f2').deletedAt).not.toBeNull();
+    });
+
+    it('should record trashed files and restore them when untrashed', () => {
+      repo.upsert({ id: 'f1', name: 'a.txt', trashed: true });
+      let file = repo.findById('f1');
+      expect(file.trashed).toBe(true);
+      expect(file.deletedAt).not.toBeNull();
+
+      repo.upsert({ id: 'f1', name: 'a.txt', trashed: false });
+      file = repo.findById('f1');
+      expect(file.trashed).toBe(false);
+      expect(file.deletedAt).toBeNull();
+    });
+
+    it('should purge tombstones older than the cutoff', () => {
+      repo.upsertBatch([{ id: 'f1', name: 'old.txt' }, { id: 'f2', name: 'new.txt' }]);
+      repo.markDeleted('f1');
+      repo.markDeleted('f2');
+      dbManager.run('UPDATE files SET deleted_at = ? WHERE id = ?', ['2020-01-01T00:00:00.000Z', 'f1']);
+
+      const purged = repo.purgeDeleted('2021-01-01T00:00:00.000Z');
+
+      expect(purged).toBe(1);
+      expect(repo.findById('f1')).toBeNull();
+      expect(repo.findById('f2')).not.toBeNull();
+    });
+  });
+
+  describe('materialized paths', () => {
+    const FOLDER = 'application/vnd.google-apps.folder';
+
+    it('should build paths from the parent chain', () => {
+      repo.upsert({ id: 'a', name: 'Projects', mimeType: FOLDER });
+      repo.upsert({ id: 'b', name: 'Reports', mimeType: FOLDER, parents: ['a'] });
+      repo.upsert({ id: 'c', name: 'q1.txt', parents: ['b'] });
+
+      expect(repo.findById('c').path).toBe('/Projects/Reports/q1.txt');
+    });
+
+    it('should fix up children that arrived before their folder', () => {
+      repo.upsert({ id: 'c', name: 'q1.txt', parents: ['b'] });
+      repo.upsert({ id: 'b', name: 'Reports', mimeType: FOLDER, parents: ['a'] });
+      repo.upsert({ id: 'a', name: 'Projects', mimeType: FOLDER });
+
+      expect(repo.findById('c').path).toBe('/Projects/Reports/q1.txt');
+    });
+
+    it('should recompute the subtree when a folder is renamed or moved', () => {
+      repo.upsertBatch([
+        { id: 'a', name: 'Projects', mimeType: FOLDER },
+        { id: 'x', name: 'Archive', mimeType: FOLDER },
+        { id: 'b', name: 'Reports', mimeType: FOLDER, parents: ['a'] },
+        { id: 'c', name: 'q1.txt', parents: ['b'] }
+      ]);
+
+      repo.upsert({ id: 'b', name: 'Old Reports', mimeType: FOLDER, parents: ['x'] });
+
+      expect(repo.findById('c').path).toBe('/Archive/Old Reports/q1.txt');
+      expect(repo.findByPath('/Archive/Old Reports/q1.txt').map(f => f.id)).toEqual(['c']);
+      expect(repo.findByPath('/Projects/Reports/q1.txt')).toEqual([]);
+    });
+
+    it('should survive a parent cycle', () => {
+      repo.upsert({ id: 'a', name: 'A', mimeType: FOLDER, parents: ['b'] });
+      repo.upsert({ id: 'b', name: 'B', mimeType: FOLDER, parents: ['a'] });
+
+      expect(repo.findById('b').path).toBeDefined();
+      expect(repo.getFolderStats('a').folderCount).toBe(2);
+    });
+  });
+
+  describe('getFolderStats', () => {
+    it('should aggregate live descendants recursively', () => {
+      const FOLDER = 'application/vnd.google-apps.folder';
+      repo.upsertBatch([
+        { id: 'a', name: 'Projects', mimeType: FOLDER },
+        { id: 'b', name: 'Reports', mimeType: FOLDER, parents: ['a'] },
+        { id: 'c', name: 'q1.txt', size: 100, parents: ['b'] },
+        { id: 'd', name: 'notes.txt', size: 50, parents: ['a'] },
+        { id: 'e', name: 'gone.txt', size: 1000, parents: ['a'] }
+      ]);
+      repo.markDeleted('e');
+
+      expect(repo.getFolderStats('a')).toEqual({ fileCount: 2, folderCount: 1, totalSize: 150 });
+    });
+  });
+
+  describe('find', () => {
+    const FOLDER = 'application/vnd.google-apps.folder';
+
+    beforeEach(() => {
+      repo.upsertBatch([
+        { id: 'root', name: 'Projects', mimeType: FOLDER },
+        { id: 'sub', name: 'Reports', mimeType: FOLDER, parents: ['root'] },
+        { id: 'r1', name: 'Q1 Report.pdf', mimeType: 'application/pdf', size: 500, parents: ['sub'],
+          modifiedTime: '2024-01-10T00:00:00.000Z', md5Checksum: 'abc' },
+        { id: 'r2', name: 'photo_100%.jpg', mimeType: 'image/jpeg', size: 2000, parents: ['root'],
+          modifiedTime: '2024-02-10T00:00:00.000Z' },
+        { id: 'r3', name: 'budget.xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+          size: 100, modifiedTime: '2024-03-10T00:00:00.000Z' }
+      ]);
+    });
+
+    const ids = (result) => result.files.map(f => f.id);
+
+    it('should filter by name substring without treating % as a wildcard', () => {
+      expect(ids(repo.find({ name: 'report' }))).toEqual(['r1', 'sub']);
+      expect(ids(repo.find({ name: '100%' }))).toEqual(['r2']);
+    });
+
+    it('should filter by glob, type group, size and dates', () => {
+      expect(ids(repo.find({ glob: '*.pdf' }))).toEqual(['r1']);
+      expect(ids(repo.find({ types: ['images', 'spreadsheets'] }, { sort: 'name', order: 'asc' }))).toEqual(['r3', 'r2']);
+      expect(ids(repo.find({ minSize: 200, maxSize: 1000 }))).toEqual(['r1']);
+      expect(ids(repo.find({ modifiedAfter: '2024-02-01T00:00:00.000Z' }))).toEqual(['r3', 'r2']);
+      expect(ids(repo.find({ checksum: 'abc' }))).toEqual(['r1']);
+    });
+
+    it('should filter by parent, optionally recursively', () => {
+      expect(ids(repo.find({ parentId: 'root' }, { sort: 'id', order: 'asc' }))).toEqual(['r2', 'sub']);
+      expect(ids(repo.find({ parentId: 'root', recursive: true }, { sort: 'id', order: 'asc' }))).toEqual(['r1', 'r2', 'sub']);
+    });
+
+    it('should reject unknown type groups and sort fields', () => {
+      expect(() => repo.find({ types: ['nope'] })).toThrow(/Unknown type group/);
+      expect(() => repo.find({}, { sort: 'raw_metadata' })).toThrow(/Cannot sort/);
+    });
+
+    it('should page with a cursor that is stable against new rows', () => {
+      const first = repo.find({}, { sort: 'size', order: 'desc', limit: 2 });
+      expect(ids(first)).toEqual(['r2', 'r1']);
+      expect(first.hasMore).toBe(true);
+
+      // a sync inserting a row that sorts before the cursor must not shift the next page
+      repo.upsert({ id: 'big', name: 'big.iso', size: 99999 });
+
+      const second = repo.find({}, { sort: 'size', order: 'desc', limit: 2, cursor: first.nextCursor });
+      expect(ids(second)).toEqual(['r3', 'sub']);
+
+      const third = repo.find({}, { sort: 'size', order: 'desc', limit: 2, cursor: second.nextCursor });
+      expect(ids(third)).toEqual(['root']);
+      expect(third.nextCursor).toBeNull();
+    });
+
+    it('should refuse a cursor made for another sort', () => {
+      const { nextCursor } = repo.find({}, { sort: 'size', limit: 1 });
+      expect(() => repo.find({}, { sort: 'name', cursor: nextCursor })).toThrow(/does not match/);
+    });
   });
 });
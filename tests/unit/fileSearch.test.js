@@ -0,0 +1,75 @@
+const { createTestDb } = require('../helpers/testDb');
+const FileRepository = require('../../src/persistence/fileRepository');
+const { buildMatchExpression } = require('../../src/persistence/fileSearch');
+
+describe('file search', () => {
+  let dbManager;
+  let repo;
+
+  beforeEach(async () => {
+    dbManager = await createTestDb();
+    repo = new FileRepository(dbManager);
+
+    repo.upsertBatch([
+      { id: 'f1', name: 'Annual Report 2023.pdf', description: 'Board summary' },
+      { id: 'f2', name: 'notes.txt', description: 'draft of the annual report' },
+      { id: 'f3', name: 'Reporting template.docx', originalFilename: 'template-final.docx' },
+      { id: 'f4', name: 'holiday.jpg', owners: [{ displayName: 'Dana Smith' }] }
+    ]);
+  });
+
+  afterEach(() => {
+    dbManager.close();
+  });
+
+  const ids = (result) => result.files.map(f => f.id);
+
+  it('should rank name matches above description matches', () => {
+    const result = repo.search('annual report');
+
+    expect(ids(result)).toEqual(['f1', 'f2']);
+    expect(result.files[0].score).toBeGreaterThan(result.files[1].score);
+    expect(result.total).toBe(2);
+  });
+
+  it('should support phrases and prefixes', () => {
+    expect(ids(repo.search('"report 2023"'))).toEqual(['f1']);
+    expect(ids(repo.search('report*'))).toContain('f3');
+    expect(ids(repo.search('report'))).not.toContain('f3');
+  });
+
+  it('should index other metadata text', () => {
+    expect(ids(repo.search('dana'))).toEqual(['f4']);
+    expect(ids(repo.search('final'))).toEqual(['f3']);
+  });
+
+  it('should highlight matches', () => {
+    const [file] = repo.search('board').files;
+
+    expect(file.highlights.snippet).toContain('<mark>Board</mark>');
+  });
+
+  it('should follow renames and deletions', () => {
+    repo.upsert({ id: 'f4', name: 'beach.jpg' });
+    repo.deleteById('f1');
+
+    expect(ids(repo.search('holiday'))).toEqual([]);
+    expect(ids(repo.search('beach'))).toEqual(['f4']);
+    expect(ids(repo.search('board'))).toEqual([]);
+  });
+
+  it('should hide tombstoned files unless asked', () => {
+    repo.markDeleted('f2');
+
+    expect(ids(repo.search('draft'))).toEqual([]);
+    expect(ids(repo.search('draft', { includeDeleted: true }))).toEqual(['f2']);
+  });
+
+  describe('buildMatchExpression', () => {
+    it('should neutralise fts syntax in user input', () => {
+      expect(buildMatchExpression('foo OR-bar')).toBe('"foo" "OR" "bar"');
+      expect(buildMatchExpression('"big data" rep*')).toBe('"big data" rep*');
+      expect(buildMatchExpression('()"')).toBe('');
+    });
+  });
+});
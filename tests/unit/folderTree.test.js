@@ -0,0 +1,43 @@
+const { buildFolderTree } = require('../../src/utils/folderTree');
+
+const FOLDER = 'application/vnd.google-apps.folder';
+
+function row(id, name, parentId, mimeType = 'text/plain', size = null) {
+  return { id, name, parent_id: parentId, mime_type: mimeType, size, path: null, drive_id: 'my-drive' };
+}
+
+describe('buildFolderTree', () => {
+  const rows = [
+    row('a', 'Projects', 'root', FOLDER),
+    row('b', 'Reports', 'a', FOLDER),
+    row('c', 'q1.txt', 'b', 'text/plain', 100),
+    row('d', 'Archive', 'b', FOLDER),
+    row('e', 'old.txt', 'd', 'text/plain', 10),
+    row('f', 'loose.txt', 'root', 'text/plain', 5)
+  ];
+
+  it('should nest folders under a virtual root up to the requested depth', () => {
+    const tree = buildFolderTree(rows, { depth: 2 });
+
+    expect(tree.path).toBe('/');
+    expect(tree).toMatchObject({ fileCount: 3, folderCount: 3, totalSize: 115 });
+    expect(tree.children.map(n => n.name)).toEqual(['Projects']);
+
+    const reports = tree.children[0].children[0];
+    expect(reports.name).toBe('Reports');
+    expect(reports.children).toBeUndefined();
+    expect(reports.truncated).toBe(true);
+  });
+
+  it('should start from a given folder with recursive aggregates', () => {
+    const tree = buildFolderTree(rows, { rootId: 'b', depth: 5 });
+
+    expect(tree).toMatchObject({ id: 'b', fileCount: 2, folderCount: 1, totalSize: 110 });
+    expect(tree.children[0]).toMatchObject({ id: 'd', fileCount: 1, totalSize: 10, children: [] });
+  });
+
+  it('should return null for an unknown or non-folder root', () => {
+    expect(buildFolderTree(rows, { rootId: 'missing' })).toBeNull();
+    expect(buildFolderTree(rows, { rootId: 'c' })).toBeNull();
+  });
+});
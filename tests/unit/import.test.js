@@ -0,0 +1,272 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const express = require('express');
+const request = require('supertest');
+const { createTestDb } = require('../helpers/testDb');
+const { DatabaseManager } = require('../../src/persistence/database');
+const {
+  FileRepository,
+  CheckpointRepository,
+  SyncStateRepository,
+  FileChangeRepository
+} = require('../../src/persistence');
+const { createExportStream } = require('../../src/export');
+const { CatalogImporter, toDriveFile, detectFormat } = require('../../src/import');
+const { createImportsRouter } = require('../../src/routes');
+const { readCsvRows } = require('../../src/utils/csv');
+
+const FOLDER = 'application/vnd.google-apps.folder';
+
+const ndjson = (...records) => Readable.from([records.map(r => JSON.stringify(r)).join('\n') + '\n']);
+
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+}
+
+describe('readCsvRows', () => {
+  it('should read quoted fields across chunk boundaries', async () => {
+    const text = 'id,name\r\na,"has, comma"\r\n\r\nb,"say ""hi""\nagain"\nc,\n';
+    const chunks = text.split('').map(ch => Buffer.from(ch));
+
+    expect(await collect(readCsvRows(Readable.from(chunks)))).toEqual([
+      ['id', 'name'],
+      ['a', 'has, comma'],
+      ['b', 'say "hi"\nagain'],
+      ['c', '']
+    ]);
+    await expect(collect(readCsvRows(Readable.from(['a,"open\n'])))).rejects.toThrow('Unterminated');
+  });
+});
+
+describe('Catalog import', () => {
+  let dbManager;
+  let fileRepo;
+  let checkpointRepo;
+  let syncStateRepo;
+  let importer;
+
+  beforeEach(async () => {
+    dbManager = await createTestDb();
+    fileRepo = new FileRepository(dbManager);
+    checkpointRepo = new CheckpointRepository(dbManager);
+    syncStateRepo = new SyncStateRepository(dbManager);
+    importer = new CatalogImporter({
+      fileRepository: fileRepo,
+      checkpointRepository: checkpointRepo,
+      syncStateRepository: syncStateRepo,
+      batchSize: 2
+    });
+  });
+
+  afterEach(() => {
+    dbManager.close();
+  });
+
+  it('should turn exported records back into drive metadata', () => {
+    const scope = { accountId: 'default', driveId: 'my-drive' };
+    expect(toDriveFile({ id: 'a', name: 'a.txt', size: '10', parentId: 'p', trashed: 'false', driveId: 'my-drive' }, scope))
+      .toEqual({ id: 'a', name: 'a.txt', size: '10', parents: ['p'], trashed: false });
+    expect(toDriveFile({ id: 'a', rawMetadata: '{"name":"raw.txt","owners":[]}' }, scope))
+      .toEqual({ id: 'a', name: 'raw.txt', owners: [] });
+    expect(toDriveFile({ id: 'a', name: 'a.txt' }, { accountId: 'work', driveId: 'd1' }).driveId).toBe('d1');
+
+    expect(() => toDriveFile({ id: 'a b', name: 'x' }, scope)).toThrow('Invalid file id');
+    expect(() => toDriveFile({ id: 'a' }, scope)).toThrow('name is required');
+    expect(() => toDriveFile({ id: 'a', name: 'x', size: '-1' }, scope)).toThrow('size must be');
+    expect(() => toDriveFile({ id: 'a', name: 'x', modifiedTime: 'soon' }, scope)).toThrow('modifiedTime must be a date');
+    expect(() => toDriveFile({ id: 'a', name: 'x', accountId: 'work' }, scope)).toThrow('Belongs to account work');
+    expect(() => toDriveFile({ id: 'a', name: 'x', driveId: 'd1' }, scope)).toThrow('Belongs to drive d1');
+    expect(detectFormat('backup.db.v3-2024.bak')).toBe('sqlite');
+    expect(detectFormat('files.txt')).toBeNull();
+  });
+
+  it('should merge records, report rejects and record the import like a sync', async () => {
+    fileRepo.upsert({ id: 'keep', name: 'keep.txt' });
+
+    const summary = await importer.import({
+      stream: ndjson(
+        { id: 'b', name: 'b.txt', parentId: 'docs', size: 5 },
+        { id: 'docs', name: 'Docs', mimeType: FOLDER },
+        { id: 'gone', name: 'gone.txt', deletedAt: '2024-01-01T00:00:00Z' },
+        { id: 'bad', size: 1 }
+      ).pipe(new (require('stream').PassThrough)())
+    }, { format: 'ndjson', changeToken: 'token-9' });
+
+    expect(summary).toMatchObject({ imported: 2, skipped: 1, rejected: 1, removed: 0, changeToken: 'token-9' });
+    expect(summary.errors).toEqual([{ line: 4, id: 'bad', error: 'name is required' }]);
+
+    // children that arrive before their folder get their path once it does
+    expect(fileRepo.findById('b')).toMatchObject({ path: '/Docs/b.txt', size: 5 });
+    expect(fileRepo.findById('keep')).not.toBeNull();
+
+    expect(checkpointRepo.findBySyncId(summary.importId)).toMatchObject({ status: 'completed', filesProcessed: 2 });
+    expect(syncStateRepo.get()).toMatchObject({ changeToken: 'token-9', lastSyncId: summary.importId });
+    const changes = new FileChangeRepository(dbManager).summarizeSync(summary.importId);
+    expect(changes).toMatchObject({ added: 2, total: 2 });
+  });
+
+  it('should replace the drive with a csv export, raw metadata included', async () => {
+    const source = await createTestDb();
+    new FileRepository(source).upsertBatch([
+      { id: 'a', name: 'a, "quoted".txt', size: '1', owners: [{ emailAddress: 'ann@example.com' }] },
+      { id: 'b', name: 'b.txt', description: 'line\nbreak' }
+    ]);
+    const csv = createExportStream(new FileRepository(source), {
+      format: 'csv',
+      columns: ['id', 'accountId', 'driveId', 'name', 'size', 'rawMetadata']
+    });
+
+    fileRepo.upsertBatch([{ id: 'a', name: 'old.txt' }, { id: 'stale', name: 'stale.txt' }]);
+    fileRepo.upsert({ id: 'other-drive', name: 'x.txt', driveId: 'd1' });
+    // written after the import started as far as the clock can tell: still gone
+    dbManager.run("UPDATE files SET synced_at = '2999-01-01T00:00:00.000Z' WHERE id = 'stale'");
+
+    const summary = await importer.import({ stream: csv }, { format: 'csv', mode: 'replace' });
+    source.close();
+
+    expect(summary).toMatchObject({ imported: 2, rejected: 0, removed: 1 });
+    expect(fileRepo.findById('a')).toMatchObject({
+      name: 'a, "quoted".txt',
+      rawMetadata: { owners: [{ emailAddress: 'ann@example.com' }] }
+    });
+    expect(fileRepo.findById('b').rawMetadata.description).toBe('line\nbreak');
+    expect(fileRepo.findById('stale')).toBeNull();
+    // other drives are out of scope
+    expect(fileRepo.findById('other-drive')).not.toBeNull();
+    // no token was given, so none was saved
+    expect(syncStateRepo.get()).toBeNull();
+  });
+
+  it('should restore from a database backup with its change token', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-'));
+    const backupPath = path.join(dir, 'sync.db.v5.bak');
+    const backup = new DatabaseManager(backupPath, { driver: process.env.DB_DRIVER });
+    await backup.init();
+    const backupFiles = new FileRepository(backup);
+    backupFiles.upsertBatch([
+      { id: 'docs', name: 'Docs', mimeType: FOLDER },
+      { id: 'a', name: 'a.txt', parents: ['docs'] },
+      { id: 'bin', name: 'bin.txt', trashed: true },
+      { id: 'work-file', name: 'w.txt' }
+    ]);
+    backupFiles.upsert({ id: 'work-file', name: 'w.txt' }, 'work');
+    backupFiles.markDeleted('gone');
+    new SyncStateRepository(backup).saveChangeToken('backup-token', 'sync_1');
+    backup.close();
+
+    try {
+      const summary = await importer.import({ path: backupPath }, { format: 'sqlite' });
+
+      expect(summary).toMatchObject({ imported: 4, rejected: 0, changeToken: 'backup-token' });
+      expect(fileRepo.findById('a', 'default').path).toBe('/Docs/a.txt');
+      expect(fileRepo.findById('bin', 'default')).toMatchObject({ trashed: true });
+      expect(fileRepo.findById('work-file', 'work')).toBeNull();
+      expect(syncStateRepo.get().changeToken).toBe('backup-token');
+
+      await expect(importer.import({ path: path.join(dir, 'missing.db') }, { format: 'sqlite' }))
+        .rejects.toThrow('Import failed after 0 files');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should restore from a backup made before accounts and drives', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'import-'));
+    const backupPath = path.join(dir, 'sync.db.v0.bak');
+    const backup = new DatabaseManager(backupPath, { driver: process.env.DB_DRIVER, autoMigrate: false });
+    await backup.init();
+    backup.run(`
+      CREATE TABLE files (
+        id TEXT PRIMARY KEY, name TEXT NOT NULL, mime_type TEXT, size INTEGER, parent_id TEXT,
+        modified_time TEXT, created_time TEXT, md5_checksum TEXT, synced_at TEXT, raw_metadata TEXT
+      )
+    `);
+    backup.run('CREATE TABLE sync_state (id TEXT PRIMARY KEY, change_token TEXT, last_sync_id TEXT, updated_at TEXT)');
+    backup.run(`INSERT INTO files (id, name, mime_type, parent_id) VALUES
+      ('docs', 'Docs', '${FOLDER}', NULL), ('a', 'a.txt', 'text/plain', 'docs')`);
+    backup.run("INSERT INTO sync_state (id, change_token) VALUES ('work', 'token_42')");
+    backup.close();
+
+    try {
+      const summary = await importer.import({ path: backupPath }, { format: 'sqlite', accountId: 'work' });
+
+      expect(summary).toMatchObject({ imported: 2, rejected: 0, changeToken: 'token_42' });
+      expect(fileRepo.findById('a', 'work')).toMatchObject({ driveId: 'my-drive', path: '/Docs/a.txt' });
+
+      // it only ever had the one drive
+      const shared = await importer.import({ path: backupPath }, { format: 'sqlite', accountId: 'work', driveId: 'team1' });
+      expect(shared).toMatchObject({ imported: 0, changeToken: null });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should leave the drive as it was when a replace fails part way', async () => {
+    fileRepo.upsertBatch([{ id: 'a', name: 'old.txt' }, { id: 'stale', name: 'stale.txt' }]);
+    const brokenSource = () => Readable.from((async function* () {
+      yield ['a', 'b', 'c'].map(id => JSON.stringify({ id, name: `${id}.txt` })).join('\n') + '\n';
+      throw new Error('connection reset');
+    })());
+
+    // more than a batch was read before the source broke off
+    await expect(importer.import({ stream: brokenSource() }, { format: 'ndjson', mode: 'replace' }))
+      .rejects.toThrow('connection reset');
+    expect(fileRepo.getAll().map(f => f.name).sort()).toEqual(['old.txt', 'stale.txt']);
+
+    // or after it was, when the swap itself fails
+    jest.spyOn(fileRepo, 'deleteUnseen').mockImplementation(() => {
+      throw new Error('disk full');
+    });
+    const source = ndjson({ id: 'a', name: 'a.txt' }, { id: 'b', name: 'b.txt' }, { id: 'c', name: 'c.txt' });
+    await expect(importer.import({ stream: source }, { format: 'ndjson', mode: 'replace' }))
+      .rejects.toThrow('disk full');
+    expect(fileRepo.getAll().map(f => f.name).sort()).toEqual(['old.txt', 'stale.txt']);
+  });
+
+  it('should refuse imports that would race a sync', async () => {
+    checkpointRepo.create('sync_running');
+
+    await expect(importer.import({ stream: ndjson({ id: 'a', name: 'a' }) }, { format: 'ndjson' }))
+      .rejects.toThrow('is in progress');
+    expect(() => importer.validate({ format: 'xml' })).toThrow('format must be one of');
+    expect(() => importer.validate({ format: 'csv', driveId: 'all' })).toThrow('per drive');
+    expect(() => importer.validate({ format: 'csv', mode: 'overwrite', accountId: 'work' })).toThrow('mode must be one of');
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/imports', createImportsRouter(importer));
+    });
+
+    it('should import the request body', async () => {
+      const res = await request(app)
+        .post('/imports?mode=merge&changeToken=t1')
+        .set('Content-Type', 'application/x-ndjson')
+        .send('{"id":"a","name":"a.txt"}\n{"id":"b","name":"b.txt"}\nnot json\n')
+        .expect(200);
+
+      expect(res.body).toMatchObject({ imported: 2, rejected: 1, changeToken: 't1' });
+      expect(res.body.errors[0]).toMatchObject({ line: 3 });
+
+      const csv = await request(app)
+        .post('/imports?format=csv&account=work')
+        .set('Content-Type', 'text/plain')
+        .send('id,name\nc,c.txt\n')
+        .expect(200);
+      expect(csv.body).toMatchObject({ accountId: 'work', imported: 1 });
+      expect(fileRepo.findById('c', 'work')).not.toBeNull();
+
+      await request(app).post('/imports').set('Content-Type', 'text/plain').send('x').expect(400);
+      await request(app).post('/imports?format=sqlite').set('Content-Type', 'application/octet-stream')
+        .send(Buffer.from('not a database')).expect(400);
+    });
+  });
+});
@@ -101,6 +101,18 @@ describe('JobRepository', () => {
       const job = repo.findById(id);
       expect(job.status).toBe(JOB_STATUS.PENDING);
     });
+
+    it('should record the error and requeue in one step', () => {
+      const id = repo.create('test', {});
+      repo.markRunning(id);
+
+      repo.retryLater(id, 'timeout', 5000);
+
+      const job = repo.findById(id);
+      expect(job.status).toBe(JOB_STATUS.PENDING);
+      expect(job.lastError).toBe('timeout');
+      expect(new Date(job.scheduledAt).getTime()).toBeGreaterThan(Date.now());
+    });
   });
 
   describe('dead letter queue', () => {
@@ -132,6 +144,99 @@ describe('JobRepository', () => {
     });
   });
 
+  describe('claimPending', () => {
+    it('should hand each due job to one worker only', () => {
+      const low = repo.create('sync', {}, { priority: 1 });
+      const high = repo.create('sync', {}, { priority: 10 });
+      const third = repo.create('sync', {});
+      repo.create('sync', {}, { scheduledAt: new Date(Date.now() + 60000).toISOString() });
+
+      const first = repo.claimPending('worker-a', 2);
+      const second = repo.claimPending('worker-b', 5);
+
+      expect(first.map(j => j.id)).toEqual([high, low]);
+      expect(second.map(j => j.id)).toEqual([third]);
+      // handed over as it was before this attempt
+      expect(first[0]).toMatchObject({ status: 'running', attempts: 0, workerId: 'worker-a' });
+      expect(repo.findById(high)).toMatchObject({ status: 'running', attempts: 1, workerId: 'worker-a' });
+      expect(repo.findById(high).leaseExpiresAt).not.toBeNull();
+      expect(repo.claimPending('worker-c', 5)).toEqual([]);
+    });
+
+    it('should only take writes from the worker that holds the job', () => {
+      const id = repo.create('sync', {});
+      repo.claimPending('worker-a', 1);
+
+      expect(repo.markCompleted(id, { workerId: 'worker-b' })).toBe(0);
+      expect(repo.retryLater(id, 'boom', 0, { workerId: 'worker-b' })).toBe(0);
+      expect(repo.markFailed(id, 'boom', { workerId: 'worker-b' })).toBe(0);
+      expect(repo.markStopped(id, 'paused', { workerId: 'worker-b' })).toBe(0);
+      expect(repo.findById(id).status).toBe('running');
+      expect(repo.isHeldBy(id, 'worker-a')).toBe(true);
+      expect(repo.isHeldBy(id, 'worker-b')).toBe(false);
+
+      expect(repo.markCompleted(id, { workerId: 'worker-a' })).toBe(1);
+      // done: no worker holds it anymore
+      expect(repo.markFailed(id, 'late', { workerId: 'worker-a' })).toBe(0);
+      expect(repo.findById(id)).toMatchObject({ status: 'completed', lastError: null });
+      expect(repo.isHeldBy(id, 'worker-a')).toBe(false);
+    });
+  });
+
+  describe('leases', () => {
+    it('should renew the lease of a running job only', () => {
+      const id = repo.create('sync', {});
+      repo.markRunning(id, 1000);
+      const { leaseExpiresAt } = repo.findById(id);
+
+      expect(repo.heartbeat(id, 60000)).toBe(1);
+      expect(repo.findById(id).leaseExpiresAt > leaseExpiresAt).toBe(true);
+
+      repo.markCompleted(id);
+      expect(repo.heartbeat(id)).toBe(0);
+    });
+
+    it('should renew a lease only for the worker holding the job', () => {
+      const id = repo.create('sync', {});
+      repo.claimPending('worker-a', 1, 60000);
+
+      expect(repo.heartbeat(id, 60000, { workerId: 'worker-a' })).toBe(1);
+
+      // reaped and claimed by another worker
+      dbManager.run('UPDATE jobs SET lease_expires_at = ? WHERE id = ?', [new Date(0).toISOString(), id]);
+      repo.reapExpired();
+      repo.claimPending('worker-b', 1, 60000);
+      const { leaseExpiresAt } = repo.findById(id);
+
+      expect(repo.heartbeat(id, 120000, { workerId: 'worker-a' })).toBe(0);
+      expect(repo.findById(id).leaseExpiresAt).toBe(leaseExpiresAt);
+      expect(repo.heartbeat(id, 120000, { workerId: 'worker-b' })).toBe(1);
+    });
+
+    it('should requeue expired jobs and dead-letter those out of attempts', () => {
+      const retry = repo.create('sync', {}, { maxAttempts: 3 });
+      const last = repo.create('sync', {}, { maxAttempts: 1 });
+      const alive = repo.create('sync', {});
+      repo.markRunning(retry, -1000);
+      repo.markRunning(last, -1000);
+      repo.markRunning(alive);
+
+      const reaped = repo.reapExpired();
+
+      expect(reaped.map(j => [j.id, j.status]).sort()).toEqual([[last, 'dead'], [retry, 'pending']].sort());
+      expect(repo.findById(retry)).toMatchObject({ status: 'pending', attempts: 1, reapedCount: 1, leaseExpiresAt: null });
+      expect(repo.findById(retry).lastError).toMatch(/^Lease expired, last heartbeat/);
+      expect(repo.findById(last).status).toBe('dead');
+      expect(repo.findById(alive).status).toBe('running');
+      expect(repo.reapExpired()).toEqual([]);
+
+      const stats = repo.getStats();
+      expect(stats.reaped).toMatchObject({ jobs: 2, times: 2 });
+      expect(stats.reaped.lastReapedAt).not.toBeNull();
+      expect(stats.deadLetter).toBe(1);
+    });
+  });
+
   describe('getStats', () => {
     it('should return job statistics', () => {
       repo.create('a', {});
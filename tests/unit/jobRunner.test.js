@@ -1,6 +1,7 @@
 const { createTestDb } = require('../helpers/testDb');
 const JobRunner = require('../../src/jobs/jobRunner');
 const { JobRepository } = require('../../src/persistence/jobRepository');
+const { WorkerRepository } = require('../../src/persistence');
 
 describe('JobRunner', () => {
   let dbManager;
@@ -137,4 +138,158 @@ describe('JobRunner', () => {
       expect(handler).toHaveBeenCalled();
     });
   });
+
+  describe('stopping jobs', () => {
+    it('should abort a running job and leave it paused without using up an attempt', async () => {
+      const handler = jest.fn((payload, job, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error(`wrapped: ${signal.reason.message}`)));
+      }));
+      runner.registerHandler('long_test', handler);
+      const paused = jest.fn();
+      runner.on('job:paused', paused);
+
+      const jobId = jobRepo.create('long_test', {});
+      runner.start();
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(runner.abort(jobId, 'paused')).toBe(true);
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(jobRepo.findById(jobId)).toMatchObject({ status: 'paused', attempts: 0 });
+      expect(paused).toHaveBeenCalledWith(expect.objectContaining({ id: jobId }));
+      expect(runner.getActiveJobs()).toHaveLength(0);
+      expect(runner.abort(jobId, 'paused')).toBe(false);
+    });
+  });
+
+  describe('leases', () => {
+    it('should requeue jobs orphaned by a runner that stopped', async () => {
+      const handler = jest.fn().mockResolvedValue({});
+      runner.registerHandler('test_job', handler);
+      const reaped = jest.fn();
+      runner.on('job:reaped', reaped);
+
+      const jobId = jobRepo.create('test_job', {});
+      jobRepo.markRunning(jobId, -1000);
+
+      runner.start();
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      expect(reaped).toHaveBeenCalledWith(expect.objectContaining({ id: jobId, status: 'pending' }));
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(jobRepo.findById(jobId)).toMatchObject({ status: 'completed', attempts: 2, reapedCount: 1 });
+      expect(runner.getStats().reaped.jobs).toBe(1);
+    });
+
+    it('should stop a job cancelled by another process at its next heartbeat', async () => {
+      const handler = jest.fn((payload, job, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      }));
+      runner.registerHandler('long_test', handler);
+      const events = jest.fn();
+      for (const type of ['job:cancelled', 'job:completed', 'job:retry', 'job:failed']) runner.on(type, events);
+
+      const jobId = jobRepo.create('long_test', {});
+      runner.start();
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      jobRepo.markStopped(jobId, 'cancelled');
+      runner.heartbeat();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(jobRepo.findById(jobId)).toMatchObject({ status: 'cancelled', attempts: 0 });
+      // the process that cancelled it announced it
+      expect(events).not.toHaveBeenCalled();
+      expect(runner.getActiveJobs()).toHaveLength(0);
+    });
+  });
+
+  describe('workers', () => {
+    it('should split the queue between runners and register what each one holds', async () => {
+      const workerRepo = new WorkerRepository(dbManager);
+      const release = [];
+      const handler = jest.fn(() => new Promise(resolve => release.push(resolve)));
+      const other = new JobRunner(jobRepo, {}, { workerId: 'worker-b', workerRepository: workerRepo });
+      runner = new JobRunner(jobRepo, {}, { workerId: 'worker-a', workerRepository: workerRepo });
+      for (const r of [runner, other]) {
+        r.concurrency = 2;
+        r.registerHandler('test_job', handler);
+      }
+
+      const ids = [1, 2, 3].map(() => jobRepo.create('test_job', {}));
+      runner.start();
+      other.start();
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      expect(handler).toHaveBeenCalledTimes(3);
+      expect(new Set(handler.mock.calls.map(([, job]) => job.id))).toEqual(new Set(ids));
+      const workers = workerRepo.findAll(60000);
+      expect(workers.map(w => [w.id, w.status, w.jobs.length]).sort()).toEqual([
+        ['worker-a', 'active', 2],
+        ['worker-b', 'active', 1]
+      ]);
+
+      other.stop();
+      release.forEach(resolve => resolve());
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(ids.map(id => jobRepo.findById(id).status)).toEqual(['completed', 'completed', 'completed']);
+      expect(workerRepo.findById('worker-b', 60000)).toMatchObject({ status: 'stopped', jobs: [] });
+    });
+
+    it('should stop a job reaped and claimed by another worker at its next heartbeat', async () => {
+      const signals = [];
+      const release = [];
+      runner = new JobRunner(jobRepo, {}, { workerId: 'worker-a' });
+      runner.registerHandler('test_job', (payload, job, { signal }) => new Promise((resolve, reject) => {
+        signals.push(signal);
+        signal.addEventListener('abort', () => reject(signal.reason));
+      }));
+      const other = new JobRunner(jobRepo, {}, { workerId: 'worker-b' });
+      other.registerHandler('test_job', () => new Promise(resolve => release.push(resolve)));
+
+      const jobId = jobRepo.create('test_job', {});
+      runner.start();
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      // worker-a stalls past its lease, and worker-b reaps and claims the job
+      dbManager.run('UPDATE jobs SET lease_expires_at = ? WHERE id = ?', [new Date(0).toISOString(), jobId]);
+      other.start();
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect(jobRepo.findById(jobId)).toMatchObject({ status: 'running', workerId: 'worker-b' });
+      const { leaseExpiresAt } = jobRepo.findById(jobId);
+
+      try {
+        runner.heartbeat();
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        expect(signals[0].aborted).toBe(true);
+        expect(runner.getActiveJobs()).toHaveLength(0);
+        // the new owner's lease is its own to renew
+        expect(jobRepo.findById(jobId)).toMatchObject({ status: 'running', workerId: 'worker-b', leaseExpiresAt });
+      } finally {
+        other.stop();
+        release.forEach(resolve => resolve());
+      }
+    });
+
+    it('should drop the outcome of a job reaped while it ran', async () => {
+      const release = [];
+      runner.registerHandler('test_job', () => new Promise(resolve => release.push(resolve)));
+      const completed = jest.fn();
+      runner.on('job:completed', completed);
+
+      const jobId = jobRepo.create('test_job', {});
+      runner.start();
+      await new Promise(resolve => setTimeout(resolve, 100));
+
+      // another worker reaped and claimed it while this one was stalled
+      dbManager.run('UPDATE jobs SET status = ?, worker_id = ? WHERE id = ?', ['running', 'worker-b', jobId]);
+      release[0]();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(completed).not.toHaveBeenCalled();
+      expect(jobRepo.findById(jobId)).toMatchObject({ status: 'running', workerId: 'worker-b' });
+    });
+  });
 });
@@ -0,0 +1,251 @@
+const EventEmitter = require('events');
+const express = require('express');
+const request = require('supertest');
+const { createTestDb } = require('../helpers/testDb');
+const { JobRepository, CheckpointRepository } = require('../../src/persistence');
+const { JOB_TYPES } = require('../../src/jobs');
+const { DriveClient } = require('../../src/api/driveClient');
+const { Registry, MetricsCollector, registry, metrics } = require('../../src/metrics');
+const { createMetricsRouter } = require('../../src/routes');
+
+describe('Registry', () => {
+  let reg;
+
+  beforeEach(() => {
+    reg = new Registry();
+  });
+
+  it('should render counters and gauges with labels', () => {
+    const requests = reg.counter('requests_total', 'Requests', { labelNames: ['method', 'status'] });
+    const depth = reg.gauge('queue_depth', 'Queue depth');
+
+    requests.inc({ method: 'files.list', status: 200 });
+    requests.inc({ method: 'files.list', status: 200 }, 2);
+    requests.inc({ method: 'files.get', status: 404 });
+    depth.set({}, 7);
+
+    expect(reg.render()).toBe([
+      '# HELP requests_total Requests',
+      '# TYPE requests_total counter',
+      'requests_total{method="files.list",status="200"} 3',
+      'requests_total{method="files.get",status="404"} 1',
+      '# HELP queue_depth Queue depth',
+      '# TYPE queue_depth gauge',
+      'queue_depth 7',
+      ''
+    ].join('\n'));
+  });
+
+  it('should render cumulative histogram buckets', () => {
+    const duration = reg.histogram('duration_seconds', 'Duration', { labelNames: ['type'], buckets: [1, 5] });
+
+    duration.observe({ type: 'a' }, 0.5);
+    duration.observe({ type: 'a' }, 3);
+    duration.observe({ type: 'a' }, 10);
+
+    expect(reg.render()).toContain([
+      'duration_seconds_bucket{type="a",le="1"} 1',
+      'duration_seconds_bucket{type="a",le="5"} 2',
+      'duration_seconds_bucket{type="a",le="+Inf"} 3',
+      'duration_seconds_sum{type="a"} 13.5',
+      'duration_seconds_count{type="a"} 3'
+    ].join('\n'));
+  });
+
+  it('should escape label values', () => {
+    reg.counter('odd_total', 'Odd', { labelNames: ['path'] }).inc({ path: 'a "quoted"\\path\nx' });
+
+    expect(reg.render()).toContain('odd_total{path="a \\"quoted\\"\\\\path\\nx"} 1');
+  });
+
+  it('should reject unknown labels, negative counts and duplicate names', () => {
+    const counter = reg.counter('things_total', 'Things', { labelNames: ['kind'] });
+
+    expect(() => counter.inc({ colour: 'red' })).toThrow('Unknown label colour');
+    expect(() => counter.inc({}, -1)).toThrow('can only go up');
+    expect(() => reg.counter('things_total', 'Again')).toThrow('already registered');
+  });
+
+  it('should run collectors before rendering and survive failing ones', () => {
+    const gauge = reg.gauge('live', 'Live value');
+    let value = 1;
+    reg.addCollector(() => { throw new Error('db closed'); });
+    const remove = reg.addCollector(() => gauge.set({}, value));
+
+    expect(reg.render()).toContain('live 1');
+    value = 2;
+    expect(reg.render()).toContain('live 2');
+
+    remove();
+    value = 3;
+    expect(reg.render()).toContain('live 2');
+  });
+});
+
+describe('MetricsCollector', () => {
+  let dbManager;
+  let jobRepo;
+  let checkpointRepo;
+  let jobRunner;
+  let collector;
+
+  beforeEach(async () => {
+    registry.reset();
+    dbManager = await createTestDb();
+    jobRepo = new JobRepository(dbManager);
+    checkpointRepo = new CheckpointRepository(dbManager);
+    checkpointRepo.create('s1');
+    jobRunner = new EventEmitter();
+    collector = new MetricsCollector({ jobRepository: jobRepo, checkpointRepository: checkpointRepo });
+    collector.attach(jobRunner);
+  });
+
+  afterEach(() => {
+    collector.detach();
+    dbManager.close();
+  });
+
+  const syncJob = (id, type = JOB_TYPES.FULL_SYNC) => ({ id, type, payload: { syncId: 's1' } });
+
+  it('should time jobs by type and outcome and count retries', () => {
+    const job = syncJob('j1');
+
+    jobRunner.emit('job:started', job);
+    jobRunner.emit('job:retry', job, new Error('boom'), 1000);
+    jobRunner.emit('job:started', job);
+    jobRunner.emit('job:completed', job, { totalFiles: 250, pages: 3 });
+
+    expect(metrics.jobDuration.get({ type: JOB_TYPES.FULL_SYNC, outcome: 'retry' }).count).toBe(1);
+    expect(metrics.jobDuration.get({ type: JOB_TYPES.FULL_SYNC, outcome: 'completed' }).count).toBe(1);
+    expect(metrics.jobRetries.get({ type: JOB_TYPES.FULL_SYNC })).toBe(1);
+  });
+
+  it('should record sync duration and files once per sync', () => {
+    const job = syncJob('j1', JOB_TYPES.INCREMENTAL_SYNC);
+
+    jobRunner.emit('job:started', job);
+    jobRunner.emit('job:retry', job, new Error('boom'), 1000);
+    jobRunner.emit('job:started', job);
+    jobRunner.emit('job:completed', job, { totalChanges: 42 });
+
+    expect(metrics.syncDuration.get({ type: 'incremental', outcome: 'completed' }).count).toBe(1);
+    expect(metrics.syncFiles.get({ type: 'incremental' })).toEqual({ sum: 42, count: 1 });
+    expect(metrics.filesSynced.get({ type: 'incremental' })).toBe(42);
+  });
+
+  it('should time a sync from its checkpoint when another process ran its first jobs', () => {
+    const startedAt = new Date(Date.now() - 300000).toISOString();
+    dbManager.run('UPDATE sync_checkpoints SET started_at = ? WHERE sync_id = ?', [startedAt, 's1']);
+
+    // only the last page ran here
+    jobRunner.emit('job:completed', syncJob('j3', JOB_TYPES.SYNC_PAGE), { totalFiles: 10, pages: 3, hasMore: false });
+
+    const duration = metrics.syncDuration.get({ type: 'full', outcome: 'completed' });
+    expect(duration.count).toBe(1);
+    expect(duration.sum).toBeGreaterThanOrEqual(300);
+    expect(duration.sum).toBeLessThan(310);
+  });
+
+  it('should record failed syncs without a file count', () => {
+    const job = syncJob('j1');
+
+    jobRunner.emit('job:started', job);
+    jobRunner.emit('job:failed', job, new Error('gone'));
+
+    expect(metrics.syncDuration.get({ type: 'full', outcome: 'failed' }).count).toBe(1);
+    expect(metrics.syncFiles.get({ type: 'full' }).count).toBe(0);
+  });
+
+  it('should read queue depth and dead-letter size at scrape time', () => {
+    jobRepo.create('a', {});
+    jobRepo.create('b', {});
+    const dead = jobRepo.create('c', {}, { maxAttempts: 1 });
+    jobRepo.markRunning(dead);
+    jobRepo.markFailed(dead, 'boom');
+
+    const text = registry.render();
+
+    expect(text).toContain('gdrive_sync_jobs{status="pending"} 2');
+    expect(text).toContain('gdrive_sync_jobs{status="dead"} 1');
+    expect(text).toContain('gdrive_sync_jobs{status="running"} 0');
+    expect(text).toContain('gdrive_sync_dead_letter_jobs 1');
+  });
+});
+
+describe('GET /metrics', () => {
+  it('should serve the registry in the prometheus text format', async () => {
+    const app = express();
+    app.use('/metrics', createMetricsRouter(registry));
+
+    const response = await request(app).get('/metrics').expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/plain;/);
+    expect(response.headers['content-type']).toContain('version=0.0.4');
+    expect(response.text).toContain('# TYPE gdrive_sync_job_duration_seconds histogram');
+  });
+});
+
+describe('DriveClient metrics', () => {
+  const authClient = { getClient: () => ({}) };
+
+  beforeEach(() => {
+    registry.reset();
+  });
+
+  it('should count requests by method and status', async () => {
+    const client = new DriveClient(authClient);
+    client.drive = {
+      files: {
+        list: jest.fn().mockResolvedValue({ status: 200, data: { files: [] } }),
+        get: jest.fn().mockRejectedValue({ code: 404, response: { status: 404 } })
+      }
+    };
+
+    await client.listFiles();
+    await client.listFiles();
+    await expect(client.getFile('missing')).rejects.toMatchObject({ code: 404 });
+
+    expect(metrics.driveRequests.get({ method: 'files.list', status: 200 })).toBe(2);
+    expect(metrics.driveRequests.get({ method: 'files.get', status: 404 })).toBe(1);
+    expect(metrics.driveRequestDuration.get({ method: 'files.list' }).count).toBe(2);
+  });
+
+  it('should count rate-limit backoffs and retries', async () => {
+    const client = new DriveClient(authClient);
+    client.drive = {
+      changes: {
+        list: jest.fn()
+          .mockRejectedValueOnce({ code: 429, response: { status: 429, headers: { 'retry-after': '0' } } })
+          .mockRejectedValueOnce({ code: 'ECONNRESET' })
+          .mockResolvedValue({ status: 200, data: { changes: [] } })
+      }
+    };
+    client._calculateBackoff = () => 0;
+
+    await expect(client.getChanges('token')).rejects.toMatchObject({ code: 'ECONNRESET' });
+    await client.getChanges('token');
+
+    expect(metrics.driveRateLimitBackoffs.get({ method: 'changes.list' })).toBe(1);
+    expect(metrics.driveRetries.get({ method: 'changes.list', reason: 'rate_limit' })).toBe(1);
+    expect(metrics.driveRequests.get({ method: 'changes.list', status: 429 })).toBe(1);
+    expect(metrics.driveRequests.get({ method: 'changes.list', status: 'network_error' })).toBe(1);
+    expect(metrics.driveRequests.get({ method: 'changes.list', status: 200 })).toBe(1);
+  });
+
+  it('should count server error retries', async () => {
+    const client = new DriveClient(authClient);
+    client.drive = {
+      drives: {
+        list: jest.fn()
+          .mockRejectedValueOnce({ code: 503, response: { status: 503 } })
+          .mockResolvedValue({ status: 200, data: { drives: [] } })
+      }
+    };
+    client._calculateBackoff = () => 0;
+
+    await client.listDrives();
+
+    expect(metrics.driveRetries.get({ method: 'drives.list', reason: 'server_error' })).toBe(1);
+    expect(metrics.driveRequests.get({ method: 'drives.list', status: 503 })).toBe(1);
+  });
+});
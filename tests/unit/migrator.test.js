@@ -0,0 +1,210 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestDb } = require('../helpers/testDb');
+const { Migrator, loadMigrations } = require('../../src/persistence/migrator');
+const { DatabaseManager } = require('../../src/persistence/database');
+const FileRepository = require('../../src/persistence/fileRepository');
+
+const tables = (dbManager) => dbManager
+  .query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'")
+  .map(r => r.name);
+
+// files and sync_state as they looked before accounts, drives and paths existed
+function createLegacySchema(dbManager) {
+  dbManager.run(`
+    CREATE TABLE files (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      mime_type TEXT,
+      size INTEGER,
+      parent_id TEXT,
+      modified_time TEXT,
+      created_time TEXT,
+      md5_checksum TEXT,
+      synced_at TEXT,
+      raw_metadata TEXT
+    )
+  `);
+  dbManager.run(`
+    CREATE TABLE jobs (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      payload TEXT,
+      status TEXT DEFAULT 'pending',
+      priority INTEGER DEFAULT 0,
+      attempts INTEGER DEFAULT 0,
+      max_attempts INTEGER DEFAULT 5,
+      last_error TEXT,
+      created_at TEXT,
+      updated_at TEXT,
+      scheduled_at TEXT,
+      started_at TEXT,
+      completed_at TEXT
+    )
+  `);
+  dbManager.run(`
+    CREATE TABLE sync_state (
+      id TEXT PRIMARY KEY,
+      change_token TEXT,
+      last_sync_id TEXT,
+      updated_at TEXT
+    )
+  `);
+  dbManager.run(`
+    INSERT INTO files (id, name, parent_id, raw_metadata) VALUES
+      ('root', 'Projects', NULL, '{"description":"quarterly plans"}'),
+      ('f1', 'notes.txt', 'root', '{}')
+  `);
+  dbManager.run("INSERT INTO jobs (id, type, status) VALUES ('j1', 'full_sync', 'completed')");
+  dbManager.run("INSERT INTO sync_state (id, change_token) VALUES ('default', 'token_42')");
+}
+
+describe('Migrator', () => {
+  let dbManager;
+
+  afterEach(() => {
+    dbManager?.close();
+    dbManager = null;
+  });
+
+  describe('fresh database', () => {
+    beforeEach(async () => {
+      dbManager = await createTestDb();
+    });
+
+    it('should apply every migration', () => {
+      const migrator = new Migrator(dbManager);
+
+      expect(migrator.pending()).toEqual([]);
+      expect(migrator.currentVersion()).toBe(migrator.latestVersion());
+      expect(migrator.status().every(m => m.appliedAt)).toBe(true);
+      expect(tables(dbManager)).toEqual(expect.arrayContaining(['files', 'jobs', 'files_fts', 'schema_migrations']));
+    });
+
+    it('should roll back and re-apply', () => {
+      const migrator = new Migrator(dbManager);
+      const latest = migrator.latestVersion();
+
+      const reverted = migrator.rollback();
+      expect(reverted.map(m => m.version)).toEqual([latest]);
+      expect(migrator.pending().map(m => m.version)).toEqual([latest]);
+
+      migrator.migrate();
+      expect(migrator.currentVersion()).toBe(latest);
+    });
+
+    it('should roll back to an empty schema', () => {
+      new Migrator(dbManager).rollback({ to: 0 });
+
+      expect(tables(dbManager)).toEqual(['schema_migrations']);
+    });
+
+    it('should refuse a database migrated by a newer build', () => {
+      dbManager.run("INSERT INTO schema_migrations (version, name, applied_at) VALUES (999, 'future', '')");
+
+      expect(() => new Migrator(dbManager).migrate()).toThrow('newer version');
+    });
+  });
+
+  it('should leave nothing behind when a migration fails', async () => {
+    dbManager = await createTestDb({ autoMigrate: false });
+    const migrator = new Migrator(dbManager, {
+      migrations: [{
+        version: 1,
+        name: 'broken',
+        up: (db) => {
+          db.run('CREATE TABLE half_done (id TEXT)');
+          db.run('INSERT INTO missing_table VALUES (1)');
+        },
+        down: () => {}
+      }]
+    });
+
+    expect(() => migrator.migrate()).toThrow();
+    expect(tables(dbManager)).toEqual(['schema_migrations']);
+    expect(migrator.currentVersion()).toBe(0);
+  });
+
+  it('should load numbered migrations in order', () => {
+    const versions = loadMigrations().map(m => m.version);
+
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(versions[0]).toBe(1);
+  });
+
+  describe('legacy databases', () => {
+    beforeEach(async () => {
+      dbManager = await createTestDb({ autoMigrate: false });
+      createLegacySchema(dbManager);
+    });
+
+    it('should upgrade tables created before migrations existed', async () => {
+      const migrator = new Migrator(dbManager);
+      expect(migrator.hasUntrackedSchema()).toBe(true);
+
+      await dbManager.migrate();
+
+      const repo = new FileRepository(dbManager);
+      expect(repo.findById('f1')).toMatchObject({ accountId: 'default', path: '/Projects/notes.txt' });
+      expect(repo.search('quarterly').files.map(f => f.id)).toEqual(['root']);
+      expect(dbManager.queryOne('SELECT account_id FROM jobs WHERE id = ?', ['j1']).account_id).toBe('default');
+      expect(dbManager.queryOne('SELECT * FROM sync_state')).toMatchObject({
+        account_id: 'default',
+        drive_id: 'my-drive',
+        change_token: 'token_42'
+      });
+    });
+
+    it('should allow files with the same id in different accounts afterwards', async () => {
+      await dbManager.migrate();
+      const repo = new FileRepository(dbManager);
+
+      repo.upsert({ id: 'f1', name: 'theirs.txt' }, 'work');
+
+      expect(repo.findById('f1', 'default').name).toBe('notes.txt');
+      expect(repo.findById('f1', 'work').name).toBe('theirs.txt');
+    });
+  });
+
+  describe('on disk', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-'));
+    });
+
+    afterEach(() => {
+      dbManager?.close();
+      dbManager = null;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should back the file up before migrating existing data', async () => {
+      const dbPath = path.join(dir, 'sync.db');
+      const legacy = new DatabaseManager(dbPath, { autoMigrate: false });
+      await legacy.init();
+      createLegacySchema(legacy);
+      legacy.close();
+
+      dbManager = new DatabaseManager(dbPath);
+      await dbManager.init();
+
+      const backups = fs.readdirSync(dir).filter(f => f.endsWith('.bak'));
+      expect(backups).toHaveLength(1);
+      expect(backups[0]).toMatch(/^sync\.db\.v0-/);
+
+      const copy = new DatabaseManager(path.join(dir, backups[0]), { autoMigrate: false });
+      await copy.init();
+      expect(copy.query('PRAGMA table_info(files)').map(c => c.name)).not.toContain('account_id');
+      copy.close();
+    });
+
+    it('should not back up a brand new database', async () => {
+      dbManager = new DatabaseManager(path.join(dir, 'sync.db'));
+      await dbManager.init();
+
+      expect(fs.readdirSync(dir).filter(f => f.endsWith('.bak'))).toEqual([]);
+    });
+  });
+});
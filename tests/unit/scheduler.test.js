@@ -0,0 +1,138 @@
+const { createTestDb } = require('../helpers/testDb');
+const { JobRepository, ScheduleRepository } = require('../../src/persistence');
+const { Scheduler } = require('../../src/scheduler');
+
+describe('Scheduler', () => {
+  let dbManager;
+  let jobRepo;
+  let scheduleRepo;
+  let mockSyncEngine;
+  let scheduler;
+
+  beforeEach(async () => {
+    dbManager = await createTestDb();
+    jobRepo = new JobRepository(dbManager);
+    scheduleRepo = new ScheduleRepository(dbManager);
+
+    mockSyncEngine = {
+      startIncrementalSync: jest.fn().mockResolvedValue({ syncId: 'sync_inc', jobId: 'job_1' }),
+      startFullSync: jest.fn().mockResolvedValue({ syncId: 'sync_full', jobId: 'job_2' })
+    };
+
+    scheduler = new Scheduler({
+      scheduleRepository: scheduleRepo,
+      jobRepository: jobRepo,
+      syncEngine: mockSyncEngine
+    });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    dbManager.close();
+  });
+
+  describe('createSchedule', () => {
+    it('should persist an interval schedule with its next run', () => {
+      const before = Date.now();
+      const schedule = scheduler.createSchedule({ name: 'inc', syncType: 'incremental', intervalMs: 60000 });
+
+      expect(schedule.id).toBeDefined();
+      expect(schedule.enabled).toBe(true);
+      expect(new Date(schedule.nextRunAt).getTime()).toBeGreaterThanOrEqual(before + 60000);
+    });
+
+    it('should reject invalid definitions', () => {
+      expect(() => scheduler.createSchedule({ name: 'x', syncType: 'weekly', intervalMs: 60000 })).toThrow();
+      expect(() => scheduler.createSchedule({ name: 'x', syncType: 'full' })).toThrow(/intervalMs or cron/);
+      expect(() => scheduler.createSchedule({ name: 'x', syncType: 'full', cron: 'bad' })).toThrow();
+    });
+
+    it('should not seed a schedule that already exists', () => {
+      scheduler.ensureSchedule('incremental', 'incremental', '60000');
+      scheduler.ensureSchedule('incremental', 'incremental', '*/5 * * * *');
+
+      const all = scheduleRepo.findAll();
+      expect(all.length).toBe(1);
+      expect(all[0].intervalMs).toBe(60000);
+    });
+  });
+
+  describe('runDue', () => {
+    it('should start due syncs and advance the next run', async () => {
+      const schedule = scheduler.createSchedule({ name: 'full', syncType: 'full', cron: '0 3 * * *' });
+      const now = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+
+      const results = await scheduler.runDue(now);
+
+      expect(results[0].status).toBe('started');
+      expect(mockSyncEngine.startFullSync).toHaveBeenCalledWith({ accountId: 'default', driveId: 'my-drive', reconcile: true });
+
+      const updated = scheduleRepo.findById(schedule.id);
+      expect(updated.lastSyncId).toBe('sync_full');
+      expect(updated.lastRunAt).toBe(now.toISOString());
+      expect(new Date(updated.nextRunAt).getTime()).toBeGreaterThan(now.getTime());
+    });
+
+    it('should skip while a sync job is active', async () => {
+      const schedule = scheduler.createSchedule({ name: 'inc', syncType: 'incremental', intervalMs: 60000 });
+      jobRepo.create('incremental_sync', { syncId: 'other' });
+
+      const results = await scheduler.runDue(new Date(Date.now() + 120000));
+
+      expect(results[0].status).toBe('skipped');
+      expect(mockSyncEngine.startIncrementalSync).not.toHaveBeenCalled();
+      expect(scheduleRepo.findById(schedule.id).lastStatus).toBe('skipped');
+    });
+
+    it('should skip while a sync is paused', async () => {
+      const schedule = scheduler.createSchedule({ name: 'full', syncType: 'full', intervalMs: 60000 });
+      const jobId = jobRepo.create('sync_page', { syncId: 'other' });
+      jobRepo.markStopped(jobId, 'paused');
+
+      const results = await scheduler.runDue(new Date(Date.now() + 120000));
+
+      expect(results[0]).toMatchObject({ status: 'skipped', reason: 'Sync paused' });
+      expect(mockSyncEngine.startFullSync).not.toHaveBeenCalled();
+      expect(scheduleRepo.findById(schedule.id).lastStatus).toBe('skipped');
+    });
+
+    it('should ignore disabled schedules', async () => {
+      scheduler.createSchedule({ name: 'inc', syncType: 'incremental', intervalMs: 60000, enabled: false });
+
+      const results = await scheduler.runDue(new Date(Date.now() + 120000));
+
+      expect(results).toEqual([]);
+    });
+
+    it('should record failures to start', async () => {
+      mockSyncEngine.startIncrementalSync.mockRejectedValueOnce(new Error('No token'));
+      const schedule = scheduler.createSchedule({ name: 'inc', syncType: 'incremental', intervalMs: 60000 });
+
+      await scheduler.runDue(new Date(Date.now() + 120000));
+
+      const updated = scheduleRepo.findById(schedule.id);
+      expect(updated.lastStatus).toBe('failed');
+      expect(updated.lastError).toBe('No token');
+    });
+  });
+
+  describe('updateSchedule', () => {
+    it('should switch from interval to cron', () => {
+      const schedule = scheduler.createSchedule({ name: 'inc', syncType: 'incremental', intervalMs: 60000 });
+
+      const updated = scheduler.updateSchedule(schedule.id, { cron: '*/30 * * * *' });
+
+      expect(updated.cron).toBe('*/30 * * * *');
+      expect(updated.intervalMs).toBeNull();
+    });
+
+    it('should clear the next run when disabled', () => {
+      const schedule = scheduler.createSchedule({ name: 'inc', syncType: 'incremental', intervalMs: 60000 });
+
+      const updated = scheduler.updateSchedule(schedule.id, { enabled: false });
+
+      expect(updated.enabled).toBe(false);
+      expect(updated.nextRunAt).toBeNull();
+    });
+  });
+});
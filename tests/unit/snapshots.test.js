@@ -0,0 +1,175 @@
+const EventEmitter = require('events');
+const express = require('express');
+const request = require('supertest');
+const { createTestDb } = require('../helpers/testDb');
+const { FileRepository, SnapshotRepository } = require('../../src/persistence');
+const { JOB_TYPES } = require('../../src/jobs');
+const { SnapshotManager } = require('../../src/snapshots');
+const { createSnapshotsRouter } = require('../../src/routes');
+const { toCsv } = require('../../src/utils/csv');
+
+const FOLDER = 'application/vnd.google-apps.folder';
+
+describe('Snapshots', () => {
+  let dbManager;
+  let fileRepo;
+  let snapshotRepo;
+  let manager;
+
+  beforeEach(async () => {
+    dbManager = await createTestDb();
+    fileRepo = new FileRepository(dbManager);
+    snapshotRepo = new SnapshotRepository(dbManager);
+    manager = new SnapshotManager({ snapshotRepository: snapshotRepo, onFullSync: true, keepAutomatic: 2 });
+
+    fileRepo.upsertBatch([
+      { id: 'docs', name: 'Docs', mimeType: FOLDER },
+      { id: 'a', name: 'a.txt', parents: ['docs'], size: '10', md5Checksum: 'aaa' },
+      { id: 'b', name: 'b.txt', parents: ['docs'], size: '20', md5Checksum: 'bbb' },
+      { id: 'c', name: 'c.txt', size: '30', md5Checksum: 'ccc' },
+      { id: 'gone', name: 'gone.txt' }
+    ]);
+    fileRepo.markDeleted('gone');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    dbManager.close();
+  });
+
+  // renames a, changes b, moves c into docs, adds d and deletes docs
+  const changeCatalog = () => {
+    fileRepo.upsert({ id: 'a', name: 'a-renamed.txt', parents: ['docs'], size: '10', md5Checksum: 'aaa' });
+    fileRepo.upsert({ id: 'b', name: 'b.txt', parents: ['docs'], size: '25', md5Checksum: 'bbb2' });
+    fileRepo.upsert({ id: 'c', name: 'c.txt', parents: ['docs'], size: '30', md5Checksum: 'ccc' });
+    fileRepo.upsert({ id: 'd', name: 'd.txt', size: '40' });
+    fileRepo.markDeleted('docs');
+  };
+
+  it('should copy the live catalog of an account', () => {
+    const snapshot = manager.createSnapshot({ name: 'before' });
+
+    expect(snapshot).toMatchObject({ name: 'before', accountId: 'default', driveId: null, source: 'manual', fileCount: 4, totalSize: 60 });
+    expect(snapshotRepo.findFile(snapshot.id, 'gone')).toBeNull();
+
+    changeCatalog();
+
+    // the snapshot still shows the catalog as it was
+    expect(snapshotRepo.findFile(snapshot.id, 'a')).toMatchObject({ name: 'a.txt', path: '/Docs/a.txt' });
+    const { files, total } = snapshotRepo.findFiles(snapshot.id, { pathPrefix: '/Docs' });
+    expect(total).toBe(3);
+    expect(files.map(f => f.path)).toEqual(['/Docs', '/Docs/a.txt', '/Docs/b.txt']);
+  });
+
+  it('should diff two snapshots', () => {
+    const before = manager.createSnapshot({ name: 'before' });
+    changeCatalog();
+    const after = manager.createSnapshot({ name: 'after' });
+
+    const diff = manager.compare(before.id, after.id);
+
+    expect(diff.summary).toEqual({ added: 1, removed: 1, changed: 3 });
+    expect(diff.added.map(f => f.id)).toEqual(['d']);
+    expect(diff.removed.map(f => f.id)).toEqual(['docs']);
+    const changed = Object.fromEntries(diff.changed.map(c => [c.after.id, c]));
+    expect(changed.a).toMatchObject({ changeType: 'renamed', before: { name: 'a.txt' }, after: { name: 'a-renamed.txt' } });
+    expect(changed.b).toMatchObject({ changeType: 'modified', fields: ['size', 'md5Checksum'] });
+    expect(changed.c).toMatchObject({ changeType: 'moved', before: { path: '/c.txt' }, after: { path: '/Docs/c.txt' } });
+  });
+
+  it('should reject duplicate names and bad input', () => {
+    manager.createSnapshot({ name: 'monthly' });
+
+    expect(() => manager.createSnapshot({ name: 'monthly' })).toThrow('already exists');
+    expect(() => manager.createSnapshot({ name: ' ' })).toThrow('name is required');
+    expect(() => manager.createSnapshot({ name: 'x', accountId: 'bad id!' })).toThrow('Invalid account id');
+    expect(manager.createSnapshot({ name: 'monthly', accountId: 'work' }).fileCount).toBe(0);
+  });
+
+  it('should snapshot after full syncs and keep only the newest automatic ones', () => {
+    jest.useFakeTimers({ doNotFake: ['setTimeout', 'setImmediate', 'setInterval', 'nextTick', 'queueMicrotask'] });
+    const jobRunner = new EventEmitter();
+    manager.attach(jobRunner);
+    const manual = manager.createSnapshot({ name: 'keep me' });
+
+    for (let i = 1; i <= 3; i++) {
+      jest.setSystemTime(new Date(Date.UTC(2024, 0, i)));
+      // a page with more after it doesn't finish the sync
+      jobRunner.emit('job:completed', { id: `p${i}`, type: JOB_TYPES.SYNC_PAGE, payload: { syncId: `s${i}` } }, { hasMore: true });
+      jobRunner.emit('job:completed', { id: `j${i}`, type: JOB_TYPES.SYNC_PAGE, payload: { syncId: `s${i}` } }, { hasMore: false });
+    }
+    jobRunner.emit('job:completed', { id: 'j4', type: JOB_TYPES.INCREMENTAL_SYNC, payload: { syncId: 's4' } }, {});
+    manager.detach();
+    jobRunner.emit('job:completed', { id: 'j5', type: JOB_TYPES.SYNC_PAGE, payload: { syncId: 's5' } }, { hasMore: false });
+
+    const automatic = snapshotRepo.findAll({ source: 'full_sync' });
+    expect(automatic.map(s => s.name)).toEqual(['full-sync-s3', 'full-sync-s2']);
+    expect(automatic[0]).toMatchObject({ syncId: 's3', driveId: 'my-drive', fileCount: 4 });
+    expect(snapshotRepo.findById(manual.id)).not.toBeNull();
+    expect(snapshotRepo.findAll({ before: '2024-01-02T12:00:00.000Z', limit: 1 })[0].name).toBe('full-sync-s2');
+  });
+
+  it('should delete a snapshot with its files', () => {
+    const snapshot = manager.createSnapshot({ name: 'temp' });
+
+    expect(manager.deleteSnapshot(snapshot.id)).toBe(true);
+    expect(manager.deleteSnapshot(snapshot.id)).toBe(false);
+    expect(snapshotRepo.findFiles(snapshot.id).total).toBe(0);
+  });
+
+  describe('routes', () => {
+    let app;
+
+    beforeEach(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/snapshots', createSnapshotsRouter(manager, snapshotRepo));
+    });
+
+    it('should create, list, browse and delete snapshots', async () => {
+      const created = await request(app).post('/snapshots').send({ name: 'q1', description: 'quarter end' }).expect(201);
+      await request(app).post('/snapshots').send({ name: 'q1' }).expect(400);
+
+      const list = await request(app).get('/snapshots').expect(200);
+      expect(list.body.map(s => s.id)).toEqual([created.body.id]);
+      await request(app).get('/snapshots?before=never').expect(400);
+
+      const files = await request(app).get(`/snapshots/${created.body.id}/files?parent=docs&limit=1`).expect(200);
+      expect(files.body).toMatchObject({ total: 2, limit: 1, files: [{ id: 'a' }] });
+      await request(app).get(`/snapshots/${created.body.id}/files/c`).expect(200);
+      await request(app).get(`/snapshots/${created.body.id}/files/gone`).expect(404);
+
+      await request(app).delete(`/snapshots/${created.body.id}`).expect(200);
+      await request(app).get(`/snapshots/${created.body.id}`).expect(404);
+    });
+
+    it('should compare snapshots as json or csv', async () => {
+      const before = manager.createSnapshot({ name: 'before' });
+      changeCatalog();
+      const after = manager.createSnapshot({ name: 'after' });
+
+      const json = await request(app).get(`/snapshots/compare?from=${before.id}&to=${after.id}&type=added,removed`).expect(200);
+      expect(json.body.summary).toEqual({ added: 1, removed: 1, changed: 3 });
+      expect(json.body.changed).toBeUndefined();
+
+      const csv = await request(app).get(`/snapshots/compare?from=${before.id}&to=${after.id}&format=csv`).expect(200);
+      expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+      expect(csv.headers['content-disposition']).toContain(`snapshot-diff-${before.id}-${after.id}.csv`);
+      const lines = csv.text.trim().split('\r\n');
+      expect(lines[0]).toBe('change,change_type,file_id,path,previous_path,name,previous_name,mime_type,size,previous_size,md5_checksum,previous_md5_checksum,modified_time,previous_modified_time,fields');
+      expect(lines).toHaveLength(6);
+      expect(lines).toContain('changed,moved,c,/Docs/c.txt,/c.txt,c.txt,c.txt,,30,30,ccc,ccc,,,parentId');
+
+      await request(app).get(`/snapshots/compare?from=${before.id}`).expect(400);
+      await request(app).get(`/snapshots/compare?from=${before.id}&to=nope`).expect(404);
+      await request(app).get(`/snapshots/compare?from=${before.id}&to=${after.id}&format=xml`).expect(400);
+    });
+  });
+});
+
+describe('toCsv', () => {
+  it('should quote fields that need it', () => {
+    expect(toCsv(['a', 'b'], [{ a: 'plain', b: 'has, comma' }, { a: 'say "hi"', b: null }, { a: ['x', 'y'], b: 'line\nbreak' }]))
+      .toBe('a,b\r\nplain,"has, comma"\r\n"say ""hi""",\r\nx y,"line\nbreak"\r\n');
+  });
+});
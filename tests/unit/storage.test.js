@@ -0,0 +1,217 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openStorage, resolveDriver } = require('../../src/persistence/storage');
+const { DatabaseManager } = require('../../src/persistence/database');
+
+let nativeAvailable = true;
+try {
+  new (require('better-sqlite3'))(':memory:').close();
+} catch (err) {
+  nativeAvailable = false;
+}
+const describeNative = nativeAvailable ? describe : describe.skip;
+
+describe('storage', () => {
+  let dir;
+  let dbPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+    dbPath = path.join(dir, 'sync.db');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('resolveDriver', () => {
+    it('should reject unknown drivers', () => {
+      expect(() => resolveDriver('postgres')).toThrow('Unknown database driver');
+    });
+
+    it('should pick the native driver when it loads', () => {
+      expect(resolveDriver('auto')).toBe(nativeAvailable ? 'better-sqlite3' : 'sql.js');
+      expect(resolveDriver('sql.js')).toBe('sql.js');
+    });
+  });
+
+  describe('sql.js', () => {
+    it('should batch writes into a single save', async () => {
+      const storage = await openStorage(dbPath, { driver: 'sql.js', saveDelayMs: 20 });
+      const rename = jest.spyOn(fs, 'renameSync');
+
+      storage.run('CREATE TABLE t (v INTEGER)');
+      for (let i = 0; i < 50; i++) {
+        storage.run('INSERT INTO t (v) VALUES (?)', [i]);
+      }
+      expect(fs.existsSync(dbPath)).toBe(false);
+
+      await new Promise(r => setTimeout(r, 60));
+
+      expect(rename).toHaveBeenCalledTimes(1);
+      expect(storage.isDirty()).toBe(false);
+      storage.close();
+    });
+
+    it('should save at the max delay under constant writes', async () => {
+      const storage = await openStorage(dbPath, { driver: 'sql.js', saveDelayMs: 1000, maxSaveDelayMs: 30 });
+      storage.run('CREATE TABLE t (v INTEGER)');
+
+      const deadline = Date.now() + 80;
+      while (Date.now() < deadline && !fs.existsSync(dbPath)) {
+        storage.run('INSERT INTO t (v) VALUES (1)');
+        await new Promise(r => setTimeout(r, 5));
+      }
+
+      expect(fs.existsSync(dbPath)).toBe(true);
+      storage.close();
+    });
+
+    it('should save atomically and persist on close', async () => {
+      const storage = await openStorage(dbPath, { driver: 'sql.js', saveDelayMs: 10000 });
+      storage.run('CREATE TABLE t (v TEXT)');
+      storage.run('INSERT INTO t (v) VALUES (?)', ['kept']);
+      storage.close();
+
+      expect(fs.readdirSync(dir)).toEqual(['sync.db']);
+
+      const reopened = await openStorage(dbPath, { driver: 'sql.js' });
+      expect(reopened.query('SELECT v FROM t')).toEqual([{ v: 'kept' }]);
+      reopened.close();
+    });
+
+    it('should keep user functions across saves', async () => {
+      const storage = await openStorage(dbPath, { driver: 'sql.js' });
+      storage.createFunction('double', (v) => v * 2);
+      storage.run('CREATE TABLE t (v INTEGER)');
+      storage.flush();
+
+      expect(storage.query('SELECT double(21) AS v')).toEqual([{ v: 42 }]);
+      storage.close();
+    });
+
+    it('should keep the previous file when a save fails', async () => {
+      const storage = await openStorage(dbPath, { driver: 'sql.js' });
+      storage.run('CREATE TABLE t (v TEXT)');
+      storage.flush();
+      const before = fs.readFileSync(dbPath);
+
+      storage.run('INSERT INTO t (v) VALUES (?)', ['lost']);
+      jest.spyOn(fs, 'fsyncSync').mockImplementationOnce(() => {
+        throw new Error('disk full');
+      });
+
+      expect(() => storage.flush()).toThrow('disk full');
+      expect(fs.readFileSync(dbPath)).toEqual(before);
+      expect(fs.readdirSync(dir)).toEqual(['sync.db']);
+      storage.close();
+    });
+  });
+
+  describeNative('better-sqlite3', () => {
+    it('should use WAL and write through without flushing', async () => {
+      const storage = await openStorage(dbPath, { driver: 'better-sqlite3' });
+
+      expect(storage.query('PRAGMA journal_mode')).toEqual([{ journal_mode: 'wal' }]);
+      storage.run('CREATE TABLE t (v INTEGER)');
+      expect(storage.run('INSERT INTO t (v) VALUES (?)', [true])).toEqual({ changes: 1 });
+
+      const reader = await openStorage(dbPath, { driver: 'better-sqlite3' });
+      expect(reader.query('SELECT v FROM t')).toEqual([{ v: 1 }]);
+      reader.close();
+      storage.close();
+    });
+
+    it('should leave a file the sql.js driver can open', async () => {
+      const storage = await openStorage(dbPath, { driver: 'better-sqlite3' });
+      storage.run('CREATE TABLE t (v TEXT)');
+      storage.run('INSERT INTO t (v) VALUES (?)', ['portable']);
+      storage.close();
+
+      const fallback = await openStorage(dbPath, { driver: 'sql.js' });
+      expect(fallback.query('SELECT v FROM t')).toEqual([{ v: 'portable' }]);
+      fallback.close();
+    });
+  });
+
+  describe.each(nativeAvailable ? ['sql.js', 'better-sqlite3'] : ['sql.js'])('%s transactions', (driver) => {
+    let storage;
+
+    beforeEach(async () => {
+      storage = await openStorage(dbPath, { driver });
+      storage.run('CREATE TABLE t (v INTEGER)');
+    });
+
+    afterEach(() => {
+      storage.close();
+    });
+
+    const values = () => storage.query('SELECT v FROM t ORDER BY v').map(r => r.v);
+
+    it('should commit and return the result', () => {
+      const result = storage.transaction(() => {
+        storage.run('INSERT INTO t (v) VALUES (1)');
+        storage.run('INSERT INTO t (v) VALUES (2)');
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect(values()).toEqual([1, 2]);
+    });
+
+    it('should roll back everything when the callback throws', () => {
+      expect(() => storage.transaction(() => {
+        storage.run('INSERT INTO t (v) VALUES (1)');
+        throw new Error('boom');
+      })).toThrow('boom');
+
+      expect(values()).toEqual([]);
+    });
+
+    it('should roll back only the failed nested level', () => {
+      storage.transaction(() => {
+        storage.run('INSERT INTO t (v) VALUES (1)');
+        try {
+          storage.transaction(() => {
+            storage.run('INSERT INTO t (v) VALUES (2)');
+            throw new Error('inner');
+          });
+        } catch (err) {
+          // keep the outer transaction going
+        }
+        storage.run('INSERT INTO t (v) VALUES (3)');
+      });
+
+      expect(values()).toEqual([1, 3]);
+    });
+
+    it('should refuse async callbacks', () => {
+      expect(() => storage.transaction(async () => {
+        storage.run('INSERT INTO t (v) VALUES (1)');
+      })).toThrow('cannot return a promise');
+
+      expect(values()).toEqual([]);
+    });
+  });
+
+  describe('DatabaseManager', () => {
+    it('should create the schema and report changed rows', async () => {
+      const dbManager = new DatabaseManager(dbPath, { driver: 'sql.js' });
+      await dbManager.init();
+
+      dbManager.run("INSERT INTO files (id, name) VALUES ('f1', 'a.txt')");
+      const result = dbManager.run("UPDATE files SET name = 'b.txt' WHERE id = 'f1'");
+
+      expect(result.changes).toBe(1);
+      expect(dbManager.driver).toBe('sql.js');
+      dbManager.close();
+
+      const reopened = new DatabaseManager(dbPath);
+      await reopened.init();
+      expect(reopened.queryOne("SELECT name FROM files WHERE id = 'f1'").name).toBe('b.txt');
+      reopened.close();
+    });
+  });
+});
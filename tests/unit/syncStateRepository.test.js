@@ -0,0 +1,46 @@
+const { createTestDb } = require('../helpers/testDb');
+const SyncStateRepository = require('../../src/persistence/syncStateRepository');
+
+describe('SyncStateRepository', () => {
+  let dbManager;
+  let repo;
+
+  beforeEach(async () => {
+    dbManager = await createTestDb();
+    repo = new SyncStateRepository(dbManager);
+  });
+
+  afterEach(() => {
+    dbManager.close();
+  });
+
+  it('should return null when no state is stored', () => {
+    expect(repo.get()).toBeNull();
+  });
+
+  it('should save and overwrite the change token', () => {
+    repo.saveChangeToken('token_1', 'sync_a');
+    repo.saveChangeToken('token_2', 'sync_b');
+
+    const state = repo.get();
+    expect(state.changeToken).toBe('token_2');
+    expect(state.lastSyncId).toBe('sync_b');
+    expect(state.updatedAt).toBeDefined();
+  });
+
+  it('should keep tokens per drive', () => {
+    repo.saveChangeToken('token_mine');
+    repo.saveChangeToken('token_team', 'sync_t', 'default', 'team1');
+
+    expect(repo.get().changeToken).toBe('token_mine');
+    expect(repo.get('default', 'team1').changeToken).toBe('token_team');
+    expect(repo.findAll('default').length).toBe(2);
+  });
+
+  it('should clear stored state', () => {
+    repo.saveChangeToken('token_1');
+    repo.clear();
+
+    expect(repo.get()).toBeNull();
+  });
+});
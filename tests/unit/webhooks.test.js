@@ -0,0 +1,217 @@
+const http = require('http');
+const crypto = require('crypto');
+const { createTestDb } = require('../helpers/testDb');
+const { WebhookRepository, JobRepository, EventRepository, DELIVERY_STATUS } = require('../../src/persistence');
+const { EventStream } = require('../../src/events');
+const { JOB_TYPES } = require('../../src/jobs');
+const { WebhookDispatcher, signPayload, createWebhookDeliveryHandler } = require('../../src/webhooks');
+
+const SECRET = 'a-very-secret-signing-key';
+
+describe('Webhooks', () => {
+  let dbManager;
+  let webhookRepo;
+  let jobRepo;
+  let eventStream;
+  let dispatcher;
+
+  beforeEach(async () => {
+    dbManager = await createTestDb();
+    webhookRepo = new WebhookRepository(dbManager);
+    jobRepo = new JobRepository(dbManager);
+    eventStream = new EventStream(new EventRepository(dbManager));
+    dispatcher = new WebhookDispatcher({
+      webhookRepository: webhookRepo,
+      jobRepository: jobRepo,
+      eventStream,
+      maxAttempts: 3
+    });
+    dispatcher.start();
+  });
+
+  afterEach(() => {
+    dispatcher.stop();
+    eventStream.close();
+    dbManager.close();
+  });
+
+  describe('WebhookDispatcher', () => {
+    it('should create webhooks with a generated secret', () => {
+      const webhook = dispatcher.createWebhook({ url: 'https://example.com/hook', events: ['sync:completed'] });
+
+      expect(webhook.id).toMatch(/^wh_/);
+      expect(webhook.secret).toHaveLength(48);
+      expect(webhook).toMatchObject({ enabled: true, accountId: null, events: ['sync:completed'] });
+    });
+
+    it('should reject invalid webhooks', () => {
+      expect(() => dispatcher.createWebhook({ url: 'ftp://example.com', events: ['sync:completed'] }))
+        .toThrow('http or https');
+      expect(() => dispatcher.createWebhook({ url: 'not a url', events: ['sync:completed'] }))
+        .toThrow('Invalid webhook url');
+      expect(() => dispatcher.createWebhook({ url: 'https://example.com', events: [] }))
+        .toThrow('non-empty array');
+      expect(() => dispatcher.createWebhook({ url: 'https://example.com', events: ['sync:progress'] }))
+        .toThrow('Unknown events: sync:progress');
+      expect(() => dispatcher.createWebhook({ url: 'https://example.com', events: ['*'], secret: 'short' }))
+        .toThrow('at least 16');
+    });
+
+    it('should queue a delivery job for each subscribed webhook', () => {
+      const sync = dispatcher.createWebhook({ url: 'https://example.com/a', events: ['sync:completed'] });
+      dispatcher.createWebhook({ url: 'https://example.com/b', events: ['file:added'] });
+      const all = dispatcher.createWebhook({ url: 'https://example.com/c', events: ['*'] });
+      dispatcher.createWebhook({ url: 'https://example.com/d', events: ['*'], enabled: false });
+
+      const event = eventStream.publish('sync:completed', { syncId: 's1', accountId: 'default', data: { type: 'full' } });
+
+      const deliveries = [sync, all].map(w => webhookRepo.findDeliveries(w.id)[0]);
+      expect(deliveries.map(d => d.eventId)).toEqual([event.id, event.id]);
+      expect(deliveries[0]).toMatchObject({
+        eventType: 'sync:completed',
+        status: DELIVERY_STATUS.PENDING,
+        payload: { id: event.id, type: 'sync:completed', syncId: 's1', data: { type: 'full' } }
+      });
+
+      const job = jobRepo.findById(deliveries[0].jobId);
+      expect(job).toMatchObject({ type: JOB_TYPES.WEBHOOK_DELIVERY, maxAttempts: 3 });
+      expect(job.payload).toEqual({ deliveryId: deliveries[0].id, webhookId: sync.id });
+    });
+
+    it('should only notify webhooks scoped to the event account', () => {
+      const work = dispatcher.createWebhook({ url: 'https://example.com/w', events: ['*'], accountId: 'work' });
+
+      eventStream.publish('file:added', { accountId: 'home', data: { fileId: 'f1' } });
+      eventStream.publish('file:added', { accountId: 'work', data: { fileId: 'f2' } });
+
+      const deliveries = webhookRepo.findDeliveries(work.id);
+      expect(deliveries).toHaveLength(1);
+      expect(deliveries[0].payload.data.fileId).toBe('f2');
+    });
+
+    it('should not announce failed webhook deliveries to webhooks', () => {
+      const webhook = dispatcher.createWebhook({ url: 'https://example.com', events: ['job:failed'] });
+
+      eventStream.publish('job:failed', { data: { jobType: JOB_TYPES.WEBHOOK_DELIVERY, error: 'HTTP 500' } });
+      expect(webhookRepo.findDeliveries(webhook.id)).toHaveLength(0);
+
+      eventStream.publish('job:failed', { data: { jobType: JOB_TYPES.FULL_SYNC, error: 'boom' } });
+      expect(webhookRepo.findDeliveries(webhook.id)).toHaveLength(1);
+    });
+
+    it('should queue test deliveries and redeliveries', () => {
+      const webhook = dispatcher.createWebhook({ url: 'https://example.com', events: ['sync:failed'] });
+
+      const test = dispatcher.sendTest(webhook.id);
+      const again = dispatcher.redeliver(webhook.id, test.deliveryId);
+
+      const deliveries = webhookRepo.findDeliveries(webhook.id);
+      expect(deliveries.map(d => d.id)).toEqual([again.deliveryId, test.deliveryId]);
+      expect(deliveries[0].payload).toEqual(deliveries[1].payload);
+      expect(dispatcher.sendTest('wh_missing')).toBeNull();
+      expect(dispatcher.redeliver('wh_missing', test.deliveryId)).toBeNull();
+    });
+
+    it('should remove the delivery log with the webhook', () => {
+      const webhook = dispatcher.createWebhook({ url: 'https://example.com', events: ['*'] });
+      dispatcher.sendTest(webhook.id);
+
+      expect(dispatcher.deleteWebhook(webhook.id)).toBe(true);
+      expect(webhookRepo.findById(webhook.id)).toBeNull();
+      expect(webhookRepo.findDeliveries(webhook.id)).toHaveLength(0);
+    });
+  });
+
+  describe('delivery handler', () => {
+    let server;
+    let url;
+    let received;
+    let respondWith;
+    let handler;
+
+    beforeEach(async () => {
+      received = [];
+      respondWith = 200;
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          res.writeHead(respondWith);
+          res.end(respondWith === 200 ? 'ok' : 'nope');
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}/hook`;
+      handler = createWebhookDeliveryHandler(webhookRepo, { timeoutMs: 2000 });
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    const runJob = (jobId, attempts = 0) => {
+      const job = { ...jobRepo.findById(jobId), attempts };
+      return handler(job.payload, job);
+    };
+
+    it('should POST a signed payload and log the delivery', async () => {
+      const webhook = dispatcher.createWebhook({ url, events: ['*'], secret: SECRET });
+      const { deliveryId, jobId } = dispatcher.sendTest(webhook.id);
+
+      const result = await runJob(jobId);
+
+      expect(result).toMatchObject({ deliveryId, status: 200 });
+      const { headers, body } = received[0];
+      expect(headers['x-webhook-event']).toBe('webhook:test');
+      expect(headers['x-webhook-delivery']).toBe(String(deliveryId));
+      const expected = 'sha256=' + crypto.createHmac('sha256', SECRET)
+        .update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+      expect(headers['x-webhook-signature']).toBe(expected);
+      expect(signPayload(SECRET, headers['x-webhook-timestamp'], body)).toBe(expected);
+      expect(JSON.parse(body)).toMatchObject({ type: 'webhook:test', data: { webhookId: webhook.id } });
+
+      expect(webhookRepo.findDelivery(deliveryId)).toMatchObject({
+        status: DELIVERY_STATUS.DELIVERED,
+        attempts: 1,
+        responseStatus: 200,
+        responseBody: 'ok'
+      });
+    });
+
+    it('should throw on error responses and fail the delivery on the last attempt', async () => {
+      respondWith = 500;
+      const webhook = dispatcher.createWebhook({ url, events: ['*'] });
+      const { deliveryId, jobId } = dispatcher.sendTest(webhook.id);
+
+      await expect(runJob(jobId, 0)).rejects.toThrow('HTTP 500');
+      expect(webhookRepo.findDelivery(deliveryId)).toMatchObject({ status: DELIVERY_STATUS.RETRYING, attempts: 1 });
+
+      await expect(runJob(jobId, 2)).rejects.toThrow('HTTP 500');
+      expect(webhookRepo.findDelivery(deliveryId)).toMatchObject({
+        status: DELIVERY_STATUS.FAILED,
+        attempts: 2,
+        responseStatus: 500,
+        responseBody: 'nope'
+      });
+    });
+
+    it('should record connection errors', async () => {
+      const webhook = dispatcher.createWebhook({ url: 'http://127.0.0.1:1/hook', events: ['*'] });
+      const { deliveryId, jobId } = dispatcher.sendTest(webhook.id);
+
+      await expect(runJob(jobId)).rejects.toThrow(`Webhook delivery ${deliveryId} failed`);
+      expect(webhookRepo.findDelivery(deliveryId).error).toBeTruthy();
+    });
+
+    it('should skip deliveries for disabled webhooks', async () => {
+      const webhook = dispatcher.createWebhook({ url, events: ['*'] });
+      const { deliveryId, jobId } = dispatcher.sendTest(webhook.id);
+      dispatcher.updateWebhook(webhook.id, { enabled: false });
+
+      await expect(runJob(jobId)).resolves.toMatchObject({ skipped: true, reason: 'disabled' });
+      expect(received).toHaveLength(0);
+      expect(webhookRepo.findDelivery(deliveryId).status).toBe(DELIVERY_STATUS.SKIPPED);
+    });
+  });
+});